@@ -2,92 +2,382 @@
  * Main Dashboard Application Component
  */
 
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { useGeotabApi } from './hooks/useGeotabApi';
 import { useUnits } from './hooks/useUnits';
+import { useSystemSettings } from './hooks/useSystemSettings';
 import { useDeviceData } from './hooks/useDeviceData';
+import { useFleetData } from './hooks/useFleetData';
+import { useSafetyScorecard } from './hooks/useSafetyScorecard';
+import { useDeviceStatusInfo } from './hooks/useDeviceStatusInfo';
 import { useDarkMode } from './hooks/useDarkMode';
-import { getDefaultDateRange, getDateRangeFromPreset } from './utils/dateUtils';
+import { useAddInState } from './hooks/useAddInState';
+import { SettingsContext, useSettingsStore } from './hooks/useSettings';
+import { getDefaultDateRange, getDateRangeFromPreset, formatDate, isDateInRange } from './utils/dateUtils';
+import { VIEW_MODES, DATE_PRESETS } from './utils/constants';
+import { formatDriverName } from './utils/formatters';
+import { PERSISTED_TABLES } from './utils/stateUtils';
+import { buildDeviceSearch } from './utils/groupUtils';
+import { buildExportFileName } from './utils/exportUtils';
+import { createCostModel } from './utils/costModel';
 
 // Components
 import DeviceHeader from './components/DeviceHeader';
 import DeviceSelector from './components/DeviceSelector';
+import DriverSelector from './components/DriverSelector';
 import DateRangeFilter from './components/DateRangeFilter';
+import ViewModeToggle from './components/ViewModeToggle';
+import GroupTreePicker from './components/GroupTreePicker';
 import UsageStats from './components/UsageStats';
 import UsageBreakdown from './components/UsageBreakdown';
 import ExceptionsChart from './components/ExceptionsChart';
 import ExceptionsTable from './components/ExceptionsTable';
 import FuelUpsTable from './components/FuelUpsTable';
+import TripsTable from './components/TripsTable';
 import SpeedAnalysis from './components/SpeedAnalysis';
 import ExceptionsTimeline from './components/ExceptionsTimeline';
 import IdleTimeSummary from './components/IdleTimeSummary';
 import FuelLevelTrend from './components/FuelLevelTrend';
+import DeviceReport from './components/DeviceReport';
+import ErrorBanner from './components/ErrorBanner';
+import PagingStatus from './components/PagingStatus';
+import SectionError from './components/SectionError';
+import LiveStatus from './components/LiveStatus';
+import TripMap from './components/TripMap';
+import VehiclesDriven from './components/VehiclesDriven';
+import SafetyScorecard from './components/SafetyScorecard';
+import VehicleHealth from './components/VehicleHealth';
+import FuelAnomalies from './components/FuelAnomalies';
+import FuelReconciliation from './components/FuelReconciliation';
+import SettingsDrawer from './components/SettingsDrawer';
 
 /**
  * Main Dashboard App
+ * @param {object} props
+ * @param {object} props.api - Geotab API object
+ * @param {object} props.state - Add-In state object
+ * @param {string} props.tileSource - Map tile URL template, or OFFLINE_TILES for generated tiles
  */
-function App({ api, state }) {
+function App({ api, state, tileSource }) {
+  // Selection restored from the Add-In state / URL hash
+  const { initialState, saveState } = useAddInState(state);
+
   // State for device and date selection
-  const [selectedDeviceId, setSelectedDeviceId] = useState(null);
+  const [selectedDeviceId, setSelectedDeviceId] = useState(initialState.deviceId || null);
   const [devices, setDevices] = useState([]);
   const [devicesLoading, setDevicesLoading] = useState(true);
-  const [dateRange, setDateRange] = useState(getDefaultDateRange());
+  const [devicesLoaded, setDevicesLoaded] = useState(false);
+  const [dateRange, setDateRange] = useState(() => initialState.dateRange || getDefaultDateRange());
+  const [activePreset, setActivePreset] = useState(
+    initialState.preset || (initialState.dateRange ? null : DATE_PRESETS.THIS_WEEK)
+  );
+  const [tableState, setTableState] = useState(initialState.tables);
+  const [groups, setGroups] = useState([]);
+  const [groupsLoading, setGroupsLoading] = useState(true);
+  const [selectedGroupIds, setSelectedGroupIds] = useState([]);
+  const [viewMode, setViewMode] = useState(VIEW_MODES.DEVICE);
+  const [selectedDeviceIds, setSelectedDeviceIds] = useState([]);
+  const [drivers, setDrivers] = useState([]);
+  const [driversLoading, setDriversLoading] = useState(true);
+  const [selectedDriverId, setSelectedDriverId] = useState(null);
+  const [reportOpen, setReportOpen] = useState(false);
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const [liveMode, setLiveMode] = useState(false);
+
+  const isFleetMode = viewMode === VIEW_MODES.FLEET;
+  const isDriverMode = viewMode === VIEW_MODES.DRIVER;
+  const isDeviceMode = viewMode === VIEW_MODES.DEVICE;
+
+  const selectedDriver = useMemo(
+    () => drivers.find(d => d.id === selectedDriverId) || null,
+    [drivers, selectedDriverId]
+  );
+
+  // Devices compared in fleet mode (empty in single device mode)
+  const fleetDevices = useMemo(() => {
+    if (!isFleetMode) return [];
+    const selected = new Set(selectedDeviceIds);
+    return devices.filter(d => selected.has(d.id));
+  }, [isFleetMode, devices, selectedDeviceIds]);
+
+  // Devices the safety scorecard scores: the compared devices, the selected device, or in
+  // driver mode every device, so the vehicles the driver drove can be named
+  const scorecardDevices = useMemo(() => {
+    if (isFleetMode) return fleetDevices;
+    if (isDriverMode) return selectedDriverId ? devices : [];
+    return devices.filter(d => d.id === selectedDeviceId);
+  }, [isFleetMode, isDriverMode, fleetDevices, devices, selectedDeviceId, selectedDriverId]);
   
+  // Live mode only applies to a single device while the range includes today
+  const liveAvailable = isDeviceMode && isDateInRange(new Date(), dateRange.start, dateRange.end);
+
   // Hooks
   const { get } = useGeotabApi(api);
-  const { isMetric, loading: unitsLoading } = useUnits(api);
+  const settingsStore = useSettingsStore(api);
+  const { settings, loading: settingsLoading } = settingsStore;
+  const { units, userUnits, loading: unitsLoading } = useUnits(api, settings.units);
+  const { speedRangeLimits } = useSystemSettings(api);
+
+  // Fuel prices and idle burn rates for the cost figures
+  const costModel = useMemo(
+    () => createCostModel(settings.cost, devices, groups),
+    [settings.cost, devices, groups]
+  );
   const {
-    loading: dataLoading,
-    error: dataError,
+    loading: deviceDataLoading,
+    datasets,
+    retryStatus: deviceRetryStatus,
+    pagingProgress,
+    truncatedTypes,
     device,
     trips,
     usageStats,
     usageBreakdown,
+    previousRange,
+    previousUsageStats,
+    previousUsageBreakdown,
+    previousTrips,
     exceptions,
     exceptionsByRule,
+    vehiclesDriven,
     fuelUps,
-    refresh
-  } = useDeviceData(api, selectedDeviceId, dateRange);
+    newExceptionIds,
+    lastUpdated,
+    liveError,
+    refresh: refreshDeviceData,
+    retryDataset
+  } = useDeviceData(
+    api,
+    isDeviceMode ? selectedDeviceId : null,
+    dateRange,
+    selectedGroupIds,
+    liveMode && liveAvailable,
+    isDriverMode ? selectedDriverId : null
+  );
+  const {
+    loading: fleetLoading,
+    error: fleetError,
+    retryStatus: fleetRetryStatus,
+    fleetStats,
+    truncatedTypes: fleetTruncatedTypes,
+    refresh: refreshFleetData
+  } = useFleetData(api, fleetDevices, dateRange, selectedGroupIds);
+  const {
+    loading: scorecardLoading,
+    error: scorecardError,
+    driverScores,
+    deviceScores,
+    truncatedTypes: scorecardTruncatedTypes,
+    refresh: refreshScorecard
+  } = useSafetyScorecard(
+    api,
+    scorecardDevices,
+    dateRange,
+    selectedGroupIds,
+    isDriverMode ? selectedDriverId : null
+  );
+  const {
+    statusById,
+    refresh: refreshDeviceStatus
+  } = useDeviceStatusInfo(api, selectedGroupIds);
+
+  const dataLoading = isFleetMode ? fleetLoading : deviceDataLoading;
+  // Device and driver modes report failures inside each section instead of the banner
+  const dataError = isFleetMode ? fleetError : null;
+  const dataRetryStatus = isFleetMode ? fleetRetryStatus : deviceRetryStatus;
+  const refresh = isFleetMode ? refreshFleetData : refreshDeviceData;
+
+  /**
+   * Persist the selection so deep links and returning to the page restore it
+   */
+  useEffect(() => {
+    saveState({
+      deviceId: selectedDeviceId,
+      dateRange,
+      preset: activePreset,
+      tables: tableState
+    });
+  }, [saveState, selectedDeviceId, dateRange, activePreset, tableState]);
 
   /**
-   * Fetch all devices on mount
+   * Start on the user's default date range once settings load, unless a deep link or the
+   * saved Add-In state already chose a range
+   */
+  const defaultPresetAppliedRef = useRef(Boolean(initialState.preset || initialState.dateRange));
+  useEffect(() => {
+    if (settingsLoading || defaultPresetAppliedRef.current) return;
+    defaultPresetAppliedRef.current = true;
+
+    // The initial range is already this week
+    if (settings.defaultPreset !== DATE_PRESETS.THIS_WEEK) {
+      setDateRange(getDateRangeFromPreset(settings.defaultPreset));
+      setActivePreset(settings.defaultPreset);
+    }
+  }, [settingsLoading, settings.defaultPreset]);
+
+  /**
+   * Return every table to its first page when the data being shown changes
+   */
+  const resetTablePages = useCallback(() => {
+    setTableState(prev => Object.fromEntries(
+      Object.entries(prev).map(([table, value]) => [table, { ...value, page: 1 }])
+    ));
+  }, []);
+
+  /**
+   * Update the page or sort order of a persisted table
+   */
+  const updateTableState = useCallback((table, changes) => {
+    setTableState(prev => ({
+      ...prev,
+      [table]: { ...prev[table], ...changes }
+    }));
+  }, []);
+
+  const handleTripsPageChange = useCallback((page) => {
+    updateTableState(PERSISTED_TABLES.trips, { page });
+  }, [updateTableState]);
+
+  const handleTripsSortChange = useCallback((sort) => {
+    updateTableState(PERSISTED_TABLES.trips, { sort });
+  }, [updateTableState]);
+
+  const handleExceptionsPageChange = useCallback((page) => {
+    updateTableState(PERSISTED_TABLES.exceptions, { page });
+  }, [updateTableState]);
+
+  const handleExceptionsSortChange = useCallback((sort) => {
+    updateTableState(PERSISTED_TABLES.exceptions, { sort });
+  }, [updateTableState]);
+
+  const handleFuelUpsPageChange = useCallback((page) => {
+    updateTableState(PERSISTED_TABLES.fuelUps, { page });
+  }, [updateTableState]);
+
+  const handleFuelUpsSortChange = useCallback((sort) => {
+    updateTableState(PERSISTED_TABLES.fuelUps, { sort });
+  }, [updateTableState]);
+
+  /**
+   * Fetch devices in the selected groups (all devices when none selected)
    */
   useEffect(() => {
     async function loadDevices() {
       try {
         setDevicesLoading(true);
-        const deviceList = await get('Device');
+        const deviceList = await get('Device', buildDeviceSearch(null, selectedGroupIds));
         setDevices(deviceList || []);
         
-        // Auto-select first device if none selected
-        if (!selectedDeviceId && deviceList?.length > 0) {
-          setSelectedDeviceId(deviceList[0].id);
-        }
+        // Keep the current device if it is still in scope, otherwise select the first one
+        setSelectedDeviceId(prev => {
+          if (prev && deviceList?.some(d => d.id === prev)) return prev;
+          return deviceList?.[0]?.id || null;
+        });
       } catch (err) {
         console.error('Error loading devices:', err);
       } finally {
         setDevicesLoading(false);
+        setDevicesLoaded(true);
       }
     }
 
     if (api) {
       loadDevices();
     }
-  }, [api, get, selectedDeviceId]);
+  }, [api, get, selectedGroupIds]);
+
+  /**
+   * Fetch the group hierarchy on mount
+   */
+  useEffect(() => {
+    async function loadGroups() {
+      try {
+        setGroupsLoading(true);
+        const groupList = await get('Group');
+        setGroups(groupList || []);
+      } catch (err) {
+        console.error('Error loading groups:', err);
+      } finally {
+        setGroupsLoading(false);
+      }
+    }
+
+    if (api) {
+      loadGroups();
+    }
+  }, [api, get]);
+
+  /**
+   * Fetch drivers for driver mode on mount
+   */
+  useEffect(() => {
+    async function loadDrivers() {
+      try {
+        setDriversLoading(true);
+        const driverList = await get('User', { isDriver: true });
+        setDrivers(driverList || []);
+        setSelectedDriverId(prev => prev || driverList?.[0]?.id || null);
+      } catch (err) {
+        console.error('Error loading drivers:', err);
+      } finally {
+        setDriversLoading(false);
+      }
+    }
+
+    if (api) {
+      loadDrivers();
+    }
+  }, [api, get]);
 
   /**
    * Handle device selection change
    */
   const handleDeviceChange = useCallback((deviceId) => {
     setSelectedDeviceId(deviceId);
+    resetTablePages();
+  }, [resetTablePages]);
+
+  /**
+   * Handle driver selection change
+   */
+  const handleDriverChange = useCallback((driverId) => {
+    setSelectedDriverId(driverId);
+    resetTablePages();
+  }, [resetTablePages]);
+
+  /**
+   * Handle group scope change
+   */
+  const handleGroupsChange = useCallback((groupIds) => {
+    setSelectedGroupIds(groupIds);
+    resetTablePages();
+  }, [resetTablePages]);
+
+  /**
+   * Handle fleet device selection change
+   */
+  const handleDeviceIdsChange = useCallback((deviceIds) => {
+    setSelectedDeviceIds(deviceIds);
   }, []);
 
+  /**
+   * Handle view mode change, seeding the fleet with the current device
+   */
+  const handleViewModeChange = useCallback((mode) => {
+    setViewMode(mode);
+    if (mode === VIEW_MODES.FLEET && selectedDeviceIds.length === 0 && selectedDeviceId) {
+      setSelectedDeviceIds([selectedDeviceId]);
+    }
+  }, [selectedDeviceIds, selectedDeviceId]);
+
   /**
    * Handle date range change
    */
   const handleDateRangeChange = useCallback((range) => {
     setDateRange(range);
-  }, []);
+    setActivePreset(null);
+    resetTablePages();
+  }, [resetTablePages]);
 
   /**
    * Handle preset selection
@@ -95,10 +385,70 @@ function App({ api, state }) {
   const handlePresetSelect = useCallback((preset) => {
     const range = getDateRangeFromPreset(preset);
     setDateRange(range);
+    setActivePreset(preset);
+    resetTablePages();
+  }, [resetTablePages]);
+
+  /**
+   * Build an export file name for the current device or driver and date range
+   */
+  const getExportFileName = useCallback((tableName) => {
+    return buildExportFileName([
+      isDriverMode ? selectedDriver && formatDriverName(selectedDriver).fullName : device?.name,
+      tableName,
+      formatDate(dateRange.start, 'YYYY-MM-DD'),
+      formatDate(dateRange.end, 'YYYY-MM-DD')
+    ]);
+  }, [isDriverMode, selectedDriver, device, dateRange]);
+
+  /**
+   * Open and close the printable device report
+   */
+  const handleOpenReport = useCallback(() => {
+    setReportOpen(true);
   }, []);
 
-  // Show loading state
-  if (devicesLoading || unitsLoading) {
+  const handleCloseReport = useCallback(() => {
+    setReportOpen(false);
+  }, []);
+
+  /**
+   * Open and close the settings drawer
+   */
+  const handleOpenSettings = useCallback(() => {
+    setSettingsOpen(true);
+  }, []);
+
+  const handleCloseSettings = useCallback(() => {
+    setSettingsOpen(false);
+  }, []);
+
+  /**
+   * Render a device section, or the error of the first dataset it needs that failed
+   * @param {Array<string>} names - Datasets the section is built from
+   * @param {string} label - What the section shows, used in the error message
+   * @param {React.ReactNode} content - The section itself
+   */
+  const renderDatasetSection = (names, label, content) => {
+    const failed = names.find(name => datasets[name].error);
+    if (!failed) return content;
+
+    return (
+      <SectionError
+        label={label}
+        error={datasets[failed].error}
+        onRetry={() => retryDataset(failed)}
+      />
+    );
+  };
+
+  // Each section shows a skeleton only until its own datasets arrive
+  const usageLoading = datasets.trips.loading || datasets.statusData.loading || datasets.fuelUps.loading;
+  const tripsLoading = datasets.trips.loading;
+  const exceptionsLoading = datasets.exceptions.loading;
+
+  // Show loading state until the first device list arrives
+  if (!devicesLoaded || unitsLoading || settingsLoading) {
     return (
       <div className="dashboard-loading">
         <div className="loading-spinner"></div>
@@ -107,8 +457,8 @@ function App({ api, state }) {
     );
   }
 
-  // Show error if no devices
-  if (devices.length === 0) {
+  // Show error if no devices (and no group filter narrowing the list)
+  if (devices.length === 0 && selectedGroupIds.length === 0 && !devicesLoading) {
     return (
       <div className="dashboard-empty">
         <div className="empty-icon">
@@ -124,135 +474,478 @@ function App({ api, state }) {
   }
 
   return (
-    <div className="dashboard-container">
-      {/* Header Section */}
-      <header className="dashboard-header">
-        <DeviceHeader device={device} loading={dataLoading} />
-        
-        <div className="dashboard-filters">
-          <DeviceSelector
-            devices={devices}
-            selectedDeviceId={selectedDeviceId}
-            onChange={handleDeviceChange}
-            loading={devicesLoading}
-          />
-          
-          <DateRangeFilter
-            dateRange={dateRange}
-            onChange={handleDateRangeChange}
-            onPresetSelect={handlePresetSelect}
-          />
-        </div>
-      </header>
-
-      {/* Error Message */}
-      {dataError && (
-        <div className="dashboard-error">
-          <span className="error-icon">!</span>
-          <span>{dataError}</span>
-          <button onClick={refresh} className="retry-button">Retry</button>
-        </div>
-      )}
-
-      {/* Main Content */}
-      <main className="dashboard-content">
-        {/* Usage Stats Cards - Full Width */}
-        <section className="dashboard-section">
-          <UsageStats 
-            stats={usageStats} 
-            loading={dataLoading}
-            isMetric={isMetric}
-          />
-        </section>
-
-        {/* 2-Column Grid for Charts */}
-        <div className="dashboard-grid">
-          {/* Usage Breakdown */}
-          <div className="dashboard-grid-item">
-            <h2 className="section-title">Usage Breakdown</h2>
-            <UsageBreakdown 
-              breakdown={usageBreakdown} 
-              loading={dataLoading}
+    <SettingsContext.Provider value={settingsStore}>
+      <div className="dashboard-container">
+        {/* Header Section */}
+        <header className="dashboard-header">
+          {isFleetMode ? (
+            <DeviceHeader device={device} loading={dataLoading} fleetDevices={fleetDevices} />
+          ) : isDriverMode ? (
+            <DeviceHeader
+              driverMode
+              driver={selectedDriver}
+              loading={driversLoading}
+              vehicleCount={tripsLoading || datasets.trips.error ? null : vehiclesDriven.length}
             />
-          </div>
-
-          {/* Speed Analysis */}
-          <div className="dashboard-grid-item">
-            <h2 className="section-title">Speed Analysis</h2>
-            <SpeedAnalysis 
-              trips={trips}
-              loading={dataLoading}
-              isMetric={isMetric}
-            />
-          </div>
+          ) : renderDatasetSection(['device'], 'device details', (
+            <DeviceHeader device={device} loading={datasets.device.loading} />
+          ))}
+          
+          <div className="dashboard-filters">
+            <ViewModeToggle viewMode={viewMode} onChange={handleViewModeChange} />
 
-          {/* Idle Time Summary */}
-          <div className="dashboard-grid-item">
-            <h2 className="section-title">Idle Time Analysis</h2>
-            <IdleTimeSummary 
-              trips={trips}
-              loading={dataLoading}
-              isMetric={isMetric}
+            <GroupTreePicker
+              api={api}
+              groups={groups}
+              selectedGroupIds={selectedGroupIds}
+              onChange={handleGroupsChange}
+              loading={groupsLoading}
             />
-          </div>
 
-          {/* Exceptions Timeline */}
-          <div className="dashboard-grid-item">
-            <h2 className="section-title">Exceptions Timeline</h2>
-            <ExceptionsTimeline 
-              exceptions={exceptions}
+            {isFleetMode ? (
+              <DeviceSelector
+                multiple
+                devices={devices}
+                groups={groups}
+                selectedDeviceIds={selectedDeviceIds}
+                onChange={handleDeviceIdsChange}
+                loading={devicesLoading}
+              />
+            ) : isDriverMode ? (
+              <DriverSelector
+                drivers={drivers}
+                selectedDriverId={selectedDriverId}
+                onChange={handleDriverChange}
+                loading={driversLoading}
+              />
+            ) : (
+              <DeviceSelector
+                devices={devices}
+                selectedDeviceId={selectedDeviceId}
+                onChange={handleDeviceChange}
+                loading={devicesLoading}
+                statusById={statusById}
+                onOpen={refreshDeviceStatus}
+              />
+            )}
+            
+            <DateRangeFilter
               dateRange={dateRange}
-              loading={dataLoading}
+              activePreset={activePreset}
+              onChange={handleDateRangeChange}
+              onPresetSelect={handlePresetSelect}
             />
-          </div>
 
-          {/* Exceptions by Type */}
-          <div className="dashboard-grid-item">
-            <h2 className="section-title">Exceptions by Type</h2>
-            <ExceptionsChart 
-              data={exceptionsByRule} 
-              loading={dataLoading}
-            />
-          </div>
+            {isDeviceMode && (
+              <button
+                type="button"
+                className="report-btn"
+                onClick={handleOpenReport}
+                disabled={!device || dataLoading}
+              >
+                Generate report
+              </button>
+            )}
 
-          {/* Fuel Level Trend (Async) */}
-          <div className="dashboard-grid-item">
-            <h2 className="section-title">Fuel Level Trend</h2>
-            <FuelLevelTrend 
-              api={api}
-              deviceId={selectedDeviceId}
-              dateRange={dateRange}
-              isMetric={isMetric}
-            />
+            {isDeviceMode && (
+              <LiveStatus
+                enabled={liveMode}
+                available={liveAvailable}
+                lastUpdated={lastUpdated}
+                error={liveError}
+                onToggle={setLiveMode}
+              />
+            )}
+
+            <button
+              type="button"
+              className="report-btn settings-btn"
+              onClick={handleOpenSettings}
+            >
+              Settings
+            </button>
           </div>
-        </div>
+        </header>
 
-        {/* Tables - Full Width */}
-        <section className="dashboard-section">
-          <h2 className="section-title">Exception Details</h2>
-          <ExceptionsTable 
-            exceptions={exceptions}
-            loading={dataLoading}
-            isMetric={isMetric}
-            api={api}
-          />
-        </section>
+        {/* Error Message */}
+        <ErrorBanner
+          title={isFleetMode ? 'Failed to load fleet data.' : 'Failed to load device data.'}
+          error={dataError}
+          retryStatus={dataRetryStatus}
+          onRetry={refresh}
+        />
+
+        {/* Paging progress and truncation warning */}
+        <PagingStatus
+          loading={dataLoading}
+          progress={isFleetMode ? null : pagingProgress}
+          truncatedTypes={isFleetMode ? fleetTruncatedTypes : truncatedTypes}
+        />
+
+        {/* Main Content */}
+        {devices.length === 0 && !devicesLoading ? (
+          <main className="dashboard-content">
+            <div className="scope-empty empty-state">
+              <p>No devices found in the selected groups.</p>
+            </div>
+          </main>
+        ) : isFleetMode ? (
+          <main className="dashboard-content">
+            {fleetDevices.length === 0 ? (
+              <div className="fleet-empty empty-state">
+                <p>Select devices, or a whole group, to compare them side by side.</p>
+              </div>
+            ) : (
+              <>
+                {/* Per-device usage comparison - Full Width */}
+                <section className="dashboard-section">
+                  <h2 className="section-title">Usage Comparison</h2>
+                  <UsageStats
+                    loading={dataLoading}
+                    units={units}
+                    fleetStats={fleetStats}
+                  />
+                </section>
+
+                {/* Safety scores per device and driver - Full Width */}
+                <section className="dashboard-section">
+                  <h2 className="section-title">Safety Scorecard</h2>
+                  {scorecardError ? (
+                    <SectionError
+                      label="safety scores"
+                      error={scorecardError}
+                      onRetry={refreshScorecard}
+                    />
+                  ) : (
+                    <SafetyScorecard
+                      driverScores={driverScores}
+                      deviceScores={deviceScores}
+                      loading={scorecardLoading}
+                      units={units}
+                      truncatedTypes={scorecardTruncatedTypes}
+                    />
+                  )}
+                </section>
+
+                <div className="dashboard-grid">
+                  <div className="dashboard-grid-item">
+                    <h2 className="section-title">Speed Ranking</h2>
+                    <SpeedAnalysis
+                      loading={dataLoading}
+                      units={units}
+                      fleetStats={fleetStats}
+                    />
+                  </div>
+
+                  <div className="dashboard-grid-item">
+                    <h2 className="section-title">Idle Time Ranking</h2>
+                    <IdleTimeSummary
+                      loading={dataLoading}
+                      units={units}
+                      fleetStats={fleetStats}
+                    />
+                  </div>
+
+                  <div className="dashboard-grid-item dashboard-grid-item--full">
+                    <h2 className="section-title">Exceptions by Device</h2>
+                    <ExceptionsChart
+                      loading={dataLoading}
+                      fleetStats={fleetStats}
+                    />
+                  </div>
+                </div>
+              </>
+            )}
+          </main>
+        ) : (
+          <main className="dashboard-content">
+            {/* Usage Stats Cards - Full Width */}
+            <section className="dashboard-section">
+              {renderDatasetSection(['trips', 'statusData'], 'usage statistics', (
+                <UsageStats 
+                  stats={usageStats} 
+                  loading={usageLoading}
+                  units={units}
+                  costModel={costModel}
+                  dateRange={dateRange}
+                  previousStats={previousUsageStats}
+                  previousRange={previousRange}
+                />
+              ))}
+            </section>
+
+            {/* Trip Map - Full Width */}
+            <section className="dashboard-section">
+              <h2 className="section-title">Trip Map</h2>
+              {renderDatasetSection(['trips'], 'trips', (
+                <TripMap
+                  api={api}
+                  deviceId={isDriverMode ? null : selectedDeviceId}
+                  dateRange={dateRange}
+                  trips={trips}
+                  exceptions={exceptions}
+                  loading={tripsLoading}
+                  units={units}
+                  tileSource={tileSource}
+                />
+              ))}
+            </section>
 
-        <section className="dashboard-section">
-          <h2 className="section-title">Fuel-Ups</h2>
-          <FuelUpsTable 
+            {/* 2-Column Grid for Charts */}
+            <div className="dashboard-grid">
+              {/* Usage Breakdown */}
+              <div className="dashboard-grid-item">
+                <h2 className="section-title">Usage Breakdown</h2>
+                {renderDatasetSection(['trips'], 'trips', (
+                  <UsageBreakdown 
+                    breakdown={usageBreakdown} 
+                    loading={tripsLoading}
+                    previousBreakdown={previousUsageBreakdown}
+                  />
+                ))}
+              </div>
+
+              {/* Speed Analysis */}
+              <div className="dashboard-grid-item">
+                <h2 className="section-title">Speed Analysis</h2>
+                {renderDatasetSection(['trips'], 'trips', (
+                  <SpeedAnalysis 
+                    api={api}
+                    deviceId={isDriverMode ? null : selectedDeviceId}
+                    dateRange={dateRange}
+                    trips={trips}
+                    loading={tripsLoading}
+                    units={units}
+                    speedRangeLimits={speedRangeLimits}
+                  />
+                ))}
+              </div>
+
+              {/* Idle Time Summary */}
+              <div className="dashboard-grid-item">
+                <h2 className="section-title">Idle Time Analysis</h2>
+                {renderDatasetSection(['trips'], 'trips', (
+                  <IdleTimeSummary 
+                    trips={trips}
+                    loading={tripsLoading}
+                    units={units}
+                    costModel={costModel}
+                    previousTrips={previousTrips}
+                  />
+                ))}
+              </div>
+
+              {/* Exceptions Timeline */}
+              <div className="dashboard-grid-item">
+                <h2 className="section-title">Exceptions Timeline</h2>
+                {renderDatasetSection(['exceptions'], 'exceptions', (
+                  <ExceptionsTimeline 
+                    exceptions={exceptions}
+                    dateRange={dateRange}
+                    loading={exceptionsLoading}
+                  />
+                ))}
+              </div>
+
+              {/* Exceptions by Type */}
+              <div className="dashboard-grid-item">
+                <h2 className="section-title">Exceptions by Type</h2>
+                {renderDatasetSection(['exceptions'], 'exceptions', (
+                  <ExceptionsChart 
+                    data={exceptionsByRule} 
+                    loading={exceptionsLoading}
+                  />
+                ))}
+              </div>
+
+              {isDriverMode ? (
+                /* Vehicles Driven */
+                <div className="dashboard-grid-item">
+                  <h2 className="section-title">Vehicles Driven</h2>
+                  {renderDatasetSection(['trips'], 'trips', (
+                    <VehiclesDriven
+                      vehicles={vehiclesDriven}
+                      devices={devices}
+                      loading={tripsLoading}
+                      units={units}
+                    />
+                  ))}
+                </div>
+              ) : (
+                /* Fuel Level Trend (Async) */
+                <div className="dashboard-grid-item">
+                  <h2 className="section-title">Fuel Level Trend</h2>
+                  <FuelLevelTrend 
+                    api={api}
+                    deviceId={selectedDeviceId}
+                    dateRange={dateRange}
+                    units={units}
+                  />
+                </div>
+              )}
+            </div>
+
+            {/* Vehicle Health (Async) - Full Width */}
+            {isDeviceMode && (
+              <section className="dashboard-section">
+                <h2 className="section-title">Vehicle Health</h2>
+                <VehicleHealth
+                  api={api}
+                  deviceId={selectedDeviceId}
+                  dateRange={dateRange}
+                  units={units}
+                />
+              </section>
+            )}
+
+            {/* Safety scores for the device and its drivers, or the driver and their vehicles */}
+            <section className="dashboard-section">
+              <h2 className="section-title">Safety Scorecard</h2>
+              {scorecardError ? (
+                <SectionError
+                  label="safety scores"
+                  error={scorecardError}
+                  onRetry={refreshScorecard}
+                />
+              ) : (
+                <SafetyScorecard
+                  driverScores={driverScores}
+                  deviceScores={deviceScores}
+                  loading={scorecardLoading}
+                  units={units}
+                  truncatedTypes={scorecardTruncatedTypes}
+                />
+              )}
+            </section>
+
+            {/* Tables - Full Width */}
+            <section className="dashboard-section">
+              <h2 className="section-title">Trips</h2>
+              {renderDatasetSection(['trips'], 'trips', (
+                <TripsTable
+                  trips={trips}
+                  exceptions={exceptions}
+                  deviceId={selectedDeviceId}
+                  loading={tripsLoading}
+                  units={units}
+                  speedRangeLimits={speedRangeLimits}
+                  api={api}
+                  exportFileName={getExportFileName('trips')}
+                  page={tableState.trips.page}
+                  onPageChange={handleTripsPageChange}
+                  sort={tableState.trips.sort}
+                  onSortChange={handleTripsSortChange}
+                />
+              ))}
+            </section>
+
+            <section className="dashboard-section">
+              <h2 className="section-title">
+                Exception Details
+                {newExceptionIds.size > 0 && (
+                  <span className="new-badge">{newExceptionIds.size} new</span>
+                )}
+              </h2>
+              {renderDatasetSection(['exceptions'], 'exceptions', (
+                <ExceptionsTable 
+                  exceptions={exceptions}
+                  loading={exceptionsLoading}
+                  units={units}
+                  api={api}
+                  exportFileName={getExportFileName('exceptions')}
+                  page={tableState.exceptions.page}
+                  onPageChange={handleExceptionsPageChange}
+                  sort={tableState.exceptions.sort}
+                  onSortChange={handleExceptionsSortChange}
+                  newIds={newExceptionIds}
+                />
+              ))}
+            </section>
+
+            <section className="dashboard-section">
+              <h2 className="section-title">Fuel-Ups</h2>
+              {renderDatasetSection(['fuelUps'], 'fuel-ups', (
+                <FuelUpsTable 
+                  fuelUps={fuelUps}
+                  loading={datasets.fuelUps.loading}
+                  units={units}
+                  costModel={costModel}
+                  api={api}
+                  exportFileName={getExportFileName('fuel-ups')}
+                  page={tableState.fuelUps.page}
+                  onPageChange={handleFuelUpsPageChange}
+                  sort={tableState.fuelUps.sort}
+                  onSortChange={handleFuelUpsSortChange}
+                />
+              ))}
+            </section>
+
+            {/* Fuel Anomalies (Async) */}
+            {isDeviceMode && (
+              <section className="dashboard-section">
+                <h2 className="section-title">Fuel Anomalies</h2>
+                {renderDatasetSection(['trips', 'fuelUps'], 'fuel data', (
+                  <FuelAnomalies
+                    api={api}
+                    deviceId={selectedDeviceId}
+                    dateRange={dateRange}
+                    trips={trips}
+                    fuelUps={fuelUps}
+                    loading={tripsLoading || datasets.fuelUps.loading}
+                    units={units}
+                  />
+                ))}
+              </section>
+            )}
+
+            {/* Fuel-Card Reconciliation */}
+            {isDeviceMode && (
+              <section className="dashboard-section">
+                <h2 className="section-title">Fuel Card Reconciliation</h2>
+                {renderDatasetSection(['fuelUps'], 'fuel-ups', (
+                  <FuelReconciliation
+                    api={api}
+                    device={device}
+                    deviceId={selectedDeviceId}
+                    dateRange={dateRange}
+                    fuelUps={fuelUps}
+                    loading={datasets.fuelUps.loading}
+                    units={units}
+                  />
+                ))}
+              </section>
+            )}
+          </main>
+        )}
+
+        {/* Printable Report */}
+        {reportOpen && isDeviceMode && device && (
+          <DeviceReport
+            device={device}
+            dateRange={dateRange}
+            usageStats={usageStats}
+            usageBreakdown={usageBreakdown}
+            trips={trips}
+            exceptions={exceptions}
+            exceptionsByRule={exceptionsByRule}
             fuelUps={fuelUps}
-            loading={dataLoading}
-            isMetric={isMetric}
+            units={units}
+            costModel={costModel}
+            speedRangeLimits={speedRangeLimits}
+            fileName={getExportFileName('report')}
+            onClose={handleCloseReport}
           />
-        </section>
-      </main>
-
-      {/* Footer */}
-      <footer className="dashboard-footer">
-        <p>Device Dashboard Add-In</p>
-      </footer>
-    </div>
+        )}
+
+        {/* Settings */}
+        {settingsOpen && <SettingsDrawer userUnits={userUnits} onClose={handleCloseSettings} />}
+
+        {/* Footer */}
+        <footer className="dashboard-footer">
+          <p>Device Dashboard Add-In</p>
+        </footer>
+      </div>
+    </SettingsContext.Provider>
   );
 }
 
@@ -5,12 +5,12 @@
 
 import React, { useCallback, useMemo } from 'react';
 import { formatDate, getDateRangeFromPreset } from '../utils/dateUtils';
-import { DATE_PRESETS } from '../utils/constants';
+import { DATE_PRESET_LABELS } from '../utils/constants';
 
 /**
  * Date range picker with preset buttons
  */
-function DateRangeFilter({ dateRange, onChange, onPresetSelect }) {
+function DateRangeFilter({ dateRange, activePreset, onChange, onPresetSelect }) {
   // Format dates for input fields
   const startDateStr = useMemo(() => {
     if (!dateRange?.start) return '';
@@ -56,13 +56,7 @@ function DateRangeFilter({ dateRange, onChange, onPresetSelect }) {
   }, [onPresetSelect]);
 
   // Preset definitions
-  const presets = [
-    { key: DATE_PRESETS.THIS_WEEK, label: 'This Week' },
-    { key: DATE_PRESETS.LAST_WEEK, label: 'Last Week' },
-    { key: DATE_PRESETS.LAST_7_DAYS, label: 'Last 7 Days' },
-    { key: DATE_PRESETS.THIS_MONTH, label: 'This Month' },
-    { key: DATE_PRESETS.LAST_30_DAYS, label: 'Last 30 Days' }
-  ];
+  const presets = Object.entries(DATE_PRESET_LABELS).map(([key, label]) => ({ key, label }));
 
   return (
     <div className="date-range-filter">
@@ -104,9 +98,10 @@ function DateRangeFilter({ dateRange, onChange, onPresetSelect }) {
           <button
             key={preset.key}
             type="button"
-            className="date-preset-btn"
+            className={`date-preset-btn ${activePreset === preset.key ? 'date-preset-btn--active' : ''}`}
             onClick={() => handlePresetClick(preset.key)}
             aria-label={`Set date range to ${preset.label}`}
+            aria-pressed={activePreset === preset.key}
           >
             {preset.label}
           </button>
@@ -0,0 +1,66 @@
+/**
+ * Delta Indicator Component
+ * Change from the previous period with an up/down arrow colored by whether it is an improvement
+ */
+
+import React from 'react';
+import { TREND_DIRECTIONS } from '../utils/constants';
+import { formatNumber } from '../utils/formatters';
+
+// Changes smaller than this (percent, or percentage points) count as no change
+const FLAT_THRESHOLD = 0.5;
+
+/**
+ * Whether a change is good, bad or neither for a metric
+ */
+function getTone(direction, goodDirection) {
+  if (direction === 'flat' || goodDirection === TREND_DIRECTIONS.NEUTRAL) return 'neutral';
+  return direction === goodDirection ? 'good' : 'bad';
+}
+
+/**
+ * Change since the previous period
+ * @param {object} props
+ * @param {number} props.current - Value for the selected period
+ * @param {number} props.previous - Value for the previous period; nothing renders when null
+ * @param {string} props.goodDirection - One of TREND_DIRECTIONS
+ * @param {boolean} props.points - Show the difference in percentage points instead of a relative change
+ * @param {function} props.formatValue - Formats the previous value for the tooltip
+ */
+function DeltaIndicator({ current, previous, goodDirection = TREND_DIRECTIONS.UP, points = false, formatValue }) {
+  if (previous == null || current == null) return null;
+
+  const title = `Previous period: ${formatValue ? formatValue(previous) : formatNumber(previous, 1)}`;
+
+  let change;
+  let text;
+  if (points) {
+    change = current - previous;
+    text = `${formatNumber(Math.abs(change), 1)} pts`;
+  } else if (previous === 0) {
+    change = current > 0 ? Infinity : 0;
+    text = current > 0 ? 'New' : '0%';
+  } else {
+    change = ((current - previous) / Math.abs(previous)) * 100;
+    text = `${formatNumber(Math.abs(change), 0)}%`;
+  }
+
+  const direction = Math.abs(change) < FLAT_THRESHOLD
+    ? 'flat'
+    : (change > 0 ? TREND_DIRECTIONS.UP : TREND_DIRECTIONS.DOWN);
+  const tone = getTone(direction, goodDirection);
+  const arrow = direction === TREND_DIRECTIONS.UP ? '▲' : direction === TREND_DIRECTIONS.DOWN ? '▼' : '–';
+
+  return (
+    <span
+      className={`delta-indicator delta-indicator--${tone}`}
+      title={title}
+      aria-label={`${direction === 'flat' ? 'No change' : `${direction === TREND_DIRECTIONS.UP ? 'Up' : 'Down'} ${text}`} from the previous period`}
+    >
+      <span className="delta-arrow" aria-hidden="true">{arrow}</span>
+      {direction === 'flat' ? 'No change' : text}
+    </span>
+  );
+}
+
+export default DeltaIndicator;
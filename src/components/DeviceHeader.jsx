@@ -4,12 +4,27 @@
  */
 
 import React from 'react';
-import { formatVehicleInfo } from '../utils/formatters';
+import { formatVehicleInfo, formatDriverName } from '../utils/formatters';
 
 /**
  * Device Header with name and vehicle info
+ * When fleetDevices is provided, summarizes the compared devices instead
+ * When driverMode is set, shows the driver and how many vehicles they drove
  */
-function DeviceHeader({ device, loading }) {
+function DeviceHeader({ device, loading, fleetDevices, driverMode, driver, vehicleCount }) {
+  if (fleetDevices) {
+    return (
+      <div className="device-header">
+        <h1 className="device-name">Fleet Comparison</h1>
+        <p className="device-info">
+          {fleetDevices.length === 0
+            ? 'Choose devices from the dropdown to compare them'
+            : `Comparing ${fleetDevices.length} device${fleetDevices.length !== 1 ? 's' : ''}`}
+        </p>
+      </div>
+    );
+  }
+
   if (loading) {
     return (
       <div className="device-header device-header--loading">
@@ -19,6 +34,31 @@ function DeviceHeader({ device, loading }) {
     );
   }
 
+  if (driverMode) {
+    if (!driver) {
+      return (
+        <div className="device-header">
+          <h1 className="device-name">Select a Driver</h1>
+          <p className="device-info">Choose a driver from the dropdown to view their dashboard</p>
+        </div>
+      );
+    }
+
+    return (
+      <div className="device-header">
+        <h1 className="device-name">{formatDriverName(driver).fullName}</h1>
+        <p className="device-info">
+          {vehicleCount != null
+            ? `Drove ${vehicleCount} vehicle${vehicleCount !== 1 ? 's' : ''} in this period`
+            : 'Driver'}
+          {driver.employeeNo && (
+            <span className="device-serial"> | Employee: {driver.employeeNo}</span>
+          )}
+        </p>
+      </div>
+    );
+  }
+
   if (!device) {
     return (
       <div className="device-header">
@@ -0,0 +1,189 @@
+/**
+ * Device Report Component
+ * Print-optimised one-pager for a device with a client-side PDF download
+ */
+
+import React, { useEffect, useMemo, useCallback } from 'react';
+import { createPortal } from 'react-dom';
+import { buildReportSummary, buildReportPdf } from '../utils/reportUtils';
+import { downloadFile } from '../utils/exportUtils';
+import { formatNumber } from '../utils/formatters';
+import { getChartPalette } from '../utils/settingsUtils';
+import { useSettings } from '../hooks/useSettings';
+import DeviceHeader from './DeviceHeader';
+import UsageStats from './UsageStats';
+import UsageBreakdown from './UsageBreakdown';
+import SpeedAnalysis from './SpeedAnalysis';
+import IdleTimeSummary from './IdleTimeSummary';
+import ExceptionsChart from './ExceptionsChart';
+
+// Body class that limits printing to the report
+const PRINTING_CLASS = 'report-printing';
+
+/**
+ * Report overlay with print and PDF actions
+ */
+function DeviceReport({
+  device,
+  dateRange,
+  usageStats,
+  usageBreakdown,
+  trips,
+  exceptions,
+  exceptionsByRule,
+  fuelUps,
+  units,
+  costModel,
+  speedRangeLimits,
+  fileName,
+  onClose
+}) {
+  const { settings } = useSettings();
+
+  const summary = useMemo(() => buildReportSummary({
+    device,
+    dateRange,
+    usageStats,
+    usageBreakdown,
+    trips,
+    exceptions,
+    exceptionsByRule,
+    fuelUps,
+    units,
+    speedRangeLimits,
+    palette: getChartPalette(settings.palette)
+  }), [device, dateRange, usageStats, usageBreakdown, trips, exceptions, exceptionsByRule, fuelUps, units, speedRangeLimits, settings.palette]);
+
+  // Only the report prints while it is open; Escape closes it
+  useEffect(() => {
+    document.body.classList.add(PRINTING_CLASS);
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+
+    return () => {
+      document.body.classList.remove(PRINTING_CLASS);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [onClose]);
+
+  const handlePrint = useCallback(() => {
+    window.print();
+  }, []);
+
+  const handleDownloadPdf = useCallback(() => {
+    try {
+      downloadFile(`${fileName || 'device-report'}.pdf`, buildReportPdf(summary), 'application/pdf');
+    } catch (err) {
+      console.error('Error generating PDF report:', err);
+    }
+  }, [summary, fileName]);
+
+  return createPortal(
+    <div className="report-overlay" role="dialog" aria-modal="true" aria-label="Device report">
+      <div className="report-toolbar">
+        <span className="report-toolbar-title">Device Report</span>
+        <div className="report-toolbar-actions">
+          <button type="button" className="report-action-btn" onClick={handlePrint}>
+            Print
+          </button>
+          <button
+            type="button"
+            className="report-action-btn report-action-btn--primary"
+            onClick={handleDownloadPdf}
+          >
+            Download PDF
+          </button>
+          <button
+            type="button"
+            className="report-action-btn"
+            onClick={onClose}
+            aria-label="Close report"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+
+      <div className="report-document">
+        {/* Page 1: Usage */}
+        <section className="report-page">
+          <div className="report-page-header">
+            <span className="report-page-title">Device Report</span>
+            <span className="report-period">{summary.period}</span>
+          </div>
+          <DeviceHeader device={device} loading={false} />
+
+          <h2 className="section-title">Usage Statistics</h2>
+          <UsageStats
+            stats={usageStats}
+            loading={false}
+            units={units}
+            costModel={costModel}
+            dateRange={dateRange}
+          />
+
+          <h2 className="section-title">Usage Breakdown</h2>
+          <UsageBreakdown breakdown={usageBreakdown} loading={false} />
+        </section>
+
+        {/* Page 2: Speed and idle time */}
+        <section className="report-page report-page--break">
+          <h2 className="section-title">Speed Analysis</h2>
+          <SpeedAnalysis trips={trips} loading={false} units={units} />
+
+          <h2 className="section-title">Idle Time Analysis</h2>
+          <IdleTimeSummary trips={trips} loading={false} units={units} costModel={costModel} />
+        </section>
+
+        {/* Page 3: Exceptions and fuel-ups */}
+        <section className="report-page report-page--break">
+          <h2 className="section-title">
+            Exceptions Summary
+            <span className="report-section-count">{formatNumber(summary.exceptions.total)} total</span>
+          </h2>
+          <ExceptionsChart data={summary.exceptions.byRule} loading={false} />
+
+          <h2 className="section-title">Fuel-Ups Summary</h2>
+          <div className="table-summary">
+            {summary.fuelUps.stats.map(stat => (
+              <div key={stat.label} className="summary-item">
+                <span className="summary-value">{stat.value}</span>
+                <span className="summary-label">{stat.label}</span>
+              </div>
+            ))}
+          </div>
+          {summary.fuelUps.rows.length > 0 && (
+            <table className="data-table report-table">
+              <thead>
+                <tr>
+                  <th>Date & Time</th>
+                  <th>Driver</th>
+                  <th>Fuel Added</th>
+                  <th>Fuel Economy</th>
+                </tr>
+              </thead>
+              <tbody>
+                {summary.fuelUps.rows.map((row, index) => (
+                  <tr key={row.id || index} className="table-row">
+                    <td>{row.dateTime}</td>
+                    <td>{row.driver}</td>
+                    <td>{row.fuelAdded}</td>
+                    <td>{row.fuelEconomy}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <p className="report-generated">Generated {summary.generatedAt}</p>
+        </section>
+      </div>
+    </div>,
+    document.body
+  );
+}
+
+export default DeviceReport;
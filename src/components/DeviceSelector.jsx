@@ -1,26 +1,386 @@
 /**
  * Device Selector Component
- * Dropdown to select which device to view
+ * Type-ahead picker to select which device (or devices, in fleet mode) to view
  */
 
-import React, { useMemo, useCallback } from 'react';
+import React, { useMemo, useCallback, useState, useEffect, useRef } from 'react';
+import { getDevicesInGroup, getGroupName } from '../utils/groupUtils';
+import { formatTimeAgo } from '../utils/dateUtils';
+import VirtualList from './VirtualList';
+
+// Row heights for the virtualized lists, must match dashboard.css
+const PICKER_ROW_HEIGHT = 52;
+const MULTISELECT_ROW_HEIGHT = 32;
+const LIST_HEIGHT = 320;
+
+// Device fields matched by the type-ahead search
+const SEARCH_FIELDS = ['name', 'serialNumber', 'vehicleIdentificationNumber', 'licensePlate', 'comment'];
+
+/**
+ * Check whether a device matches every term in a search query
+ * @param {object} device - Device entity
+ * @param {Array<string>} terms - Lower-case search terms
+ * @returns {boolean}
+ */
+function matchesSearch(device, terms) {
+  if (terms.length === 0) return true;
+  const haystack = SEARCH_FIELDS
+    .map(field => device[field])
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+  return terms.every(term => haystack.includes(term));
+}
+
+/**
+ * Get the communication state shown for a device
+ * @param {object} status - DeviceStatusInfo entity
+ * @returns {{ key: string, label: string }}
+ */
+function getStatusState(status) {
+  if (!status) return { key: 'unknown', label: 'Status unknown' };
+  return status.isDeviceCommunicating
+    ? { key: 'active', label: 'Active' }
+    : { key: 'inactive', label: 'Inactive' };
+}
 
 /**
- * Device selector dropdown with search
+ * Single picker row with status and identifying details
  */
-function DeviceSelector({ devices, selectedDeviceId, onChange, loading }) {
+function DevicePickerOption({ device, status, isSelected, isHighlighted, onSelect, onHighlight }) {
+  const state = getStatusState(status);
+  const details = [device.serialNumber, device.licensePlate].filter(Boolean).join(' · ');
+
+  return (
+    <div
+      id={`device-option-${device.id}`}
+      role="option"
+      aria-selected={isSelected}
+      className={`device-picker-option ${isHighlighted ? 'device-picker-option--highlighted' : ''} ${isSelected ? 'device-picker-option--selected' : ''}`}
+      // Keep focus in the input so the list doesn't close before the click lands
+      onMouseDown={(e) => e.preventDefault()}
+      onClick={() => onSelect(device.id)}
+      onMouseEnter={onHighlight}
+    >
+      <span
+        className={`device-status-dot device-status-dot--${state.key}`}
+        title={state.label}
+        aria-label={state.label}
+      ></span>
+      <span className="device-picker-text">
+        <span className="device-picker-name">{device.name}</span>
+        <span className="device-picker-details">
+          {details}
+          {details && status ? ' · ' : ''}
+          {status ? `Last seen ${formatTimeAgo(status.dateTime)}` : ''}
+        </span>
+      </span>
+    </div>
+  );
+}
+
+/**
+ * Searchable single device picker with virtual scrolling and live status
+ */
+function DevicePicker({ devices, selectedDeviceId, onChange, statusById, onOpen }) {
+  const [open, setOpen] = useState(false);
+  const [query, setQuery] = useState('');
+  const [highlightIndex, setHighlightIndex] = useState(0);
+  const containerRef = useRef(null);
+  const inputRef = useRef(null);
+
+  const selectedDevice = useMemo(
+    () => devices.find(d => d.id === selectedDeviceId) || null,
+    [devices, selectedDeviceId]
+  );
+
+  const filteredDevices = useMemo(() => {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    return devices.filter(device => matchesSearch(device, terms));
+  }, [devices, query]);
+
+  // Close the list when clicking outside it
+  useEffect(() => {
+    if (!open) return;
+
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const openList = useCallback(() => {
+    if (open) return;
+    setOpen(true);
+    setQuery('');
+    const selectedIndex = devices.findIndex(d => d.id === selectedDeviceId);
+    setHighlightIndex(Math.max(0, selectedIndex));
+    if (onOpen) onOpen();
+  }, [open, devices, selectedDeviceId, onOpen]);
+
+  const handleSelect = useCallback((deviceId) => {
+    onChange(deviceId);
+    setOpen(false);
+    setQuery('');
+    inputRef.current?.blur();
+  }, [onChange]);
+
+  const handleQueryChange = useCallback((e) => {
+    if (!open) openList();
+    setQuery(e.target.value);
+    setHighlightIndex(0);
+  }, [open, openList]);
+
+  const handleKeyDown = useCallback((e) => {
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        if (!open) {
+          openList();
+          return;
+        }
+        setHighlightIndex(prev => Math.min(prev + 1, filteredDevices.length - 1));
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        setHighlightIndex(prev => Math.max(prev - 1, 0));
+        break;
+      case 'Enter':
+        if (open && filteredDevices[highlightIndex]) {
+          e.preventDefault();
+          handleSelect(filteredDevices[highlightIndex].id);
+        }
+        break;
+      case 'Escape':
+        setOpen(false);
+        setQuery('');
+        break;
+      default:
+        break;
+    }
+  }, [open, openList, filteredDevices, highlightIndex, handleSelect]);
+
+  const highlightedDevice = open ? filteredDevices[highlightIndex] : null;
+  const selectedState = getStatusState(statusById?.[selectedDeviceId]);
+
+  return (
+    <div className="device-selector device-picker" ref={containerRef}>
+      <label htmlFor="device-select" className="device-selector-label">
+        Device
+      </label>
+      <div className="device-picker-input-wrapper">
+        {selectedDevice && !open && (
+          <span
+            className={`device-status-dot device-status-dot--${selectedState.key}`}
+            title={selectedState.label}
+          ></span>
+        )}
+        <input
+          id="device-select"
+          ref={inputRef}
+          type="text"
+          role="combobox"
+          className="device-selector-dropdown device-picker-input"
+          value={open ? query : (selectedDevice?.name || '')}
+          placeholder={open ? 'Search name, serial, VIN, plate...' : 'Select a device...'}
+          onChange={handleQueryChange}
+          onFocus={openList}
+          onClick={openList}
+          onKeyDown={handleKeyDown}
+          autoComplete="off"
+          aria-autocomplete="list"
+          aria-expanded={open}
+          aria-controls="device-picker-list"
+          aria-activedescendant={highlightedDevice ? `device-option-${highlightedDevice.id}` : undefined}
+        />
+      </div>
+
+      {open && (
+        <div className="device-picker-panel">
+          {filteredDevices.length === 0 ? (
+            <div className="device-picker-empty">No devices match "{query}"</div>
+          ) : (
+            <VirtualList
+              id="device-picker-list"
+              role="listbox"
+              items={filteredDevices}
+              rowHeight={PICKER_ROW_HEIGHT}
+              height={LIST_HEIGHT}
+              scrollToIndex={highlightIndex}
+              getKey={device => device.id}
+              renderItem={(device, index) => (
+                <DevicePickerOption
+                  device={device}
+                  status={statusById?.[device.id]}
+                  isSelected={device.id === selectedDeviceId}
+                  isHighlighted={index === highlightIndex}
+                  onSelect={handleSelect}
+                  onHighlight={() => setHighlightIndex(index)}
+                />
+              )}
+            />
+          )}
+          <div className="device-picker-footer">
+            {filteredDevices.length === devices.length
+              ? `${devices.length} devices`
+              : `${filteredDevices.length} of ${devices.length} devices`}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Checkbox list for selecting several devices, with group and bulk shortcuts
+ */
+function MultiDeviceSelector({ devices, groups, selectedDeviceIds, onChange }) {
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  const selectedSet = useMemo(() => new Set(selectedDeviceIds || []), [selectedDeviceIds]);
+
+  // Close the panel when clicking outside it
+  useEffect(() => {
+    if (!open) return;
+
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const toggleDevice = useCallback((deviceId) => {
+    if (selectedSet.has(deviceId)) {
+      onChange(selectedDeviceIds.filter(id => id !== deviceId));
+    } else {
+      onChange([...(selectedDeviceIds || []), deviceId]);
+    }
+  }, [selectedSet, selectedDeviceIds, onChange]);
+
+  const handleGroupSelect = useCallback((e) => {
+    const groupId = e.target.value;
+    if (!groupId) return;
+    onChange(getDevicesInGroup(devices, groups, groupId).map(d => d.id));
+  }, [devices, groups, onChange]);
+
+  const selectedCount = selectedSet.size;
+  const summary = selectedCount === 0
+    ? 'Select devices...'
+    : `${selectedCount} device${selectedCount !== 1 ? 's' : ''} selected`;
+
+  return (
+    <div className="device-selector device-selector--multiple" ref={containerRef}>
+      <label htmlFor="device-multiselect" className="device-selector-label">
+        Devices
+      </label>
+      <button
+        id="device-multiselect"
+        type="button"
+        className="device-selector-dropdown device-multiselect-toggle"
+        onClick={() => setOpen(prev => !prev)}
+        aria-expanded={open}
+        aria-haspopup="listbox"
+      >
+        {summary}
+      </button>
+
+      {open && (
+        <div className="device-multiselect-panel">
+          <div className="device-multiselect-actions">
+            {groups?.length > 0 && (
+              <select
+                className="device-multiselect-group"
+                value=""
+                onChange={handleGroupSelect}
+                aria-label="Select all devices in a group"
+              >
+                <option value="">Select group...</option>
+                {groups.map(group => (
+                  <option key={group.id} value={group.id}>
+                    {getGroupName(group)}
+                  </option>
+                ))}
+              </select>
+            )}
+            <button
+              type="button"
+              className="device-multiselect-btn"
+              onClick={() => onChange(devices.map(d => d.id))}
+            >
+              All
+            </button>
+            <button
+              type="button"
+              className="device-multiselect-btn"
+              onClick={() => onChange([])}
+            >
+              Clear
+            </button>
+          </div>
+
+          <VirtualList
+            className="device-multiselect-list"
+            role="listbox"
+            aria-multiselectable="true"
+            items={devices}
+            rowHeight={MULTISELECT_ROW_HEIGHT}
+            height={LIST_HEIGHT}
+            getKey={device => device.id}
+            renderItem={device => (
+              <label
+                className="device-multiselect-option"
+                role="option"
+                aria-selected={selectedSet.has(device.id)}
+              >
+                <input
+                  type="checkbox"
+                  checked={selectedSet.has(device.id)}
+                  onChange={() => toggleDevice(device.id)}
+                />
+                <span>
+                  {device.name}
+                  {device.serialNumber ? ` (${device.serialNumber})` : ''}
+                </span>
+              </label>
+            )}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Device selector with type-ahead search
+ */
+function DeviceSelector({
+  devices,
+  groups,
+  selectedDeviceId,
+  selectedDeviceIds,
+  onChange,
+  loading,
+  statusById,
+  onOpen,
+  multiple = false
+}) {
   // Sort devices alphabetically by name
   const sortedDevices = useMemo(() => {
     if (!devices) return [];
-    return [...devices].sort((a, b) => 
+    return [...devices].sort((a, b) =>
       (a.name || '').localeCompare(b.name || '')
     );
   }, [devices]);
 
-  const handleChange = useCallback((e) => {
-    onChange(e.target.value);
-  }, [onChange]);
-
   if (loading) {
     return (
       <div className="device-selector device-selector--loading">
@@ -29,29 +389,25 @@ function DeviceSelector({ devices, selectedDeviceId, onChange, loading }) {
     );
   }
 
+  if (multiple) {
+    return (
+      <MultiDeviceSelector
+        devices={sortedDevices}
+        groups={groups}
+        selectedDeviceIds={selectedDeviceIds}
+        onChange={onChange}
+      />
+    );
+  }
+
   return (
-    <div className="device-selector">
-      <label htmlFor="device-select" className="device-selector-label">
-        Device
-      </label>
-      <select
-        id="device-select"
-        className="device-selector-dropdown"
-        value={selectedDeviceId || ''}
-        onChange={handleChange}
-        aria-label="Select device"
-      >
-        <option value="" disabled>
-          Select a device...
-        </option>
-        {sortedDevices.map(device => (
-          <option key={device.id} value={device.id}>
-            {device.name}
-            {device.serialNumber ? ` (${device.serialNumber})` : ''}
-          </option>
-        ))}
-      </select>
-    </div>
+    <DevicePicker
+      devices={sortedDevices}
+      selectedDeviceId={selectedDeviceId}
+      onChange={onChange}
+      statusById={statusById}
+      onOpen={onOpen}
+    />
   );
 }
 
@@ -0,0 +1,58 @@
+/**
+ * Driver Selector Component
+ * Dropdown to select which driver to view in driver mode
+ */
+
+import React, { useMemo, useCallback } from 'react';
+import { formatDriverName } from '../utils/formatters';
+
+/**
+ * Driver selector dropdown, sorted by full name
+ */
+function DriverSelector({ drivers, selectedDriverId, onChange, loading }) {
+  const sortedDrivers = useMemo(() => {
+    if (!drivers) return [];
+    return drivers
+      .map(driver => ({ driver, fullName: formatDriverName(driver).fullName }))
+      .sort((a, b) => a.fullName.localeCompare(b.fullName));
+  }, [drivers]);
+
+  const handleChange = useCallback((e) => {
+    onChange(e.target.value);
+  }, [onChange]);
+
+  if (loading) {
+    return (
+      <div className="device-selector device-selector--loading">
+        <div className="skeleton skeleton-input"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="device-selector">
+      <label htmlFor="driver-select" className="device-selector-label">
+        Driver
+      </label>
+      <select
+        id="driver-select"
+        className="device-selector-dropdown"
+        value={selectedDriverId || ''}
+        onChange={handleChange}
+        aria-label="Select driver"
+      >
+        <option value="" disabled>
+          Select a driver...
+        </option>
+        {sortedDrivers.map(({ driver, fullName }) => (
+          <option key={driver.id} value={driver.id}>
+            {fullName}
+            {driver.employeeNo ? ` (${driver.employeeNo})` : ''}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+export default DriverSelector;
@@ -0,0 +1,67 @@
+/**
+ * Error Banner Component
+ * Explains why data failed to load and whether a retry is scheduled
+ */
+
+import React, { useState, useEffect } from 'react';
+import { ERROR_TYPES, getErrorMessage } from '../utils/apiErrors';
+
+/**
+ * Seconds left until a scheduled retry, updated every second
+ */
+function useCountdown(retryAt) {
+  const [secondsLeft, setSecondsLeft] = useState(0);
+
+  useEffect(() => {
+    if (!retryAt) return undefined;
+
+    const update = () => setSecondsLeft(Math.max(0, Math.ceil((retryAt - Date.now()) / 1000)));
+    update();
+    const timer = setInterval(update, 1000);
+    return () => clearInterval(timer);
+  }, [retryAt]);
+
+  return secondsLeft;
+}
+
+/**
+ * Banner for a failed or retrying data load
+ * @param {object} props
+ * @param {string} props.title - What failed, e.g. "Failed to load device data."
+ * @param {Error|string} props.error - Final error, once retries are exhausted
+ * @param {object} props.retryStatus - { error, attempt, retries, retryAt } while a retry is scheduled
+ * @param {function} props.onRetry - Retry handler for the Retry button
+ */
+function ErrorBanner({ title, error, retryStatus, onRetry }) {
+  const secondsLeft = useCountdown(retryStatus?.retryAt);
+
+  if (retryStatus) {
+    return (
+      <div className="dashboard-error dashboard-error--retrying" role="status">
+        <span className="error-icon">!</span>
+        <span>
+          {getErrorMessage(retryStatus.error)}{' '}
+          <span className="error-retry-info">
+            Retrying in {secondsLeft}s (attempt {retryStatus.attempt + 1} of {retryStatus.retries + 1})
+          </span>
+        </span>
+      </div>
+    );
+  }
+
+  if (!error) return null;
+
+  return (
+    <div className="dashboard-error" role="alert">
+      <span className="error-icon">!</span>
+      <span>
+        {title} {getErrorMessage(error)}
+      </span>
+      {error.type !== ERROR_TYPES.AUTH && (
+        <button onClick={onRetry} className="retry-button">Retry</button>
+      )}
+    </div>
+  );
+}
+
+export default ErrorBanner;
@@ -4,14 +4,46 @@
  */
 
 import React, { useMemo } from 'react';
-import { COLORS } from '../utils/constants';
 import { formatNumber } from '../utils/formatters';
+import { getChartPalette } from '../utils/settingsUtils';
+import { useSettings } from '../hooks/useSettings';
+import FleetRankingChart from './FleetRankingChart';
+
+/**
+ * Exception counts ranked across devices
+ */
+function FleetExceptionsChart({ fleetStats }) {
+  const totalExceptions = fleetStats.reduce((sum, d) => sum + d.exceptionCount, 0);
+
+  const items = fleetStats.map(({ device, exceptionCount, exceptionsByRule }) => ({
+    id: device.id,
+    label: exceptionsByRule[0]
+      ? `${device.name} (top: ${exceptionsByRule[0].name})`
+      : device.name,
+    value: exceptionCount,
+    display: formatNumber(exceptionCount)
+  }));
+
+  return (
+    <div className="exceptions-chart">
+      <div className="chart-summary">
+        <span className="summary-count">{formatNumber(totalExceptions)}</span>
+        <span className="summary-label">Total Exceptions</span>
+      </div>
+      <FleetRankingChart items={items} />
+    </div>
+  );
+}
 
 /**
  * Simple bar chart using CSS (no Chart.js dependency for simplicity)
  * For production, you could use Zenith's Chart component
+ * When fleetStats is provided, ranks devices by exception count instead
  */
-function ExceptionsChart({ data, loading }) {
+function ExceptionsChart({ data, loading, fleetStats }) {
+  const { settings } = useSettings();
+  const palette = getChartPalette(settings.palette);
+
   // Calculate max value for scaling
   const maxCount = useMemo(() => {
     if (!data || data.length === 0) return 0;
@@ -40,6 +72,10 @@ function ExceptionsChart({ data, loading }) {
     );
   }
 
+  if (fleetStats) {
+    return <FleetExceptionsChart fleetStats={fleetStats} />;
+  }
+
   if (!data || data.length === 0) {
     return (
       <div className="exceptions-chart exceptions-chart--empty">
@@ -68,7 +104,7 @@ function ExceptionsChart({ data, loading }) {
       <div className="chart-container">
         {data.slice(0, 10).map((item, index) => {
           const percentage = maxCount > 0 ? (item.count / maxCount) * 100 : 0;
-          const color = COLORS.chartPalette[index % COLORS.chartPalette.length];
+          const color = palette[index % palette.length];
           
           return (
             <div key={item.name} className="chart-bar-row">
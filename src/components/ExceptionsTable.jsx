@@ -4,80 +4,120 @@
  */
 
 import React, { useState, useEffect, useCallback, useMemo } from 'react';
-import { formatDate, formatTime, formatDuration, getDuration } from '../utils/dateUtils';
-import { formatDistance, formatDriverName, formatAddress, truncateText } from '../utils/formatters';
-import { PAGE_SIZES, VIDEO_URL_PATTERNS } from '../utils/constants';
+import { formatDate, formatTime, formatDateTime, formatDuration, getDuration } from '../utils/dateUtils';
+import {
+  formatDistance,
+  formatDriverName,
+  formatAddress,
+  truncateText,
+  getDistanceValue,
+  getDistanceUnit
+} from '../utils/formatters';
+import { VIDEO_URL_PATTERNS } from '../utils/constants';
+import { exportTable } from '../utils/exportUtils';
+import { sortRecords, getNextSort } from '../utils/tableUtils';
 import { useGeotabApi } from '../hooks/useGeotabApi';
+import { useAddresses } from '../hooks/useAddresses';
+import { useSettings } from '../hooks/useSettings';
+import ExportButtons from './ExportButtons';
+import SortableHeader from './SortableHeader';
 
 /**
- * Exceptions table with pagination and expandable details
+ * Get the coordinate of an exception for address lookup
  */
-function ExceptionsTable({ exceptions, loading, isMetric, api }) {
-  const [currentPage, setCurrentPage] = useState(1);
+function getExceptionCoordinate(exception) {
+  if (!exception.latitude || !exception.longitude) return null;
+  return { x: exception.longitude, y: exception.latitude };
+}
+
+// Sort values for each sortable column
+const SORT_ACCESSORS = {
+  driver: exc => formatDriverName(exc.driverInfo).fullName,
+  rule: exc => exc.ruleName,
+  date: exc => new Date(exc.activeFrom),
+  duration: exc => getDuration(exc.activeFrom, exc.activeTo),
+  distance: exc => exc.distance
+};
+
+/**
+ * Column definitions for exporting exceptions
+ * @param {object} units - Unit profile
+ * @param {object} addresses - Resolved addresses keyed by exception id
+ */
+function getExportColumns(units, addresses) {
+  return [
+    { header: 'Driver', value: exc => formatDriverName(exc.driverInfo).fullName },
+    { header: 'Rule', value: exc => exc.ruleName },
+    { header: 'Location', value: exc => formatAddress(addresses[exc.id]) },
+    { header: 'Start', value: exc => formatDateTime(exc.activeFrom) },
+    { header: 'End', value: exc => exc.activeTo ? formatDateTime(exc.activeTo) : 'Ongoing' },
+    { header: 'Duration', value: exc => formatDuration(getDuration(exc.activeFrom, exc.activeTo)) },
+    {
+      header: `Distance (${getDistanceUnit(units)})`,
+      value: exc => exc.distance != null ? Number(getDistanceValue(exc.distance, units).toFixed(1)) : null
+    },
+    { header: 'Latitude', value: exc => exc.latitude ? Number(exc.latitude.toFixed(5)) : null },
+    { header: 'Longitude', value: exc => exc.longitude ? Number(exc.longitude.toFixed(5)) : null }
+  ];
+}
+
+/**
+ * Exceptions table with sorting, pagination and expandable details
+ * Page and sort are controlled by the parent so they can be persisted
+ * Exceptions in newIds (just arrived in live mode) are highlighted
+ */
+function ExceptionsTable({
+  exceptions,
+  loading,
+  units,
+  api,
+  exportFileName,
+  page = 1,
+  onPageChange,
+  sort = null,
+  onSortChange,
+  newIds
+}) {
   const [expandedRows, setExpandedRows] = useState(new Set());
-  const [addresses, setAddresses] = useState({});
-  const [loadingAddresses, setLoadingAddresses] = useState(false);
+  const [exporting, setExporting] = useState(false);
   
-  const { getAddresses, navigateToExceptions } = useGeotabApi(api);
-  const pageSize = PAGE_SIZES.MEDIUM;
+  const { navigateToExceptions } = useGeotabApi(api);
+  const { addresses, loading: loadingAddresses, error: addressError, resolveAddresses } = useAddresses(api);
+  const { settings } = useSettings();
+  const pageSize = settings.pageSize;
 
-  // Calculate pagination
+  const sortedExceptions = useMemo(() => {
+    return sortRecords(exceptions, sort, SORT_ACCESSORS);
+  }, [exceptions, sort]);
+
+  // Calculate pagination, keeping a restored page within range
   const totalPages = useMemo(() => {
     return Math.ceil((exceptions?.length || 0) / pageSize);
   }, [exceptions?.length, pageSize]);
 
+  const currentPage = Math.max(1, Math.min(page, totalPages));
+
   const paginatedExceptions = useMemo(() => {
-    if (!exceptions) return [];
     const start = (currentPage - 1) * pageSize;
-    return exceptions.slice(start, start + pageSize);
-  }, [exceptions, currentPage, pageSize]);
+    return sortedExceptions.slice(start, start + pageSize);
+  }, [sortedExceptions, currentPage, pageSize]);
 
   // Load addresses for current page exceptions
   useEffect(() => {
-    async function loadAddresses() {
-      if (!paginatedExceptions || paginatedExceptions.length === 0) return;
-
-      // Find exceptions without addresses that have coordinates
-      const needsAddresses = paginatedExceptions.filter(
-        exc => !addresses[exc.id] && exc.latitude && exc.longitude
-      );
+    resolveAddresses(paginatedExceptions, getExceptionCoordinate);
+  }, [paginatedExceptions, resolveAddresses]);
 
-      if (needsAddresses.length === 0) return;
-
-      setLoadingAddresses(true);
-      
-      try {
-        const coordinates = needsAddresses.map(exc => ({
-          x: exc.longitude,
-          y: exc.latitude
-        }));
-
-        const results = await getAddresses(coordinates);
-        
-        const newAddresses = {};
-        needsAddresses.forEach((exc, index) => {
-          if (results?.[index]) {
-            newAddresses[exc.id] = results[index];
-          }
-        });
-
-        setAddresses(prev => ({ ...prev, ...newAddresses }));
-      } catch (err) {
-        console.error('Error loading addresses:', err);
-      } finally {
-        setLoadingAddresses(false);
-      }
-    }
-
-    loadAddresses();
-  }, [paginatedExceptions, getAddresses, addresses]);
-
-  // Reset to first page when exceptions change
+  // Collapse expanded rows when exceptions change
   useEffect(() => {
-    setCurrentPage(1);
     setExpandedRows(new Set());
   }, [exceptions]);
 
+  // Sort by a column, returning to the first page
+  const handleSort = useCallback((key) => {
+    onSortChange?.(getNextSort(sort, key));
+    onPageChange?.(1);
+  }, [sort, onSortChange, onPageChange]);
+
   // Toggle row expansion
   const toggleRow = useCallback((id) => {
     setExpandedRows(prev => {
@@ -96,6 +136,24 @@ function ExceptionsTable({ exceptions, loading, isMetric, api }) {
     navigateToExceptions(null, exceptionId);
   }, [navigateToExceptions]);
 
+  // Export every exception, resolving addresses beyond the current page first
+  const handleExport = useCallback(async (format) => {
+    setExporting(true);
+    try {
+      const allAddresses = await resolveAddresses(sortedExceptions, getExceptionCoordinate);
+      exportTable(format, {
+        fileName: exportFileName || 'exceptions',
+        sheetName: 'Exceptions',
+        columns: getExportColumns(units, allAddresses),
+        rows: sortedExceptions
+      });
+    } catch (err) {
+      console.error('Error exporting exceptions:', err);
+    } finally {
+      setExporting(false);
+    }
+  }, [sortedExceptions, units, exportFileName, resolveAddresses]);
+
   // Check if exception has video
   const getVideoUrl = useCallback((exception) => {
     // Check for video URL in various fields
@@ -157,13 +215,23 @@ function ExceptionsTable({ exceptions, loading, isMetric, api }) {
           <thead>
             <tr>
               <th className="col-expand"></th>
-              <th className="col-driver">Driver</th>
-              <th className="col-rule">Rule</th>
+              <SortableHeader className="col-driver" sortKey="driver" sort={sort} onSort={handleSort}>
+                Driver
+              </SortableHeader>
+              <SortableHeader className="col-rule" sortKey="rule" sort={sort} onSort={handleSort}>
+                Rule
+              </SortableHeader>
               <th className="col-location">Location</th>
-              <th className="col-date">Date</th>
+              <SortableHeader className="col-date" sortKey="date" sort={sort} onSort={handleSort}>
+                Date
+              </SortableHeader>
               <th className="col-time">Time</th>
-              <th className="col-duration">Duration</th>
-              <th className="col-distance">Distance</th>
+              <SortableHeader className="col-duration" sortKey="duration" sort={sort} onSort={handleSort}>
+                Duration
+              </SortableHeader>
+              <SortableHeader className="col-distance" sortKey="distance" sort={sort} onSort={handleSort}>
+                Distance
+              </SortableHeader>
               <th className="col-actions">Actions</th>
             </tr>
           </thead>
@@ -174,11 +242,12 @@ function ExceptionsTable({ exceptions, loading, isMetric, api }) {
               const address = addresses[exception.id];
               const videoUrl = getVideoUrl(exception);
               const isExpanded = expandedRows.has(exception.id);
+              const isNew = newIds?.has(exception.id);
 
               return (
                 <React.Fragment key={exception.id}>
                   <tr 
-                    className={`table-row ${isExpanded ? 'table-row--expanded' : ''}`}
+                    className={`table-row ${isExpanded ? 'table-row--expanded' : ''} ${isNew ? 'table-row--new' : ''}`}
                     onClick={() => toggleRow(exception.id)}
                   >
                     <td className="col-expand">
@@ -208,6 +277,7 @@ function ExceptionsTable({ exceptions, loading, isMetric, api }) {
                       <span className="rule-name" title={exception.ruleName}>
                         {truncateText(exception.ruleName, 30)}
                       </span>
+                      {isNew && <span className="new-badge">New</span>}
                     </td>
                     <td className="col-location" data-label="Location">
                       {loadingAddresses && !address ? (
@@ -229,7 +299,7 @@ function ExceptionsTable({ exceptions, loading, isMetric, api }) {
                     </td>
                     <td className="col-distance" data-label="Distance">
                       {exception.distance != null 
-                        ? formatDistance(exception.distance, isMetric) 
+                        ? formatDistance(exception.distance, units) 
                         : '--'}
                     </td>
                     <td className="col-actions" data-label="Actions">
@@ -354,7 +424,7 @@ function ExceptionsTable({ exceptions, loading, isMetric, api }) {
         <div className="table-pagination">
           <button
             className="pagination-btn"
-            onClick={() => setCurrentPage(prev => Math.max(1, prev - 1))}
+            onClick={() => onPageChange?.(Math.max(1, currentPage - 1))}
             disabled={currentPage === 1}
             aria-label="Previous page"
           >
@@ -369,7 +439,7 @@ function ExceptionsTable({ exceptions, loading, isMetric, api }) {
           
           <button
             className="pagination-btn"
-            onClick={() => setCurrentPage(prev => Math.min(totalPages, prev + 1))}
+            onClick={() => onPageChange?.(Math.min(totalPages, currentPage + 1))}
             disabled={currentPage === totalPages}
             aria-label="Next page"
           >
@@ -385,6 +455,7 @@ function ExceptionsTable({ exceptions, loading, isMetric, api }) {
         <span className="table-count">
           Showing {paginatedExceptions.length} of {exceptions.length} exceptions
         </span>
+        <ExportButtons onExport={handleExport} exporting={exporting} warning={addressError} />
       </div>
     </div>
   );
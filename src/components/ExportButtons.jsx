@@ -0,0 +1,49 @@
+/**
+ * Export Buttons Component
+ * CSV and Excel download buttons for data tables
+ */
+
+import React from 'react';
+import { EXPORT_FORMATS } from '../utils/exportUtils';
+
+/**
+ * Buttons that export the full table dataset
+ * @param {object} props
+ * @param {function} props.onExport - Called with the chosen format
+ * @param {boolean} props.exporting - An export is in progress
+ * @param {string} [props.warning] - Shown beside the buttons when exports will be incomplete
+ */
+function ExportButtons({ onExport, exporting, warning }) {
+  const formats = [
+    { key: EXPORT_FORMATS.CSV, label: 'CSV' },
+    { key: EXPORT_FORMATS.XLSX, label: 'Excel' }
+  ];
+
+  return (
+    <div className="export-buttons" role="group" aria-label="Export table">
+      <span className="export-label">{exporting ? 'Exporting...' : 'Export'}</span>
+      {formats.map(format => (
+        <button
+          key={format.key}
+          type="button"
+          className="export-btn"
+          onClick={() => onExport(format.key)}
+          disabled={exporting}
+          title={`Download all rows as ${format.label}`}
+        >
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path d="M21 15v4a2 2 0 01-2 2H5a2 2 0 01-2-2v-4" />
+            <polyline points="7 10 12 15 17 10" />
+            <line x1="12" y1="15" x2="12" y2="3" />
+          </svg>
+          {format.label}
+        </button>
+      ))}
+      {warning && (
+        <span className="export-warning" role="alert">{warning}</span>
+      )}
+    </div>
+  );
+}
+
+export default ExportButtons;
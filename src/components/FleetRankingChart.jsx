@@ -0,0 +1,66 @@
+/**
+ * Fleet Ranking Chart Component
+ * Ranked horizontal bars comparing one metric across devices
+ */
+
+import React, { useMemo } from 'react';
+import { getChartPalette } from '../utils/settingsUtils';
+import { useSettings } from '../hooks/useSettings';
+
+/**
+ * Ranked bar chart, highest value first
+ * @param {object} props
+ * @param {string} props.title - Metric title
+ * @param {Array<{ id: string, label: string, value: number, display: string }>} props.items
+ */
+function FleetRankingChart({ title, items }) {
+  const { settings } = useSettings();
+  const palette = getChartPalette(settings.palette);
+
+  const rankedItems = useMemo(() => {
+    return [...(items || [])].sort((a, b) => b.value - a.value);
+  }, [items]);
+
+  const maxValue = useMemo(() => {
+    if (rankedItems.length === 0) return 0;
+    return Math.max(...rankedItems.map(item => item.value));
+  }, [rankedItems]);
+
+  return (
+    <div className="fleet-ranking">
+      {title && <div className="fleet-ranking-title">{title}</div>}
+      <div className="chart-container">
+        {rankedItems.map((item, index) => {
+          const percentage = maxValue > 0 ? (item.value / maxValue) * 100 : 0;
+          const color = palette[index % palette.length];
+
+          return (
+            <div key={item.id} className="chart-bar-row">
+              <div className="chart-bar-label" title={item.label}>
+                <span className="fleet-rank">{index + 1}</span>
+                {item.label}
+              </div>
+              <div className="chart-bar-wrapper">
+                <div
+                  className="chart-bar"
+                  style={{
+                    width: `${percentage}%`,
+                    backgroundColor: color
+                  }}
+                  role="progressbar"
+                  aria-valuenow={item.value}
+                  aria-valuemin="0"
+                  aria-valuemax={maxValue}
+                  aria-label={`${item.label}: ${item.display}`}
+                ></div>
+              </div>
+              <div className="chart-bar-count">{item.display}</div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default FleetRankingChart;
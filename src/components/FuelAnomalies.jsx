@@ -0,0 +1,146 @@
+/**
+ * Fuel Anomalies Component
+ * Suspected siphoning, unrecorded fills and over-capacity fill-ups with the evidence for each
+ */
+
+import React, { useEffect, useMemo } from 'react';
+import { useFuelLevels } from '../hooks/useFuelLevels';
+import { useAddresses } from '../hooks/useAddresses';
+import { detectFuelAnomalies } from '../utils/fuelAnomalies';
+import { formatAddress, formatFuelVolume, formatNumber } from '../utils/formatters';
+import { formatDateTime } from '../utils/dateUtils';
+import { FUEL_ANOMALY, FUEL_ANOMALY_TYPES } from '../utils/constants';
+
+const TYPE_LABELS = {
+  [FUEL_ANOMALY_TYPES.SIPHONING]: 'Suspected siphoning',
+  [FUEL_ANOMALY_TYPES.UNRECORDED_FILL]: 'Unrecorded fill',
+  [FUEL_ANOMALY_TYPES.OVER_CAPACITY]: 'Over tank capacity'
+};
+
+/**
+ * Get the coordinate of an anomaly for address lookup
+ */
+function getAnomalyCoordinate(anomaly) {
+  if (anomaly.location?.x == null || anomaly.location?.y == null) return null;
+  return { x: anomaly.location.x, y: anomaly.location.y };
+}
+
+/**
+ * Describe what was seen for an anomaly
+ */
+function describeEvidence(anomaly, units) {
+  const volume = anomaly.volume != null ? ` (about ${formatFuelVolume(anomaly.volume, units)})` : '';
+  const level = value => `${formatNumber(value, 0)}%`;
+  const period = `between ${formatDateTime(anomaly.from)} and ${formatDateTime(anomaly.date)}`;
+
+  switch (anomaly.type) {
+    case FUEL_ANOMALY_TYPES.SIPHONING:
+      return `Level fell from ${level(anomaly.levelBefore)} to ${level(anomaly.levelAfter)}${volume} ${period} with the engine off.`;
+    case FUEL_ANOMALY_TYPES.UNRECORDED_FILL:
+      return `Level rose from ${level(anomaly.levelBefore)} to ${level(anomaly.levelAfter)}${volume} ${period}, ` +
+        `with no fill-up recorded within ${FUEL_ANOMALY.FILL_MATCH_MINUTES} minutes.`;
+    case FUEL_ANOMALY_TYPES.OVER_CAPACITY: {
+      const fill = `Fill-up of ${formatFuelVolume(anomaly.volume, units)}`;
+      const tank = formatFuelVolume(anomaly.capacity, units);
+      if (anomaly.volume > anomaly.capacity) {
+        return `${fill} is more than the ${tank} tank holds.`;
+      }
+      const room = ((100 - anomaly.levelBefore) / 100) * anomaly.capacity;
+      return `${fill} with the ${tank} tank at ${level(anomaly.levelBefore)}, leaving room for only ${formatFuelVolume(room, units)}.`;
+    }
+    default:
+      return '';
+  }
+}
+
+/**
+ * Fuel anomaly panel for one device
+ * @param {object} props
+ * @param {object} props.api - Geotab API object
+ * @param {string} props.deviceId - Device ID
+ * @param {object} props.dateRange - { start: Date, end: Date }
+ * @param {Array} props.trips - Trips in the range, for when the engine was off and where it parked
+ * @param {Array} props.fuelUps - Fill-ups in the range
+ * @param {boolean} props.loading - Trips or fill-ups still loading
+ * @param {object} props.units - Unit profile for volumes
+ */
+function FuelAnomalies({ api, deviceId, dateRange, trips, fuelUps, loading, units }) {
+  const { loading: levelsLoading, error, levels } = useFuelLevels(api, deviceId, dateRange);
+  const { addresses, resolveAddresses } = useAddresses(api);
+
+  const anomalies = useMemo(
+    () => (loading || levelsLoading ? [] : detectFuelAnomalies({ levels, fuelUps, trips })),
+    [loading, levelsLoading, levels, fuelUps, trips]
+  );
+
+  useEffect(() => {
+    if (api && anomalies.length > 0) {
+      resolveAddresses(anomalies, getAnomalyCoordinate);
+    }
+  }, [api, anomalies, resolveAddresses]);
+
+  if (loading || levelsLoading) {
+    return (
+      <div className="fuel-anomalies fuel-anomalies--loading">
+        {[1, 2, 3].map(i => (
+          <div key={i} className="skeleton skeleton-row"></div>
+        ))}
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="fuel-anomalies fuel-anomalies--error">
+        <div className="error-message">{error}</div>
+      </div>
+    );
+  }
+
+  if (anomalies.length === 0) {
+    return (
+      <div className="fuel-anomalies fuel-anomalies--empty">
+        <div className="empty-state">
+          <p>No fuel anomalies detected during this period.</p>
+        </div>
+      </div>
+    );
+  }
+
+  const counts = Object.values(FUEL_ANOMALY_TYPES)
+    .map(type => ({ type, count: anomalies.filter(a => a.type === type).length }))
+    .filter(({ count }) => count > 0);
+
+  return (
+    <div className="fuel-anomalies">
+      <div className="fuel-anomaly-summary">
+        {counts.map(({ type, count }) => (
+          <span key={type} className={`fuel-anomaly-badge fuel-anomaly-badge--${type}`}>
+            {count} {TYPE_LABELS[type].toLowerCase()}
+          </span>
+        ))}
+      </div>
+
+      <ul className="fuel-anomaly-list">
+        {anomalies.map(anomaly => (
+          <li key={anomaly.id} className="fuel-anomaly-item">
+            <div className="fuel-anomaly-header">
+              <span className={`fuel-anomaly-badge fuel-anomaly-badge--${anomaly.type}`}>
+                {TYPE_LABELS[anomaly.type]}
+              </span>
+              <span className="fuel-anomaly-date">{formatDateTime(anomaly.date)}</span>
+            </div>
+            <p className="fuel-anomaly-evidence">{describeEvidence(anomaly, units)}</p>
+            <div className="fuel-anomaly-location">
+              {anomaly.location
+                ? formatAddress(addresses[anomaly.id])
+                : 'Location unknown'}
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default FuelAnomalies;
@@ -3,75 +3,15 @@
  * Shows fuel level changes over time (loaded asynchronously)
  */
 
-import React, { useState, useEffect } from 'react';
-import { useGeotabApi } from '../hooks/useGeotabApi';
-import { DIAGNOSTICS } from '../utils/constants';
-import { toISOString, formatDate } from '../utils/dateUtils';
+import React from 'react';
+import { formatDate } from '../utils/dateUtils';
+import { useFuelLevels } from '../hooks/useFuelLevels';
 
 /**
  * Fuel Level Trend Chart
  */
-function FuelLevelTrend({ api, deviceId, dateRange, isMetric }) {
-  const [loading, setLoading] = useState(true);
-  const [fuelData, setFuelData] = useState([]);
-  const [error, setError] = useState(null);
-  
-  const { call } = useGeotabApi(api);
-
-  useEffect(() => {
-    async function fetchFuelData() {
-      if (!api || !deviceId || !dateRange?.start || !dateRange?.end) {
-        setLoading(false);
-        return;
-      }
-
-      setLoading(true);
-      setError(null);
-
-      try {
-        const fromDate = toISOString(dateRange.start);
-        const toDate = toISOString(dateRange.end);
-
-        // Fetch fuel level data points over the date range
-        const result = await call('Get', {
-          typeName: 'StatusData',
-          search: {
-            diagnosticSearch: { id: DIAGNOSTICS.FUEL_LEVEL },
-            deviceSearch: { id: deviceId },
-            fromDate,
-            toDate
-          },
-          resultsLimit: 1000 // Limit to 1000 points for performance
-        });
-
-        if (result && result.length > 0) {
-          // Sort by date
-          const sorted = result.sort((a, b) => 
-            new Date(a.dateTime) - new Date(b.dateTime)
-          );
-
-          // Convert fuel level to percentage if needed
-          const processed = sorted.map(point => ({
-            date: new Date(point.dateTime),
-            level: point.data > 1 ? point.data : point.data * 100
-          }));
-
-          setFuelData(processed);
-        } else {
-          setFuelData([]);
-        }
-      } catch (err) {
-        console.error('Error fetching fuel level data:', err);
-        setError('Failed to load fuel trend data');
-      } finally {
-        setLoading(false);
-      }
-    }
-
-    // Delay loading by 1 second to not block main page
-    const timer = setTimeout(fetchFuelData, 1000);
-    return () => clearTimeout(timer);
-  }, [api, deviceId, dateRange, call]);
+function FuelLevelTrend({ api, deviceId, dateRange, units }) {
+  const { loading, error, levels: fuelData } = useFuelLevels(api, deviceId, dateRange);
 
   if (loading) {
     return (
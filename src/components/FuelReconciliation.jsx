@@ -0,0 +1,231 @@
+/**
+ * Fuel Reconciliation Component
+ * Imports fuel-card transactions (CSV or JSON) and reconciles them with the device's fill-ups
+ */
+
+import React, { useState, useMemo, useCallback } from 'react';
+import { useFuelLevels } from '../hooks/useFuelLevels';
+import { parseFuelCardFile } from '../utils/fuelCardImport';
+import { reconcileFuelTransactions } from '../utils/fuelReconciliation';
+import { getFillUpVolume } from '../utils/costModel';
+import { formatDistance, formatFuelVolume, formatNumber, formatAddress } from '../utils/formatters';
+import { formatDateTime } from '../utils/dateUtils';
+import { FUEL_RECONCILIATION, RECONCILIATION_STATUSES } from '../utils/constants';
+
+const STATUS_LABELS = {
+  [RECONCILIATION_STATUSES.MATCHED]: 'Matched',
+  [RECONCILIATION_STATUSES.VOLUME_MISMATCH]: 'Volume mismatch',
+  [RECONCILIATION_STATUSES.NO_TANK_RISE]: 'No tank rise',
+  [RECONCILIATION_STATUSES.LEVEL_RISE_ONLY]: 'No fill-up recorded',
+  [RECONCILIATION_STATUSES.UNVERIFIED]: 'Unverified',
+  [RECONCILIATION_STATUSES.NO_CARD_TRANSACTION]: 'No card purchase'
+};
+
+// Statuses counted as problems in the summary
+const FLAGGED_STATUSES = [
+  RECONCILIATION_STATUSES.VOLUME_MISMATCH,
+  RECONCILIATION_STATUSES.NO_TANK_RISE
+];
+
+/**
+ * Whether a transaction belongs to the device; rows without a vehicle column are kept
+ */
+function isForDevice(transaction, device) {
+  if (!transaction.vehicle || !device) return true;
+  const vehicle = transaction.vehicle.trim().toLowerCase();
+  return [device.id, device.name, device.licensePlate, device.vehicleIdentificationNumber]
+    .some(value => value && String(value).trim().toLowerCase() === vehicle);
+}
+
+/**
+ * Explain a reconciliation row
+ */
+function describeResult(result, units) {
+  const distance = result.distanceKm != null ? `, ${formatDistance(result.distanceKm, units)} from the card site` : '';
+
+  switch (result.status) {
+    case RECONCILIATION_STATUSES.MATCHED:
+      return `Volumes agree within ${FUEL_RECONCILIATION.VOLUME_TOLERANCE_PERCENT}%${distance}.`;
+    case RECONCILIATION_STATUSES.VOLUME_MISMATCH:
+      return `Fill-up recorded ${formatFuelVolume(Math.abs(result.volumeDifference), units)} ` +
+        `${result.volumeDifference >= 0 ? 'more' : 'less'} than the card ` +
+        `(${formatNumber(Math.abs(result.volumeDifferencePercent), 1)}%)${distance}.`;
+    case RECONCILIATION_STATUSES.NO_TANK_RISE:
+      return 'No fill-up and no rise in the tank level around the purchase.';
+    case RECONCILIATION_STATUSES.LEVEL_RISE_ONLY:
+      return 'The tank level rose, but no fill-up was recorded for the purchase.';
+    case RECONCILIATION_STATUSES.UNVERIFIED:
+      return 'No fill-up and no fuel level readings around the purchase to check against.';
+    case RECONCILIATION_STATUSES.NO_CARD_TRANSACTION:
+      return 'Fill-up with no matching card purchase.';
+    default:
+      return '';
+  }
+}
+
+/**
+ * Fuel-card reconciliation panel for one device
+ * @param {object} props
+ * @param {object} props.api - Geotab API object
+ * @param {object} props.device - Selected device, for matching the card file's vehicle column
+ * @param {string} props.deviceId - Device ID
+ * @param {object} props.dateRange - { start: Date, end: Date }
+ * @param {Array} props.fuelUps - Fill-ups in the range
+ * @param {boolean} props.loading - Fill-ups still loading
+ * @param {object} props.units - Unit profile for volumes
+ */
+function FuelReconciliation({ api, device, deviceId, dateRange, fuelUps, loading, units }) {
+  const { loading: levelsLoading, error, levels } = useFuelLevels(api, deviceId, dateRange);
+  const [imported, setImported] = useState(null);
+  const [importError, setImportError] = useState(null);
+
+  const handleFileChange = useCallback(async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const { transactions, errors } = parseFuelCardFile(await file.text(), file.name);
+      setImported({ fileName: file.name, transactions, errors });
+      setImportError(null);
+    } catch (err) {
+      console.error('Error reading fuel-card file:', err);
+      setImportError('Failed to read the fuel-card file');
+    }
+  }, []);
+
+  const handleClear = useCallback(() => {
+    setImported(null);
+    setImportError(null);
+  }, []);
+
+  // Transactions for this device within the selected range
+  const transactions = useMemo(() => {
+    if (!imported || !dateRange?.start || !dateRange?.end) return [];
+    return imported.transactions.filter(t =>
+      isForDevice(t, device) && t.dateTime >= dateRange.start && t.dateTime <= dateRange.end
+    );
+  }, [imported, device, dateRange]);
+
+  const results = useMemo(
+    () => (imported && !loading && !levelsLoading ? reconcileFuelTransactions(transactions, fuelUps, levels) : []),
+    [imported, loading, levelsLoading, transactions, fuelUps, levels]
+  );
+
+  const toolbar = (
+    <div className="reconciliation-toolbar">
+      <label className="export-btn reconciliation-import">
+        <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFileChange} />
+        {imported ? 'Import another file' : 'Import fuel-card file'}
+      </label>
+      {imported && (
+        <>
+          <span className="table-count">
+            {imported.fileName}: {transactions.length} of {imported.transactions.length} transactions for this vehicle and period
+          </span>
+          <button type="button" className="export-btn" onClick={handleClear}>Clear</button>
+        </>
+      )}
+    </div>
+  );
+
+  if (!imported) {
+    return (
+      <div className="fuel-reconciliation fuel-reconciliation--empty">
+        {toolbar}
+        {importError && <div className="error-message">{importError}</div>}
+        <div className="empty-state">
+          <p>Import a CSV or JSON export from your fuel-card provider to match purchases to fill-ups.</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (loading || levelsLoading) {
+    return (
+      <div className="fuel-reconciliation fuel-reconciliation--loading">
+        {toolbar}
+        {[1, 2, 3].map(i => (
+          <div key={i} className="skeleton skeleton-row"></div>
+        ))}
+      </div>
+    );
+  }
+
+  const counts = Object.values(RECONCILIATION_STATUSES)
+    .map(status => ({ status, count: results.filter(r => r.status === status).length }))
+    .filter(({ count }) => count > 0);
+  const flaggedCount = results.filter(r => FLAGGED_STATUSES.includes(r.status)).length;
+
+  return (
+    <div className="fuel-reconciliation">
+      {toolbar}
+      {importError && <div className="error-message">{importError}</div>}
+      {error && <div className="error-message">{error}; purchases without a fill-up cannot be checked for a tank rise</div>}
+      {imported.errors.length > 0 && (
+        <div className="reconciliation-import-errors">
+          Skipped {imported.errors.length} unreadable {imported.errors.length === 1 ? 'row' : 'rows'}: {imported.errors.slice(0, 3).join('; ')}
+          {imported.errors.length > 3 && '; ...'}
+        </div>
+      )}
+
+      {results.length === 0 ? (
+        <div className="empty-state">
+          <p>No card purchases or fill-ups for this vehicle during this period.</p>
+        </div>
+      ) : (
+        <>
+          <div className="reconciliation-summary">
+            <span className={`reconciliation-status ${flaggedCount > 0 ? 'reconciliation-status--flagged' : 'reconciliation-status--matched'}`}>
+              {flaggedCount} flagged
+            </span>
+            {counts.map(({ status, count }) => (
+              <span key={status} className={`reconciliation-status reconciliation-status--${status}`}>
+                {count} {STATUS_LABELS[status].toLowerCase()}
+              </span>
+            ))}
+          </div>
+
+          <div className="table-container">
+            <table className="data-table reconciliation-table">
+              <thead>
+                <tr>
+                  <th>Status</th>
+                  <th>Card Purchase</th>
+                  <th className="col-count">Card Volume</th>
+                  <th>Fill-Up</th>
+                  <th className="col-count">Fill-Up Volume</th>
+                  <th>Site</th>
+                  <th>Notes</th>
+                </tr>
+              </thead>
+              <tbody>
+                {results.map(result => (
+                  <tr key={result.id} className="table-row">
+                    <td>
+                      <span className={`reconciliation-status reconciliation-status--${result.status}`}>
+                        {STATUS_LABELS[result.status]}
+                      </span>
+                    </td>
+                    <td>{result.transaction ? formatDateTime(result.transaction.dateTime) : '--'}</td>
+                    <td className="col-count">
+                      {result.transaction ? formatFuelVolume(result.transaction.volume, units) : '--'}
+                    </td>
+                    <td>{result.fuelUp ? formatDateTime(result.fuelUp.dateTime) : '--'}</td>
+                    <td className="col-count">
+                      {result.fuelUp ? formatFuelVolume(getFillUpVolume(result.fuelUp), units) : '--'}
+                    </td>
+                    <td>{result.transaction?.site || (result.fuelUp?.address ? formatAddress(result.fuelUp.address) : '--')}</td>
+                    <td className="reconciliation-notes">{describeResult(result, units)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default FuelReconciliation;
@@ -11,32 +11,155 @@ import {
   formatOdometer, 
   formatDriverName,
   formatAddress,
-  truncateText 
+  formatCurrency,
+  truncateText,
+  getDistanceValue,
+  getDistanceUnit,
+  getFuelVolumeValue,
+  getFuelUnit,
+  getFuelEconomyValue,
+  getFuelEconomyUnit
 } from '../utils/formatters';
-import { PAGE_SIZES } from '../utils/constants';
+import { exportTable } from '../utils/exportUtils';
+import { sortRecords, getNextSort } from '../utils/tableUtils';
+import { useAddresses } from '../hooks/useAddresses';
+import { useSettings } from '../hooks/useSettings';
+import ExportButtons from './ExportButtons';
+import SortableHeader from './SortableHeader';
 
 /**
- * Fuel-ups table with pagination
+ * Get the coordinate of a fill-up that still needs an address lookup
  */
-function FuelUpsTable({ fuelUps, loading, isMetric }) {
-  const [currentPage, setCurrentPage] = useState(1);
-  const pageSize = PAGE_SIZES.MEDIUM;
+function getFuelUpCoordinate(fuelUp) {
+  if (fuelUp.address || fuelUp.location?.x == null || fuelUp.location?.y == null) return null;
+  return { x: fuelUp.location.x, y: fuelUp.location.y };
+}
+
+/**
+ * Get the address shown for a fill-up
+ */
+function getFuelUpAddress(fuelUp, addresses) {
+  return addresses[fuelUp.id] || fuelUp.address || fuelUp.location;
+}
+
+// Sort values for each sortable column
+const SORT_ACCESSORS = {
+  driver: fu => formatDriverName(fu.driverInfo).fullName,
+  date: fu => new Date(fu.dateTime || fu.date),
+  economy: fu => fu.fuelEconomy || fu.economy,
+  fuelAdded: fu => fu.fuelAdded || fu.volume,
+  odometer: fu => fu.odometer
+};
+
+/**
+ * Round a converted value for export
+ */
+function roundValue(value, decimals = 1) {
+  return value == null ? null : Number(value.toFixed(decimals));
+}
+
+/**
+ * Column definitions for exporting fuel-ups
+ * @param {object} units - Unit profile
+ * @param {object} addresses - Resolved addresses keyed by fill-up id
+ * @param {object} costModel - Cost model for fill-up spend
+ */
+function getExportColumns(units, addresses, costModel) {
+  return [
+    { header: 'Driver', value: fu => formatDriverName(fu.driverInfo).fullName },
+    { header: 'Date & Time', value: fu => formatDateTime(fu.dateTime || fu.date) },
+    { header: 'Location', value: fu => formatAddress(getFuelUpAddress(fu, addresses)) },
+    {
+      header: `Fuel Economy (${getFuelEconomyUnit(units)})`,
+      value: fu => roundValue(getFuelEconomyValue(fu.fuelEconomy || fu.economy, units))
+    },
+    {
+      header: `Fuel Added (${getFuelUnit(units)})`,
+      value: fu => {
+        const fuelAdded = fu.fuelAdded || fu.volume || 0;
+        return fuelAdded > 0 ? roundValue(getFuelVolumeValue(fuelAdded, units)) : null;
+      }
+    },
+    {
+      header: `Cost (${costModel.currency})`,
+      value: fu => roundValue(costModel.getFillUpCost(fu), 2)
+    },
+    {
+      header: `Odometer (${getDistanceUnit(units)})`,
+      value: fu => fu.odometer != null ? roundValue(getDistanceValue(fu.odometer, units), 0) : null
+    }
+  ];
+}
 
-  // Calculate pagination
+/**
+ * Fuel-ups table with sorting and pagination
+ * Page and sort are controlled by the parent so they can be persisted
+ * Spend uses each fill-up's recorded cost, or its volume at the price from costModel
+ */
+function FuelUpsTable({
+  fuelUps,
+  loading,
+  units,
+  costModel,
+  api,
+  exportFileName,
+  page = 1,
+  onPageChange,
+  sort = null,
+  onSortChange
+}) {
+  const [exporting, setExporting] = useState(false);
+  const { settings } = useSettings();
+  const pageSize = settings.pageSize;
+
+  const { addresses, loading: loadingAddresses, error: addressError, resolveAddresses } = useAddresses(api);
+
+  const sortedFuelUps = useMemo(() => {
+    return sortRecords(fuelUps, sort, { ...SORT_ACCESSORS, cost: fu => costModel.getFillUpCost(fu) });
+  }, [fuelUps, sort, costModel]);
+
+  // Calculate pagination, keeping a restored page within range
   const totalPages = useMemo(() => {
     return Math.ceil((fuelUps?.length || 0) / pageSize);
   }, [fuelUps?.length, pageSize]);
 
+  const currentPage = Math.max(1, Math.min(page, totalPages));
+
   const paginatedFuelUps = useMemo(() => {
-    if (!fuelUps) return [];
     const start = (currentPage - 1) * pageSize;
-    return fuelUps.slice(start, start + pageSize);
-  }, [fuelUps, currentPage, pageSize]);
+    return sortedFuelUps.slice(start, start + pageSize);
+  }, [sortedFuelUps, currentPage, pageSize]);
 
-  // Reset to first page when fuel-ups change
+  // Sort by a column, returning to the first page
+  const handleSort = useCallback((key) => {
+    onSortChange?.(getNextSort(sort, key));
+    onPageChange?.(1);
+  }, [sort, onSortChange, onPageChange]);
+
+  // Load addresses for current page fuel-ups
   useEffect(() => {
-    setCurrentPage(1);
-  }, [fuelUps]);
+    if (api) {
+      resolveAddresses(paginatedFuelUps, getFuelUpCoordinate);
+    }
+  }, [api, paginatedFuelUps, resolveAddresses]);
+
+  // Export every fuel-up, resolving addresses beyond the current page first
+  const handleExport = useCallback(async (format) => {
+    setExporting(true);
+    try {
+      const allAddresses = api ? await resolveAddresses(sortedFuelUps, getFuelUpCoordinate) : addresses;
+      exportTable(format, {
+        fileName: exportFileName || 'fuel-ups',
+        sheetName: 'Fuel-Ups',
+        columns: getExportColumns(units, allAddresses, costModel),
+        rows: sortedFuelUps
+      });
+    } catch (err) {
+      console.error('Error exporting fuel-ups:', err);
+    } finally {
+      setExporting(false);
+    }
+  }, [api, sortedFuelUps, units, costModel, exportFileName, addresses, resolveAddresses]);
 
   // Calculate total fuel added
   const totalFuelAdded = useMemo(() => {
@@ -44,6 +167,12 @@ function FuelUpsTable({ fuelUps, loading, isMetric }) {
     return fuelUps.reduce((sum, fu) => sum + (fu.fuelAdded || fu.volume || 0), 0);
   }, [fuelUps]);
 
+  // Calculate total fuel spend
+  const totalCost = useMemo(() => {
+    if (!fuelUps) return 0;
+    return fuelUps.reduce((sum, fu) => sum + (costModel.getFillUpCost(fu) || 0), 0);
+  }, [fuelUps, costModel]);
+
   if (loading) {
     return (
       <div className="fuelups-table fuelups-table--loading">
@@ -83,10 +212,16 @@ function FuelUpsTable({ fuelUps, loading, isMetric }) {
         </div>
         <div className="summary-item">
           <span className="summary-value">
-            {formatFuelVolume(totalFuelAdded, isMetric)}
+            {formatFuelVolume(totalFuelAdded, units)}
           </span>
           <span className="summary-label">Total Fuel Added</span>
         </div>
+        <div className="summary-item">
+          <span className="summary-value">
+            {formatCurrency(totalCost, costModel.currency)}
+          </span>
+          <span className="summary-label">Total Fuel Spend</span>
+        </div>
       </div>
 
       {/* Table */}
@@ -94,12 +229,25 @@ function FuelUpsTable({ fuelUps, loading, isMetric }) {
         <table className="data-table">
           <thead>
             <tr>
-              <th className="col-driver">Driver</th>
-              <th className="col-datetime">Date & Time</th>
+              <SortableHeader className="col-driver" sortKey="driver" sort={sort} onSort={handleSort}>
+                Driver
+              </SortableHeader>
+              <SortableHeader className="col-datetime" sortKey="date" sort={sort} onSort={handleSort}>
+                Date & Time
+              </SortableHeader>
               <th className="col-location">Location</th>
-              <th className="col-economy">Fuel Economy</th>
-              <th className="col-fuel">Fuel Added</th>
-              <th className="col-odometer">Odometer</th>
+              <SortableHeader className="col-economy" sortKey="economy" sort={sort} onSort={handleSort}>
+                Fuel Economy
+              </SortableHeader>
+              <SortableHeader className="col-fuel" sortKey="fuelAdded" sort={sort} onSort={handleSort}>
+                Fuel Added
+              </SortableHeader>
+              <SortableHeader className="col-cost" sortKey="cost" sort={sort} onSort={handleSort}>
+                Cost
+              </SortableHeader>
+              <SortableHeader className="col-odometer" sortKey="odometer" sort={sort} onSort={handleSort}>
+                Odometer
+              </SortableHeader>
             </tr>
           </thead>
           <tbody>
@@ -107,7 +255,8 @@ function FuelUpsTable({ fuelUps, loading, isMetric }) {
               const driver = formatDriverName(fuelUp.driverInfo);
               const fuelAdded = fuelUp.fuelAdded || fuelUp.volume || 0;
               const fuelEconomy = fuelUp.fuelEconomy || fuelUp.economy;
-              const location = fuelUp.location || fuelUp.address;
+              const cost = costModel.getFillUpCost(fuelUp);
+              const location = getFuelUpAddress(fuelUp, addresses);
               
               return (
                 <tr key={fuelUp.id || index} className="table-row">
@@ -124,23 +273,32 @@ function FuelUpsTable({ fuelUps, loading, isMetric }) {
                     </div>
                   </td>
                   <td className="col-location" data-label="Location">
-                    <span className="location-text" title={formatAddress(location)}>
-                      {truncateText(formatAddress(location), 35)}
-                    </span>
+                    {loadingAddresses && !addresses[fuelUp.id] && getFuelUpCoordinate(fuelUp) ? (
+                      <span className="loading-text">Loading...</span>
+                    ) : (
+                      <span className="location-text" title={formatAddress(location)}>
+                        {truncateText(formatAddress(location), 35)}
+                      </span>
+                    )}
                   </td>
                   <td className="col-economy" data-label="Fuel Economy">
                     {fuelEconomy != null 
-                      ? formatFuelEconomy(fuelEconomy, isMetric) 
+                      ? formatFuelEconomy(fuelEconomy, units) 
                       : '--'}
                   </td>
                   <td className="col-fuel" data-label="Fuel Added">
                     {fuelAdded > 0 
-                      ? formatFuelVolume(fuelAdded, isMetric) 
+                      ? formatFuelVolume(fuelAdded, units) 
+                      : '--'}
+                  </td>
+                  <td className="col-cost" data-label="Cost">
+                    {cost != null 
+                      ? formatCurrency(cost, costModel.currency) 
                       : '--'}
                   </td>
                   <td className="col-odometer" data-label="Odometer">
                     {fuelUp.odometer != null 
-                      ? formatOdometer(fuelUp.odometer, isMetric) 
+                      ? formatOdometer(fuelUp.odometer, units) 
                       : '--'}
                   </td>
                 </tr>
@@ -155,7 +313,7 @@ function FuelUpsTable({ fuelUps, loading, isMetric }) {
         <div className="table-pagination">
           <button
             className="pagination-btn"
-            onClick={() => setCurrentPage(prev => Math.max(1, prev - 1))}
+            onClick={() => onPageChange?.(Math.max(1, currentPage - 1))}
             disabled={currentPage === 1}
             aria-label="Previous page"
           >
@@ -170,7 +328,7 @@ function FuelUpsTable({ fuelUps, loading, isMetric }) {
           
           <button
             className="pagination-btn"
-            onClick={() => setCurrentPage(prev => Math.min(totalPages, prev + 1))}
+            onClick={() => onPageChange?.(Math.min(totalPages, currentPage + 1))}
             disabled={currentPage === totalPages}
             aria-label="Next page"
           >
@@ -186,6 +344,7 @@ function FuelUpsTable({ fuelUps, loading, isMetric }) {
         <span className="table-count">
           Showing {paginatedFuelUps.length} of {fuelUps.length} fuel-ups
         </span>
+        <ExportButtons onExport={handleExport} exporting={exporting} warning={addressError} />
       </div>
     </div>
   );
@@ -0,0 +1,237 @@
+/**
+ * Group Tree Picker Component
+ * Collapsible group hierarchy used to scope the device list
+ */
+
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { useGeotabApi } from '../hooks/useGeotabApi';
+import { buildGroupTree, getGroupName } from '../utils/groupUtils';
+import { formatNumber } from '../utils/formatters';
+
+/**
+ * Single group row with its children
+ */
+function GroupTreeNode({ node, depth, selectedSet, expandedSet, counts, onToggleSelect, onToggleExpand }) {
+  const { group, children } = node;
+  const isExpanded = expandedSet.has(group.id);
+  const isSelected = selectedSet.has(group.id);
+  const count = counts[group.id];
+
+  return (
+    <li role="treeitem" aria-expanded={children.length > 0 ? isExpanded : undefined} aria-selected={isSelected}>
+      <div className="group-tree-row" style={{ paddingLeft: `${depth * 16}px` }}>
+        {children.length > 0 ? (
+          <button
+            type="button"
+            className="group-tree-expand"
+            onClick={() => onToggleExpand(group.id)}
+            aria-label={isExpanded ? `Collapse ${getGroupName(group)}` : `Expand ${getGroupName(group)}`}
+          >
+            <svg
+              viewBox="0 0 24 24"
+              fill="none"
+              stroke="currentColor"
+              strokeWidth="2"
+              style={{ transform: isExpanded ? 'rotate(90deg)' : 'none' }}
+            >
+              <polyline points="9 18 15 12 9 6" />
+            </svg>
+          </button>
+        ) : (
+          <span className="group-tree-expand group-tree-expand--leaf"></span>
+        )}
+        <label className="group-tree-label">
+          <input
+            type="checkbox"
+            checked={isSelected}
+            onChange={() => onToggleSelect(group.id)}
+          />
+          <span className="group-tree-name">{getGroupName(group)}</span>
+        </label>
+        <span className="group-tree-count" title="Devices in this group">
+          {count != null ? formatNumber(count) : '…'}
+        </span>
+      </div>
+
+      {isExpanded && children.length > 0 && (
+        <ul role="group" className="group-tree-list">
+          {children.map(child => (
+            <GroupTreeNode
+              key={child.group.id}
+              node={child}
+              depth={depth + 1}
+              selectedSet={selectedSet}
+              expandedSet={expandedSet}
+              counts={counts}
+              onToggleSelect={onToggleSelect}
+              onToggleExpand={onToggleExpand}
+            />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+}
+
+/**
+ * Group tree picker with device member counts
+ */
+function GroupTreePicker({ api, groups, selectedGroupIds, onChange, loading }) {
+  const [open, setOpen] = useState(false);
+  const [expanded, setExpanded] = useState(() => new Set(['GroupCompanyId']));
+  const [counts, setCounts] = useState({});
+  const containerRef = useRef(null);
+
+  const { multiCallInBatches } = useGeotabApi(api);
+
+  const tree = useMemo(() => buildGroupTree(groups), [groups]);
+  const selectedSet = useMemo(() => new Set(selectedGroupIds || []), [selectedGroupIds]);
+  const groupsById = useMemo(() => new Map((groups || []).map(g => [g.id, g])), [groups]);
+
+  // Groups shown in the tree, in display order
+  const treeGroupIds = useMemo(() => {
+    const ids = [];
+    const walk = (nodes) => nodes.forEach(node => {
+      ids.push(node.group.id);
+      walk(node.children);
+    });
+    walk(tree);
+    return ids;
+  }, [tree]);
+
+  // Load member counts the first time the picker is opened
+  useEffect(() => {
+    if (!open || !api || treeGroupIds.length === 0) return;
+
+    const missing = treeGroupIds.filter(id => counts[id] == null);
+    if (missing.length === 0) return;
+
+    let cancelled = false;
+
+    async function loadCounts() {
+      try {
+        const results = await multiCallInBatches(missing.map(id => [
+          'GetCountOf',
+          { typeName: 'Device', search: { groups: [{ id }] } }
+        ]));
+
+        if (cancelled) return;
+
+        const newCounts = {};
+        missing.forEach((id, index) => {
+          newCounts[id] = results[index] || 0;
+        });
+        setCounts(prev => ({ ...prev, ...newCounts }));
+      } catch (err) {
+        console.error('Error loading group counts:', err);
+      }
+    }
+
+    loadCounts();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open, api, treeGroupIds, counts, multiCallInBatches]);
+
+  // Close the panel when clicking outside it
+  useEffect(() => {
+    if (!open) return;
+
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const handleToggleSelect = useCallback((groupId) => {
+    if (selectedSet.has(groupId)) {
+      onChange(selectedGroupIds.filter(id => id !== groupId));
+    } else {
+      onChange([...(selectedGroupIds || []), groupId]);
+    }
+  }, [selectedSet, selectedGroupIds, onChange]);
+
+  const handleToggleExpand = useCallback((groupId) => {
+    setExpanded(prev => {
+      const next = new Set(prev);
+      if (next.has(groupId)) {
+        next.delete(groupId);
+      } else {
+        next.add(groupId);
+      }
+      return next;
+    });
+  }, []);
+
+  if (loading) {
+    return (
+      <div className="group-picker group-picker--loading">
+        <div className="skeleton skeleton-input"></div>
+      </div>
+    );
+  }
+
+  if (tree.length === 0) {
+    return null;
+  }
+
+  const summary = selectedSet.size === 0
+    ? 'All groups'
+    : selectedSet.size === 1
+      ? getGroupName(groupsById.get(selectedGroupIds[0]))
+      : `${selectedSet.size} groups`;
+
+  return (
+    <div className="group-picker" ref={containerRef}>
+      <label htmlFor="group-picker-toggle" className="device-selector-label">
+        Groups
+      </label>
+      <button
+        id="group-picker-toggle"
+        type="button"
+        className="device-selector-dropdown group-picker-toggle"
+        onClick={() => setOpen(prev => !prev)}
+        aria-expanded={open}
+        aria-haspopup="tree"
+      >
+        {summary}
+      </button>
+
+      {open && (
+        <div className="group-picker-panel">
+          <div className="device-multiselect-actions">
+            <button
+              type="button"
+              className="device-multiselect-btn"
+              onClick={() => onChange([])}
+              disabled={selectedSet.size === 0}
+            >
+              All groups
+            </button>
+          </div>
+          <ul className="group-tree-list" role="tree" aria-multiselectable="true">
+            {tree.map(node => (
+              <GroupTreeNode
+                key={node.group.id}
+                node={node}
+                depth={0}
+                selectedSet={selectedSet}
+                expandedSet={expanded}
+                counts={counts}
+                onToggleSelect={handleToggleSelect}
+                onToggleExpand={handleToggleExpand}
+              />
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default GroupTreePicker;
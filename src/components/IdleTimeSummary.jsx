@@ -4,13 +4,85 @@
  */
 
 import React from 'react';
-import { formatPercentage } from '../utils/formatters';
-import { formatDuration } from '../utils/dateUtils';
+import { formatPercentage, formatCurrency, formatFuelVolume } from '../utils/formatters';
+import { formatDuration, parseTimeSpan } from '../utils/dateUtils';
+import { METRIC_GOOD_DIRECTIONS } from '../utils/constants';
+import FleetRankingChart from './FleetRankingChart';
+import DeltaIndicator from './DeltaIndicator';
+
+/**
+ * Idle time figures for a list of trips
+ * Idle fuel uses each trip's vehicle-class burn rate, priced at the fuel price on the trip's date
+ * @param {Array} trips - Trips to summarize
+ * @param {object} costModel - Cost model from createCostModel
+ * @returns {{ totalIdleMs: number, idlePercentage: number, fuelUsedIdling: number, estimatedCost: number, tripsWithIdling: number }}
+ */
+function summarizeIdleTime(trips, costModel) {
+  let totalIdleSeconds = 0;
+  let fuelUsedIdling = 0;
+  let estimatedCost = 0;
+
+  trips.forEach(t => {
+    if (t.idlingDuration == null) return;
+    const idleSeconds = parseTimeSpan(t.idlingDuration);
+    const liters = (idleSeconds / 3600) * costModel.getIdleBurnRate(t.device);
+    totalIdleSeconds += idleSeconds;
+    fuelUsedIdling += liters;
+    estimatedCost += liters * costModel.getFuelPrice(t.start);
+  });
+
+  const totalDrivingSeconds = trips.reduce((sum, t) => {
+    if (t.drivingDuration != null) {
+      return sum + parseTimeSpan(t.drivingDuration);
+    }
+    return sum;
+  }, 0);
+
+  const totalIdleMs = totalIdleSeconds * 1000;
+  const totalDrivingMs = totalDrivingSeconds * 1000;
+  const totalTimeMs = totalIdleMs + totalDrivingMs;
+
+  const idlePercentage = totalTimeMs > 0 ? (totalIdleMs / totalTimeMs) * 100 : 0;
+
+  // Count trips with significant idling (>5 minutes)
+  const tripsWithIdling = trips.filter(t => parseTimeSpan(t.idlingDuration) > 300).length;
+
+  return { totalIdleMs, idlePercentage, fuelUsedIdling, estimatedCost, tripsWithIdling };
+}
+
+/**
+ * Idle time and idle percentage ranked across devices
+ */
+function FleetIdleTimeSummary({ fleetStats }) {
+  const idleTimeItems = fleetStats.map(({ device, summary }) => ({
+    id: device.id,
+    label: device.name,
+    value: summary.idleTime,
+    display: formatDuration(summary.idleTime)
+  }));
+
+  const idlePercentageItems = fleetStats.map(({ device, summary }) => ({
+    id: device.id,
+    label: device.name,
+    value: summary.idlePercentage,
+    display: formatPercentage(summary.idlePercentage, false, 1)
+  }));
+
+  return (
+    <div className="idle-time-summary">
+      <FleetRankingChart title="Total Idle Time" items={idleTimeItems} />
+      <FleetRankingChart title="% of Driving Time" items={idlePercentageItems} />
+    </div>
+  );
+}
 
 /**
  * Idle Time Summary
+ * When fleetStats is provided, ranks devices instead
+ * When previousTrips is provided, each figure shows its change from the previous period
+ * Idle fuel and cost come from costModel (see createCostModel)
  */
-function IdleTimeSummary({ trips, loading, isMetric }) {
+function IdleTimeSummary({ trips, loading, units, costModel, fleetStats, previousTrips }) {
   if (loading) {
     return (
       <div className="idle-time-summary">
@@ -32,6 +104,10 @@ function IdleTimeSummary({ trips, loading, isMetric }) {
     );
   }
 
+  if (fleetStats) {
+    return <FleetIdleTimeSummary fleetStats={fleetStats} />;
+  }
+
   if (!trips || trips.length === 0) {
     return (
       <div className="idle-time-summary idle-time-summary--empty">
@@ -42,46 +118,8 @@ function IdleTimeSummary({ trips, loading, isMetric }) {
     );
   }
 
-  // Calculate idle time (in seconds from API, convert to ms)
-  const parseTimeSpan = (timeSpan) => {
-    if (!timeSpan || timeSpan === '00:00:00') return 0;
-    const parts = timeSpan.split(':');
-    const hours = parseInt(parts[0]) || 0;
-    const minutes = parseInt(parts[1]) || 0;
-    const seconds = parseInt(parts[2]) || 0;
-    return hours * 3600 + minutes * 60 + seconds;
-  };
-
-  const totalIdleSeconds = trips.reduce((sum, t) => {
-    if (t.idlingDuration != null) {
-      return sum + parseTimeSpan(t.idlingDuration);
-    }
-    return sum;
-  }, 0);
-
-  const totalDrivingSeconds = trips.reduce((sum, t) => {
-    if (t.drivingDuration != null) {
-      return sum + parseTimeSpan(t.drivingDuration);
-    }
-    return sum;
-  }, 0);
-
-  const totalIdleMs = totalIdleSeconds * 1000;
-  const totalDrivingMs = totalDrivingSeconds * 1000;
-  const totalTimeMs = totalIdleMs + totalDrivingMs;
-
-  const idlePercentage = totalTimeMs > 0 ? (totalIdleMs / totalTimeMs) * 100 : 0;
-
-  // Estimate fuel cost (rough approximation)
-  // Assume: 0.5-1 liter per hour of idling
-  // Fuel price: $1.50/liter (adjustable)
-  const idleHours = totalIdleSeconds / 3600;
-  const fuelUsedIdling = idleHours * 0.75; // liters (average 0.75L/hr)
-  const fuelPrice = isMetric ? 1.50 : 4.00; // per liter or per gallon
-  const estimatedCost = fuelUsedIdling * fuelPrice;
-
-  // Count trips with significant idling (>5 minutes)
-  const tripsWithIdling = trips.filter(t => parseTimeSpan(t.idlingDuration) > 300).length;
+  const { totalIdleMs, idlePercentage, fuelUsedIdling, estimatedCost, tripsWithIdling } = summarizeIdleTime(trips, costModel);
+  const previous = previousTrips ? summarizeIdleTime(previousTrips, costModel) : null;
 
   return (
     <div className="idle-time-summary">
@@ -96,6 +134,14 @@ function IdleTimeSummary({ trips, loading, isMetric }) {
           <div className="idle-stat-content">
             <div className="idle-stat-value">{formatDuration(totalIdleMs)}</div>
             <div className="idle-stat-label">Total Idle Time</div>
+            {previous && (
+              <DeltaIndicator
+                current={totalIdleMs}
+                previous={previous.totalIdleMs}
+                goodDirection={METRIC_GOOD_DIRECTIONS.idleTime}
+                formatValue={value => formatDuration(value)}
+              />
+            )}
           </div>
         </div>
 
@@ -110,6 +156,15 @@ function IdleTimeSummary({ trips, loading, isMetric }) {
           <div className="idle-stat-content">
             <div className="idle-stat-value">{formatPercentage(idlePercentage, false, 1)}</div>
             <div className="idle-stat-label">% of Driving Time</div>
+            {previous && (
+              <DeltaIndicator
+                current={idlePercentage}
+                previous={previous.idlePercentage}
+                goodDirection={METRIC_GOOD_DIRECTIONS.idlePercentage}
+                points
+                formatValue={value => formatPercentage(value, false, 1)}
+              />
+            )}
           </div>
         </div>
 
@@ -121,11 +176,17 @@ function IdleTimeSummary({ trips, loading, isMetric }) {
             </svg>
           </div>
           <div className="idle-stat-content">
-            <div className="idle-stat-value">
-              {isMetric ? `$${estimatedCost.toFixed(2)}` : `$${estimatedCost.toFixed(2)}`}
-            </div>
+            <div className="idle-stat-value">{formatCurrency(estimatedCost, costModel.currency)}</div>
             <div className="idle-stat-label">Est. Fuel Cost</div>
-            <div className="idle-stat-detail">~{fuelUsedIdling.toFixed(1)}L wasted</div>
+            {previous && (
+              <DeltaIndicator
+                current={estimatedCost}
+                previous={previous.estimatedCost}
+                goodDirection={METRIC_GOOD_DIRECTIONS.idleCost}
+                formatValue={value => formatCurrency(value, costModel.currency)}
+              />
+            )}
+            <div className="idle-stat-detail">~{formatFuelVolume(fuelUsedIdling, units)} wasted</div>
           </div>
         </div>
       </div>
@@ -0,0 +1,48 @@
+/**
+ * Live Status Component
+ * Toggles live mode and shows when the dashboard data was last updated
+ */
+
+import React from 'react';
+import { formatTime } from '../utils/dateUtils';
+import { getErrorMessage } from '../utils/apiErrors';
+
+/**
+ * Live mode toggle with a "last updated" indicator
+ * @param {object} props
+ * @param {boolean} props.enabled - Live mode is switched on
+ * @param {boolean} props.available - The selected range includes today
+ * @param {Date} props.lastUpdated - When data was last loaded or merged
+ * @param {Error} props.error - Last polling error, cleared by the next successful poll
+ * @param {function} props.onToggle - Called with the new enabled value
+ */
+function LiveStatus({ enabled, available, lastUpdated, error, onToggle }) {
+  const active = enabled && available;
+
+  return (
+    <div className={`live-status ${active ? 'live-status--active' : ''}`}>
+      <button
+        type="button"
+        className="live-toggle"
+        onClick={() => onToggle(!enabled)}
+        aria-pressed={active}
+        disabled={!available}
+        title={available ? 'Check for new trips, exceptions and fill-ups automatically' : 'Live mode needs a date range that includes today'}
+      >
+        <span className="live-dot" aria-hidden="true"></span>
+        Live
+      </button>
+      {error && active ? (
+        <span className="live-updated live-updated--error" role="status" title={getErrorMessage(error)}>
+          Update failed, will try again
+        </span>
+      ) : lastUpdated && (
+        <span className="live-updated" role="status">
+          Updated {formatTime(lastUpdated, true)}
+        </span>
+      )}
+    </div>
+  );
+}
+
+export default LiveStatus;
@@ -0,0 +1,60 @@
+/**
+ * Paging Status Component
+ * Shows progress while long lists are paged in, and warns when a list was truncated
+ */
+
+import React from 'react';
+import { formatNumber } from '../utils/formatters';
+import { API_LIMITS } from '../utils/constants';
+
+// Plural labels for paged types
+const TYPE_LABELS = {
+  Trip: 'trips',
+  ExceptionEvent: 'exceptions',
+  StatusData: 'status records',
+  LogRecord: 'GPS records'
+};
+
+/**
+ * Progress line and truncation warning for paged fetches
+ * @param {object} props
+ * @param {boolean} props.loading - Data is still loading
+ * @param {object} props.progress - { [typeName]: { pages, records } }
+ * @param {Array<string>} props.truncatedTypes - Types whose results hit the record cap
+ */
+function PagingStatus({ loading, progress, truncatedTypes }) {
+  // Only lists that needed more than one page are worth reporting
+  const multiPage = Object.values(progress || {}).filter(item => item.pages > 1);
+
+  if (loading && multiPage.length > 0) {
+    return (
+      <div className="paging-status" role="status">
+        <div className="loading-spinner loading-spinner--small"></div>
+        <span>
+          Loading{' '}
+          {multiPage
+            .map(item => `${formatNumber(item.records)} ${TYPE_LABELS[item.typeName] || item.typeName} (${item.pages} pages)`)
+            .join(', ')}
+          ...
+        </span>
+      </div>
+    );
+  }
+
+  if (!loading && truncatedTypes?.length > 0) {
+    return (
+      <div className="dashboard-notice" role="alert">
+        <span className="notice-icon">!</span>
+        <span>
+          Results are incomplete: only the first {formatNumber(API_LIMITS.PAGED_MAX_RECORDS)}{' '}
+          {truncatedTypes.map(type => TYPE_LABELS[type] || type).join(' and ')} were loaded.
+          Narrow the date range to see everything.
+        </span>
+      </div>
+    );
+  }
+
+  return null;
+}
+
+export default PagingStatus;
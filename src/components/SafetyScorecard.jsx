@@ -0,0 +1,154 @@
+/**
+ * Safety Scorecard Component
+ * Ranks drivers or devices by a 0-100 safety score with week-over-week trend
+ */
+
+import React, { useState } from 'react';
+import { formatDistance, formatNumber, getDistanceValue, getDistanceUnit } from '../utils/formatters';
+import { SAFETY_SCORE } from '../utils/constants';
+import { SCORECARD_CATEGORIES } from '../utils/safetyScore';
+import PagingStatus from './PagingStatus';
+
+const TABS = [
+  { key: 'drivers', label: 'Drivers' },
+  { key: 'devices', label: 'Devices' }
+];
+
+// Column headings for each exception category
+const CATEGORY_LABELS = {
+  SAFETY: 'Safety',
+  COMPLIANCE: 'Compliance',
+  PRODUCTIVITY: 'Productivity',
+  MAINTENANCE: 'Maintenance',
+  OTHER: 'Other'
+};
+
+/**
+ * Score band used to color the score
+ */
+function getScoreLevel(score) {
+  if (score == null) return 'none';
+  if (score >= SAFETY_SCORE.GOOD) return 'good';
+  if (score >= SAFETY_SCORE.FAIR) return 'fair';
+  return 'poor';
+}
+
+/**
+ * Change in score since the previous week
+ */
+function ScoreTrend({ trend }) {
+  if (trend == null) {
+    return <span className="score-trend score-trend--none" title="Not enough driving in both weeks">--</span>;
+  }
+  if (trend === 0) {
+    return <span className="score-trend score-trend--flat">0</span>;
+  }
+
+  const direction = trend > 0 ? 'up' : 'down';
+  return (
+    <span
+      className={`score-trend score-trend--${direction}`}
+      aria-label={`${trend > 0 ? 'Up' : 'Down'} ${Math.abs(trend)} points from the previous week`}
+    >
+      {trend > 0 ? '▲' : '▼'} {Math.abs(trend)}
+    </span>
+  );
+}
+
+/**
+ * Safety scorecard with driver and device tabs
+ * @param {object} props
+ * @param {Array} props.driverScores - Scorecard rows per driver
+ * @param {Array} props.deviceScores - Scorecard rows per device
+ * @param {boolean} props.loading
+ * @param {object} props.units - Unit profile for distance and event rate
+ * @param {Array<string>} props.truncatedTypes - Types whose records hit the paging cap
+ */
+function SafetyScorecard({ driverScores, deviceScores, loading, units, truncatedTypes }) {
+  const [tab, setTab] = useState(TABS[0].key);
+
+  if (loading) {
+    return (
+      <div className="safety-scorecard safety-scorecard--loading">
+        <div className="table-skeleton">
+          <div className="skeleton skeleton-header"></div>
+          {[1, 2, 3, 4].map(i => (
+            <div key={i} className="skeleton skeleton-row"></div>
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  const rows = (tab === 'drivers' ? driverScores : deviceScores) || [];
+  const unit = getDistanceUnit(units);
+
+  return (
+    <div className="safety-scorecard">
+      <PagingStatus loading={false} truncatedTypes={truncatedTypes} />
+      <div className="scorecard-tabs" role="tablist" aria-label="Score by">
+        {TABS.map(item => (
+          <button
+            key={item.key}
+            type="button"
+            role="tab"
+            className={`scorecard-tab ${tab === item.key ? 'scorecard-tab--active' : ''}`}
+            aria-selected={tab === item.key}
+            onClick={() => setTab(item.key)}
+          >
+            {item.label}
+          </button>
+        ))}
+      </div>
+
+      {rows.length === 0 ? (
+        <div className="empty-state">
+          <p>No driving or exceptions to score during this period</p>
+        </div>
+      ) : (
+        <div className="table-container">
+          <table className="data-table scorecard-table">
+            <thead>
+              <tr>
+                <th className="col-rank">#</th>
+                <th>{tab === 'drivers' ? 'Driver' : 'Device'}</th>
+                <th>Score</th>
+                <th title={`Change over the last ${SAFETY_SCORE.TREND_DAYS} days`}>Trend</th>
+                <th className="col-distance">Distance</th>
+                <th>Safety per 100 {unit}</th>
+                {SCORECARD_CATEGORIES.map(category => (
+                  <th key={category} className="col-count">{CATEGORY_LABELS[category]}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row, index) => (
+                <tr key={row.id} className="table-row">
+                  <td className="col-rank">{index + 1}</td>
+                  <td>{row.name}</td>
+                  <td>
+                    <span className={`score-badge score-badge--${getScoreLevel(row.score)}`}>
+                      {row.score != null ? row.score : '--'}
+                    </span>
+                  </td>
+                  <td><ScoreTrend trend={row.trend} /></td>
+                  <td className="col-distance">{formatDistance(row.distance, units)}</td>
+                  <td>
+                    {row.distance > 0
+                      ? formatNumber(row.safetyEvents / getDistanceValue(row.distance, units) * 100, 2)
+                      : '--'}
+                  </td>
+                  {SCORECARD_CATEGORIES.map(category => (
+                    <td key={category} className="col-count">{formatNumber(row.categories[category])}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SafetyScorecard;
@@ -0,0 +1,32 @@
+/**
+ * Section Error Component
+ * Shown in place of a dashboard section whose data failed to load
+ */
+
+import React from 'react';
+import { ERROR_TYPES, getErrorMessage } from '../utils/apiErrors';
+
+/**
+ * Inline error with a retry button for a single section
+ * @param {object} props
+ * @param {string} props.label - What failed, e.g. "trips"
+ * @param {Error} props.error - Classified error for the dataset
+ * @param {function} props.onRetry - Reloads just this dataset
+ */
+function SectionError({ label, error, onRetry }) {
+  if (!error) return null;
+
+  return (
+    <div className="section-error" role="alert">
+      <span className="error-icon">!</span>
+      <span className="section-error-message">
+        Couldn't load {label}. {getErrorMessage(error)}
+      </span>
+      {error.type !== ERROR_TYPES.AUTH && (
+        <button type="button" onClick={onRetry} className="retry-button">Retry</button>
+      )}
+    </div>
+  );
+}
+
+export default SectionError;
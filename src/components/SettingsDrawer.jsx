@@ -0,0 +1,393 @@
+/**
+ * Settings Drawer Component
+ * Edits the per-user dashboard settings: the unit for each measurement, rows per page,
+ * default date range, chart colors and the cost model
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { createPortal } from 'react-dom';
+import { useSettings } from '../hooks/useSettings';
+import { getUnitSymbol } from '../utils/unitUtils';
+import {
+  COLOR_PALETTES,
+  DATE_PRESET_LABELS,
+  DEFAULT_SETTINGS,
+  PAGE_SIZES,
+  SETTINGS_STORAGE,
+  UNIT_AUTO,
+  UNIT_DEFINITIONS,
+  UNIT_MEASURES,
+  UNIT_SYSTEMS,
+  VOLUME_UNITS
+} from '../utils/constants';
+
+const MEASURE_LABELS = {
+  [UNIT_MEASURES.DISTANCE]: 'Distance',
+  [UNIT_MEASURES.VOLUME]: 'Fuel volume',
+  [UNIT_MEASURES.FUEL_ECONOMY]: 'Fuel economy',
+  [UNIT_MEASURES.SPEED]: 'Speed',
+  [UNIT_MEASURES.TEMPERATURE]: 'Temperature'
+};
+
+const FUEL_PRICE_UNIT_LABELS = {
+  [VOLUME_UNITS.LITER]: 'per liter',
+  [VOLUME_UNITS.GALLON]: 'per US gallon',
+  [VOLUME_UNITS.IMPERIAL_GALLON]: 'per imperial gallon'
+};
+
+/**
+ * Where the saved settings live, for the drawer footer
+ */
+function describeStorage(storage, error) {
+  if (error) return error;
+  if (storage === SETTINGS_STORAGE.ADD_IN_DATA) return 'Saved to your MyGeotab profile for this database';
+  if (storage === SETTINGS_STORAGE.LOCAL) return 'MyGeotab is unavailable, so settings only apply in this browser';
+  return '';
+}
+
+/**
+ * Settings drawer; changes apply when saved
+ * @param {object} props
+ * @param {object} props.userUnits - Unit profile from the user's MyGeotab settings, shown for UNIT_AUTO
+ * @param {function} props.onClose - Close the drawer
+ */
+function SettingsDrawer({ userUnits, onClose }) {
+  const { settings, saving, error, storage, saveSettings } = useSettings();
+  const [draft, setDraft] = useState(settings);
+
+  // Escape closes without saving
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [onClose]);
+
+  const updateDraft = useCallback((changes) => {
+    setDraft(prev => ({ ...prev, ...changes }));
+  }, []);
+
+  const updateUnits = useCallback((changes) => {
+    setDraft(prev => ({ ...prev, units: { ...prev.units, ...changes } }));
+  }, []);
+
+  const updateCost = useCallback((changes) => {
+    setDraft(prev => ({ ...prev, cost: { ...prev.cost, ...changes } }));
+  }, []);
+
+  const updatePriceEntry = useCallback((index, changes) => {
+    setDraft(prev => ({
+      ...prev,
+      cost: {
+        ...prev.cost,
+        priceHistory: prev.cost.priceHistory.map((entry, i) => (i === index ? { ...entry, ...changes } : entry))
+      }
+    }));
+  }, []);
+
+  const handleAddPrice = useCallback(() => {
+    setDraft(prev => ({
+      ...prev,
+      cost: { ...prev.cost, priceHistory: [...prev.cost.priceHistory, { from: '', price: prev.cost.fuelPrice }] }
+    }));
+  }, []);
+
+  const handleRemovePrice = useCallback((index) => {
+    setDraft(prev => ({
+      ...prev,
+      cost: { ...prev.cost, priceHistory: prev.cost.priceHistory.filter((_, i) => i !== index) }
+    }));
+  }, []);
+
+  const updateIdleRate = useCallback((classId, idleLitersPerHour) => {
+    setDraft(prev => ({
+      ...prev,
+      cost: {
+        ...prev.cost,
+        vehicleClasses: prev.cost.vehicleClasses.map(vehicleClass =>
+          vehicleClass.id === classId ? { ...vehicleClass, idleLitersPerHour } : vehicleClass
+        )
+      }
+    }));
+  }, []);
+
+  const handleReset = useCallback(() => {
+    setDraft(DEFAULT_SETTINGS);
+  }, []);
+
+  // Close once saved to MyGeotab; stay open to show the error otherwise
+  const handleSubmit = useCallback(async (e) => {
+    e.preventDefault();
+    const saved = await saveSettings(draft);
+    if (saved) onClose();
+  }, [draft, saveSettings, onClose]);
+
+  const { cost } = draft;
+
+  return createPortal(
+    <div className="settings-overlay" onClick={onClose}>
+      <form
+        className="settings-drawer"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="settings-title"
+        onClick={(e) => e.stopPropagation()}
+        onSubmit={handleSubmit}
+      >
+        <div className="settings-header">
+          <h2 id="settings-title" className="settings-title">Settings</h2>
+          <button type="button" className="settings-close" onClick={onClose} aria-label="Close settings">
+            &times;
+          </button>
+        </div>
+
+        <div className="settings-body">
+          {/* Display */}
+          <fieldset className="settings-group">
+            <legend className="settings-group-title">Display</legend>
+
+            <label className="settings-field">
+              <span className="settings-label">Rows per page</span>
+              <select
+                className="settings-input"
+                value={draft.pageSize}
+                onChange={(e) => updateDraft({ pageSize: Number(e.target.value) })}
+              >
+                {Object.values(PAGE_SIZES).map(size => (
+                  <option key={size} value={size}>{size}</option>
+                ))}
+              </select>
+            </label>
+
+            <label className="settings-field">
+              <span className="settings-label">Default date range</span>
+              <select
+                className="settings-input"
+                value={draft.defaultPreset}
+                onChange={(e) => updateDraft({ defaultPreset: e.target.value })}
+              >
+                {Object.entries(DATE_PRESET_LABELS).map(([preset, label]) => (
+                  <option key={preset} value={preset}>{label}</option>
+                ))}
+              </select>
+            </label>
+
+            <div className="settings-field">
+              <span className="settings-label">Chart colors</span>
+              <div className="settings-palettes" role="radiogroup" aria-label="Chart colors">
+                {Object.entries(COLOR_PALETTES).map(([key, palette]) => (
+                  <label
+                    key={key}
+                    className={`settings-palette ${draft.palette === key ? 'settings-palette--active' : ''}`}
+                  >
+                    <input
+                      type="radio"
+                      name="palette"
+                      value={key}
+                      checked={draft.palette === key}
+                      onChange={() => updateDraft({ palette: key })}
+                    />
+                    <span className="settings-palette-swatches" aria-hidden="true">
+                      {palette.colors.slice(0, 6).map(color => (
+                        <span key={color} className="settings-palette-swatch" style={{ backgroundColor: color }} />
+                      ))}
+                    </span>
+                    <span className="settings-palette-label">{palette.label}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+          </fieldset>
+
+          {/* Units */}
+          <fieldset className="settings-group">
+            <legend className="settings-group-title">Units</legend>
+
+            <div className="settings-unit-systems">
+              <button
+                type="button"
+                className="settings-unit-system-btn"
+                onClick={() => updateDraft({ units: DEFAULT_SETTINGS.units })}
+              >
+                MyGeotab
+              </button>
+              {Object.entries(UNIT_SYSTEMS).map(([key, system]) => (
+                <button
+                  key={key}
+                  type="button"
+                  className="settings-unit-system-btn"
+                  onClick={() => updateDraft({ units: system.units })}
+                >
+                  {system.label}
+                </button>
+              ))}
+            </div>
+
+            {Object.values(UNIT_MEASURES).map(measure => (
+              <label key={measure} className="settings-row settings-inline-row">
+                <span className="settings-inline-label">{MEASURE_LABELS[measure]}</span>
+                <select
+                  className="settings-input settings-unit-select"
+                  value={draft.units[measure]}
+                  onChange={(e) => updateUnits({ [measure]: e.target.value })}
+                >
+                  <option value={UNIT_AUTO}>From MyGeotab ({getUnitSymbol(measure, userUnits)})</option>
+                  {Object.entries(UNIT_DEFINITIONS[measure]).map(([unit, definition]) => (
+                    <option key={unit} value={unit}>{definition.label} ({definition.symbol})</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </fieldset>
+
+          {/* Costs */}
+          <fieldset className="settings-group">
+            <legend className="settings-group-title">Costs</legend>
+
+            <div className="settings-row">
+              <label className="settings-field settings-field--narrow">
+                <span className="settings-label">Currency</span>
+                <input
+                  type="text"
+                  className="settings-input"
+                  value={cost.currency}
+                  maxLength={3}
+                  onChange={(e) => updateCost({ currency: e.target.value.toUpperCase() })}
+                />
+              </label>
+
+              <label className="settings-field">
+                <span className="settings-label">Fuel price</span>
+                <input
+                  type="number"
+                  className="settings-input"
+                  min="0"
+                  step="0.001"
+                  value={cost.fuelPrice}
+                  onChange={(e) => updateCost({ fuelPrice: e.target.value })}
+                />
+              </label>
+
+              <label className="settings-field">
+                <span className="settings-label">Priced</span>
+                <select
+                  className="settings-input"
+                  value={cost.fuelPriceUnit}
+                  onChange={(e) => updateCost({ fuelPriceUnit: e.target.value })}
+                >
+                  {Object.values(VOLUME_UNITS).map(unit => (
+                    <option key={unit} value={unit}>{FUEL_PRICE_UNIT_LABELS[unit]}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+
+            <div className="settings-field">
+              <span className="settings-label">Price changes</span>
+              {cost.priceHistory.length === 0 && (
+                <p className="settings-hint">The fuel price above applies to every date.</p>
+              )}
+              {cost.priceHistory.map((entry, index) => (
+                <div key={index} className="settings-row settings-price-row">
+                  <input
+                    type="date"
+                    className="settings-input"
+                    aria-label="Price from"
+                    value={entry.from}
+                    onChange={(e) => updatePriceEntry(index, { from: e.target.value })}
+                  />
+                  <input
+                    type="number"
+                    className="settings-input"
+                    aria-label="Price"
+                    min="0"
+                    step="0.001"
+                    value={entry.price}
+                    onChange={(e) => updatePriceEntry(index, { price: e.target.value })}
+                  />
+                  <button
+                    type="button"
+                    className="settings-remove-btn"
+                    onClick={() => handleRemovePrice(index)}
+                    aria-label="Remove price change"
+                  >
+                    &times;
+                  </button>
+                </div>
+              ))}
+              <button type="button" className="settings-add-btn" onClick={handleAddPrice}>
+                Add price change
+              </button>
+            </div>
+
+            <label className="settings-field">
+              <span className="settings-label">Operating cost per km</span>
+              <input
+                type="number"
+                className="settings-input"
+                min="0"
+                step="0.01"
+                value={cost.operatingCostPerKm}
+                onChange={(e) => updateCost({ operatingCostPerKm: e.target.value })}
+              />
+            </label>
+
+            <div className="settings-field">
+              <span className="settings-label">Idle fuel burn (L/h)</span>
+              {cost.vehicleClasses.map(vehicleClass => (
+                <label key={vehicleClass.id} className="settings-row settings-inline-row">
+                  <span className="settings-inline-label" title={vehicleClass.keywords.join(', ')}>
+                    {vehicleClass.name}
+                  </span>
+                  <input
+                    type="number"
+                    className="settings-input"
+                    min="0"
+                    step="0.05"
+                    value={vehicleClass.idleLitersPerHour}
+                    onChange={(e) => updateIdleRate(vehicleClass.id, e.target.value)}
+                  />
+                </label>
+              ))}
+              <label className="settings-row settings-inline-row">
+                <span className="settings-inline-label">Other vehicles</span>
+                <input
+                  type="number"
+                  className="settings-input"
+                  min="0"
+                  step="0.05"
+                  value={cost.defaultIdleLitersPerHour}
+                  onChange={(e) => updateCost({ defaultIdleLitersPerHour: e.target.value })}
+                />
+              </label>
+            </div>
+          </fieldset>
+        </div>
+
+        <div className="settings-footer">
+          <span className={`settings-status ${error ? 'settings-status--error' : ''}`}>
+            {describeStorage(storage, error)}
+          </span>
+          <div className="settings-actions">
+            <button type="button" className="report-action-btn" onClick={handleReset}>
+              Reset to defaults
+            </button>
+            <button type="button" className="report-action-btn" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="submit" className="report-action-btn report-action-btn--primary" disabled={saving}>
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </div>
+      </form>
+    </div>,
+    document.body
+  );
+}
+
+export default SettingsDrawer;
@@ -0,0 +1,45 @@
+/**
+ * Sortable Header Component
+ * Table header cell that toggles the sort order of its column
+ */
+
+import React from 'react';
+import { SORT_DIRECTIONS } from '../utils/tableUtils';
+
+/**
+ * Column header with a sort button and direction indicator
+ */
+function SortableHeader({ sortKey, sort, onSort, className, children }) {
+  const isActive = sort?.key === sortKey;
+  const direction = isActive ? sort.direction : null;
+
+  let ariaSort = 'none';
+  if (direction === SORT_DIRECTIONS.ASC) ariaSort = 'ascending';
+  if (direction === SORT_DIRECTIONS.DESC) ariaSort = 'descending';
+
+  return (
+    <th className={className} aria-sort={ariaSort}>
+      <button
+        type="button"
+        className={`sort-btn ${isActive ? 'sort-btn--active' : ''}`}
+        onClick={() => onSort(sortKey)}
+      >
+        {children}
+        <svg className="sort-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" aria-hidden="true">
+          {direction === SORT_DIRECTIONS.DESC ? (
+            <polyline points="6 9 12 15 18 9" />
+          ) : direction === SORT_DIRECTIONS.ASC ? (
+            <polyline points="6 15 12 9 18 15" />
+          ) : (
+            <>
+              <polyline points="8 10 12 6 16 10" />
+              <polyline points="8 14 12 18 16 14" />
+            </>
+          )}
+        </svg>
+      </button>
+    </th>
+  );
+}
+
+export default SortableHeader;
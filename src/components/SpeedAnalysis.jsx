@@ -1,16 +1,149 @@
 /**
  * Speed Analysis Component
- * Shows max speed, average speed, and speed distribution
+ * Shows max speed, average speed, speed distribution, a GPS speed histogram and time over the posted limit
  */
 
 import React from 'react';
-import { formatSpeed } from '../utils/formatters';
+import { formatSpeed, formatPercentage, getSpeedValue, getSpeedUnit } from '../utils/formatters';
 import { formatDuration } from '../utils/dateUtils';
+import { summarizeTrips, getSpeedRanges } from '../utils/tripStats';
+import { buildSpeedHistogram, summarizeTimeOverLimit } from '../utils/speedProfile';
+import { SPEED_ANALYSIS } from '../utils/constants';
+import { useSpeedProfile } from '../hooks/useSpeedProfile';
+import FleetRankingChart from './FleetRankingChart';
+import PagingStatus from './PagingStatus';
+
+/**
+ * Max and average speed ranked across devices
+ */
+function FleetSpeedAnalysis({ fleetStats, units }) {
+  const toItems = (key) => fleetStats.map(({ device, summary }) => ({
+    id: device.id,
+    label: device.name,
+    value: summary[key],
+    display: formatSpeed(summary[key], units)
+  }));
+
+  return (
+    <div className="speed-analysis">
+      <FleetRankingChart title="Max Speed" items={toItems('maxSpeed')} />
+      <FleetRankingChart title="Average Speed" items={toItems('avgSpeed')} />
+    </div>
+  );
+}
+
+/**
+ * Histogram of GPS speeds and time over the posted limit
+ * Bars are colored by the trip speed range they fall in
+ */
+function SpeedProfile({ api, deviceId, trips, dateRange, units, speedRangeLimits }) {
+  const { loading, error, samples, truncated } = useSpeedProfile(api, deviceId, trips, dateRange);
+
+  if (loading) {
+    return (
+      <div className="speed-profile">
+        <div className="skeleton skeleton-header"></div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return <div className="speed-profile speed-profile--error">{error}</div>;
+  }
+
+  const histogram = buildSpeedHistogram(samples, units);
+  if (histogram.length === 0) {
+    return (
+      <div className="speed-profile">
+        <p className="speed-profile-empty">No GPS speeds recorded during these trips.</p>
+      </div>
+    );
+  }
+
+  const unit = getSpeedUnit(units);
+  const limits = speedRangeLimits.map(limit => getSpeedValue(limit, units));
+  const getColor = (from) => {
+    if (from >= limits[1]) return 'danger';
+    if (from >= limits[0]) return 'warning';
+    return 'success';
+  };
+  const tallest = Math.max(...histogram.map(bar => bar.percentage));
+  const overLimit = summarizeTimeOverLimit(samples, units);
+
+  return (
+    <div className="speed-profile">
+      <PagingStatus loading={false} truncatedTypes={truncated ? ['LogRecord'] : []} />
+      <div className="speed-distribution-header">
+        <span className="speed-distribution-title">Speed Histogram</span>
+        <span className="speed-distribution-subtitle">From GPS records, {SPEED_ANALYSIS.HISTOGRAM_STEP} {unit} steps</span>
+      </div>
+      <div className="speed-histogram" role="list">
+        {histogram.map(bar => (
+          <div
+            key={bar.from}
+            className="speed-histogram-column"
+            role="listitem"
+            title={`${bar.from}-${bar.to} ${unit}: ${formatDuration(bar.time * 1000)} (${bar.percentage.toFixed(1)}%)`}
+            aria-label={`${bar.from} to ${bar.to} ${unit}: ${bar.percentage.toFixed(1)}%`}
+          >
+            <div
+              className={`speed-histogram-bar speed-range-bar--${getColor(bar.from)}`}
+              style={{ height: `${tallest > 0 ? (bar.percentage / tallest) * 100 : 0}%` }}
+            ></div>
+          </div>
+        ))}
+      </div>
+      <div className="speed-histogram-axis" aria-hidden="true">
+        <span>0</span>
+        <span>{histogram[histogram.length - 1].to} {unit}</span>
+      </div>
+
+      <div className="speed-over-limit">
+        <div className="speed-distribution-header">
+          <span className="speed-distribution-title">Over the Posted Limit</span>
+          {overLimit.checkedTime > 0 && (
+            <span className="speed-distribution-subtitle">
+              {formatDuration(overLimit.time * 1000)} ({formatPercentage(overLimit.percentage, false, 1)} of driving with a known limit)
+            </span>
+          )}
+        </div>
+        {overLimit.checkedTime > 0 ? (
+          <div className="speed-over-limit-steps">
+            {overLimit.steps.map(step => (
+              <div key={step.from} className="speed-over-limit-step">
+                <span className="speed-over-limit-value">{formatDuration(step.time * 1000)}</span>
+                <span className="speed-over-limit-label">
+                  {step.to != null ? `${step.from}-${step.to} ${unit} over` : `${step.from}+ ${unit} over`}
+                </span>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="speed-profile-empty">Posted speed limits aren't available for these trips.</p>
+        )}
+      </div>
+    </div>
+  );
+}
 
 /**
  * Speed Analysis Chart
+ * When fleetStats is provided, ranks devices instead
+ * @param {object} props
+ * @param {object} props.api - Geotab API object, for the GPS speed histogram
+ * @param {string} props.deviceId - Device, or null for every vehicle the trips were driven on
+ * @param {Array<number>} props.speedRangeLimits - Trip speed range limits in km/h from system settings
  */
-function SpeedAnalysis({ trips, loading, isMetric }) {
+function SpeedAnalysis({
+  api,
+  deviceId,
+  dateRange,
+  trips,
+  loading,
+  units,
+  fleetStats,
+  speedRangeLimits = SPEED_ANALYSIS.DEFAULT_RANGE_LIMITS
+}) {
   if (loading) {
     return (
       <div className="speed-analysis">
@@ -31,6 +164,10 @@ function SpeedAnalysis({ trips, loading, isMetric }) {
     );
   }
 
+  if (fleetStats) {
+    return <FleetSpeedAnalysis fleetStats={fleetStats} units={units} />;
+  }
+
   if (!trips || trips.length === 0) {
     return (
       <div className="speed-analysis speed-analysis--empty">
@@ -41,58 +178,12 @@ function SpeedAnalysis({ trips, loading, isMetric }) {
     );
   }
 
-  // Calculate max speed
-  const maxSpeed = Math.max(...trips.map(t => t.maximumSpeed || 0));
-  
-  // Calculate average speed
-  const totalDistance = trips.reduce((sum, t) => sum + (t.distance || 0), 0);
-  const totalDrivingTime = trips.reduce((sum, t) => {
-    if (t.drivingDuration != null) {
-      return sum + (t.drivingDuration * 1000); // Convert to ms
-    }
-    return sum;
-  }, 0);
-  const avgSpeed = totalDrivingTime > 0 ? (totalDistance / (totalDrivingTime / 1000 / 3600)) : 0;
+  // Max speed and average speed while driving
+  const { maxSpeed, avgSpeed } = summarizeTrips(trips);
 
   // Calculate speed distribution from speedRange data
-  // speedRange1Duration, speedRange2Duration, speedRange3Duration are in "HH:MM:SS" format
-  const parseTimeSpan = (timeSpan) => {
-    if (!timeSpan || timeSpan === '00:00:00') return 0;
-    const parts = timeSpan.split(':');
-    const hours = parseInt(parts[0]) || 0;
-    const minutes = parseInt(parts[1]) || 0;
-    const seconds = parseInt(parts[2]) || 0;
-    return hours * 3600 + minutes * 60 + seconds;
-  };
-
-  const speedRange1Time = trips.reduce((sum, t) => sum + parseTimeSpan(t.speedRange1Duration), 0);
-  const speedRange2Time = trips.reduce((sum, t) => sum + parseTimeSpan(t.speedRange2Duration), 0);
-  const speedRange3Time = trips.reduce((sum, t) => sum + parseTimeSpan(t.speedRange3Duration), 0);
-  
-  const totalSpeedTime = speedRange1Time + speedRange2Time + speedRange3Time;
-
-  // Define speed ranges (these are typical Geotab defaults)
-  // Range 1: 0-50 km/h, Range 2: 50-90 km/h, Range 3: 90+ km/h
-  const speedRanges = [
-    { 
-      label: isMetric ? '0-50 km/h' : '0-31 mph',
-      time: speedRange1Time,
-      percentage: totalSpeedTime > 0 ? (speedRange1Time / totalSpeedTime) * 100 : 0,
-      color: 'success'
-    },
-    { 
-      label: isMetric ? '50-90 km/h' : '31-56 mph',
-      time: speedRange2Time,
-      percentage: totalSpeedTime > 0 ? (speedRange2Time / totalSpeedTime) * 100 : 0,
-      color: 'warning'
-    },
-    { 
-      label: isMetric ? '90+ km/h' : '56+ mph',
-      time: speedRange3Time,
-      percentage: totalSpeedTime > 0 ? (speedRange3Time / totalSpeedTime) * 100 : 0,
-      color: 'danger'
-    }
-  ];
+  const speedRanges = getSpeedRanges(trips, units, speedRangeLimits);
+  const totalSpeedTime = speedRanges.reduce((sum, range) => sum + range.time, 0);
 
   return (
     <div className="speed-analysis">
@@ -100,13 +191,13 @@ function SpeedAnalysis({ trips, loading, isMetric }) {
       <div className="speed-stats-grid">
         <div className="speed-stat-card">
           <div className="speed-stat-value">
-            {formatSpeed(maxSpeed, isMetric)}
+            {formatSpeed(maxSpeed, units)}
           </div>
           <div className="speed-stat-label">Max Speed</div>
         </div>
         <div className="speed-stat-card">
           <div className="speed-stat-value">
-            {formatSpeed(avgSpeed, isMetric)}
+            {formatSpeed(avgSpeed, units)}
           </div>
           <div className="speed-stat-label">Average Speed</div>
         </div>
@@ -144,6 +235,17 @@ function SpeedAnalysis({ trips, loading, isMetric }) {
           </div>
         </div>
       )}
+
+      {api && (
+        <SpeedProfile
+          api={api}
+          deviceId={deviceId}
+          trips={trips}
+          dateRange={dateRange}
+          units={units}
+          speedRangeLimits={speedRangeLimits}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,493 @@
+/**
+ * Trip Map Component
+ * Draws the device's trips from GPS log records, with exception markers and route playback
+ */
+
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { useGeotabApi } from '../hooks/useGeotabApi';
+import { MAP_TILES, OFFLINE_TILES } from '../utils/constants';
+import { toISOString, formatDateTime, formatTime } from '../utils/dateUtils';
+import { formatDistance, formatSpeed, formatNumber } from '../utils/formatters';
+import { isAbortError } from '../utils/abortUtils';
+import { getTripDeviceIds } from '../utils/tripStats';
+import {
+  project,
+  unproject,
+  getBounds,
+  fitBounds,
+  getVisibleTiles,
+  toViewport,
+  getTileUrl,
+  createOfflineTile,
+  buildTripRoutes,
+  interpolatePosition
+} from '../utils/mapUtils';
+import PagingStatus from './PagingStatus';
+
+// Map size in SVG units; the SVG scales to the panel width
+const MAP_WIDTH = 800;
+const MAP_HEIGHT = 400;
+
+// Playback speeds as multiples of real time
+const PLAYBACK_SPEEDS = [60, 300, 900];
+
+/**
+ * Convert a list of points to an SVG points attribute
+ */
+function toPolyline(points, view) {
+  return points
+    .map(point => {
+      const { x, y } = toViewport(view, MAP_WIDTH, MAP_HEIGHT, point.latitude, point.longitude);
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join(' ');
+}
+
+/**
+ * Interactive trip map with a playback slider
+ * @param {object} props
+ * @param {object} props.api - Geotab API object
+ * @param {string} props.deviceId - Selected device, or null to follow the vehicles in the trips (driver view)
+ * @param {object} props.dateRange - { start, end }
+ * @param {Array} props.trips - Trips for the device or driver and range
+ * @param {Array} props.exceptions - Exceptions shown as markers on the routes
+ * @param {boolean} props.loading - Trips are still loading
+ * @param {object} props.units - Unit profile
+ * @param {string} props.tileSource - Tile URL template, or OFFLINE_TILES for generated tiles
+ */
+function TripMap({
+  api,
+  deviceId,
+  dateRange,
+  trips,
+  exceptions,
+  loading,
+  units,
+  tileSource = MAP_TILES.URL_TEMPLATE
+}) {
+  const [logLoading, setLogLoading] = useState(true);
+  const [logRecords, setLogRecords] = useState([]);
+  const [recordCount, setRecordCount] = useState(0);
+  const [error, setError] = useState(null);
+  const [truncated, setTruncated] = useState(false);
+
+  const [view, setView] = useState(null);
+  const [failedTiles, setFailedTiles] = useState(() => new Set());
+  const [selectedTripId, setSelectedTripId] = useState(null);
+  const [playTime, setPlayTime] = useState(null);
+  const [playing, setPlaying] = useState(false);
+  const [playbackSpeed, setPlaybackSpeed] = useState(PLAYBACK_SPEEDS[1]);
+
+  const svgRef = useRef(null);
+  const dragRef = useRef(null);
+  const dragMovedRef = useRef(false);
+  const playTimeRef = useRef(playTime);
+  playTimeRef.current = playTime;
+  const fittedRef = useRef({ logRecords: null, hasRoutes: false });
+
+  const { getAllPaged } = useGeotabApi(api);
+
+  // Vehicles whose GPS is needed, as a stable key so new trips on the same vehicles don't reload
+  const vehicleKey = useMemo(() => {
+    if (deviceId) return deviceId;
+    return getTripDeviceIds(trips).join(',');
+  }, [deviceId, trips]);
+
+  // Load GPS log records for each vehicle and the range
+  useEffect(() => {
+    // Cancelled when the vehicles or range change, so stale routes never replace newer ones
+    const controller = new AbortController();
+    const { signal } = controller;
+
+    async function fetchLogRecords() {
+      if (!api || !vehicleKey || !dateRange?.start || !dateRange?.end) {
+        setLogRecords([]);
+        setTruncated(false);
+        setLogLoading(false);
+        return;
+      }
+
+      setLogLoading(true);
+      setError(null);
+      setRecordCount(0);
+
+      try {
+        const vehicleIds = vehicleKey.split(',');
+        const counts = {};
+        const results = await Promise.all(vehicleIds.map(id => getAllPaged('LogRecord', {
+          deviceSearch: { id },
+          fromDate: toISOString(dateRange.start),
+          toDate: toISOString(dateRange.end)
+        }, {
+          signal,
+          onProgress: progress => {
+            counts[id] = progress.records;
+            if (!signal.aborted) {
+              setRecordCount(Object.values(counts).reduce((sum, count) => sum + count, 0));
+            }
+          }
+        })));
+
+        if (signal.aborted) return;
+
+        // Keep only what the map needs, with a numeric time for fast lookups
+        setLogRecords(results.flatMap((result, index) => result.data
+          .filter(record => record.latitude && record.longitude)
+          .map(record => ({
+            deviceId: vehicleIds[index],
+            time: new Date(record.dateTime).getTime(),
+            latitude: record.latitude,
+            longitude: record.longitude,
+            speed: record.speed || 0
+          }))));
+        setTruncated(results.some(result => result.truncated));
+      } catch (err) {
+        if (isAbortError(err)) return;
+        console.error('Error fetching log records:', err);
+        setError('Failed to load GPS data');
+      } finally {
+        if (!signal.aborted) {
+          setLogLoading(false);
+        }
+      }
+    }
+
+    // Delay loading by 1 second to not block main page
+    const timer = setTimeout(fetchLogRecords, 1000);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [api, vehicleKey, dateRange, getAllPaged]);
+
+  // Trips in time order, each with its route drawn from its own vehicle's records
+  const routes = useMemo(() => {
+    const recordsByDevice = new Map();
+    logRecords.forEach(record => {
+      if (!recordsByDevice.has(record.deviceId)) recordsByDevice.set(record.deviceId, []);
+      recordsByDevice.get(record.deviceId).push(record);
+    });
+
+    const sortedTrips = [...(trips || [])].sort((a, b) => new Date(a.start) - new Date(b.start));
+    return [...recordsByDevice]
+      .flatMap(([id, records]) => buildTripRoutes(
+        sortedTrips.filter(trip => (trip.device?.id || deviceId) === id),
+        records
+      ))
+      .sort((a, b) => a.points[0].time - b.points[0].time);
+  }, [trips, logRecords, deviceId]);
+
+  // Exceptions at their recorded position, or placed on the route at the time they started
+  const exceptionMarkers = useMemo(() => {
+    return (exceptions || [])
+      .map(exc => {
+        if (exc.latitude && exc.longitude) {
+          return { exception: exc, latitude: exc.latitude, longitude: exc.longitude };
+        }
+        const time = new Date(exc.activeFrom).getTime();
+        const route = routes.find(r => time >= r.points[0].time && time <= r.points[r.points.length - 1].time);
+        const position = route && interpolatePosition(route.points, time);
+        return position ? { exception: exc, latitude: position.latitude, longitude: position.longitude } : null;
+      })
+      .filter(Boolean);
+  }, [exceptions, routes]);
+
+  const timeRange = routes.length > 0
+    ? {
+      start: routes[0].points[0].time,
+      end: routes[routes.length - 1].points[routes[routes.length - 1].points.length - 1].time
+    }
+    : null;
+
+  /**
+   * Fit the map to a set of routes
+   */
+  const fitRoutes = useCallback((routesToFit) => {
+    const bounds = getBounds(routesToFit.flatMap(route => route.points));
+    if (bounds) setView(fitBounds(bounds, MAP_WIDTH, MAP_HEIGHT));
+  }, []);
+
+  // New GPS data (or trips arriving after it) resets the view and the playback
+  useEffect(() => {
+    const hasRoutes = routes.length > 0;
+    const previous = fittedRef.current;
+    if (previous.logRecords === logRecords && previous.hasRoutes === hasRoutes) return;
+    fittedRef.current = { logRecords, hasRoutes };
+
+    setSelectedTripId(null);
+    setPlaying(false);
+    setPlayTime(routes.length > 0 ? routes[0].points[0].time : null);
+    fitRoutes(routes);
+  }, [routes, logRecords, fitRoutes]);
+
+  // Advance playback, skipping the time parked between trips
+  useEffect(() => {
+    if (!playing || !timeRange) return undefined;
+
+    let frame = null;
+    let previous = null;
+
+    const step = (now) => {
+      const elapsed = previous === null ? 0 : now - previous;
+      previous = now;
+
+      const next = playTimeRef.current + elapsed * playbackSpeed;
+      const route = routes.find(r => r.points[r.points.length - 1].time >= next);
+      if (!route) {
+        setPlayTime(timeRange.end);
+        setPlaying(false);
+        return;
+      }
+
+      playTimeRef.current = Math.max(next, route.points[0].time);
+      setPlayTime(playTimeRef.current);
+      frame = requestAnimationFrame(step);
+    };
+
+    frame = requestAnimationFrame(step);
+    return () => cancelAnimationFrame(frame);
+  }, [playing, playbackSpeed, routes, timeRange?.start, timeRange?.end]);
+
+  /**
+   * Zoom around the map centre
+   */
+  const zoomBy = useCallback((delta) => {
+    setView(current => current && {
+      ...current,
+      zoom: Math.max(MAP_TILES.MIN_ZOOM, Math.min(MAP_TILES.MAX_ZOOM, current.zoom + delta))
+    });
+  }, []);
+
+  /**
+   * Drag to pan; pointer movement is scaled from screen to SVG units
+   */
+  const handlePointerDown = useCallback((e) => {
+    if (!view || e.button !== 0) return;
+    const rect = svgRef.current.getBoundingClientRect();
+    dragMovedRef.current = false;
+    dragRef.current = {
+      startX: e.clientX,
+      startY: e.clientY,
+      scale: rect.width > 0 ? MAP_WIDTH / rect.width : 1,
+      origin: project(view.center.latitude, view.center.longitude, view.zoom),
+      moved: false
+    };
+  }, [view]);
+
+  const handlePointerMove = useCallback((e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const dx = (e.clientX - drag.startX) * drag.scale;
+    const dy = (e.clientY - drag.startY) * drag.scale;
+    if (Math.abs(dx) + Math.abs(dy) > 3) drag.moved = true;
+    if (!drag.moved) return;
+    setView(current => current && {
+      ...current,
+      center: unproject(drag.origin.x - dx, drag.origin.y - dy, current.zoom)
+    });
+  }, []);
+
+  const handlePointerUp = useCallback(() => {
+    // Remembered so the click that ends a drag doesn't select a trip
+    dragMovedRef.current = Boolean(dragRef.current?.moved);
+    dragRef.current = null;
+  }, []);
+
+  /**
+   * Select a trip: fit the map to it and move playback to its start
+   */
+  const handleSelectRoute = useCallback((route) => {
+    if (dragMovedRef.current) return;
+    setSelectedTripId(route.trip.id);
+    setPlaying(false);
+    setPlayTime(route.points[0].time);
+    fitRoutes([route]);
+  }, [fitRoutes]);
+
+  const handleTileError = useCallback((key) => {
+    setFailedTiles(current => new Set(current).add(key));
+  }, []);
+
+  const handleTogglePlay = useCallback(() => {
+    if (!timeRange) return;
+    // Start over when playback already reached the end
+    if (!playing && playTime >= timeRange.end) setPlayTime(timeRange.start);
+    setPlaying(current => !current);
+  }, [playing, playTime, timeRange]);
+
+  if (loading || logLoading) {
+    return (
+      <div className="trip-map">
+        <div className="trip-map-loading">
+          <div className="skeleton skeleton-chart"></div>
+          {recordCount > 0 && (
+            <span className="trip-map-progress">Loading {formatNumber(recordCount)} GPS records...</span>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="trip-map trip-map--error">
+        <div className="error-message">{error}</div>
+      </div>
+    );
+  }
+
+  if (routes.length === 0 || !view) {
+    return (
+      <div className="trip-map trip-map--empty">
+        <div className="empty-state">
+          <p>No GPS data for trips in this period.</p>
+        </div>
+      </div>
+    );
+  }
+
+  const tiles = getVisibleTiles(view, MAP_WIDTH, MAP_HEIGHT);
+  const selectedRoute = routes.find(route => route.trip.id === selectedTripId);
+  const currentRoute = routes.find(route =>
+    playTime >= route.points[0].time && playTime <= route.points[route.points.length - 1].time
+  );
+  // Between trips the vehicle waits at the end of the previous one
+  const parkedRoute = currentRoute ? null : [...routes].reverse().find(route =>
+    route.points[route.points.length - 1].time <= playTime
+  );
+  const vehicle = currentRoute
+    ? interpolatePosition(currentRoute.points, playTime)
+    : parkedRoute && { ...parkedRoute.points[parkedRoute.points.length - 1], speed: 0 };
+  const vehiclePoint = vehicle && toViewport(view, MAP_WIDTH, MAP_HEIGHT, vehicle.latitude, vehicle.longitude);
+  const trail = currentRoute
+    ? [...currentRoute.points.filter(point => point.time <= playTime), vehicle]
+    : [];
+
+  return (
+    <div className="trip-map">
+      <PagingStatus loading={false} truncatedTypes={truncated ? ['LogRecord'] : []} />
+      <div className="trip-map-viewport">
+        <svg
+          ref={svgRef}
+          className="trip-map-svg"
+          viewBox={`0 0 ${MAP_WIDTH} ${MAP_HEIGHT}`}
+          aria-label={`Map of ${routes.length} trips`}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerLeave={handlePointerUp}
+        >
+          {/* Tiles */}
+          <g className="trip-map-tiles">
+            {tiles.map(tile => (
+              <image
+                key={tile.key}
+                href={failedTiles.has(tile.key) ? createOfflineTile(tile) : getTileUrl(tileSource, tile)}
+                x={tile.left}
+                y={tile.top}
+                width={MAP_TILES.TILE_SIZE}
+                height={MAP_TILES.TILE_SIZE}
+                onError={() => handleTileError(tile.key)}
+              />
+            ))}
+          </g>
+
+          {/* Routes */}
+          {routes.map(route => (
+            <polyline
+              key={route.trip.id}
+              className={`trip-route ${route.trip.id === selectedTripId ? 'trip-route--selected' : ''}`}
+              points={toPolyline(route.points, view)}
+              onClick={() => handleSelectRoute(route)}
+            >
+              <title>
+                {formatDateTime(route.trip.start)} - {formatTime(route.trip.stop)},{' '}
+                {formatDistance(route.trip.distance, units)}
+              </title>
+            </polyline>
+          ))}
+
+          {/* Travelled part of the current trip */}
+          {trail.length > 1 && (
+            <polyline className="trip-route-trail" points={toPolyline(trail, view)} />
+          )}
+
+          {/* Exceptions */}
+          {exceptionMarkers.map(({ exception, latitude, longitude }) => {
+            const { x, y } = toViewport(view, MAP_WIDTH, MAP_HEIGHT, latitude, longitude);
+            return (
+              <circle key={exception.id} className="trip-map-exception" cx={x} cy={y} r="5">
+                <title>{exception.ruleName || 'Exception'} - {formatDateTime(exception.activeFrom)}</title>
+              </circle>
+            );
+          })}
+
+          {/* Vehicle */}
+          {vehiclePoint && (
+            <g className="trip-map-vehicle" transform={`translate(${vehiclePoint.x}, ${vehiclePoint.y})`}>
+              <circle r="9" className="trip-map-vehicle-halo" />
+              <circle r="5" className="trip-map-vehicle-dot" />
+            </g>
+          )}
+        </svg>
+
+        <div className="trip-map-zoom">
+          <button type="button" onClick={() => zoomBy(1)} aria-label="Zoom in">+</button>
+          <button type="button" onClick={() => zoomBy(-1)} aria-label="Zoom out">-</button>
+          <button type="button" onClick={() => fitRoutes(routes)} aria-label="Show all trips">Fit</button>
+        </div>
+
+        {tileSource !== OFFLINE_TILES && (
+          <div className="trip-map-attribution">{MAP_TILES.ATTRIBUTION}</div>
+        )}
+      </div>
+
+      <div className="trip-map-playback">
+        <button
+          type="button"
+          className="trip-map-play"
+          onClick={handleTogglePlay}
+          aria-label={playing ? 'Pause playback' : 'Play trips'}
+        >
+          {playing ? 'Pause' : 'Play'}
+        </button>
+        <input
+          type="range"
+          className="trip-map-slider"
+          min={timeRange.start}
+          max={timeRange.end}
+          step={1000}
+          value={playTime ?? timeRange.start}
+          onChange={e => setPlayTime(Number(e.target.value))}
+          aria-label="Playback time"
+        />
+        <select
+          className="trip-map-speed"
+          value={playbackSpeed}
+          onChange={e => setPlaybackSpeed(Number(e.target.value))}
+          aria-label="Playback speed"
+        >
+          {PLAYBACK_SPEEDS.map(speed => (
+            <option key={speed} value={speed}>{speed}x</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="trip-map-info">
+        <span>{formatDateTime(new Date(playTime ?? timeRange.start))}</span>
+        <span>{currentRoute ? formatSpeed(vehicle.speed, units) : 'Parked'}</span>
+        {selectedRoute && (
+          <span>
+            Selected trip: {formatTime(selectedRoute.trip.start)} - {formatTime(selectedRoute.trip.stop)},{' '}
+            {formatDistance(selectedRoute.trip.distance, units)}
+          </span>
+        )}
+        <span className="trip-map-legend">
+          {formatNumber(routes.length)} trips, {formatNumber(exceptionMarkers.length)} exceptions
+        </span>
+      </div>
+    </div>
+  );
+}
+
+export default TripMap;
@@ -0,0 +1,486 @@
+/**
+ * Trips Table Component
+ * Lists each trip with addresses, durations and speed, with a drill-down per trip
+ */
+
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { formatDate, formatTime, formatDateTime, formatDuration, parseTimeSpan } from '../utils/dateUtils';
+import {
+  formatDistance,
+  formatSpeed,
+  formatDriverName,
+  formatAddress,
+  truncateText,
+  getDistanceValue,
+  getDistanceUnit,
+  getSpeedValue,
+  getSpeedUnit
+} from '../utils/formatters';
+import { COLORS } from '../utils/constants';
+import { exportTable } from '../utils/exportUtils';
+import { sortRecords, getNextSort } from '../utils/tableUtils';
+import { getSpeedRanges } from '../utils/tripStats';
+import { useGeotabApi } from '../hooks/useGeotabApi';
+import { useAddresses } from '../hooks/useAddresses';
+import { useSettings } from '../hooks/useSettings';
+import ExportButtons from './ExportButtons';
+import SortableHeader from './SortableHeader';
+
+// Sort values for each sortable column
+const SORT_ACCESSORS = {
+  start: trip => new Date(trip.start),
+  stop: trip => new Date(trip.stop),
+  distance: trip => trip.distance,
+  driving: trip => parseTimeSpan(trip.drivingDuration),
+  idling: trip => parseTimeSpan(trip.idlingDuration),
+  maxSpeed: trip => trip.maximumSpeed,
+  driver: trip => formatDriverName(trip.driverInfo).fullName
+};
+
+/**
+ * Start and stop coordinates for every trip, keyed by trip id
+ * Trips only record where they stopped, so a trip starts where the previous one stopped
+ * @param {Array} trips
+ * @returns {Map<string, { start: object, stop: object }>}
+ */
+function getTripPoints(trips) {
+  const points = new Map();
+  let previousStop = null;
+
+  [...(trips || [])]
+    .sort((a, b) => new Date(a.start) - new Date(b.start))
+    .forEach(trip => {
+      points.set(trip.id, {
+        start: trip.startPoint || previousStop,
+        stop: trip.stopPoint || null
+      });
+      previousStop = trip.stopPoint || null;
+    });
+
+  return points;
+}
+
+/**
+ * Address lookups for a page of trips: one pseudo-record per start and stop point
+ */
+function getAddressRecords(trips, tripPoints) {
+  return trips.flatMap(trip => {
+    const points = tripPoints.get(trip.id) || {};
+    return [
+      { id: `${trip.id}-start`, point: points.start },
+      { id: `${trip.id}-stop`, point: points.stop }
+    ];
+  });
+}
+
+/**
+ * Get the coordinate of an address pseudo-record
+ */
+function getPointCoordinate(record) {
+  if (record.point?.x == null || record.point?.y == null) return null;
+  return { x: record.point.x, y: record.point.y };
+}
+
+/**
+ * Column definitions for exporting trips
+ * @param {object} units - Unit profile
+ * @param {object} addresses - Resolved addresses keyed by "<trip id>-start" / "<trip id>-stop"
+ */
+function getExportColumns(units, addresses) {
+  return [
+    { header: 'Start', value: trip => formatDateTime(trip.start) },
+    { header: 'Stop', value: trip => formatDateTime(trip.stop) },
+    { header: 'Start Address', value: trip => formatAddress(addresses[`${trip.id}-start`]) },
+    { header: 'Stop Address', value: trip => formatAddress(addresses[`${trip.id}-stop`]) },
+    {
+      header: `Distance (${getDistanceUnit(units)})`,
+      value: trip => trip.distance != null ? Number(getDistanceValue(trip.distance, units).toFixed(1)) : null
+    },
+    { header: 'Driving', value: trip => formatDuration(parseTimeSpan(trip.drivingDuration) * 1000) },
+    { header: 'Idling', value: trip => formatDuration(parseTimeSpan(trip.idlingDuration) * 1000) },
+    {
+      header: `Max Speed (${getSpeedUnit(units)})`,
+      value: trip => trip.maximumSpeed != null ? Math.round(getSpeedValue(trip.maximumSpeed, units)) : null
+    },
+    { header: 'Driver', value: trip => formatDriverName(trip.driverInfo).fullName }
+  ];
+}
+
+/**
+ * Trips table with sorting, pagination and expandable details
+ * Page and sort are controlled by the parent so they can be persisted
+ */
+function TripsTable({
+  trips,
+  exceptions,
+  deviceId,
+  loading,
+  units,
+  speedRangeLimits,
+  api,
+  exportFileName,
+  page = 1,
+  onPageChange,
+  sort = null,
+  onSortChange
+}) {
+  const [expandedRows, setExpandedRows] = useState(new Set());
+  const [exporting, setExporting] = useState(false);
+
+  const { navigateToTrips } = useGeotabApi(api);
+  const { addresses, loading: loadingAddresses, error: addressError, resolveAddresses } = useAddresses(api);
+  const { settings } = useSettings();
+  const pageSize = settings.pageSize;
+
+  const tripPoints = useMemo(() => getTripPoints(trips), [trips]);
+
+  const sortedTrips = useMemo(() => {
+    return sortRecords(trips, sort, SORT_ACCESSORS);
+  }, [trips, sort]);
+
+  // Calculate pagination, keeping a restored page within range
+  const totalPages = useMemo(() => {
+    return Math.ceil((trips?.length || 0) / pageSize);
+  }, [trips?.length, pageSize]);
+
+  const currentPage = Math.max(1, Math.min(page, totalPages));
+
+  const paginatedTrips = useMemo(() => {
+    const start = (currentPage - 1) * pageSize;
+    return sortedTrips.slice(start, start + pageSize);
+  }, [sortedTrips, currentPage, pageSize]);
+
+  // Load addresses for current page trips
+  useEffect(() => {
+    if (api) {
+      resolveAddresses(getAddressRecords(paginatedTrips, tripPoints), getPointCoordinate);
+    }
+  }, [api, paginatedTrips, tripPoints, resolveAddresses]);
+
+  // Collapse expanded rows when trips change
+  useEffect(() => {
+    setExpandedRows(new Set());
+  }, [trips]);
+
+  // Sort by a column, returning to the first page
+  const handleSort = useCallback((key) => {
+    onSortChange?.(getNextSort(sort, key));
+    onPageChange?.(1);
+  }, [sort, onSortChange, onPageChange]);
+
+  // Toggle row expansion
+  const toggleRow = useCallback((id) => {
+    setExpandedRows(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  }, []);
+
+  // Open the trip in MyGeotab's trips history
+  const handleViewTrip = useCallback((trip) => {
+    navigateToTrips(trip.device?.id || deviceId, { start: new Date(trip.start), end: new Date(trip.stop) });
+  }, [navigateToTrips, deviceId]);
+
+  // Export every trip, resolving addresses beyond the current page first
+  const handleExport = useCallback(async (format) => {
+    setExporting(true);
+    try {
+      const allAddresses = api
+        ? await resolveAddresses(getAddressRecords(sortedTrips, tripPoints), getPointCoordinate)
+        : addresses;
+      exportTable(format, {
+        fileName: exportFileName || 'trips',
+        sheetName: 'Trips',
+        columns: getExportColumns(units, allAddresses),
+        rows: sortedTrips
+      });
+    } catch (err) {
+      console.error('Error exporting trips:', err);
+    } finally {
+      setExporting(false);
+    }
+  }, [api, sortedTrips, tripPoints, units, exportFileName, addresses, resolveAddresses]);
+
+  /**
+   * Exceptions that started during a trip
+   */
+  const getTripExceptions = useCallback((trip) => {
+    const start = new Date(trip.start);
+    const stop = new Date(trip.stop);
+    return (exceptions || []).filter(exc => {
+      const activeFrom = new Date(exc.activeFrom);
+      return activeFrom >= start && activeFrom <= stop;
+    });
+  }, [exceptions]);
+
+  if (loading) {
+    return (
+      <div className="trips-table trips-table--loading">
+        <div className="table-skeleton">
+          <div className="skeleton skeleton-header"></div>
+          {[1, 2, 3, 4, 5].map(i => (
+            <div key={i} className="skeleton skeleton-row"></div>
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  if (!trips || trips.length === 0) {
+    return (
+      <div className="trips-table trips-table--empty">
+        <div className="empty-state">
+          <svg className="empty-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <circle cx="6" cy="18" r="2" />
+            <circle cx="18" cy="6" r="2" />
+            <path d="M8 18h6a4 4 0 000-8h-4a4 4 0 010-8h6" />
+          </svg>
+          <p>No trips recorded during this period</p>
+        </div>
+      </div>
+    );
+  }
+
+  const renderAddress = (key) => {
+    if (loadingAddresses && !addresses[key]) {
+      return <span className="loading-text">Loading...</span>;
+    }
+    const address = formatAddress(addresses[key]);
+    return (
+      <span className="location-text" title={address}>
+        {truncateText(address, 30)}
+      </span>
+    );
+  };
+
+  return (
+    <div className="trips-table">
+      <div className="table-container">
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th className="col-expand"></th>
+              <SortableHeader className="col-datetime" sortKey="start" sort={sort} onSort={handleSort}>
+                Start
+              </SortableHeader>
+              <SortableHeader className="col-datetime" sortKey="stop" sort={sort} onSort={handleSort}>
+                Stop
+              </SortableHeader>
+              <th className="col-location">Start Address</th>
+              <th className="col-location">Stop Address</th>
+              <SortableHeader className="col-distance" sortKey="distance" sort={sort} onSort={handleSort}>
+                Distance
+              </SortableHeader>
+              <SortableHeader className="col-duration" sortKey="driving" sort={sort} onSort={handleSort}>
+                Driving
+              </SortableHeader>
+              <SortableHeader className="col-duration" sortKey="idling" sort={sort} onSort={handleSort}>
+                Idling
+              </SortableHeader>
+              <SortableHeader className="col-speed" sortKey="maxSpeed" sort={sort} onSort={handleSort}>
+                Max Speed
+              </SortableHeader>
+              <SortableHeader className="col-driver" sortKey="driver" sort={sort} onSort={handleSort}>
+                Driver
+              </SortableHeader>
+            </tr>
+          </thead>
+          <tbody>
+            {paginatedTrips.map(trip => {
+              const driver = formatDriverName(trip.driverInfo);
+              const isExpanded = expandedRows.has(trip.id);
+
+              return (
+                <React.Fragment key={trip.id}>
+                  <tr
+                    className={`table-row ${isExpanded ? 'table-row--expanded' : ''}`}
+                    onClick={() => toggleRow(trip.id)}
+                  >
+                    <td className="col-expand">
+                      <button
+                        className="expand-btn"
+                        aria-expanded={isExpanded}
+                        aria-label={isExpanded ? 'Collapse' : 'Expand'}
+                      >
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                          <polyline points={isExpanded ? '18 15 12 9 6 15' : '6 9 12 15 18 9'} />
+                        </svg>
+                      </button>
+                    </td>
+                    <td className="col-datetime" data-label="Start">
+                      <div className="datetime">
+                        <span className="date">{formatDate(trip.start)}</span>
+                        <span className="time">{formatTime(trip.start)}</span>
+                      </div>
+                    </td>
+                    <td className="col-datetime" data-label="Stop">
+                      <div className="datetime">
+                        <span className="date">{formatDate(trip.stop)}</span>
+                        <span className="time">{formatTime(trip.stop)}</span>
+                      </div>
+                    </td>
+                    <td className="col-location" data-label="Start Address">
+                      {renderAddress(`${trip.id}-start`)}
+                    </td>
+                    <td className="col-location" data-label="Stop Address">
+                      {renderAddress(`${trip.id}-stop`)}
+                    </td>
+                    <td className="col-distance" data-label="Distance">
+                      {trip.distance != null ? formatDistance(trip.distance, units) : '--'}
+                    </td>
+                    <td className="col-duration" data-label="Driving">
+                      {formatDuration(parseTimeSpan(trip.drivingDuration) * 1000)}
+                    </td>
+                    <td className="col-duration" data-label="Idling">
+                      {formatDuration(parseTimeSpan(trip.idlingDuration) * 1000)}
+                    </td>
+                    <td className="col-speed" data-label="Max Speed">
+                      {trip.maximumSpeed != null ? formatSpeed(trip.maximumSpeed, units) : '--'}
+                    </td>
+                    <td className="col-driver" data-label="Driver">
+                      <div className="driver-name">
+                        <span className="driver-first">{driver.firstName}</span>
+                        <span className="driver-last">{driver.lastName}</span>
+                      </div>
+                    </td>
+                  </tr>
+
+                  {/* Expanded Details Row */}
+                  {isExpanded && (
+                    <tr className="table-row table-row--details">
+                      <td colSpan="10">
+                        <TripDetails
+                          trip={trip}
+                          exceptions={getTripExceptions(trip)}
+                          units={units}
+                          speedRangeLimits={speedRangeLimits}
+                          onViewTrip={handleViewTrip}
+                        />
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Pagination */}
+      {totalPages > 1 && (
+        <div className="table-pagination">
+          <button
+            className="pagination-btn"
+            onClick={() => onPageChange?.(Math.max(1, currentPage - 1))}
+            disabled={currentPage === 1}
+            aria-label="Previous page"
+          >
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <polyline points="15 18 9 12 15 6" />
+            </svg>
+          </button>
+
+          <span className="pagination-info">
+            Page {currentPage} of {totalPages}
+          </span>
+
+          <button
+            className="pagination-btn"
+            onClick={() => onPageChange?.(Math.min(totalPages, currentPage + 1))}
+            disabled={currentPage === totalPages}
+            aria-label="Next page"
+          >
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <polyline points="9 18 15 12 9 6" />
+            </svg>
+          </button>
+        </div>
+      )}
+
+      {/* Total count */}
+      <div className="table-footer">
+        <span className="table-count">
+          Showing {paginatedTrips.length} of {trips.length} trips
+        </span>
+        <ExportButtons onExport={handleExport} exporting={exporting} warning={addressError} />
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Drill-down for one trip: speed profile, exceptions during the trip and a MyGeotab link
+ */
+function TripDetails({ trip, exceptions, units, speedRangeLimits, onViewTrip }) {
+  const speedRanges = getSpeedRanges([trip], units, speedRangeLimits);
+
+  return (
+    <div className="trip-details">
+      <div className="trip-details-section">
+        <h3 className="trip-details-title">Speed Profile</h3>
+        <div className="trip-speed-profile">
+          {speedRanges.map(range => (
+            <div key={range.label} className="trip-speed-range">
+              <span className="trip-speed-label">{range.label}</span>
+              <div className="trip-speed-bar">
+                <div
+                  className="trip-speed-fill"
+                  style={{ width: `${range.percentage}%`, background: COLORS[range.color] }}
+                />
+              </div>
+              <span className="trip-speed-value">
+                {range.percentage.toFixed(0)}% ({formatDuration(range.time * 1000)})
+              </span>
+            </div>
+          ))}
+        </div>
+        <div className="detail-grid">
+          <div className="detail-item">
+            <span className="detail-label">Average Speed</span>
+            <span className="detail-value">
+              {trip.averageSpeed != null ? formatSpeed(trip.averageSpeed, units) : '--'}
+            </span>
+          </div>
+          <div className="detail-item">
+            <span className="detail-label">Max Speed</span>
+            <span className="detail-value">
+              {trip.maximumSpeed != null ? formatSpeed(trip.maximumSpeed, units) : '--'}
+            </span>
+          </div>
+        </div>
+      </div>
+
+      <div className="trip-details-section">
+        <h3 className="trip-details-title">Exceptions During Trip ({exceptions.length})</h3>
+        {exceptions.length === 0 ? (
+          <p className="trip-details-empty">No exceptions during this trip</p>
+        ) : (
+          <ul className="trip-exception-list">
+            {exceptions.map(exc => (
+              <li key={exc.id} className="trip-exception">
+                <span className="rule-name">{exc.ruleName}</span>
+                <span className="trip-exception-time">{formatTime(exc.activeFrom, true)}</span>
+                <span className="trip-exception-duration">
+                  {formatDuration(new Date(exc.activeTo || exc.activeFrom) - new Date(exc.activeFrom))}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div className="detail-actions">
+        <button className="detail-btn" onClick={() => onViewTrip(trip)}>
+          Open in MyGeotab
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default TripsTable;
@@ -5,11 +5,13 @@
 
 import React from 'react';
 import { formatPercentage } from '../utils/formatters';
+import { METRIC_GOOD_DIRECTIONS } from '../utils/constants';
+import DeltaIndicator from './DeltaIndicator';
 
 /**
- * Single breakdown bar item
+ * Single breakdown bar item, with the change in percentage points when previousPercentage is given
  */
-function BreakdownItem({ label, percentage, colorClass, loading }) {
+function BreakdownItem({ itemKey, label, percentage, previousPercentage, colorClass, loading }) {
   if (loading) {
     return (
       <div className="breakdown-item breakdown-item--loading">
@@ -33,6 +35,13 @@ function BreakdownItem({ label, percentage, colorClass, loading }) {
         </span>
         <span className="breakdown-percentage">
           {formatPercentage(percentage, false, 1)}
+          <DeltaIndicator
+            current={percentage}
+            previous={previousPercentage}
+            goodDirection={METRIC_GOOD_DIRECTIONS[itemKey]}
+            points
+            formatValue={value => formatPercentage(value, false, 1)}
+          />
         </span>
       </div>
       <div className="breakdown-bar">
@@ -93,8 +102,9 @@ function StackedBar({ breakdown, loading }) {
 
 /**
  * Usage breakdown display
+ * When previousBreakdown is provided, each share shows its change from the previous period
  */
-function UsageBreakdown({ breakdown, loading }) {
+function UsageBreakdown({ breakdown, loading, previousBreakdown }) {
   const items = [
     { 
       key: 'driving', 
@@ -126,8 +136,10 @@ function UsageBreakdown({ breakdown, loading }) {
         {items.map(item => (
           <BreakdownItem
             key={item.key}
+            itemKey={item.key}
             label={item.label}
             percentage={item.percentage}
+            previousPercentage={previousBreakdown?.[item.key]}
             colorClass={item.colorClass}
             loading={loading}
           />
@@ -9,14 +9,32 @@ import {
   formatFuelLevel, 
   formatFuelEconomy, 
   formatOdometer,
-  formatNumber
+  formatNumber,
+  formatPercentage,
+  formatCurrency,
+  getFuelEconomyValue,
+  getFuelEconomyUnit,
+  getFuelUnit,
+  getFuelVolumeValue
 } from '../utils/formatters';
-import { formatDuration } from '../utils/dateUtils';
+import { isInvertedUnit } from '../utils/unitUtils';
+import { formatDuration, formatDate } from '../utils/dateUtils';
+import { METRIC_GOOD_DIRECTIONS, TREND_DIRECTIONS, UNIT_MEASURES } from '../utils/constants';
+import DeltaIndicator from './DeltaIndicator';
 
 /**
- * Single stat card component
+ * Opposite good direction, for metrics whose display unit inverts the value
  */
-function StatCard({ label, value, icon, loading, className = '' }) {
+function flipDirection(direction) {
+  if (direction === TREND_DIRECTIONS.UP) return TREND_DIRECTIONS.DOWN;
+  if (direction === TREND_DIRECTIONS.DOWN) return TREND_DIRECTIONS.UP;
+  return direction;
+}
+
+/**
+ * Single stat card component, with the change from the previous period under the label
+ */
+function StatCard({ label, value, icon, loading, comparison, detail, className = '' }) {
   if (loading) {
     return (
       <div className={`stat-card stat-card--loading ${className}`}>
@@ -35,6 +53,52 @@ function StatCard({ label, value, icon, loading, className = '' }) {
       <div className="stat-content">
         <div className="stat-value">{value}</div>
         <div className="stat-label">{label}</div>
+        {detail && <div className="stat-detail">{detail}</div>}
+        {comparison && <div className="stat-comparison">{comparison}</div>}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Side-by-side usage comparison for several devices, ranked by distance
+ */
+function FleetStatsTable({ fleetStats, units }) {
+  const rankedStats = [...fleetStats].sort(
+    (a, b) => b.summary.distanceDriven - a.summary.distanceDriven
+  );
+
+  return (
+    <div className="fleet-stats">
+      <div className="table-container">
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th className="col-rank">#</th>
+              <th className="col-device">Device</th>
+              <th>Trips</th>
+              <th>Days Driven</th>
+              <th>Distance Driven</th>
+              <th>Time Driven</th>
+              <th>Idle %</th>
+              <th>Exceptions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rankedStats.map(({ device, summary, exceptionCount }, index) => (
+              <tr key={device.id} className="table-row">
+                <td className="col-rank" data-label="Rank">{index + 1}</td>
+                <td className="col-device" data-label="Device">{device.name}</td>
+                <td data-label="Trips">{formatNumber(summary.tripCount)}</td>
+                <td data-label="Days Driven">{formatNumber(summary.daysDriven)}</td>
+                <td data-label="Distance Driven">{formatDistance(summary.distanceDriven, units)}</td>
+                <td data-label="Time Driven">{formatDuration(summary.timeDriven)}</td>
+                <td data-label="Idle %">{formatPercentage(summary.idlePercentage, false, 1)}</td>
+                <td data-label="Exceptions">{formatNumber(exceptionCount)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
       </div>
     </div>
   );
@@ -42,8 +106,19 @@ function StatCard({ label, value, icon, loading, className = '' }) {
 
 /**
  * Usage statistics grid
+ * When fleetStats is provided, shows a per-device comparison instead
+ * When previousStats is provided, each period stat shows its change from previousRange
+ * The cost of operation card needs costModel and dateRange
  */
-function UsageStats({ stats, loading, isMetric }) {
+function UsageStats({ stats, loading, units, costModel, dateRange, fleetStats, previousStats, previousRange }) {
+  if (fleetStats && !loading) {
+    return (
+      <div className="usage-stats">
+        <FleetStatsTable fleetStats={fleetStats} units={units} />
+      </div>
+    );
+  }
+
   // Icons for stats (simple SVG icons)
   const icons = {
     calendar: (
@@ -90,16 +165,68 @@ function UsageStats({ stats, loading, isMetric }) {
         <path d="M12 8h.01" />
         <path d="M8 12h8" />
       </svg>
+    ),
+    cost: (
+      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+        <line x1="12" y1="1" x2="12" y2="23" />
+        <path d="M17 5H9.5a3.5 3.5 0 0 0 0 7h5a3.5 3.5 0 0 1 0 7H6" />
+      </svg>
     )
   };
 
+  // Fuel burned at the period's average price plus distance-based costs
+  const operationCost = costModel && dateRange && stats ? costModel.getOperationCost(stats, dateRange) : null;
+  const previousOperationCost = costModel && previousStats && previousRange
+    ? costModel.getOperationCost(previousStats, previousRange)
+    : null;
+  const formatCost = value => formatCurrency(value, costModel?.currency);
+
+  // Average fuel price in the display unit, or the split when there are other costs
+  const describeOperationCost = () => {
+    if (!operationCost || operationCost.total == null) return null;
+    if (operationCost.operating > 0) {
+      return `Fuel ${formatCost(operationCost.fuel)} + other ${formatCost(operationCost.operating)}`;
+    }
+    const pricePerLiter = costModel.getAverageFuelPrice(dateRange.start, dateRange.end);
+    const price = pricePerLiter / getFuelVolumeValue(1, units);
+    return `Fuel at ${formatCost(price)}/${getFuelUnit(units)}`;
+  };
+
+  // Change from the previous period for a stat (current-state stats have none)
+  const compare = (key, formatValue) => {
+    if (!previousStats) return null;
+    return (
+      <DeltaIndicator
+        current={stats?.[key]}
+        previous={previousStats[key]}
+        goodDirection={METRIC_GOOD_DIRECTIONS[key]}
+        formatValue={formatValue}
+      />
+    );
+  };
+
+  // Fuel economy is compared as displayed, so in mpg or km/L the good direction flips
+  const compareFuelEconomy = () => {
+    if (!previousStats) return null;
+    const goodDirection = METRIC_GOOD_DIRECTIONS.fuelEconomy;
+    return (
+      <DeltaIndicator
+        current={getFuelEconomyValue(stats?.fuelEconomy, units)}
+        previous={getFuelEconomyValue(previousStats.fuelEconomy, units)}
+        goodDirection={isInvertedUnit(UNIT_MEASURES.FUEL_ECONOMY, units) ? flipDirection(goodDirection) : goodDirection}
+        formatValue={value => `${formatNumber(value, 1)} ${getFuelEconomyUnit(units)}`}
+      />
+    );
+  };
+
   // Prepare stat values
   const statCards = [
     {
       key: 'daysDriven',
       label: 'Days Driven',
       value: stats?.daysDriven != null ? formatNumber(stats.daysDriven) : '--',
-      icon: icons.calendar
+      icon: icons.calendar,
+      comparison: compare('daysDriven', value => formatNumber(value))
     },
     {
       key: 'fuelLevel',
@@ -111,9 +238,10 @@ function UsageStats({ stats, loading, isMetric }) {
       key: 'distanceDriven',
       label: 'Distance Driven',
       value: stats?.distanceDriven != null 
-        ? formatDistance(stats.distanceDriven, isMetric) 
+        ? formatDistance(stats.distanceDriven, units) 
         : '--',
-      icon: icons.distance
+      icon: icons.distance,
+      comparison: compare('distanceDriven', value => formatDistance(value, units))
     },
     {
       key: 'timeDriven',
@@ -121,26 +249,46 @@ function UsageStats({ stats, loading, isMetric }) {
       value: stats?.timeDriven != null 
         ? formatDuration(stats.timeDriven) 
         : '--',
-      icon: icons.clock
+      icon: icons.clock,
+      comparison: compare('timeDriven', value => formatDuration(value))
     },
     {
       key: 'fuelEconomy',
       label: 'Fuel Economy',
       value: stats?.fuelEconomy != null 
-        ? formatFuelEconomy(stats.fuelEconomy, isMetric) 
+        ? formatFuelEconomy(stats.fuelEconomy, units) 
         : '--',
-      icon: icons.gauge
+      icon: icons.gauge,
+      comparison: compareFuelEconomy()
     },
     {
       key: 'odometer',
       label: 'Odometer',
       value: stats?.odometer != null 
-        ? formatOdometer(stats.odometer, isMetric) 
+        ? formatOdometer(stats.odometer, units) 
         : '--',
       icon: icons.odometer
     }
   ];
 
+  if (costModel) {
+    statCards.push({
+      key: 'operatingCost',
+      label: 'Total Cost of Operation',
+      value: operationCost?.total != null ? formatCost(operationCost.total) : '--',
+      icon: icons.cost,
+      detail: describeOperationCost(),
+      comparison: previousOperationCost && (
+        <DeltaIndicator
+          current={operationCost?.total}
+          previous={previousOperationCost.total}
+          goodDirection={METRIC_GOOD_DIRECTIONS.operatingCost}
+          formatValue={formatCost}
+        />
+      )
+    });
+  }
+
   return (
     <div className="usage-stats">
       <div className="stats-grid">
@@ -151,9 +299,16 @@ function UsageStats({ stats, loading, isMetric }) {
             value={stat.value}
             icon={stat.icon}
             loading={loading}
+            comparison={stat.comparison}
+            detail={stat.detail}
           />
         ))}
       </div>
+      {previousStats && previousRange && !loading && (
+        <p className="comparison-caption">
+          Changes compared with {formatDate(previousRange.start)} – {formatDate(previousRange.end)}
+        </p>
+      )}
     </div>
   );
 }
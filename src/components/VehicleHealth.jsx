@@ -0,0 +1,210 @@
+/**
+ * Vehicle Health Component
+ * Engine hours, coolant temperature, battery state-of-charge trend and fault codes (loaded asynchronously)
+ */
+
+import React from 'react';
+import { useVehicleHealth } from '../hooks/useVehicleHealth';
+import { formatNumber, formatTemperature } from '../utils/formatters';
+import { formatDate, formatDateTime } from '../utils/dateUtils';
+import { API_LIMITS, FAULT_SEVERITIES } from '../utils/constants';
+
+// Most points drawn in the battery trend
+const MAX_CHART_POINTS = 100;
+
+const SEVERITY_LABELS = {
+  [FAULT_SEVERITIES.CRITICAL]: 'Critical',
+  [FAULT_SEVERITIES.WARNING]: 'Warning',
+  [FAULT_SEVERITIES.INFO]: 'Info'
+};
+
+/**
+ * Format engine seconds as hours
+ */
+function formatEngineHours(seconds) {
+  return seconds != null ? `${formatNumber(seconds / 3600, 1)} h` : '--';
+}
+
+/**
+ * Battery state of charge over the range as a line
+ */
+function BatteryTrend({ points }) {
+  if (points.length < 2) {
+    return <p className="health-empty">Not enough battery readings to show a trend.</p>;
+  }
+
+  const sampled = points.length > MAX_CHART_POINTS
+    ? points.filter((_, i) => i % Math.ceil(points.length / MAX_CHART_POINTS) === 0)
+    : points;
+  const toPoint = (point, i) => `${(i / (sampled.length - 1)) * 800},${120 - (point.level / 100) * 120}`;
+
+  return (
+    <div className="health-battery-chart">
+      <svg viewBox="0 0 800 120" preserveAspectRatio="none" role="img" aria-label="Battery state of charge over time">
+        {[25, 50, 75].map(y => (
+          <line
+            key={y}
+            x1="0"
+            y1={120 - y * 1.2}
+            x2="800"
+            y2={120 - y * 1.2}
+            stroke="var(--color-border)"
+            strokeWidth="1"
+            strokeDasharray="4 4"
+          />
+        ))}
+        <polyline
+          points={sampled.map(toPoint).join(' ')}
+          fill="none"
+          stroke="var(--color-success)"
+          strokeWidth="2"
+          strokeLinecap="round"
+          strokeLinejoin="round"
+        />
+      </svg>
+      <div className="health-battery-axis">
+        <span>{formatDate(points[0].date, 'MMM D')}</span>
+        <span>{formatDate(points[points.length - 1].date, 'MMM D')}</span>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Vehicle health panel for one device
+ * @param {object} props
+ * @param {object} props.api - Geotab API object
+ * @param {string} props.deviceId - Device ID
+ * @param {object} props.dateRange - { start: Date, end: Date }
+ * @param {object} props.units - Unit profile for the temperature
+ */
+function VehicleHealth({ api, deviceId, dateRange, units }) {
+  const {
+    loading,
+    error,
+    engineHours,
+    coolantTemperature,
+    battery,
+    batteryTruncated,
+    faults
+  } = useVehicleHealth(api, deviceId, dateRange);
+
+  if (loading) {
+    return (
+      <div className="vehicle-health vehicle-health--loading">
+        <div className="health-stats">
+          {[1, 2, 3, 4].map(i => (
+            <div key={i} className="health-stat">
+              <div className="skeleton skeleton-value"></div>
+              <div className="skeleton skeleton-label"></div>
+            </div>
+          ))}
+        </div>
+        <div className="skeleton skeleton-chart"></div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="vehicle-health vehicle-health--error">
+        <div className="error-message">{error}</div>
+      </div>
+    );
+  }
+
+  const latestBattery = battery[battery.length - 1];
+  const lowestBattery = battery.length > 0 ? Math.min(...battery.map(point => point.level)) : null;
+  const activeCount = faults.filter(fault => fault.active).length;
+
+  return (
+    <div className="vehicle-health">
+      <div className="health-stats">
+        <div className="health-stat">
+          <div className="health-stat-value">{formatEngineHours(engineHours.period)}</div>
+          <div className="health-stat-label">Engine Hours This Period</div>
+        </div>
+        <div className="health-stat">
+          <div className="health-stat-value">{formatEngineHours(engineHours.lifetime)}</div>
+          <div className="health-stat-label">Lifetime Engine Hours</div>
+        </div>
+        <div className="health-stat">
+          <div className="health-stat-value">
+            {coolantTemperature != null ? formatTemperature(coolantTemperature, units) : '--'}
+          </div>
+          <div className="health-stat-label">Coolant Temperature</div>
+        </div>
+        <div className="health-stat">
+          <div className="health-stat-value">
+            {latestBattery ? `${formatNumber(latestBattery.level, 0)}%` : '--'}
+          </div>
+          <div className="health-stat-label">
+            Battery Charge{lowestBattery != null && ` (low ${formatNumber(lowestBattery, 0)}%)`}
+          </div>
+        </div>
+      </div>
+
+      <div className="health-section">
+        <div className="health-section-title">Battery State of Charge</div>
+        {battery.length > 0
+          ? <BatteryTrend points={battery} />
+          : <p className="health-empty">No battery readings for this period.</p>}
+        {batteryTruncated && (
+          <p className="health-empty">
+            Only the first {formatNumber(API_LIMITS.PAGED_MAX_RECORDS)} battery readings were loaded.
+            Narrow the date range to see the whole trend.
+          </p>
+        )}
+      </div>
+
+      <div className="health-section">
+        <div className="health-section-title">
+          Fault Codes
+          {faults.length > 0 && (
+            <span className="health-section-subtitle">{activeCount} active, {faults.length - activeCount} cleared</span>
+          )}
+        </div>
+        {faults.length === 0 ? (
+          <p className="health-empty">No faults reported during this period.</p>
+        ) : (
+          <div className="table-container">
+            <table className="data-table fault-table">
+              <thead>
+                <tr>
+                  <th>Severity</th>
+                  <th>Fault</th>
+                  <th>Code</th>
+                  <th>State</th>
+                  <th className="col-count">Occurrences</th>
+                  <th>Last Seen</th>
+                </tr>
+              </thead>
+              <tbody>
+                {faults.map(fault => (
+                  <tr key={fault.key} className="table-row">
+                    <td>
+                      <span className={`fault-severity fault-severity--${fault.severity}`}>
+                        {SEVERITY_LABELS[fault.severity]}
+                      </span>
+                    </td>
+                    <td>{fault.description}</td>
+                    <td className="fault-code">{fault.code || '--'}</td>
+                    <td>
+                      <span className={`fault-state ${fault.active ? 'fault-state--active' : ''}`}>
+                        {fault.active ? 'Active' : 'Cleared'}
+                      </span>
+                    </td>
+                    <td className="col-count">{formatNumber(fault.occurrences)}</td>
+                    <td>{formatDateTime(fault.lastSeen)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default VehicleHealth;
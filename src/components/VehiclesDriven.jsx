@@ -0,0 +1,74 @@
+/**
+ * Vehicles Driven Component
+ * Breaks a driver's trips down by the vehicles they drove
+ */
+
+import React, { useMemo } from 'react';
+import { formatDistance, formatNumber, formatPercentage } from '../utils/formatters';
+import { formatDuration } from '../utils/dateUtils';
+import FleetRankingChart from './FleetRankingChart';
+
+/**
+ * Distance driven per vehicle, with trip counts and driving time
+ * @param {object} props
+ * @param {Array} props.vehicles - Per-vehicle totals from groupTripsByDevice
+ * @param {Array} props.devices - Device entities used for vehicle names
+ * @param {boolean} props.loading - Trips are still loading
+ * @param {object} props.units - Unit profile
+ */
+function VehiclesDriven({ vehicles, devices, loading, units }) {
+  const devicesById = useMemo(
+    () => new Map((devices || []).map(device => [device.id, device])),
+    [devices]
+  );
+
+  const items = useMemo(() => (vehicles || []).map(vehicle => ({
+    id: vehicle.deviceId,
+    label: devicesById.get(vehicle.deviceId)?.name || vehicle.deviceId,
+    value: vehicle.distanceDriven,
+    display: formatDistance(vehicle.distanceDriven, units)
+  })), [vehicles, devicesById, units]);
+
+  if (loading) {
+    return (
+      <div className="vehicles-driven">
+        <div className="skeleton skeleton-chart"></div>
+      </div>
+    );
+  }
+
+  if (!vehicles || vehicles.length === 0) {
+    return (
+      <div className="vehicles-driven vehicles-driven--empty">
+        <div className="empty-state">
+          <p>No vehicles driven during this period</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="vehicles-driven">
+      <FleetRankingChart title="Distance by Vehicle" items={items} />
+
+      <ul className="vehicles-driven-list">
+        {vehicles.map(vehicle => (
+          <li key={vehicle.deviceId} className="vehicles-driven-item">
+            <span className="vehicles-driven-name">
+              {devicesById.get(vehicle.deviceId)?.name || vehicle.deviceId}
+            </span>
+            <span className="vehicles-driven-detail">
+              {formatNumber(vehicle.tripCount)} trip{vehicle.tripCount !== 1 ? 's' : ''}
+              {' · '}
+              {formatDuration(vehicle.timeDriven)} driving
+              {' · '}
+              {formatPercentage(vehicle.distanceShare, false, 0)} of distance
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default VehiclesDriven;
@@ -0,0 +1,36 @@
+/**
+ * View Mode Toggle Component
+ * Switches between single device, driver and fleet comparison views
+ */
+
+import React from 'react';
+import { VIEW_MODES } from '../utils/constants';
+
+/**
+ * Segmented toggle for the dashboard view mode
+ */
+function ViewModeToggle({ viewMode, onChange }) {
+  const modes = [
+    { key: VIEW_MODES.DEVICE, label: 'Single Device' },
+    { key: VIEW_MODES.DRIVER, label: 'Driver' },
+    { key: VIEW_MODES.FLEET, label: 'Fleet Comparison' }
+  ];
+
+  return (
+    <div className="view-mode-toggle" role="group" aria-label="Dashboard view">
+      {modes.map(mode => (
+        <button
+          key={mode.key}
+          type="button"
+          className={`view-mode-btn ${viewMode === mode.key ? 'view-mode-btn--active' : ''}`}
+          onClick={() => onChange(mode.key)}
+          aria-pressed={viewMode === mode.key}
+        >
+          {mode.label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export default ViewModeToggle;
@@ -0,0 +1,88 @@
+/**
+ * Virtual List Component
+ * Renders only the rows in view so long lists stay fast
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+
+/**
+ * Fixed row height list that windows its rows to the visible area
+ * @param {object} props
+ * @param {Array} props.items - Items to render
+ * @param {number} props.rowHeight - Height of each row in px
+ * @param {number} props.height - Maximum height of the list in px
+ * @param {function} props.renderItem - (item, index) => row content
+ * @param {function} props.getKey - (item, index) => React key
+ * @param {number} props.overscan - Extra rows rendered above and below the view
+ * @param {number} props.scrollToIndex - Row to keep in view (e.g. keyboard highlight)
+ */
+function VirtualList({
+  items,
+  rowHeight,
+  height,
+  renderItem,
+  getKey = (item, index) => index,
+  overscan = 5,
+  scrollToIndex = -1,
+  className = '',
+  ...rest
+}) {
+  const [scrollTop, setScrollTop] = useState(0);
+  const containerRef = useRef(null);
+
+  const totalHeight = items.length * rowHeight;
+  const viewHeight = Math.min(height, totalHeight);
+
+  // Keep the highlighted row visible when it moves outside the view
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container || scrollToIndex < 0) return;
+
+    const rowTop = scrollToIndex * rowHeight;
+    if (rowTop < container.scrollTop) {
+      container.scrollTop = rowTop;
+    } else if (rowTop + rowHeight > container.scrollTop + viewHeight) {
+      container.scrollTop = rowTop + rowHeight - viewHeight;
+    }
+  }, [scrollToIndex, rowHeight, viewHeight]);
+
+  // Reset to the top when the list is replaced (e.g. a new search)
+  useEffect(() => {
+    if (containerRef.current) {
+      containerRef.current.scrollTop = 0;
+    }
+    setScrollTop(0);
+  }, [items]);
+
+  const startIndex = Math.max(0, Math.floor(scrollTop / rowHeight) - overscan);
+  const endIndex = Math.min(items.length, Math.ceil((scrollTop + viewHeight) / rowHeight) + overscan);
+
+  const rows = [];
+  for (let index = startIndex; index < endIndex; index++) {
+    rows.push(
+      <div
+        key={getKey(items[index], index)}
+        className="virtual-list-row"
+        style={{ top: `${index * rowHeight}px`, height: `${rowHeight}px` }}
+      >
+        {renderItem(items[index], index)}
+      </div>
+    );
+  }
+
+  return (
+    <div
+      ref={containerRef}
+      className={`virtual-list ${className}`}
+      style={{ height: `${viewHeight}px` }}
+      onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      {...rest}
+    >
+      <div className="virtual-list-spacer" style={{ height: `${totalHeight}px` }}>
+        {rows}
+      </div>
+    </div>
+  );
+}
+
+export default VirtualList;
@@ -0,0 +1,64 @@
+/**
+ * Hook for reading and writing dashboard state to the Add-In state / URL hash
+ */
+
+import { useMemo, useCallback, useRef } from 'react';
+import {
+  parseDashboardState,
+  serializeDashboardState,
+  parseHashState,
+  buildHashState
+} from '../utils/stateUtils';
+
+/**
+ * Read the raw state values, from MyGeotab when available, otherwise the URL hash
+ */
+function readRawState(state) {
+  try {
+    if (typeof state?.getState === 'function') {
+      return state.getState() || {};
+    }
+  } catch (err) {
+    console.error('Error reading Add-In state:', err);
+  }
+  return typeof window !== 'undefined' ? parseHashState(window.location.hash) : {};
+}
+
+/**
+ * Hook to restore dashboard state on mount and persist changes
+ * @param {object} state - Add-In state object passed to focus()
+ * @returns {{ initialState: object, saveState: function }}
+ */
+export function useAddInState(state) {
+  // Read once per mount; focus() remounts the app with a fresh state object
+  const initialState = useMemo(() => parseDashboardState(readRawState(state)), [state]);
+  const lastSavedRef = useRef(null);
+
+  /**
+   * Persist dashboard state
+   * @param {object} dashboardState - { deviceId, dateRange, preset, tables }
+   */
+  const saveState = useCallback((dashboardState) => {
+    const values = serializeDashboardState(dashboardState);
+    const serialized = JSON.stringify(values);
+    if (serialized === lastSavedRef.current) return;
+    lastSavedRef.current = serialized;
+
+    try {
+      if (typeof state?.setState === 'function') {
+        state.setState(values);
+      } else if (typeof window !== 'undefined' && window.history?.replaceState) {
+        window.history.replaceState(null, '', buildHashState(values));
+      }
+    } catch (err) {
+      console.error('Error saving Add-In state:', err);
+    }
+  }, [state]);
+
+  return {
+    initialState,
+    saveState
+  };
+}
+
+export default useAddInState;
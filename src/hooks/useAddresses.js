@@ -0,0 +1,73 @@
+/**
+ * Hook for resolving and caching addresses for records with coordinates
+ */
+
+import { useState, useCallback, useRef } from 'react';
+import { useGeotabApi } from './useGeotabApi';
+import { API_LIMITS } from '../utils/constants';
+
+/**
+ * Hook to reverse geocode records, keyed by record id
+ * @param {object} api - Geotab API object
+ * @returns {{ addresses: object, loading: boolean, error: string|null, resolveAddresses: function }}
+ *   error is set when the last lookup stopped early, leaving some records without an address
+ */
+export function useAddresses(api) {
+  const [addresses, setAddresses] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const addressesRef = useRef(addresses);
+
+  const { getAddresses } = useGeotabApi(api);
+
+  /**
+   * Look up addresses for records that don't have one yet
+   * @param {Array} records - Records with an id
+   * @param {function} getCoordinate - record => { x: longitude, y: latitude } or null
+   * @returns {Promise<object>} All known addresses, including the new ones
+   *   Batches resolved before a failure are kept, so a failed lookup only loses the rest
+   */
+  const resolveAddresses = useCallback(async (records, getCoordinate) => {
+    const pending = (records || []).filter(
+      record => !addressesRef.current[record.id] && getCoordinate(record)
+    );
+
+    if (pending.length === 0) return addressesRef.current;
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      for (let i = 0; i < pending.length; i += API_LIMITS.ADDRESS_BATCH_SIZE) {
+        const batch = pending.slice(i, i + API_LIMITS.ADDRESS_BATCH_SIZE);
+        const results = await getAddresses(batch.map(getCoordinate));
+        const resolved = {};
+
+        batch.forEach((record, index) => {
+          if (results?.[index]) {
+            resolved[record.id] = results[index];
+          }
+        });
+
+        addressesRef.current = { ...addressesRef.current, ...resolved };
+        setAddresses(addressesRef.current);
+      }
+    } catch (err) {
+      console.error('Error loading addresses:', err);
+      setError('Some addresses could not be loaded and are left blank');
+    } finally {
+      setLoading(false);
+    }
+
+    return addressesRef.current;
+  }, [getAddresses]);
+
+  return {
+    addresses,
+    loading,
+    error,
+    resolveAddresses
+  };
+}
+
+export default useAddresses;
@@ -1,438 +1,661 @@
 /**
  * Hook for fetching device-specific data for the dashboard
+ * Each dataset loads, fails and retries on its own so sections render as soon as their data arrives
+ * In live mode, new records are polled with GetFeed and merged into the loaded data
  */
 
-import { useState, useEffect, useCallback, useRef } from 'react';
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import { useGeotabApi } from './useGeotabApi';
-import { DIAGNOSTICS } from '../utils/constants';
-import { toISOString, getUniqueDaysCount, getDuration } from '../utils/dateUtils';
+import { DIAGNOSTICS, LIVE_REFRESH } from '../utils/constants';
+import {
+  toISOString,
+  getUniqueDaysCount,
+  getDuration,
+  parseTimeSpan,
+  isDateInRange,
+  getPreviousPeriod
+} from '../utils/dateUtils';
+import { groupExceptionsByRule, groupTripsByDevice } from '../utils/tripStats';
+import { buildDeviceSearch, buildRecordSearch } from '../utils/groupUtils';
+import { classifyError } from '../utils/apiErrors';
+import { isAbortError } from '../utils/abortUtils';
+
+// Datasets loaded independently for the selected device
+export const DATASETS = ['device', 'trips', 'exceptions', 'fuelUps', 'statusData', 'previous'];
+
+// Datasets that apply to a driver; the vehicle and its status belong to a device
+const DRIVER_DATASETS = ['trips', 'exceptions', 'fuelUps', 'previous'];
+
+// Types each dataset reads, dropped from the cache before a retry
+const DATASET_TYPES = {
+  device: ['Device'],
+  trips: ['Trip', 'User'],
+  exceptions: ['ExceptionEvent', 'Rule', 'User'],
+  fuelUps: ['FillUp', 'User'],
+  statusData: ['StatusData'],
+  previous: ['Trip', 'FillUp', 'StatusData']
+};
+
+// Paged type whose progress belongs to each dataset
+const DATASET_PAGED_TYPES = {
+  trips: 'Trip',
+  exceptions: 'ExceptionEvent',
+  statusData: 'StatusData'
+};
+
+// Data each dataset contributes, also used to clear it when the dataset fails
+const EMPTY_DATA = {
+  device: { device: null },
+  trips: { trips: [] },
+  exceptions: { exceptions: [] },
+  fuelUps: { fuelUps: [] },
+  statusData: { fuelLevelReading: null, odometerReading: null, fuelUsed: [] },
+  previous: { previous: null }
+};
+
+// Feeds polled in live mode, with the dataset they extend and the date field that places a record in the range
+const LIVE_FEEDS = [
+  { typeName: 'Trip', dataset: 'trips', dateField: 'start' },
+  { typeName: 'ExceptionEvent', dataset: 'exceptions', dateField: 'activeFrom' },
+  { typeName: 'FillUp', dataset: 'fuelUps', dateField: 'dateTime' },
+  {
+    typeName: 'StatusData',
+    dataset: 'statusData',
+    dateField: 'dateTime',
+    search: { diagnosticSearch: { id: DIAGNOSTICS.FUEL_LEVEL } }
+  }
+];
+
+// Types fetched by this hook, dropped from the cache on refresh
+const DEVICE_DATA_TYPES = [...new Set(Object.values(DATASET_TYPES).flat())];
 
 /**
- * Parse Geotab TimeSpan string to seconds
- * @param {string} timeSpan - TimeSpan string like "00:12:23" or "00:12:23.9320000"
- * @returns {number} Total seconds
+ * Build a status entry for every dataset
  */
-function parseTimeSpan(timeSpan) {
-  if (!timeSpan || typeof timeSpan !== 'string') return 0;
-  
-  // Split by decimal point to handle fractional seconds
-  const [mainPart] = timeSpan.split('.');
-  const parts = mainPart.split(':');
-  
-  const hours = parseInt(parts[0]) || 0;
-  const minutes = parseInt(parts[1]) || 0;
-  const seconds = parseInt(parts[2]) || 0;
-  
-  return hours * 3600 + minutes * 60 + seconds;
+function createStatus(loading) {
+  return Object.fromEntries(DATASETS.map(name => [name, { loading, error: null }]));
 }
 
 /**
- * Hook to fetch all data for a specific device
- * @param {object} api - Geotab API object
- * @param {string} deviceId - Selected device ID
- * @param {object} dateRange - { start: Date, end: Date }
- * @returns {object} Device data and loading states
+ * Fetch rules and drivers used to label trips, exceptions and fuel-ups
+ * Both datasets ask for the same calls, so the response cache shares one request
  */
-export function useDeviceData(api, deviceId, dateRange) {
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-  
-  // Data states
-  const [device, setDevice] = useState(null);
-  const [trips, setTrips] = useState([]);
-  const [exceptions, setExceptions] = useState([]);
-  const [fuelUps, setFuelUps] = useState([]);
-  const [rules, setRules] = useState([]);
-  const [drivers, setDrivers] = useState([]);
-  const [fuelLevel, setFuelLevel] = useState(null);
-  const [odometer, setOdometer] = useState(null);
-  
-  // Computed stats
-  const [usageStats, setUsageStats] = useState(null);
-  const [usageBreakdown, setUsageBreakdown] = useState(null);
-  const [exceptionsByRule, setExceptionsByRule] = useState([]);
-  
-  const { multiCall, getAddresses, getAllWithFeed } = useGeotabApi(api);
-  const abortControllerRef = useRef(null);
-
-  /**
-   * Fetch all device data
-   */
-  const fetchData = useCallback(async () => {
-    if (!api || !deviceId || !dateRange?.start || !dateRange?.end) {
-      setLoading(false);
-      return;
-    }
-
-    // Cancel previous request
-    if (abortControllerRef.current) {
-      abortControllerRef.current.abort();
-    }
-    abortControllerRef.current = new AbortController();
-
-    setLoading(true);
-    setError(null);
-
-    try {
-      const fromDate = toISOString(dateRange.start);
-      const toDate = toISOString(dateRange.end);
-      
-      // Recent date for current status queries (last 7 days for odometer/fuel)
-      const recentDate = new Date();
-      recentDate.setDate(recentDate.getDate() - 7);
-      const recentFromDate = toISOString(recentDate);
-      const nowDate = toISOString(new Date());
-
-      console.log('Fetching data for device:', deviceId, 'from:', fromDate, 'to:', toDate);
+async function fetchLookups(multiCall, options) {
+  const [rules, drivers] = await multiCall([
+    ['Get', { typeName: 'Rule' }],
+    ['Get', { typeName: 'User', search: { isDriver: true } }]
+  ], options);
+  return { rules: rules || [], drivers: drivers || [] };
+}
 
-      // Fetch trips separately using getAllWithFeed to ensure we get all trips
-      const tripsPromise = getAllWithFeed('Trip', {
-        deviceSearch: { id: deviceId },
+/**
+ * Loaders for each dataset
+ * Each receives the request context and returns the data fields it owns
+ */
+const DATASET_LOADERS = {
+  async device({ get, deviceId }, options) {
+    const result = await get('Device', { id: deviceId }, options);
+    return { device: result?.[0] || null };
+  },
+
+  async trips({ getAllPaged, multiCall, recordSearch, fromDate, toDate }, options) {
+    const [page, { drivers }] = await Promise.all([
+      getAllPaged('Trip', { ...recordSearch, fromDate, toDate }, options),
+      fetchLookups(multiCall, options)
+    ]);
+
+    const driversMap = new Map(drivers.map(d => [d.id, d]));
+
+    // Enrich trips with driver info
+    const trips = page.data.map(trip => ({
+      ...trip,
+      driverInfo: driversMap.get(trip.driver?.id)
+    }));
+
+    return { trips, drivers };
+  },
+
+  async exceptions({ getAllPaged, multiCall, recordSearch, fromDate, toDate }, options) {
+    const [page, { rules, drivers }] = await Promise.all([
+      getAllPaged('ExceptionEvent', { ...recordSearch, fromDate, toDate }, options),
+      fetchLookups(multiCall, options)
+    ]);
+
+    const rulesMap = new Map(rules.map(r => [r.id, r]));
+    const driversMap = new Map(drivers.map(d => [d.id, d]));
+
+    // Enrich exceptions with rule and driver info
+    const exceptions = page.data.map(exc => ({
+      ...exc,
+      ruleName: rulesMap.get(exc.rule?.id)?.name || 'Unknown Rule',
+      ruleDetails: rulesMap.get(exc.rule?.id),
+      driverInfo: driversMap.get(exc.driver?.id)
+    }));
+
+    return { exceptions, rules, drivers };
+  },
+
+  async fuelUps({ get, multiCall, recordSearch, fromDate, toDate }, options) {
+    const [fillUps, { drivers }] = await Promise.all([
+      get('FillUp', { ...recordSearch, fromDate, toDate }, options),
+      fetchLookups(multiCall, options)
+    ]);
+
+    const driversMap = new Map(drivers.map(d => [d.id, d]));
+
+    // Enrich fuel-ups with driver info
+    const fuelUps = (fillUps || []).map(fu => ({
+      ...fu,
+      driverInfo: driversMap.get(fu.driver?.id)
+    }));
+
+    return { fuelUps, drivers };
+  },
+
+  async statusData({ multiCall, getAllPaged, deviceSearch, fromDate, toDate }, options) {
+    // Recent date for current status queries (last 7 days for odometer/fuel)
+    const recentDate = new Date();
+    recentDate.setDate(recentDate.getDate() - 7);
+    const recentFromDate = toISOString(recentDate);
+    const nowDate = toISOString(new Date());
+
+    const [[fuelLevelResult, odometerResult], fuelUsedPage] = await Promise.all([
+      multiCall([
+        // 0: Current fuel level (most recent)
+        ['Get', {
+          typeName: 'StatusData',
+          search: {
+            diagnosticSearch: { id: DIAGNOSTICS.FUEL_LEVEL },
+            deviceSearch,
+            fromDate: recentFromDate,
+            toDate: nowDate
+          },
+          resultsLimit: 1
+        }],
+
+        // 1: Current odometer (most recent)
+        ['Get', {
+          typeName: 'StatusData',
+          search: {
+            diagnosticSearch: { id: DIAGNOSTICS.ODOMETER },
+            deviceSearch,
+            fromDate: recentFromDate,
+            toDate: nowDate
+          },
+          resultsLimit: 1
+        }]
+      ], options),
+
+      // Fuel used in date range (for fuel economy calculation)
+      getAllPaged('StatusData', {
+        diagnosticSearch: { id: DIAGNOSTICS.FUEL_USED },
+        deviceSearch,
         fromDate,
         toDate
-      });
+      }, options)
+    ]);
 
-      // Make other API calls in parallel
-      const [tripsResult, otherResults] = await Promise.all([
-        tripsPromise,
-        multiCall([
-          // 0: Device details
-          ['Get', { typeName: 'Device', search: { id: deviceId } }],
-          
-          // 1: Exception events in date range
-          ['Get', { 
-            typeName: 'ExceptionEvent', 
-            search: { 
-              deviceSearch: { id: deviceId }, 
-              fromDate, 
-              toDate 
-            } 
-          }],
-          
-          // 2: Fill-up events
-          ['Get', { 
-            typeName: 'FillUp', 
-            search: { 
-              deviceSearch: { id: deviceId }, 
-              fromDate, 
-              toDate 
-            } 
-          }],
-          
-          // 3: Current fuel level (most recent)
-          ['Get', { 
-            typeName: 'StatusData', 
-            search: { 
-              diagnosticSearch: { id: DIAGNOSTICS.FUEL_LEVEL },
-              deviceSearch: { id: deviceId },
-              fromDate: recentFromDate,
-              toDate: nowDate
-            },
-            resultsLimit: 1
-          }],
-          
-          // 4: Current odometer (most recent)
-          ['Get', { 
-            typeName: 'StatusData', 
-            search: { 
-              diagnosticSearch: { id: DIAGNOSTICS.ODOMETER },
-              deviceSearch: { id: deviceId },
-              fromDate: recentFromDate,
-              toDate: nowDate
-            },
-            resultsLimit: 1
-          }],
-          
-          // 5: Fuel used in date range (for fuel economy calculation)
-          ['Get', { 
-            typeName: 'StatusData', 
-            search: { 
-              diagnosticSearch: { id: DIAGNOSTICS.FUEL_USED },
-              deviceSearch: { id: deviceId },
-              fromDate,
-              toDate
-            },
-            resultsLimit: 50000
-          }],
-          
-          // 6: All rules (for exception names)
-          ['Get', { typeName: 'Rule' }],
-          
-          // 7: All drivers
-          ['Get', { typeName: 'User', search: { isDriver: true } }]
-        ])
-      ]);
-
-      // Process results
-      const [
-        deviceResult,
-        exceptionsResult,
-        fuelUpsResult,
-        fuelLevelResult,
-        odometerResult,
-        fuelUsedResult,
-        rulesResult,
-        driversResult
-      ] = otherResults;
-
-      console.log('Trips fetched:', tripsResult?.length || 0);
-      console.log('Sample trip:', tripsResult?.[0]);
-
-      // Set device
-      const deviceData = deviceResult?.[0] || null;
-      setDevice(deviceData);
-
-      // Set trips
-      setTrips(tripsResult || []);
-
-      // Set exceptions with rule names
-      const rulesMap = new Map(rulesResult?.map(r => [r.id, r]) || []);
-      const driversMap = new Map(driversResult?.map(d => [d.id, d]) || []);
-      
-      setRules(rulesResult || []);
-      setDrivers(driversResult || []);
-
-      // Enrich exceptions with rule and driver info
-      const enrichedExceptions = (exceptionsResult || []).map(exc => ({
-        ...exc,
-        ruleName: rulesMap.get(exc.rule?.id)?.name || 'Unknown Rule',
-        ruleDetails: rulesMap.get(exc.rule?.id),
-        driverInfo: driversMap.get(exc.driver?.id)
-      }));
-      setExceptions(enrichedExceptions);
-
-      // Enrich fuel-ups with driver info
-      const enrichedFuelUps = (fuelUpsResult || []).map(fu => ({
-        ...fu,
-        driverInfo: driversMap.get(fu.driver?.id)
-      }));
-      setFuelUps(enrichedFuelUps);
-
-      // Set fuel level (convert from 0-1 to percentage if needed)
-      if (fuelLevelResult?.[0]) {
-        const level = fuelLevelResult[0].data;
-        setFuelLevel(level > 1 ? level : level * 100);
-      } else {
-        setFuelLevel(null);
+    return {
+      fuelLevelReading: fuelLevelResult?.[0]?.data ?? null,
+      odometerReading: odometerResult?.[0]?.data || null,
+      fuelUsed: fuelUsedPage.data
+    };
+  },
+
+  // Trips and fuel records for the previous equivalent period, for period-over-period deltas
+  async previous({ get, getAllPaged, driverId, deviceSearch, recordSearch, previousRange }, options) {
+    // Paging progress and truncation are reported for the selected range only
+    const { onProgress, ...requestOptions } = options;
+    const fromDate = toISOString(previousRange.start);
+    const toDate = toISOString(previousRange.end);
+
+    const [tripsPage, fillUps, fuelUsedPage] = await Promise.all([
+      getAllPaged('Trip', { ...recordSearch, fromDate, toDate }, requestOptions),
+      get('FillUp', { ...recordSearch, fromDate, toDate }, requestOptions),
+      // Fuel used is per vehicle, so a driver's economy falls back to fill-ups
+      driverId ? null : getAllPaged('StatusData', {
+        diagnosticSearch: { id: DIAGNOSTICS.FUEL_USED },
+        deviceSearch,
+        fromDate,
+        toDate
+      }, requestOptions)
+    ]);
+
+    return {
+      previous: {
+        trips: tripsPage.data,
+        fuelUps: fillUps || [],
+        fuelUsed: fuelUsedPage?.data || []
       }
+    };
+  }
+};
 
-      // Set odometer
-      setOdometer(odometerResult?.[0]?.data || deviceData?.odometer || null);
+/**
+ * Merge feed records into a list, replacing updated records and keeping date order
+ * @param {Array} list - Loaded records
+ * @param {Array} incoming - Records from the feed
+ * @param {string} dateField - Field the list is ordered by
+ * @returns {Array}
+ */
+function mergeRecords(list, incoming, dateField) {
+  if (incoming.length === 0) return list;
+  const byId = new Map(list.map(record => [record.id, record]));
+  incoming.forEach(record => byId.set(record.id, record));
+  return [...byId.values()].sort((a, b) => new Date(a[dateField]) - new Date(b[dateField]));
+}
 
-      // Calculate usage stats
-      calculateUsageStats(tripsResult || [], deviceData, odometerResult?.[0]?.data, fuelLevelResult?.[0]?.data, fuelUsedResult || [], enrichedFuelUps);
-      
-      // Calculate usage breakdown
-      calculateUsageBreakdown(tripsResult || [], dateRange);
-      
-      // Calculate exceptions by rule
-      calculateExceptionsByRule(enrichedExceptions);
+/**
+ * Merge one round of live feed results into the hook data
+ * @param {object} data - Current hook data
+ * @param {object} incoming - Records in range keyed by feed typeName
+ * @returns {object} Updated data
+ */
+function mergeLiveData(data, incoming) {
+  const rulesMap = new Map(data.rules.map(r => [r.id, r]));
+  const driversMap = new Map(data.drivers.map(d => [d.id, d]));
+  const next = { ...data };
+
+  if (incoming.Trip) {
+    next.trips = mergeRecords(data.trips, incoming.Trip.map(trip => ({
+      ...trip,
+      driverInfo: driversMap.get(trip.driver?.id)
+    })), 'start');
+  }
+
+  if (incoming.ExceptionEvent) {
+    next.exceptions = mergeRecords(data.exceptions, incoming.ExceptionEvent.map(exc => ({
+      ...exc,
+      ruleName: rulesMap.get(exc.rule?.id)?.name || 'Unknown Rule',
+      ruleDetails: rulesMap.get(exc.rule?.id),
+      driverInfo: driversMap.get(exc.driver?.id)
+    })), 'activeFrom');
+  }
+
+  if (incoming.FillUp) {
+    next.fuelUps = mergeRecords(data.fuelUps, incoming.FillUp.map(fu => ({
+      ...fu,
+      driverInfo: driversMap.get(fu.driver?.id)
+    })), 'dateTime');
+  }
+
+  // The newest fuel-level reading becomes the current level
+  const latestReading = incoming.StatusData?.reduce((latest, reading) =>
+    (!latest || new Date(reading.dateTime) > new Date(latest.dateTime) ? reading : latest), null);
+  if (latestReading) {
+    next.fuelLevelReading = latestReading.data;
+  }
+
+  return next;
+}
 
-    } catch (err) {
-      if (err.name !== 'AbortError') {
-        console.error('Error fetching device data:', err);
-        setError('Failed to load device data. Please try again.');
+/**
+ * Calculate usage statistics
+ */
+function calculateUsageStats(tripsData, deviceData, currentOdometer, currentFuelLevel, fuelUsedData, fuelUpsData) {
+  if (!tripsData || tripsData.length === 0) {
+    return {
+      daysDriven: 0,
+      fuelLevel: currentFuelLevel ? (currentFuelLevel > 1 ? currentFuelLevel : currentFuelLevel * 100) : null,
+      distanceDriven: 0,
+      timeDriven: 0,
+      fuelEconomy: null,
+      fuelConsumed: null,
+      odometer: currentOdometer || deviceData?.odometer || null
+    };
+  }
+
+  // Count unique days driven
+  const tripDates = tripsData.map(t => new Date(t.start || t.startDateTime));
+  const daysDriven = getUniqueDaysCount(tripDates);
+
+  // Sum distance and time
+  const distanceDriven = tripsData.reduce((sum, t) => sum + (t.distance || 0), 0);
+  
+  // drivingDuration is TimeSpan format ("HH:MM:SS"), parse and convert to milliseconds
+  const timeDriven = tripsData.reduce((sum, t) => {
+    if (t.drivingDuration) {
+      const seconds = parseTimeSpan(t.drivingDuration);
+      if (seconds > 0) {
+        return sum + (seconds * 1000);
       }
-    } finally {
-      setLoading(false);
     }
-  }, [api, deviceId, dateRange, multiCall, getAllWithFeed]);
-
-  /**
-   * Calculate usage statistics
-   */
-  const calculateUsageStats = useCallback((tripsData, deviceData, currentOdometer, currentFuelLevel, fuelUsedData, fuelUpsData) => {
-    if (!tripsData || tripsData.length === 0) {
-      setUsageStats({
-        daysDriven: 0,
-        fuelLevel: currentFuelLevel ? (currentFuelLevel > 1 ? currentFuelLevel : currentFuelLevel * 100) : null,
-        distanceDriven: 0,
-        timeDriven: 0,
-        fuelEconomy: null,
-        odometer: currentOdometer || deviceData?.odometer || null
-      });
-      return;
+    if (t.start && t.stop) {
+      return sum + getDuration(t.start, t.stop);
     }
+    return sum;
+  }, 0);
 
-    // Count unique days driven
-    const tripDates = tripsData.map(t => new Date(t.start || t.startDateTime));
-    const daysDriven = getUniqueDaysCount(tripDates);
-
-    // Sum distance and time
-    const distanceDriven = tripsData.reduce((sum, t) => sum + (t.distance || 0), 0);
+  // Calculate fuel economy - Primary method: FuelUsed StatusData
+  let fuelEconomy = null;
+  let fuelConsumed = null;
+  let calculationMethod = null;
+  
+  if (fuelUsedData && fuelUsedData.length > 0 && distanceDriven > 0) {
+    // Get the first and last fuel used reading to calculate total consumption
+    // Sort by date to ensure we get the correct range
+    const sortedFuelData = [...fuelUsedData].sort((a, b) => 
+      new Date(a.dateTime) - new Date(b.dateTime)
+    );
     
-    // drivingDuration is TimeSpan format ("HH:MM:SS"), parse and convert to milliseconds
-    const timeDriven = tripsData.reduce((sum, t) => {
-      if (t.drivingDuration) {
-        const seconds = parseTimeSpan(t.drivingDuration);
-        if (seconds > 0) {
-          return sum + (seconds * 1000);
-        }
-      }
-      if (t.start && t.stop) {
-        return sum + getDuration(t.start, t.stop);
-      }
-      return sum;
-    }, 0);
-
-    // Calculate fuel economy - Primary method: FuelUsed StatusData
-    let fuelEconomy = null;
-    let calculationMethod = null;
+    const firstReading = sortedFuelData[0]?.data || 0;
+    const lastReading = sortedFuelData[sortedFuelData.length - 1]?.data || 0;
     
-    if (fuelUsedData && fuelUsedData.length > 0 && distanceDriven > 0) {
-      // Get the first and last fuel used reading to calculate total consumption
-      // Sort by date to ensure we get the correct range
-      const sortedFuelData = [...fuelUsedData].sort((a, b) => 
-        new Date(a.dateTime) - new Date(b.dateTime)
-      );
-      
-      const firstReading = sortedFuelData[0]?.data || 0;
-      const lastReading = sortedFuelData[sortedFuelData.length - 1]?.data || 0;
-      
-      // Total fuel consumed in the period (in liters)
-      const fuelConsumed = lastReading - firstReading;
-      
-      console.log('Fuel economy calculation (FuelUsed):', {
-        fuelDataPoints: fuelUsedData.length,
-        firstReading,
-        lastReading,
-        fuelConsumed,
-        distanceDriven
-      });
-      
-      if (fuelConsumed > 0) {
-        // Calculate L/100km
-        fuelEconomy = (fuelConsumed / distanceDriven) * 100;
-        calculationMethod = 'FuelUsed diagnostic';
-        console.log('Calculated fuel economy (FuelUsed):', fuelEconomy, 'L/100km');
-      }
+    // Total fuel consumed in the period (in liters)
+    const fuelUsedDelta = lastReading - firstReading;
+    
+    console.log('Fuel economy calculation (FuelUsed):', {
+      fuelDataPoints: fuelUsedData.length,
+      firstReading,
+      lastReading,
+      fuelConsumed: fuelUsedDelta,
+      distanceDriven
+    });
+    
+    if (fuelUsedDelta > 0) {
+      // Calculate L/100km
+      fuelConsumed = fuelUsedDelta;
+      fuelEconomy = (fuelConsumed / distanceDriven) * 100;
+      calculationMethod = 'FuelUsed diagnostic';
+      console.log('Calculated fuel economy (FuelUsed):', fuelEconomy, 'L/100km');
     }
+  }
+  
+  // Fallback method: Calculate from fill-ups if FuelUsed data not available
+  if (!fuelEconomy && fuelUpsData && fuelUpsData.length > 0 && distanceDriven > 0) {
+    // Sum all fuel added from fill-ups
+    const totalFuelAdded = fuelUpsData.reduce((sum, fillUp) => {
+      return sum + (fillUp.volume || 0);
+    }, 0);
     
-    // Fallback method: Calculate from fill-ups if FuelUsed data not available
-    if (!fuelEconomy && fuelUpsData && fuelUpsData.length > 0 && distanceDriven > 0) {
-      // Sum all fuel added from fill-ups
-      const totalFuelAdded = fuelUpsData.reduce((sum, fillUp) => {
-        return sum + (fillUp.volume || 0);
-      }, 0);
-      
-      console.log('Fuel economy calculation (Fill-ups fallback):', {
-        fillUpsCount: fuelUpsData.length,
-        totalFuelAdded,
-        distanceDriven
-      });
-      
-      if (totalFuelAdded > 0) {
-        // Calculate L/100km based on fuel added
-        // Note: This is an approximation as it assumes all fuel added was consumed
-        fuelEconomy = (totalFuelAdded / distanceDriven) * 100;
-        calculationMethod = 'Fill-up data (approximate)';
-        console.log('Calculated fuel economy (Fill-ups):', fuelEconomy, 'L/100km');
+    console.log('Fuel economy calculation (Fill-ups fallback):', {
+      fillUpsCount: fuelUpsData.length,
+      totalFuelAdded,
+      distanceDriven
+    });
+    
+    if (totalFuelAdded > 0) {
+      // Calculate L/100km based on fuel added
+      // Note: This is an approximation as it assumes all fuel added was consumed
+      fuelConsumed = totalFuelAdded;
+      fuelEconomy = (totalFuelAdded / distanceDriven) * 100;
+      calculationMethod = 'Fill-up data (approximate)';
+      console.log('Calculated fuel economy (Fill-ups):', fuelEconomy, 'L/100km');
+    }
+  }
+  
+  if (fuelEconomy && calculationMethod) {
+    console.log(`Fuel economy: ${fuelEconomy.toFixed(2)} L/100km (method: ${calculationMethod})`);
+  } else if (distanceDriven > 0) {
+    console.log('Fuel economy unavailable: No FuelUsed diagnostic or fill-up data in this period');
+  }
+
+  return {
+    daysDriven,
+    fuelLevel: currentFuelLevel ? (currentFuelLevel > 1 ? currentFuelLevel : currentFuelLevel * 100) : null,
+    distanceDriven,
+    timeDriven,
+    fuelEconomy,
+    fuelConsumed,
+    odometer: currentOdometer || deviceData?.odometer || null
+  };
+}
+
+/**
+ * Calculate usage breakdown (driving, idle, stopped percentages)
+ */
+function calculateUsageBreakdown(tripsData, range) {
+  if (!tripsData || tripsData.length === 0 || !range?.start || !range?.end) {
+    return { driving: 0, idle: 0, stopped: 100 };
+  }
+
+  // Total period in milliseconds
+  const totalPeriod = getDuration(range.start, range.end);
+  
+  if (totalPeriod <= 0) {
+    return { driving: 0, idle: 0, stopped: 100 };
+  }
+
+  // Sum driving time and idle time from trips
+  // Geotab API returns drivingDuration and idlingDuration as TimeSpan strings
+  let drivingTimeMs = 0;
+  let idleTimeMs = 0;
+
+  tripsData.forEach(trip => {
+    // Driving duration - parse TimeSpan format
+    if (trip.drivingDuration) {
+      const seconds = parseTimeSpan(trip.drivingDuration);
+      if (seconds > 0) {
+        drivingTimeMs += seconds * 1000;
       }
+    } else if (trip.start && trip.stop) {
+      // Fallback: calculate from start/stop times
+      drivingTimeMs += getDuration(trip.start, trip.stop);
     }
-    
-    if (fuelEconomy && calculationMethod) {
-      console.log(`Fuel economy: ${fuelEconomy.toFixed(2)} L/100km (method: ${calculationMethod})`);
-    } else if (distanceDriven > 0) {
-      console.log('Fuel economy unavailable: No FuelUsed diagnostic or fill-up data in this period');
+
+    // Idle time - parse TimeSpan format
+    if (trip.idlingDuration) {
+      const seconds = parseTimeSpan(trip.idlingDuration);
+      if (seconds > 0) {
+        idleTimeMs += seconds * 1000;
+      }
     }
+  });
 
-    setUsageStats({
-      daysDriven,
-      fuelLevel: currentFuelLevel ? (currentFuelLevel > 1 ? currentFuelLevel : currentFuelLevel * 100) : null,
-      distanceDriven,
-      timeDriven,
-      fuelEconomy,
-      odometer: currentOdometer || deviceData?.odometer || null
-    });
+  console.log('Usage breakdown calculation:', {
+    totalPeriodMs: totalPeriod,
+    totalPeriodHours: totalPeriod / (1000 * 60 * 60),
+    drivingTimeMs,
+    drivingTimeHours: drivingTimeMs / (1000 * 60 * 60),
+    idleTimeMs,
+    idleTimeHours: idleTimeMs / (1000 * 60 * 60),
+    tripsCount: tripsData.length
+  });
+
+  const stoppedTimeMs = Math.max(0, totalPeriod - drivingTimeMs - idleTimeMs);
+
+  const drivingPercent = (drivingTimeMs / totalPeriod) * 100;
+  const idlePercent = (idleTimeMs / totalPeriod) * 100;
+  const stoppedPercent = (stoppedTimeMs / totalPeriod) * 100;
+
+  return {
+    driving: Math.min(100, Math.max(0, drivingPercent)),
+    idle: Math.min(100, Math.max(0, idlePercent)),
+    stopped: Math.min(100, Math.max(0, stoppedPercent))
+  };
+}
+
+/**
+ * Hook to fetch all data for a specific device, or for a driver across vehicles
+ * @param {object} api - Geotab API object
+ * @param {string} deviceId - Selected device ID
+ * @param {object} dateRange - { start: Date, end: Date }
+ * @param {Array<string>} groupIds - Group ids that scope every device search
+ * @param {boolean} live - Poll for new records while the range includes today
+ * @param {string} driverId - Selected driver ID; when set, only the driver's trips, exceptions and fuel-ups load
+ * @returns {object} Device data with overall and per-dataset loading states
+ */
+export function useDeviceData(api, deviceId, dateRange, groupIds, live = false, driverId = null) {
+  // { [dataset]: { loading, error } }
+  const [datasets, setDatasets] = useState(() => createStatus(true));
+  const [retryStatus, setRetryStatus] = useState(null);
+  const [pagingProgress, setPagingProgress] = useState({});
+  const [lastUpdated, setLastUpdated] = useState(null);
+  const [liveError, setLiveError] = useState(null);
+  const [newExceptionIds, setNewExceptionIds] = useState(() => new Set());
+
+  // Data fields from every dataset
+  const [data, setData] = useState(() => Object.assign({ rules: [], drivers: [] }, ...Object.values(EMPTY_DATA)));
+
+  const { get, multiCall, getAddresses, getAllPaged, invalidateCache } = useGeotabApi(api);
+
+  // One controller per dataset so a retry only cancels its own requests
+  const controllersRef = useRef({});
+
+  // Live mode feed position: version token per feed, and when the loaded data was requested
+  const feedVersionsRef = useRef({});
+  const liveSinceRef = useRef(null);
+  const datasetsRef = useRef(datasets);
+  datasetsRef.current = datasets;
+
+  const updateDataset = useCallback((name, status) => {
+    setDatasets(prev => ({ ...prev, [name]: status }));
   }, []);
 
   /**
-   * Calculate usage breakdown (driving, idle, stopped percentages)
+   * Fetch a single dataset
    */
-  const calculateUsageBreakdown = useCallback((tripsData, range) => {
-    if (!tripsData || tripsData.length === 0 || !range?.start || !range?.end) {
-      setUsageBreakdown({ driving: 0, idle: 0, stopped: 100 });
+  const fetchDataset = useCallback(async (name) => {
+    // Cancel the previous request so its results are never applied
+    controllersRef.current[name]?.abort();
+
+    const applies = driverId ? DRIVER_DATASETS.includes(name) : Boolean(deviceId);
+
+    if (!api || !applies || !dateRange?.start || !dateRange?.end) {
+      delete controllersRef.current[name];
+      // Don't leave another device's or driver's data behind
+      setData(prev => ({ ...prev, ...EMPTY_DATA[name] }));
+      updateDataset(name, { loading: false, error: null });
       return;
     }
 
-    // Total period in milliseconds
-    const totalPeriod = getDuration(range.start, range.end);
-    
-    if (totalPeriod <= 0) {
-      setUsageBreakdown({ driving: 0, idle: 0, stopped: 100 });
-      return;
+    const controller = new AbortController();
+    const { signal } = controller;
+    controllersRef.current[name] = controller;
+
+    updateDataset(name, { loading: true, error: null });
+
+    const pagedType = DATASET_PAGED_TYPES[name];
+    if (pagedType) {
+      setPagingProgress(prev => {
+        const next = { ...prev };
+        delete next[pagedType];
+        return next;
+      });
     }
 
-    // Sum driving time and idle time from trips
-    // Geotab API returns drivingDuration and idlingDuration as TimeSpan strings
-    let drivingTimeMs = 0;
-    let idleTimeMs = 0;
-
-    tripsData.forEach(trip => {
-      // Driving duration - parse TimeSpan format
-      if (trip.drivingDuration) {
-        const seconds = parseTimeSpan(trip.drivingDuration);
-        if (seconds > 0) {
-          drivingTimeMs += seconds * 1000;
+    // Surface scheduled retries so the banner can say what is happening
+    const options = {
+      signal,
+      onRetry: status => {
+        if (!signal.aborted) setRetryStatus({ ...status, dataset: name });
+      },
+      onProgress: progress => {
+        if (!signal.aborted) {
+          setPagingProgress(prev => ({ ...prev, [progress.typeName]: progress }));
         }
-      } else if (trip.start && trip.stop) {
-        // Fallback: calculate from start/stop times
-        drivingTimeMs += getDuration(trip.start, trip.stop);
       }
+    };
 
-      // Idle time - parse TimeSpan format
-      if (trip.idlingDuration) {
-        const seconds = parseTimeSpan(trip.idlingDuration);
-        if (seconds > 0) {
-          idleTimeMs += seconds * 1000;
-        }
-      }
-    });
+    try {
+      const result = await DATASET_LOADERS[name]({
+        get,
+        multiCall,
+        getAllPaged,
+        deviceId,
+        deviceSearch: buildDeviceSearch(deviceId, groupIds),
+        recordSearch: buildRecordSearch(deviceId, driverId, groupIds),
+        driverId,
+        previousRange: getPreviousPeriod(dateRange),
+        fromDate: toISOString(dateRange.start),
+        toDate: toISOString(dateRange.end)
+      }, options);
+
+      // A newer request has started; drop these results
+      if (signal.aborted) return;
+
+      setData(prev => ({ ...prev, ...result }));
+      updateDataset(name, { loading: false, error: null });
+    } catch (err) {
+      if (signal.aborted || isAbortError(err)) return;
 
-    console.log('Usage breakdown calculation:', {
-      totalPeriodMs: totalPeriod,
-      totalPeriodHours: totalPeriod / (1000 * 60 * 60),
-      drivingTimeMs,
-      drivingTimeHours: drivingTimeMs / (1000 * 60 * 60),
-      idleTimeMs,
-      idleTimeHours: idleTimeMs / (1000 * 60 * 60),
-      tripsCount: tripsData.length
-    });
+      console.error(`Error fetching ${name} data:`, err);
+      // Don't leave the previous device's data behind a failed load
+      setData(prev => ({ ...prev, ...EMPTY_DATA[name] }));
+      updateDataset(name, { loading: false, error: classifyError(err) });
+    } finally {
+      // The newer request owns the retry status
+      if (!signal.aborted) {
+        setRetryStatus(prev => (prev?.dataset === name ? null : prev));
+      }
+    }
+  }, [api, deviceId, driverId, dateRange, groupIds, get, multiCall, getAllPaged, updateDataset]);
 
-    const stoppedTimeMs = Math.max(0, totalPeriod - drivingTimeMs - idleTimeMs);
+  /**
+   * Fetch every dataset in parallel
+   */
+  const fetchAll = useCallback(() => {
+    if (deviceId) {
+      console.log('Fetching data for device:', deviceId, 'from:', dateRange?.start, 'to:', dateRange?.end);
+    }
 
-    const drivingPercent = (drivingTimeMs / totalPeriod) * 100;
-    const idlePercent = (idleTimeMs / totalPeriod) * 100;
-    const stoppedPercent = (stoppedTimeMs / totalPeriod) * 100;
+    // Feeds restart from the time of this load
+    feedVersionsRef.current = {};
+    liveSinceRef.current = new Date();
+    setNewExceptionIds(new Set());
+    setLiveError(null);
 
-    setUsageBreakdown({
-      driving: Math.min(100, Math.max(0, drivingPercent)),
-      idle: Math.min(100, Math.max(0, idlePercent)),
-      stopped: Math.min(100, Math.max(0, stoppedPercent))
-    });
-  }, []);
+    return Promise.all(DATASETS.map(name => fetchDataset(name)));
+  }, [deviceId, driverId, dateRange, fetchDataset]);
 
   /**
-   * Calculate exceptions grouped by rule
+   * Fetch records added since the last poll and merge them into the loaded data
+   * The first poll after a load seeds each feed from the time the load started
    */
-  const calculateExceptionsByRule = useCallback((exceptionsData) => {
-    if (!exceptionsData || exceptionsData.length === 0) {
-      setExceptionsByRule([]);
-      return;
-    }
+  const pollLiveFeeds = useCallback(async (signal) => {
+    if (!api || !deviceId || !liveSinceRef.current) return;
+
+    // Skip while datasets load (they will include the new records) and for failed datasets
+    const current = datasetsRef.current;
+    if (DATASETS.some(name => current[name].loading)) return;
+    const feeds = LIVE_FEEDS.filter(feed => !current[feed.dataset].error);
+    if (feeds.length === 0) return;
 
-    const grouped = {};
-    exceptionsData.forEach(exc => {
-      const ruleName = exc.ruleName || 'Unknown';
-      if (!grouped[ruleName]) {
-        grouped[ruleName] = { name: ruleName, count: 0, ruleId: exc.rule?.id };
+    try {
+      const results = await multiCall(feeds.map(feed => {
+        const fromVersion = feedVersionsRef.current[feed.typeName];
+        return ['GetFeed', {
+          typeName: feed.typeName,
+          search: {
+            deviceSearch: { id: deviceId },
+            ...feed.search,
+            ...(fromVersion ? {} : { fromDate: toISOString(liveSinceRef.current) })
+          },
+          ...(fromVersion ? { fromVersion } : {}),
+          resultsLimit: LIVE_REFRESH.FEED_LIMIT
+        }];
+      }), { signal });
+
+      if (signal.aborted) return;
+
+      const incoming = {};
+      feeds.forEach((feed, index) => {
+        const { data: records = [], toVersion } = results[index] || {};
+        feedVersionsRef.current[feed.typeName] = toVersion;
+
+        // Feeds are not bounded by toDate, so keep only records inside the selected range
+        const inRange = records.filter(record =>
+          record.device?.id === deviceId &&
+          isDateInRange(new Date(record[feed.dateField]), dateRange.start, dateRange.end)
+        );
+        if (inRange.length > 0) incoming[feed.typeName] = inRange;
+      });
+
+      if (Object.keys(incoming).length > 0) {
+        setData(prev => mergeLiveData(prev, incoming));
+      }
+      if (incoming.ExceptionEvent) {
+        setNewExceptionIds(new Set(incoming.ExceptionEvent.map(exc => exc.id)));
       }
-      grouped[ruleName].count++;
-    });
 
-    const sorted = Object.values(grouped).sort((a, b) => b.count - a.count);
-    setExceptionsByRule(sorted);
-  }, []);
+      setLastUpdated(new Date());
+      setLiveError(null);
+    } catch (err) {
+      if (signal.aborted || isAbortError(err)) return;
+      console.error('Error polling live updates:', err);
+      setLiveError(classifyError(err));
+    }
+  }, [api, deviceId, dateRange, multiCall]);
 
   /**
    * Get addresses for exceptions (batch geocoding)
@@ -466,37 +689,140 @@ export function useDeviceData(api, deviceId, dateRange) {
 
   // Fetch data when dependencies change
   useEffect(() => {
-    fetchData();
+    fetchAll();
     
     return () => {
-      if (abortControllerRef.current) {
-        abortControllerRef.current.abort();
+      Object.values(controllersRef.current).forEach(controller => controller.abort());
+    };
+  }, [fetchAll]);
+
+  // Poll for new records while live mode is on, starting right away
+  useEffect(() => {
+    if (!live || !deviceId) return undefined;
+
+    const controller = new AbortController();
+    let timer = null;
+
+    const poll = async () => {
+      await pollLiveFeeds(controller.signal);
+      if (!controller.signal.aborted) {
+        timer = setTimeout(poll, LIVE_REFRESH.INTERVAL_MS);
       }
     };
-  }, [fetchData]);
+    poll();
+
+    return () => {
+      controller.abort();
+      clearTimeout(timer);
+    };
+  }, [live, deviceId, pollLiveFeeds]);
+
+  /**
+   * Refetch from the server, skipping cached responses
+   */
+  const refresh = useCallback(() => {
+    invalidateCache(DEVICE_DATA_TYPES);
+    return fetchAll();
+  }, [invalidateCache, fetchAll]);
+
+  /**
+   * Refetch one failed dataset from the server
+   * @param {string} name - One of DATASETS
+   */
+  const retryDataset = useCallback((name) => {
+    invalidateCache(DATASET_TYPES[name]);
+    return fetchDataset(name);
+  }, [invalidateCache, fetchDataset]);
+
+  const { device, trips, exceptions, fuelUps, fuelLevelReading, odometerReading, fuelUsed } = data;
+
+  // Fuel level as a percentage (the diagnostic may report 0-1)
+  const fuelLevel = fuelLevelReading != null
+    ? (fuelLevelReading > 1 ? fuelLevelReading : fuelLevelReading * 100)
+    : null;
+  const odometer = odometerReading || device?.odometer || null;
+
+  const usageStats = useMemo(
+    () => calculateUsageStats(trips, device, odometerReading, fuelLevelReading, fuelUsed, fuelUps),
+    [trips, device, odometerReading, fuelLevelReading, fuelUsed, fuelUps]
+  );
+
+  const usageBreakdown = useMemo(
+    () => calculateUsageBreakdown(trips, dateRange),
+    [trips, dateRange]
+  );
+
+  // The same figures for the previous equivalent period (null until it loads)
+  const previousRange = useMemo(() => getPreviousPeriod(dateRange), [dateRange]);
+  const { previous } = data;
+
+  const previousUsageStats = useMemo(
+    () => (previous ? calculateUsageStats(previous.trips, null, null, null, previous.fuelUsed, previous.fuelUps) : null),
+    [previous]
+  );
+
+  const previousUsageBreakdown = useMemo(
+    () => (previous ? calculateUsageBreakdown(previous.trips, previousRange) : null),
+    [previous, previousRange]
+  );
+
+  const exceptionsByRule = useMemo(
+    () => (exceptions.length > 0 ? groupExceptionsByRule(exceptions) : []),
+    [exceptions]
+  );
+
+  // Per-vehicle totals, for the driver view
+  const vehiclesDriven = useMemo(() => groupTripsByDevice(trips), [trips]);
+
+  // Types whose lists hit the record cap and are incomplete
+  const truncatedTypes = useMemo(
+    () => Object.values(pagingProgress).filter(item => item.truncated).map(item => item.typeName),
+    [pagingProgress]
+  );
+
+  const loading = DATASETS.some(name => datasets[name].loading);
+  const error = DATASETS.map(name => datasets[name].error).find(Boolean) || null;
+
+  // Loads finishing also count as an update
+  useEffect(() => {
+    if (!loading && (deviceId || driverId)) setLastUpdated(new Date());
+  }, [loading, deviceId, driverId]);
 
   return {
     // Loading and error states
     loading,
     error,
+    datasets,
+    retryStatus,
+    pagingProgress,
+    truncatedTypes,
+    lastUpdated,
+    liveError,
     
     // Raw data
     device,
     trips,
     exceptions,
     fuelUps,
-    rules,
-    drivers,
+    rules: data.rules,
+    drivers: data.drivers,
     fuelLevel,
     odometer,
     
     // Computed data
     usageStats,
     usageBreakdown,
+    previousRange,
+    previousUsageStats,
+    previousUsageBreakdown,
+    previousTrips: previous?.trips || null,
     exceptionsByRule,
+    vehiclesDriven,
+    newExceptionIds,
     
     // Actions
-    refresh: fetchData,
+    refresh,
+    retryDataset,
     enrichExceptionsWithAddresses
   };
 }
@@ -0,0 +1,78 @@
+/**
+ * Hook for fetching live device status (last communication, active state)
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useGeotabApi } from './useGeotabApi';
+import { buildDeviceSearch } from '../utils/groupUtils';
+
+// Minimum time between status refreshes triggered by the picker
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Hook to fetch DeviceStatusInfo for every device in the selected groups
+ * @param {object} api - Geotab API object
+ * @param {Array<string>} groupIds - Group ids that scope the device search
+ * @returns {{ statusById: object, loading: boolean, refresh: function }}
+ */
+export function useDeviceStatusInfo(api, groupIds) {
+  const [statusById, setStatusById] = useState({});
+  const [loading, setLoading] = useState(false);
+
+  const { get } = useGeotabApi(api);
+  const lastFetchRef = useRef(0);
+  const requestIdRef = useRef(0);
+
+  /**
+   * Fetch status for all devices in scope
+   * @param {boolean} force - Fetch even if the last fetch was recent
+   */
+  const fetchStatus = useCallback(async (force = true) => {
+    if (!api) return;
+    if (!force && Date.now() - lastFetchRef.current < REFRESH_INTERVAL_MS) return;
+
+    const requestId = ++requestIdRef.current;
+    lastFetchRef.current = Date.now();
+    setLoading(true);
+
+    try {
+      const statusList = await get('DeviceStatusInfo', {
+        deviceSearch: buildDeviceSearch(null, groupIds)
+      });
+
+      if (requestId !== requestIdRef.current) return;
+
+      const byId = {};
+      (statusList || []).forEach(status => {
+        if (status.device?.id) {
+          byId[status.device.id] = status;
+        }
+      });
+      setStatusById(byId);
+    } catch (err) {
+      console.error('Error loading device status:', err);
+    } finally {
+      if (requestId === requestIdRef.current) {
+        setLoading(false);
+      }
+    }
+  }, [api, get, groupIds]);
+
+  // Fetch when the group scope changes
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  /**
+   * Refresh status unless it was fetched within the last minute
+   */
+  const refresh = useCallback(() => fetchStatus(false), [fetchStatus]);
+
+  return {
+    statusById,
+    loading,
+    refresh
+  };
+}
+
+export default useDeviceStatusInfo;
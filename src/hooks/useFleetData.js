@@ -0,0 +1,160 @@
+/**
+ * Hook for fetching comparison data for several devices at once
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useGeotabApi } from './useGeotabApi';
+import { toISOString } from '../utils/dateUtils';
+import { summarizeTrips, groupExceptionsByRule } from '../utils/tripStats';
+import { buildRecordSearch } from '../utils/groupUtils';
+import { classifyError } from '../utils/apiErrors';
+import { isAbortError } from '../utils/abortUtils';
+
+// Types fetched by this hook, dropped from the cache on refresh
+const FLEET_DATA_TYPES = ['Rule', 'Trip', 'ExceptionEvent'];
+
+/**
+ * Fetch rules and every trip and exception matching each record search, paging each search
+ * Shared by the fleet comparison and the safety scorecard
+ * @param {object} geotabApi - { get, getAllPagedInBatches } from useGeotabApi
+ * @param {Array<object>} searches - Record searches, e.g. one per device from buildRecordSearch
+ * @param {object} range - { fromDate, toDate }
+ * @param {object} options - { signal, onRetry }
+ * @returns {Promise<{ trips: Array<Array>, exceptions: Array<Array>, truncatedTypes: Array<string> }>}
+ *   Trips and exceptions per search, in search order; exceptions carry their rule's name
+ */
+export async function fetchActivity({ get, getAllPagedInBatches }, searches, { fromDate, toDate }, options) {
+  const requests = searches.flatMap(recordSearch => {
+    const search = { ...recordSearch, fromDate, toDate };
+    return [['Trip', search], ['ExceptionEvent', search]];
+  });
+
+  const [rules, results] = await Promise.all([
+    get('Rule', {}, options),
+    getAllPagedInBatches(requests, undefined, options)
+  ]);
+
+  const rulesMap = new Map(rules?.map(r => [r.id, r]) || []);
+
+  return {
+    trips: searches.map((search, index) => results[index * 2].data),
+    exceptions: searches.map((search, index) => results[index * 2 + 1].data.map(exc => ({
+      ...exc,
+      ruleName: rulesMap.get(exc.rule?.id)?.name || 'Unknown Rule'
+    }))),
+    truncatedTypes: [...new Set(results.filter(result => result.truncated).map(result => result.typeName))]
+  };
+}
+
+/**
+ * Hook to fetch trips and exceptions for a set of devices
+ * @param {object} api - Geotab API object
+ * @param {Array<object>} devices - Selected device entities
+ * @param {object} dateRange - { start: Date, end: Date }
+ * @param {Array<string>} groupIds - Group ids that scope every device search
+ * @returns {object} Per-device stats and loading states; truncatedTypes lists types that hit the paging cap
+ */
+export function useFleetData(api, devices, dateRange, groupIds) {
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [retryStatus, setRetryStatus] = useState(null);
+  const [fleetStats, setFleetStats] = useState([]);
+  const [truncatedTypes, setTruncatedTypes] = useState([]);
+
+  const { get, getAllPagedInBatches, invalidateCache } = useGeotabApi(api);
+  const abortControllerRef = useRef(null);
+
+  /**
+   * Fetch trips and exceptions for every selected device
+   */
+  const fetchData = useCallback(async () => {
+    // Cancel the previous request so its results are never applied
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+
+    if (!api || !devices || devices.length === 0 || !dateRange?.start || !dateRange?.end) {
+      abortControllerRef.current = null;
+      setFleetStats([]);
+      setTruncatedTypes([]);
+      setLoading(false);
+      return;
+    }
+
+    const controller = new AbortController();
+    const { signal } = controller;
+    abortControllerRef.current = controller;
+
+    setLoading(true);
+    setError(null);
+    setRetryStatus(null);
+
+    try {
+      const searches = devices.map(device => buildRecordSearch(device.id, null, groupIds));
+      const activity = await fetchActivity({ get, getAllPagedInBatches }, searches, {
+        fromDate: toISOString(dateRange.start),
+        toDate: toISOString(dateRange.end)
+      }, {
+        signal,
+        onRetry: status => {
+          if (!signal.aborted) setRetryStatus(status);
+        }
+      });
+
+      if (signal.aborted) return;
+
+      const stats = devices.map((device, index) => {
+        const exceptions = activity.exceptions[index];
+
+        return {
+          device,
+          summary: summarizeTrips(activity.trips[index]),
+          exceptionCount: exceptions.length,
+          exceptionsByRule: groupExceptionsByRule(exceptions)
+        };
+      });
+
+      setFleetStats(stats);
+      setTruncatedTypes(activity.truncatedTypes);
+    } catch (err) {
+      if (signal.aborted || isAbortError(err)) return;
+      console.error('Error fetching fleet data:', err);
+      setError(classifyError(err));
+    } finally {
+      if (!signal.aborted) {
+        setLoading(false);
+        setRetryStatus(null);
+      }
+    }
+  }, [api, devices, dateRange, groupIds, get, getAllPagedInBatches]);
+
+  // Fetch data when dependencies change, cancelling on unmount
+  useEffect(() => {
+    fetchData();
+
+    return () => {
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort();
+      }
+    };
+  }, [fetchData]);
+
+  /**
+   * Refetch from the server, skipping cached responses
+   */
+  const refresh = useCallback(() => {
+    invalidateCache(FLEET_DATA_TYPES);
+    return fetchData();
+  }, [invalidateCache, fetchData]);
+
+  return {
+    loading,
+    error,
+    retryStatus,
+    fleetStats,
+    truncatedTypes,
+    refresh
+  };
+}
+
+export default useFleetData;
@@ -0,0 +1,83 @@
+/**
+ * Hook for a device's fuel-level readings over a date range
+ */
+
+import { useState, useEffect } from 'react';
+import { useGeotabApi } from './useGeotabApi';
+import { DIAGNOSTICS } from '../utils/constants';
+import { toISOString } from '../utils/dateUtils';
+import { isAbortError } from '../utils/abortUtils';
+
+/**
+ * Hook to load every fuel-level reading for a device and date range
+ * Loads after the main dashboard data; the fuel trend and anomaly panels share the cached pages
+ * @param {object} api - Geotab API object
+ * @param {string} deviceId - Device ID
+ * @param {object} dateRange - { start: Date, end: Date }
+ * @returns {{ loading: boolean, error: string|null, levels: Array<{ date: Date, level: number }> }}
+ *   Levels in percent, in time order
+ */
+export function useFuelLevels(api, deviceId, dateRange) {
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [levels, setLevels] = useState([]);
+
+  const { getAllPaged } = useGeotabApi(api);
+
+  useEffect(() => {
+    // Cancelled when the device or range changes, so stale points never replace newer ones
+    const controller = new AbortController();
+    const { signal } = controller;
+
+    async function fetchFuelLevels() {
+      if (!api || !deviceId || !dateRange?.start || !dateRange?.end) {
+        setLevels([]);
+        setLoading(false);
+        return;
+      }
+
+      setLoading(true);
+      setError(null);
+
+      try {
+        const result = await getAllPaged('StatusData', {
+          diagnosticSearch: { id: DIAGNOSTICS.FUEL_LEVEL },
+          deviceSearch: { id: deviceId },
+          fromDate: toISOString(dateRange.start),
+          toDate: toISOString(dateRange.end)
+        }, { signal });
+
+        if (signal.aborted) return;
+
+        // Paged results come back in date order; readings may be a fraction or a percentage
+        setLevels(result.data.map(point => ({
+          date: new Date(point.dateTime),
+          level: point.data > 1 ? point.data : point.data * 100
+        })));
+      } catch (err) {
+        if (isAbortError(err)) return;
+        console.error('Error fetching fuel level data:', err);
+        setError('Failed to load fuel level data');
+      } finally {
+        if (!signal.aborted) {
+          setLoading(false);
+        }
+      }
+    }
+
+    // Delay loading by 1 second to not block main page
+    const timer = setTimeout(fetchFuelLevels, 1000);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [api, deviceId, dateRange, getAllPaged]);
+
+  return {
+    loading,
+    error,
+    levels
+  };
+}
+
+export default useFuelLevels;
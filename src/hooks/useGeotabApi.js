@@ -1,8 +1,42 @@
 /**
- * Hook for making Geotab API calls with error handling
+ * Hook for making Geotab API calls with error handling, retries and response caching
  */
 
 import { useCallback, useRef } from 'react';
+import { API_LIMITS, WRITE_METHODS, PAGED_DATE_FIELDS } from '../utils/constants';
+import { getApiCache, getCacheKey } from '../utils/apiCache';
+import { withRetry } from '../utils/apiRetry';
+import { GeotabApiError, ERROR_TYPES } from '../utils/apiErrors';
+import { abortable, throwIfAborted } from '../utils/abortUtils';
+import { toISOString } from '../utils/dateUtils';
+
+/**
+ * Wrap a callback-style API request in a promise that times out
+ * @param {function} send - (resolve, reject) => void
+ * @returns {Promise}
+ */
+function sendRequest(send) {
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    const timer = setTimeout(() => {
+      settled = true;
+      reject(new GeotabApiError(
+        ERROR_TYPES.TIMEOUT,
+        `No response after ${API_LIMITS.REQUEST_TIMEOUT_MS / 1000} seconds`
+      ));
+    }, API_LIMITS.REQUEST_TIMEOUT_MS);
+
+    // Ignore callbacks that arrive after the timeout
+    const settle = (callback) => (value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      callback(value);
+    };
+
+    send(settle(resolve), settle(reject));
+  });
+}
 
 /**
  * Wrapper hook for Geotab API calls
@@ -14,112 +48,237 @@ export function useGeotabApi(api) {
   apiRef.current = api;
 
   /**
-   * Make a single API call with promise wrapper
+   * Make a single API call, retrying transient failures, bypassing the cache
    */
-  const call = useCallback((method, params) => {
-    return new Promise((resolve, reject) => {
-      if (!apiRef.current) {
-        reject(new Error('API not initialized'));
-        return;
+  const sendCall = useCallback((method, params, { onRetry, signal } = {}) => {
+    const currentApi = apiRef.current;
+    if (!currentApi) {
+      return Promise.reject(new Error('API not initialized'));
+    }
+
+    return abortable(withRetry(
+      () => sendRequest((resolve, reject) => currentApi.call(method, params, resolve, reject)),
+      { api: currentApi, idempotent: !WRITE_METHODS.includes(method), onRetry, signal }
+    ), signal);
+  }, []);
+
+  /**
+   * Make multiple API calls in a single request, retrying transient failures, bypassing the cache
+   */
+  const sendMultiCall = useCallback((calls, { onRetry, signal } = {}) => {
+    const currentApi = apiRef.current;
+    if (!currentApi) {
+      return Promise.reject(new Error('API not initialized'));
+    }
+
+    return abortable(withRetry(
+      () => sendRequest((resolve, reject) => currentApi.multiCall(calls, resolve, reject)),
+      {
+        api: currentApi,
+        idempotent: calls.every(([method]) => !WRITE_METHODS.includes(method)),
+        onRetry,
+        signal
       }
+    ), signal);
+  }, []);
 
-      apiRef.current.call(
-        method,
-        params,
-        (result) => resolve(result),
-        (error) => reject(error)
-      );
-    });
+  /**
+   * Drop cached responses after a write to the same type
+   */
+  const invalidateAfterWrite = useCallback((method, params) => {
+    if (WRITE_METHODS.includes(method) && params?.typeName) {
+      getApiCache(apiRef.current)?.invalidate([params.typeName]);
+    }
   }, []);
 
+  /**
+   * Make a single API call
+   * Read calls are served from the cache when possible. Cached requests are
+   * shared, so aborting only rejects this caller and the request runs on for the others
+   * @param {string} method - API method
+   * @param {object} params - Call parameters
+   * @param {object} options - { cache: false } to always go to the server,
+   *   onRetry to follow retries, signal to cancel
+   */
+  const call = useCallback(async (method, params, { cache = true, onRetry, signal } = {}) => {
+    throwIfAborted(signal);
+    invalidateAfterWrite(method, params);
+    const apiCache = getApiCache(apiRef.current);
+    if (!cache || !apiCache || !getCacheKey(method, params)) {
+      return sendCall(method, params, { onRetry, signal });
+    }
+    return abortable(apiCache.fetch(method, params, () => sendCall(method, params, { onRetry })), signal);
+  }, [sendCall, invalidateAfterWrite]);
+
   /**
    * Make multiple API calls in a single request
+   * Cached and in-flight calls are left out of the request and resolved from the cache
+   * @param {Array} calls - [method, params] pairs
+   * @param {object} options - { cache: false } to always go to the server,
+   *   onRetry to follow retries, signal to cancel
    */
-  const multiCall = useCallback((calls) => {
-    return new Promise((resolve, reject) => {
-      if (!apiRef.current) {
-        reject(new Error('API not initialized'));
-        return;
+  const multiCall = useCallback(async (calls, { cache = true, onRetry, signal } = {}) => {
+    throwIfAborted(signal);
+    calls.forEach(([method, params]) => invalidateAfterWrite(method, params));
+    const apiCache = getApiCache(apiRef.current);
+    if (!cache || !apiCache) {
+      return sendMultiCall(calls, { onRetry, signal });
+    }
+
+    const results = new Array(calls.length);
+    const pending = [];
+    const misses = [];
+
+    calls.forEach(([method, params], index) => {
+      const key = getCacheKey(method, params);
+      const cached = key && apiCache.peek(key);
+      if (cached) {
+        pending.push(cached.then(result => { results[index] = result; }));
+      } else {
+        misses.push({ index, method, params, key });
       }
+    });
 
-      apiRef.current.multiCall(
-        calls,
-        (results) => resolve(results),
-        (error) => reject(error)
+    if (misses.length > 0) {
+      // A request shared through the cache must keep running if this caller aborts
+      const shared = misses.some(({ key }) => key);
+      const request = sendMultiCall(
+        misses.map(({ method, params }) => [method, params]),
+        { onRetry, signal: shared ? undefined : signal }
       );
-    });
+      misses.forEach(({ index, method, params, key }, position) => {
+        const result = request.then(batchResults => batchResults[position]);
+        if (key) apiCache.store(key, method, params, result);
+        pending.push(result.then(value => { results[index] = value; }));
+      });
+    }
+
+    await abortable(Promise.all(pending), signal);
+    return results;
+  }, [sendMultiCall, invalidateAfterWrite]);
+
+  /**
+   * Drop cached responses, e.g. before a user-requested refresh
+   * @param {Array<string>} [typeNames] - Types to drop; all when omitted
+   */
+  const invalidateCache = useCallback((typeNames) => {
+    getApiCache(apiRef.current)?.invalidate(typeNames);
   }, []);
 
+  /**
+   * Make any number of API calls, split into sequential multiCall batches
+   * Results are returned in the same order as the calls
+   */
+  const multiCallInBatches = useCallback(async (calls, batchSize = API_LIMITS.MULTICALL_BATCH_SIZE, options) => {
+    const results = [];
+    for (let i = 0; i < calls.length; i += batchSize) {
+      const batchResults = await multiCall(calls.slice(i, i + batchSize), options);
+      results.push(...batchResults);
+    }
+    return results;
+  }, [multiCall]);
+
   /**
    * Get entities with search parameters
    */
-  const get = useCallback((typeName, search = {}) => {
-    return call('Get', { typeName, search });
+  const get = useCallback((typeName, search = {}, options) => {
+    return call('Get', { typeName, search }, options);
   }, [call]);
 
   /**
    * Get entity count
    */
-  const getCount = useCallback((typeName, search = {}) => {
-    return call('GetCountOf', { typeName, search });
+  const getCount = useCallback((typeName, search = {}, options) => {
+    return call('GetCountOf', { typeName, search }, options);
   }, [call]);
 
   /**
-   * Get all entities using GetFeed (for large datasets)
-   * Automatically handles pagination to get all results
-   */
-  const getAllWithFeed = useCallback(async (typeName, search = {}) => {
-    const allResults = [];
-    let resultsLimit = 5000; // Geotab's max per request
-    let fromVersion = '0';
-    
-    try {
-      while (true) {
-        const params = {
-          typeName,
-          search: {
-            ...search,
-            fromDate: search.fromDate,
-            toDate: search.toDate
-          },
-          resultsLimit,
-          fromVersion
-        };
-
-        const result = await call('GetFeed', params);
-        
-        if (!result || !result.data) {
-          break;
-        }
-
-        allResults.push(...result.data);
-
-        // Check if we got all results
-        if (result.data.length < resultsLimit || !result.toVersion) {
-          break;
-        }
-
-        fromVersion = result.toVersion;
+   * Get every record of a date-bounded type using date-cursor paging
+   * Each page is a Get sorted by date that continues after the last record of
+   * the previous page, so no record is skipped or repeated. A short page means
+   * the range is exhausted; hitting maxRecords stops early and flags the result
+   * @param {string} typeName - One of PAGED_DATE_FIELDS
+   * @param {object} search - Search including fromDate and toDate
+   * @param {object} options - { signal, onRetry, onProgress, pageSize, maxRecords }
+   * @returns {Promise<{ typeName: string, data: Array, pages: number, truncated: boolean }>}
+   */
+  const getAllPaged = useCallback(async (typeName, search = {}, {
+    signal,
+    onRetry,
+    onProgress,
+    pageSize = API_LIMITS.PAGE_SIZE,
+    maxRecords = API_LIMITS.PAGED_MAX_RECORDS
+  } = {}) => {
+    const dateField = PAGED_DATE_FIELDS[typeName];
+    if (!dateField) {
+      throw new Error(`Date-cursor paging is not supported for ${typeName}`);
+    }
+
+    const data = [];
+    let pages = 0;
+    let offset = null;
+    let lastId = null;
+
+    while (true) {
+      throwIfAborted(signal);
+
+      const sort = { sortBy: 'date', sortDirection: 'asc' };
+      if (offset) {
+        sort.offset = offset;
+        sort.lastId = lastId;
       }
 
-      return allResults;
-    } catch (error) {
-      console.error('Error in getAllWithFeed:', error);
-      // Fallback to regular Get with high limit
-      return call('Get', { 
-        typeName, 
+      const page = await call('Get', {
+        typeName,
         search,
-        resultsLimit: 50000 
-      });
+        sort,
+        resultsLimit: Math.min(pageSize, maxRecords - data.length + 1)
+      }, { signal, onRetry }) || [];
+
+      pages += 1;
+      data.push(...page);
+
+      const truncated = data.length > maxRecords;
+      if (truncated) data.length = maxRecords;
+      onProgress?.({ typeName, pages, records: data.length, truncated });
+
+      if (truncated) {
+        return { typeName, data, pages, truncated: true };
+      }
+      if (page.length < pageSize) {
+        return { typeName, data, pages, truncated: false };
+      }
+
+      const last = page[page.length - 1];
+      offset = last[dateField];
+      lastId = last.id;
     }
   }, [call]);
 
+  /**
+   * Page any number of searches, running batchSize of them side by side
+   * Results are returned in the same order as the requests
+   * @param {Array<[string, object]>} requests - typeName and search pairs
+   * @param {number} batchSize - Searches paged at once
+   * @param {object} options - Passed to each getAllPaged
+   * @returns {Promise<Array<{ typeName: string, data: Array, pages: number, truncated: boolean }>>}
+   */
+  const getAllPagedInBatches = useCallback(async (requests, batchSize = API_LIMITS.PAGED_BATCH_SIZE, options) => {
+    const results = [];
+    for (let i = 0; i < requests.length; i += batchSize) {
+      const batchResults = await Promise.all(requests.slice(i, i + batchSize)
+        .map(([typeName, search]) => getAllPaged(typeName, search, options)));
+      results.push(...batchResults);
+    }
+    return results;
+  }, [getAllPaged]);
+
   /**
    * Get addresses from coordinates (reverse geocoding)
    */
-  const getAddresses = useCallback((coordinates) => {
+  const getAddresses = useCallback((coordinates, options) => {
     // coordinates should be array of { x: longitude, y: latitude }
-    return call('GetAddresses', { coordinates });
+    return call('GetAddresses', { coordinates }, options);
   }, [call]);
 
   /**
@@ -155,10 +314,13 @@ export function useGeotabApi(api) {
   }, [navigate]);
 
   /**
-   * Navigate to trips history for a device
+   * Navigate to trips history for a device, optionally limited to a date range
    */
-  const navigateToTrips = useCallback((deviceId) => {
-    navigate(`tripsHistory,devices:!(${deviceId})`);
+  const navigateToTrips = useCallback((deviceId, dateRange) => {
+    const range = dateRange
+      ? `,dateRange:(startDate:'${toISOString(dateRange.start)}',endDate:'${toISOString(dateRange.end)}')`
+      : '';
+    navigate(`tripsHistory,devices:!(${deviceId})${range}`);
   }, [navigate]);
 
   /**
@@ -184,11 +346,14 @@ export function useGeotabApi(api) {
   return {
     call,
     multiCall,
+    multiCallInBatches,
     get,
     getCount,
-    getAllWithFeed,
+    getAllPaged,
+    getAllPagedInBatches,
     getAddresses,
     getSession,
+    invalidateCache,
     navigate,
     navigateToDevice,
     navigateToTrips,
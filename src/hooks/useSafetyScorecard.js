@@ -0,0 +1,161 @@
+/**
+ * Hook for the safety scorecard of a set of devices and the drivers who drove them,
+ * or of one driver and the vehicles they drove
+ */
+
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useGeotabApi } from './useGeotabApi';
+import { fetchActivity } from './useFleetData';
+import { toISOString } from '../utils/dateUtils';
+import { formatDriverName } from '../utils/formatters';
+import { buildRecordSearch } from '../utils/groupUtils';
+import { buildScorecard } from '../utils/safetyScore';
+import { SAFETY_SCORE } from '../utils/constants';
+import { classifyError } from '../utils/apiErrors';
+import { isAbortError } from '../utils/abortUtils';
+
+// Types fetched by this hook, dropped from the cache on refresh
+const SCORECARD_DATA_TYPES = ['Rule', 'User', 'Trip', 'ExceptionEvent'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Driver reference Geotab uses for records with no driver assigned
+const UNKNOWN_DRIVER_ID = 'UnknownDriverId';
+
+/**
+ * Driver id of a trip or exception, or null when no driver is assigned
+ */
+function getDriverKey(record) {
+  const id = record.driver?.id;
+  return id && id !== UNKNOWN_DRIVER_ID ? id : null;
+}
+
+/**
+ * Hook to score devices and their drivers for a date range, or a driver and their vehicles
+ * Loads two trend weeks before the range end even when the range is shorter
+ * @param {object} api - Geotab API object
+ * @param {Array<object>} devices - Device entities to score; with a driver, the devices to name
+ * @param {object} dateRange - { start: Date, end: Date }
+ * @param {Array<string>} groupIds - Group ids that scope every device search
+ * @param {string} driverId - Driver to score across every vehicle they drove, or null to score devices
+ * @param {object} weights - Rule name to weight, defaults to SAFETY_SCORE.RULE_WEIGHTS
+ * @returns {{
+ *   loading: boolean,
+ *   error: object,
+ *   driverScores: Array,
+ *   deviceScores: Array,
+ *   truncatedTypes: Array<string>,
+ *   refresh: function
+ * }} truncatedTypes lists types whose records hit the paging cap, so the scores are incomplete
+ */
+export function useSafetyScorecard(api, devices, dateRange, groupIds, driverId = null, weights = SAFETY_SCORE.RULE_WEIGHTS) {
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [records, setRecords] = useState({ trips: [], exceptions: [], drivers: [], truncatedTypes: [] });
+
+  const { get, getAllPagedInBatches, invalidateCache } = useGeotabApi(api);
+  const abortControllerRef = useRef(null);
+
+  /**
+   * Fetch rules, drivers, and trips and exceptions for every device or for the driver
+   */
+  const fetchData = useCallback(async () => {
+    // Cancel the previous request so its results are never applied
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+
+    const hasSubject = driverId || devices?.length > 0;
+    if (!api || !hasSubject || !dateRange?.start || !dateRange?.end) {
+      abortControllerRef.current = null;
+      setRecords({ trips: [], exceptions: [], drivers: [], truncatedTypes: [] });
+      setLoading(false);
+      return;
+    }
+
+    const controller = new AbortController();
+    const { signal } = controller;
+    abortControllerRef.current = controller;
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const trendStart = new Date(dateRange.end.getTime() - 2 * SAFETY_SCORE.TREND_DAYS * DAY_MS);
+      const range = {
+        fromDate: toISOString(trendStart < dateRange.start ? trendStart : dateRange.start),
+        toDate: toISOString(dateRange.end)
+      };
+      const searches = driverId
+        ? [buildRecordSearch(null, driverId, groupIds)]
+        : devices.map(device => buildRecordSearch(device.id, null, groupIds));
+
+      const [activity, driversResult] = await Promise.all([
+        fetchActivity({ get, getAllPagedInBatches }, searches, range, { signal }),
+        get('User', { isDriver: true }, { signal })
+      ]);
+
+      if (signal.aborted) return;
+
+      setRecords({
+        trips: activity.trips.flat(),
+        exceptions: activity.exceptions.flat(),
+        drivers: driversResult || [],
+        truncatedTypes: activity.truncatedTypes
+      });
+    } catch (err) {
+      if (signal.aborted || isAbortError(err)) return;
+      console.error('Error fetching safety scorecard data:', err);
+      setError(classifyError(err));
+    } finally {
+      if (!signal.aborted) {
+        setLoading(false);
+      }
+    }
+  }, [api, devices, dateRange, groupIds, driverId, get, getAllPagedInBatches]);
+
+  // Fetch data when dependencies change, cancelling on unmount
+  useEffect(() => {
+    fetchData();
+
+    return () => {
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort();
+      }
+    };
+  }, [fetchData]);
+
+  // Scores are recomputed without refetching when the weights change
+  const deviceScores = useMemo(() => {
+    if (!dateRange?.start || !dateRange?.end) return [];
+    const devicesById = new Map((devices || []).map(d => [d.id, d]));
+    return buildScorecard(records.trips, records.exceptions, record => record.device?.id, dateRange, weights)
+      .map(row => ({ ...row, name: devicesById.get(row.id)?.name || row.id }));
+  }, [records, devices, dateRange, weights]);
+
+  const driverScores = useMemo(() => {
+    if (!dateRange?.start || !dateRange?.end) return [];
+    const driversById = new Map(records.drivers.map(d => [d.id, d]));
+    return buildScorecard(records.trips, records.exceptions, getDriverKey, dateRange, weights)
+      .map(row => ({ ...row, name: formatDriverName(driversById.get(row.id)).fullName }));
+  }, [records, dateRange, weights]);
+
+  /**
+   * Refetch from the server, skipping cached responses
+   */
+  const refresh = useCallback(() => {
+    invalidateCache(SCORECARD_DATA_TYPES);
+    return fetchData();
+  }, [invalidateCache, fetchData]);
+
+  return {
+    loading,
+    error,
+    driverScores,
+    deviceScores,
+    truncatedTypes: records.truncatedTypes,
+    refresh
+  };
+}
+
+export default useSafetyScorecard;
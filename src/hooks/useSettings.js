@@ -0,0 +1,184 @@
+/**
+ * Hooks for the per-user dashboard settings and the context that shares them
+ */
+
+import { createContext, useContext, useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useGeotabApi } from './useGeotabApi';
+import { DEFAULT_SETTINGS, SETTINGS_STORAGE } from '../utils/constants';
+import {
+  normalizeSettings,
+  getSettingsStorageKey,
+  readLocalSettings,
+  writeLocalSettings,
+  SETTINGS_ADD_IN_ID
+} from '../utils/settingsUtils';
+
+/**
+ * Settings shared with every component; components outside a provider get the defaults
+ */
+export const SettingsContext = createContext({
+  settings: DEFAULT_SETTINGS,
+  loading: false,
+  saving: false,
+  error: null,
+  storage: null,
+  saveSettings: async () => false
+});
+
+/**
+ * AddInData search for one user's settings record
+ */
+function buildSettingsSearch(userName) {
+  return {
+    addInId: SETTINGS_ADD_IN_ID,
+    whereClause: `userName = "${String(userName).replace(/"/g, '\\"')}"`
+  };
+}
+
+/**
+ * Hook that loads and saves the current user's settings
+ * Settings are kept in an AddInData record for the user and mirrored to localStorage per user and
+ * database, so they still apply (from this browser) when AddInData is unavailable
+ * @param {object} api - Geotab API object
+ * @returns {{
+ *   settings: object,
+ *   loading: boolean,
+ *   saving: boolean,
+ *   error: string|null,
+ *   storage: string|null,
+ *   saveSettings: function(object): Promise<boolean>
+ * }} Provide this through SettingsContext; storage is a SETTINGS_STORAGE location once known
+ */
+export function useSettingsStore(api) {
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [storage, setStorage] = useState(null);
+
+  // Where the current user's settings live: localStorage key, user name and AddInData record id
+  const recordRef = useRef({ key: null, userName: null, id: null });
+
+  const { call, getSession } = useGeotabApi(api);
+
+  useEffect(() => {
+    let mounted = true;
+
+    async function loadSettings() {
+      if (!api) {
+        setLoading(false);
+        return;
+      }
+
+      let session;
+      try {
+        session = await getSession();
+      } catch (err) {
+        console.error('Error reading session for settings:', err);
+        if (mounted) setLoading(false);
+        return;
+      }
+
+      if (!mounted) return;
+
+      const key = getSettingsStorageKey(session);
+      recordRef.current = { key, userName: session.userName, id: null };
+
+      const local = readLocalSettings(key);
+      if (local) {
+        setSettings(normalizeSettings(local));
+      }
+
+      try {
+        const records = await call('Get', {
+          typeName: 'AddInData',
+          search: buildSettingsSearch(session.userName)
+        }, { cache: false });
+
+        if (!mounted) return;
+
+        const record = records?.[0];
+        if (record) {
+          recordRef.current.id = record.id;
+          const saved = normalizeSettings(record.details?.settings);
+          setSettings(saved);
+          writeLocalSettings(key, saved);
+        }
+        setStorage(SETTINGS_STORAGE.ADD_IN_DATA);
+        setError(null);
+      } catch (err) {
+        console.error('Error loading settings:', err);
+        if (mounted) {
+          setStorage(SETTINGS_STORAGE.LOCAL);
+        }
+        // Keep the localStorage copy or the defaults on error
+      } finally {
+        if (mounted) {
+          setLoading(false);
+        }
+      }
+    }
+
+    loadSettings();
+
+    return () => {
+      mounted = false;
+    };
+  }, [api, call, getSession]);
+
+  /**
+   * Apply and save settings, falling back to this browser when AddInData cannot be written
+   * @param {object} next - Settings in the shape of DEFAULT_SETTINGS
+   * @returns {Promise<boolean>} Whether they were saved to AddInData
+   */
+  const saveSettings = useCallback(async (next) => {
+    const normalized = normalizeSettings(next);
+    const { key, userName, id } = recordRef.current;
+    setSettings(normalized);
+
+    if (!key) return false;
+    writeLocalSettings(key, normalized);
+
+    setSaving(true);
+    try {
+      const entity = {
+        addInId: SETTINGS_ADD_IN_ID,
+        details: { userName, settings: normalized }
+      };
+      if (id) {
+        await call('Set', { typeName: 'AddInData', entity: { ...entity, id } });
+      } else {
+        recordRef.current.id = await call('Add', { typeName: 'AddInData', entity });
+      }
+      setStorage(SETTINGS_STORAGE.ADD_IN_DATA);
+      setError(null);
+      return true;
+    } catch (err) {
+      console.error('Error saving settings:', err);
+      setStorage(SETTINGS_STORAGE.LOCAL);
+      setError('Settings could not be saved to MyGeotab and only apply in this browser');
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  }, [call]);
+
+  return useMemo(() => ({
+    settings,
+    loading,
+    saving,
+    error,
+    storage,
+    saveSettings
+  }), [settings, loading, saving, error, storage, saveSettings]);
+}
+
+/**
+ * Hook to read the shared settings
+ * @returns {object} The value from useSettingsStore
+ */
+export function useSettings() {
+  return useContext(SettingsContext);
+}
+
+export default useSettings;
@@ -0,0 +1,116 @@
+/**
+ * Hook for GPS speed samples and the posted limits along them
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { useGeotabApi } from './useGeotabApi';
+import { toISOString } from '../utils/dateUtils';
+import { getTripDeviceIds } from '../utils/tripStats';
+import { buildSpeedSamples } from '../utils/speedProfile';
+import { isAbortError } from '../utils/abortUtils';
+
+/**
+ * Hook to load the speed samples for a set of trips
+ * Uses the same LogRecord requests as the trip map, so the two share pages fetched moments apart
+ * @param {object} api - Geotab API object
+ * @param {string} deviceId - Device, or null to use every vehicle the trips were driven on
+ * @param {Array} trips - Trip entities the samples must fall within
+ * @param {object} dateRange - { start: Date, end: Date }
+ * @returns {{ loading: boolean, error: string|null, samples: Array, truncated: boolean }}
+ *   truncated when a vehicle's GPS records hit the paging cap
+ */
+export function useSpeedProfile(api, deviceId, trips, dateRange) {
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [records, setRecords] = useState({ logRecords: [], roadSpeeds: [], truncated: false });
+
+  const { call, getAllPaged } = useGeotabApi(api);
+
+  // Stable key so new trips on the same vehicles don't reload
+  const vehicleKey = useMemo(
+    () => deviceId || getTripDeviceIds(trips).join(','),
+    [deviceId, trips]
+  );
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const { signal } = controller;
+
+    async function fetchRecords() {
+      if (!api || !vehicleKey || !dateRange?.start || !dateRange?.end) {
+        setRecords({ logRecords: [], roadSpeeds: [], truncated: false });
+        setLoading(false);
+        return;
+      }
+
+      setLoading(true);
+      setError(null);
+
+      try {
+        const vehicleIds = vehicleKey.split(',');
+        const search = id => ({
+          deviceSearch: { id },
+          fromDate: toISOString(dateRange.start),
+          toDate: toISOString(dateRange.end)
+        });
+
+        const [logResults, roadResults] = await Promise.all([
+          Promise.all(vehicleIds.map(id => getAllPaged('LogRecord', search(id), { signal }))),
+          // Without posted limits the histogram still shows, just without time over the limit
+          Promise.all(vehicleIds.map(id => call('GetRoadMaxSpeeds', search(id), { signal })))
+            .catch(err => {
+              if (isAbortError(err)) throw err;
+              console.error('Error fetching road max speeds:', err);
+              return [];
+            })
+        ]);
+
+        if (signal.aborted) return;
+
+        setRecords({
+          logRecords: logResults.flatMap((result, index) => result.data.map(record => ({
+            deviceId: vehicleIds[index],
+            time: new Date(record.dateTime).getTime(),
+            speed: record.speed || 0
+          }))),
+          // Each result is a list of date and posted speed pairs
+          roadSpeeds: roadResults.flatMap((result, index) => (result || []).map(({ k, v }) => ({
+            deviceId: vehicleIds[index],
+            time: new Date(k).getTime(),
+            limit: v
+          }))),
+          truncated: logResults.some(result => result.truncated)
+        });
+      } catch (err) {
+        if (isAbortError(err)) return;
+        console.error('Error fetching speed profile:', err);
+        setError('Failed to load GPS speeds');
+      } finally {
+        if (!signal.aborted) {
+          setLoading(false);
+        }
+      }
+    }
+
+    // Delay loading by 1 second to not block main page, as the trip map does
+    const timer = setTimeout(fetchRecords, 1000);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [api, vehicleKey, dateRange, call, getAllPaged]);
+
+  const samples = useMemo(
+    () => buildSpeedSamples(records.logRecords, records.roadSpeeds, trips),
+    [records, trips]
+  );
+
+  return {
+    loading,
+    error,
+    samples,
+    truncated: records.truncated
+  };
+}
+
+export default useSpeedProfile;
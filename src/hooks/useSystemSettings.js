@@ -0,0 +1,78 @@
+/**
+ * Hook for the database-wide system settings the dashboard depends on
+ */
+
+import { useState, useEffect } from 'react';
+import { useGeotabApi } from './useGeotabApi';
+import { SPEED_ANALYSIS } from '../utils/constants';
+
+/**
+ * Read the trip speed range limits, falling back to the Geotab defaults when
+ * any is missing or they don't increase
+ * @param {object} settings - SystemSettings entity
+ * @returns {Array<number>} Limits in km/h
+ */
+function getSpeedRangeLimits(settings) {
+  const limits = SPEED_ANALYSIS.RANGE_SETTINGS.map(field => settings?.[field]);
+  const valid = limits.every((limit, index) =>
+    typeof limit === 'number' && limit > 0 && (index === 0 || limit > limits[index - 1])
+  );
+  return valid ? limits : SPEED_ANALYSIS.DEFAULT_RANGE_LIMITS;
+}
+
+/**
+ * Hook to load the database's system settings
+ * @param {object} api - Geotab API object
+ * @returns {{ speedRangeLimits: Array<number>, loading: boolean, error: string|null }}
+ */
+export function useSystemSettings(api) {
+  const [speedRangeLimits, setSpeedRangeLimits] = useState(SPEED_ANALYSIS.DEFAULT_RANGE_LIMITS);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const { get } = useGeotabApi(api);
+
+  useEffect(() => {
+    let mounted = true;
+
+    async function loadSettings() {
+      if (!api) {
+        setLoading(false);
+        return;
+      }
+
+      try {
+        const results = await get('SystemSettings');
+
+        if (!mounted) return;
+
+        setSpeedRangeLimits(getSpeedRangeLimits(results?.[0]));
+        setError(null);
+      } catch (err) {
+        console.error('Error loading system settings:', err);
+        if (mounted) {
+          setError('Failed to load system settings');
+        }
+        // Keep the default speed ranges on error
+      } finally {
+        if (mounted) {
+          setLoading(false);
+        }
+      }
+    }
+
+    loadSettings();
+
+    return () => {
+      mounted = false;
+    };
+  }, [api, get]);
+
+  return {
+    speedRangeLimits,
+    loading,
+    error
+  };
+}
+
+export default useSystemSettings;
@@ -2,16 +2,21 @@
  * Hook for detecting and managing user's unit preferences
  */
 
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { useGeotabApi } from './useGeotabApi';
+import { DEFAULT_UNITS } from '../utils/constants';
+import { getUserUnitProfile, applyUnitOverrides } from '../utils/unitUtils';
 
 /**
- * Hook to detect user's measurement system preference
+ * Hook to detect user's unit profile from their MyGeotab settings
+ * Units chosen in the dashboard settings override the detected ones measure by measure
  * @param {object} api - Geotab API object
- * @returns {{ isMetric: boolean, loading: boolean, error: string|null }}
+ * @param {object} [overrides] - Unit or UNIT_AUTO per measure, from the settings
+ * @returns {{ units: object, userUnits: object, loading: boolean, error: string|null }}
+ *   units is the profile to format with; userUnits is the one from MyGeotab alone
  */
-export function useUnits(api) {
-  const [isMetric, setIsMetric] = useState(true); // Default to metric
+export function useUnits(api, overrides) {
+  const [userUnits, setUserUnits] = useState(DEFAULT_UNITS); // Default to metric
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   
@@ -42,14 +47,16 @@ export function useUnits(api) {
           
           // Check user's isMetric property
           // If not explicitly set, default based on locale
-          if (typeof user.isMetric === 'boolean') {
-            setIsMetric(user.isMetric);
-          } else {
+          let isMetric = user.isMetric;
+          if (typeof isMetric !== 'boolean') {
             // Fallback: detect from browser locale
             const locale = navigator.language || 'en-US';
             const imperialLocales = ['en-US', 'en-LR', 'en-MM']; // US, Liberia, Myanmar
-            setIsMetric(!imperialLocales.some(l => locale.startsWith(l.split('-')[0]) && locale.includes(l.split('-')[1])));
+            isMetric = !imperialLocales.some(l => locale.startsWith(l.split('-')[0]) && locale.includes(l.split('-')[1]));
           }
+
+          // Fuel economy and volume have their own MyGeotab setting (km/L, US or imperial MPG)
+          setUserUnits(getUserUnitProfile(isMetric, user.fuelEconomyUnit));
         }
         
         setError(null);
@@ -71,26 +78,13 @@ export function useUnits(api) {
     };
   }, [api, getSession, get]);
 
-  /**
-   * Manually set unit preference
-   */
-  const setUnitPreference = useCallback((metric) => {
-    setIsMetric(metric);
-  }, []);
-
-  /**
-   * Toggle between metric and imperial
-   */
-  const toggleUnits = useCallback(() => {
-    setIsMetric(prev => !prev);
-  }, []);
+  const units = useMemo(() => applyUnitOverrides(userUnits, overrides), [userUnits, overrides]);
 
   return {
-    isMetric,
+    units,
+    userUnits,
     loading,
-    error,
-    setUnitPreference,
-    toggleUnits
+    error
   };
 }
 
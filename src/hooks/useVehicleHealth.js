@@ -0,0 +1,143 @@
+/**
+ * Hook for a device's engine hours, coolant temperature, battery state of charge and fault codes
+ */
+
+import { useState, useEffect } from 'react';
+import { useGeotabApi } from './useGeotabApi';
+import { DIAGNOSTICS } from '../utils/constants';
+import { toISOString } from '../utils/dateUtils';
+import { getEngineHours, summarizeFaults } from '../utils/vehicleHealth';
+import { isAbortError } from '../utils/abortUtils';
+
+const EMPTY_HEALTH = {
+  engineHours: { lifetime: null, period: null },
+  coolantTemperature: null,
+  battery: [],
+  batteryTruncated: false,
+  faults: []
+};
+
+/**
+ * Latest StatusData reading of a diagnostic up to a date
+ */
+function latestReading(deviceId, diagnosticId, toDate) {
+  return ['Get', {
+    typeName: 'StatusData',
+    search: { deviceSearch: { id: deviceId }, diagnosticSearch: { id: diagnosticId }, toDate },
+    sort: { sortBy: 'date', sortDirection: 'desc' },
+    resultsLimit: 1
+  }];
+}
+
+/**
+ * Hook to load vehicle health for a device and date range
+ * Loads after the main dashboard data, like the fuel level trend
+ * @param {object} api - Geotab API object
+ * @param {string} deviceId - Device ID
+ * @param {object} dateRange - { start: Date, end: Date }
+ * @returns {{
+ *   loading: boolean,
+ *   error: string|null,
+ *   engineHours: { lifetime: number|null, period: number|null },
+ *   coolantTemperature: number|null,
+ *   battery: Array<{ date: Date, level: number }>,
+ *   batteryTruncated: boolean,
+ *   faults: Array
+ * }} Engine hours in seconds, the last coolant temperature
+ *   in the range in degrees Celsius, battery levels in percent; batteryTruncated when the readings hit the paging cap
+ */
+export function useVehicleHealth(api, deviceId, dateRange) {
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [health, setHealth] = useState(EMPTY_HEALTH);
+
+  const { multiCall, getAllPaged } = useGeotabApi(api);
+
+  useEffect(() => {
+    // Cancelled when the device or range changes, so stale readings never replace newer ones
+    const controller = new AbortController();
+    const { signal } = controller;
+
+    async function fetchHealth() {
+      if (!api || !deviceId || !dateRange?.start || !dateRange?.end) {
+        setHealth(EMPTY_HEALTH);
+        setLoading(false);
+        return;
+      }
+
+      setLoading(true);
+      setError(null);
+
+      try {
+        const fromDate = toISOString(dateRange.start);
+        const toDate = toISOString(dateRange.end);
+
+        const [[hoursBefore, hoursAtEnd, coolantResult, faultResult], batteryResult] = await Promise.all([
+          multiCall([
+            latestReading(deviceId, DIAGNOSTICS.ENGINE_HOURS, fromDate),
+            latestReading(deviceId, DIAGNOSTICS.ENGINE_HOURS, toDate),
+            latestReading(deviceId, DIAGNOSTICS.COOLANT_TEMPERATURE, toDate),
+            ['Get', {
+              typeName: 'FaultData',
+              search: { deviceSearch: { id: deviceId }, fromDate, toDate }
+            }]
+          ], { signal }),
+          getAllPaged('StatusData', {
+            deviceSearch: { id: deviceId },
+            diagnosticSearch: { id: DIAGNOSTICS.BATTERY_VOLTAGE },
+            fromDate,
+            toDate
+          }, { signal })
+        ]);
+
+        // Names and codes of the diagnostics that faulted
+        const diagnosticIds = [...new Set((faultResult || []).map(f => f.diagnostic?.id).filter(Boolean))];
+        const diagnosticResults = diagnosticIds.length > 0
+          ? await multiCall(diagnosticIds.map(id => ['Get', { typeName: 'Diagnostic', search: { id } }]), { signal })
+          : [];
+
+        if (signal.aborted) return;
+
+        const diagnosticsById = new Map(diagnosticResults.map((result, index) => [diagnosticIds[index], result?.[0]]));
+
+        setHealth({
+          engineHours: getEngineHours(hoursBefore?.[0], hoursAtEnd?.[0]),
+          // A reading from before the range is out of date, so it isn't shown
+          coolantTemperature: coolantResult?.[0] && new Date(coolantResult[0].dateTime) >= dateRange.start
+            ? coolantResult[0].data
+            : null,
+          // Paged results come back in date order; state of charge is already a percentage
+          battery: batteryResult.data.map(point => ({
+            date: new Date(point.dateTime),
+            level: point.data
+          })),
+          batteryTruncated: batteryResult.truncated,
+          faults: summarizeFaults(faultResult, diagnosticsById)
+        });
+      } catch (err) {
+        if (isAbortError(err)) return;
+        console.error('Error fetching vehicle health:', err);
+        setError('Failed to load vehicle health data');
+      } finally {
+        if (!signal.aborted) {
+          setLoading(false);
+        }
+      }
+    }
+
+    // Delay loading by 1 second to not block main page
+    const timer = setTimeout(fetchHealth, 1000);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [api, deviceId, dateRange, multiCall, getAllPaged]);
+
+  return {
+    loading,
+    error,
+    ...health
+  };
+}
+
+export default useVehicleHealth;
@@ -6,8 +6,21 @@
 import React from 'react';
 import { createRoot } from 'react-dom/client';
 import App from './App';
+import { OFFLINE_TILES } from './utils/constants';
 import './styles/dashboard.css';
 
+// Running outside MyGeotab (local development)
+const isStandalone = typeof window !== 'undefined' && !window.geotab;
+
+if (isStandalone) {
+  console.log('Running in development mode without MyGeotab');
+
+  // Mock geotab object so the add-in can register itself
+  window.geotab = {
+    addin: {}
+  };
+}
+
 // MyGeotab Add-In registration
 // eslint-disable-next-line no-undef
 geotab.addin.deviceDashboard = function() {
@@ -67,48 +80,33 @@ geotab.addin.deviceDashboard = function() {
 };
 
 // For local development without MyGeotab
-if (typeof window !== 'undefined' && !window.geotab) {
-  console.log('Running in development mode without MyGeotab');
-  
-  // Mock geotab object for development
-  window.geotab = {
-    addin: {}
-  };
-  
-  // Create mock API for testing
-  const mockApi = {
-    call: (method, params, success, error) => {
-      console.log('Mock API call:', method, params);
-      // Return empty results for development
-      setTimeout(() => {
-        if (method === 'Get') {
-          success([]);
-        } else {
-          success({});
-        }
-      }, 500);
-    },
-    multiCall: (calls, success, error) => {
-      console.log('Mock multiCall:', calls);
-      setTimeout(() => {
-        success(calls.map(() => []));
-      }, 500);
-    },
-    getSession: (callback) => {
-      callback({ userName: 'dev@test.com', database: 'demo' });
-    }
-  };
+if (isStandalone) {
+  // Offline mock API backed by generated fleet data, loaded as its own chunk so it stays out of the add-in bundle
+  // Add ?failureRate=0.3 to the URL to simulate transient API errors
+  // Add ?liveInterval=20000 to add a simulated trip every 20 seconds for live mode
+  const params = new URLSearchParams(window.location.search);
+  const failureRate = Number(params.get('failureRate')) || 0;
+  const liveInterval = Number(params.get('liveInterval')) || 0;
 
-  // Initialize and focus for development
-  const container = document.getElementById('deviceDashboardRoot');
-  if (container) {
-    container.innerHTML = '';
-    const root = createRoot(container);
-    root.render(
-      <App 
-        api={mockApi} 
-        state={{ language: 'en' }}
-      />
-    );
-  }
+  import(/* webpackChunkName: "mock-api" */ './mocks/mockGeotabApi')
+    .then(({ createMockApi }) => {
+      const mockApi = createMockApi({ failureRate, liveInterval });
+
+      // Initialize and focus for development
+      const container = document.getElementById('deviceDashboardRoot');
+      if (container) {
+        container.innerHTML = '';
+        const root = createRoot(container);
+        root.render(
+          <App 
+            api={mockApi} 
+            state={{ language: 'en' }}
+            tileSource={OFFLINE_TILES}
+          />
+        );
+      }
+    })
+    .catch(err => {
+      console.error('Failed to load the mock API:', err);
+    });
 }
@@ -0,0 +1,763 @@
+/**
+ * Deterministic mock data generator for local development
+ * Produces a small fleet with trips, exceptions, fill-ups, status data and engine faults
+ */
+
+import { DIAGNOSTICS } from '../utils/constants';
+
+// Number of days of history generated back from today
+const HISTORY_DAYS = 120;
+
+// Upper bound on GPS points per trip (roughly one per minute of driving)
+const MAX_LOG_RECORDS_PER_TRIP = 30;
+
+// Home base for the generated fleet (Oakville, ON)
+const HOME_BASE = { x: -79.6877, y: 43.4675 };
+
+const MAKES = [
+  { make: 'Ford', model: 'F-150' },
+  { make: 'Ford', model: 'Transit 250' },
+  { make: 'Chevrolet', model: 'Silverado 2500HD' },
+  { make: 'Ram', model: 'ProMaster 2500' },
+  { make: 'Freightliner', model: 'Cascadia' },
+  { make: 'International', model: 'LT625' },
+  { make: 'Toyota', model: 'Tacoma' },
+  { make: 'Mercedes-Benz', model: 'Sprinter 2500' }
+];
+
+const FIRST_NAMES = ['Alex', 'Jordan', 'Priya', 'Marcus', 'Sofia', 'Daniel', 'Mei', 'Omar', 'Hannah', 'Luis'];
+const LAST_NAMES = ['Chen', 'Patel', 'Okafor', 'Novak', 'Garcia', 'Smith', 'Tremblay', 'Haddad', 'Kim', 'Rossi'];
+
+const STREETS = ['Lakeshore Rd', 'Trafalgar Rd', 'Dundas St', 'Speers Rd', 'Cornwall Rd', 'Kerr St', 'Rebecca St', 'Upper Middle Rd', 'Bronte Rd', 'Ford Dr'];
+const CITIES = ['Oakville', 'Burlington', 'Mississauga', 'Milton', 'Hamilton', 'Brampton'];
+
+// Group hierarchy: id, name, parent id
+const GROUPS = [
+  { id: 'GroupCompanyId', name: 'Company Group', parent: null },
+  { id: 'b2701', name: 'East Region', parent: 'GroupCompanyId' },
+  { id: 'b2702', name: 'West Region', parent: 'GroupCompanyId' },
+  { id: 'b2703', name: 'East Light Duty', parent: 'b2701' },
+  { id: 'b2704', name: 'East Heavy Duty', parent: 'b2701' },
+  { id: 'b2705', name: 'West Light Duty', parent: 'b2702' },
+  { id: 'b2706', name: 'West Heavy Duty', parent: 'b2702' }
+];
+
+// Rule definitions with relative frequency weights
+const RULES = [
+  { id: 'RuleSpeedingId', name: 'Speeding', weight: 8 },
+  { id: 'RuleHarshBrakingId', name: 'Harsh Braking', weight: 5 },
+  { id: 'RuleJackrabbitStartsId', name: 'Harsh Acceleration', weight: 4 },
+  { id: 'RuleHarshCorneringId', name: 'Harsh Cornering', weight: 3 },
+  { id: 'RuleSeatbeltId', name: 'Seatbelt', weight: 2 },
+  { id: 'RuleIdlingId', name: 'Idling', weight: 6 },
+  { id: 'RuleAfterHoursUsageId', name: 'After Hours', weight: 1 },
+  { id: 'RuleEngineLightOnId', name: 'Engine Light', weight: 1 },
+  { id: 'RuleLowFuelId', name: 'Low Fuel', weight: 1 }
+];
+
+// Fault diagnostics with the warning lamps they light, and relative frequency weights
+const FAULT_CODES = [
+  { id: 'DiagnosticMisfireId', name: 'Random/multiple cylinder misfire detected', code: 'P0300', lamps: ['malfunctionLamp'], weight: 2 },
+  { id: 'DiagnosticCatalystEfficiencyId', name: 'Catalyst system efficiency below threshold', code: 'P0420', lamps: ['malfunctionLamp'], weight: 3 },
+  { id: 'DiagnosticEvapLeakId', name: 'Evaporative emission system leak detected (small leak)', code: 'P0456', lamps: [], weight: 4 },
+  { id: 'DiagnosticOilPressureLowId', name: 'Engine oil pressure low', code: 'SPN 100 FMI 1', lamps: ['redStopLamp'], weight: 1 },
+  { id: 'DiagnosticCoolantTempHighId', name: 'Engine coolant temperature above normal', code: 'SPN 110 FMI 16', lamps: ['amberWarningLamp'], weight: 2 },
+  { id: 'DiagnosticDeviceUnpluggedId', name: 'Device unplugged', code: 'GO 136', lamps: [], weight: 3 }
+];
+
+/**
+ * Seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {function(): number} Generator returning values in [0, 1)
+ */
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return function random() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Random helpers bound to a generator
+ */
+function createHelpers(random) {
+  const between = (min, max) => min + random() * (max - min);
+  const intBetween = (min, max) => Math.floor(between(min, max + 1));
+  const pick = (list) => list[Math.floor(random() * list.length)];
+  const pickWeighted = (list) => {
+    const total = list.reduce((sum, item) => sum + item.weight, 0);
+    let roll = random() * total;
+    for (const item of list) {
+      roll -= item.weight;
+      if (roll <= 0) return item;
+    }
+    return list[list.length - 1];
+  };
+  return { between, intBetween, pick, pickWeighted };
+}
+
+/**
+ * Format seconds as a Geotab TimeSpan string ("HH:MM:SS")
+ * @param {number} totalSeconds - Duration in seconds
+ * @returns {string}
+ */
+export function toTimeSpan(totalSeconds) {
+  const seconds = Math.max(0, Math.round(totalSeconds));
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+  return [hours, minutes, secs].map(v => String(v).padStart(2, '0')).join(':');
+}
+
+/**
+ * Parse a TimeSpan string ("HH:MM:SS") back to seconds
+ */
+function parseTimeSpanSeconds(timeSpan) {
+  const [hours, minutes, seconds] = timeSpan.split(':').map(Number);
+  return hours * 3600 + minutes * 60 + seconds;
+}
+
+/**
+ * Format a numeric version as a Geotab feed version token
+ * @param {number} version - Version number
+ * @returns {string} 16 character hex string
+ */
+export function toVersionToken(version) {
+  return version.toString(16).padStart(16, '0');
+}
+
+/**
+ * Build a deterministic street address for a coordinate
+ * @param {{ x: number, y: number }} coordinate - Longitude (x) and latitude (y)
+ * @returns {object} Address in the shape returned by GetAddresses
+ */
+export function buildAddress(coordinate) {
+  if (!coordinate || coordinate.x == null || coordinate.y == null) {
+    return { formattedAddress: '' };
+  }
+
+  const hash = Math.abs(Math.round(coordinate.x * 1000) * 31 + Math.round(coordinate.y * 1000) * 17);
+  const street = STREETS[hash % STREETS.length];
+  const city = CITIES[Math.floor(hash / STREETS.length) % CITIES.length];
+  const number = 10 + (hash % 2400);
+
+  return {
+    streetName: street,
+    streetNumber: String(number),
+    street: `${number} ${street}`,
+    city,
+    region: 'ON',
+    country: 'Canada',
+    postalCode: '',
+    formattedAddress: `${number} ${street}, ${city}, ON`
+  };
+}
+
+/**
+ * Generate reference entities (rules and users)
+ */
+function generateReferenceData() {
+  const rules = RULES.map(rule => ({
+    id: rule.id,
+    name: rule.name,
+    baseType: 'Stock',
+    version: toVersionToken(1)
+  }));
+
+  const drivers = FIRST_NAMES.map((firstName, index) => {
+    const lastName = LAST_NAMES[index];
+    return {
+      id: `b${(index + 1).toString(16).toUpperCase()}0`,
+      name: `${firstName}.${lastName}@example.com`.toLowerCase(),
+      firstName,
+      lastName,
+      isDriver: true,
+      isMetric: true,
+      employeeNo: `E${1000 + index}`,
+      keys: [],
+      driverGroups: [{ id: 'GroupCompanyId' }],
+      companyGroups: [{ id: 'GroupCompanyId' }]
+    };
+  });
+
+  const sessionUser = {
+    id: 'b1',
+    name: 'dev@test.com',
+    firstName: 'Dev',
+    lastName: 'User',
+    isDriver: false,
+    isMetric: true,
+    fuelEconomyUnit: 'LitersPer100Km',
+    companyGroups: [{ id: 'GroupCompanyId' }]
+  };
+
+  return { rules, drivers, users: [sessionUser, ...drivers] };
+}
+
+/**
+ * Generate the group tree in the shape returned by Get Group
+ */
+function generateGroups() {
+  return GROUPS.map(group => ({
+    id: group.id,
+    name: group.name,
+    parent: group.parent ? { id: group.parent } : undefined,
+    children: GROUPS.filter(child => child.parent === group.id).map(child => ({ id: child.id }))
+  }));
+}
+
+/**
+ * Pick the leaf group for a device by region and duty class
+ */
+function getDeviceGroupId(index, isHeavy) {
+  const isEast = index % 2 === 0;
+  if (isEast) return isHeavy ? 'b2704' : 'b2703';
+  return isHeavy ? 'b2706' : 'b2705';
+}
+
+/**
+ * Generate the fleet of devices
+ */
+function generateDevices(random, count) {
+  const { pick, intBetween } = createHelpers(random);
+
+  return Array.from({ length: count }, (_, index) => {
+    const vehicle = MAKES[index % MAKES.length];
+    const number = String(101 + index);
+    const isHeavy = ['Freightliner', 'International'].includes(vehicle.make);
+
+    return {
+      id: `b${(index + 10).toString(16).toUpperCase()}`,
+      name: `${isHeavy ? 'Truck' : 'Van'} ${number}`,
+      serialNumber: `G9${String(4000000000 + index * 7919).slice(0, 10)}`,
+      vehicleIdentificationNumber: `1FT${pick(['EW1', 'BW2', 'FW3'])}E${intBetween(10000000, 99999999)}${index}`.slice(0, 17),
+      licensePlate: `${pick(['ABCD', 'BXKT', 'CTRW', 'DLMN'])} ${intBetween(100, 999)}`,
+      comment: isHeavy ? 'Long haul' : pick(['Service route', 'Delivery', 'Site support', '']),
+      make: vehicle.make,
+      model: vehicle.model,
+      vehicleYear: String(intBetween(2016, 2024)),
+      deviceType: 'GO9',
+      groups: [{ id: getDeviceGroupId(index, isHeavy) }],
+      activeFrom: '2015-01-01T00:00:00.000Z',
+      activeTo: '2050-01-01T00:00:00.000Z',
+      // Profile used by the activity generator (not part of the API shape)
+      profile: {
+        isHeavy,
+        tankCapacity: isHeavy ? intBetween(400, 600) : intBetween(70, 130),
+        litersPer100Km: isHeavy ? 32 + random() * 8 : 11 + random() * 6,
+        cruiseSpeed: isHeavy ? 75 + random() * 15 : 40 + random() * 25,
+        startOdometer: intBetween(20000, isHeavy ? 600000 : 180000),
+        exceptionRate: 0.08 + random() * 0.3,
+        // A few units stop reporting so inactive devices show up in the picker
+        offlineDays: index % 5 === 3 ? 2 + index * 1.5 : 0
+      }
+    };
+  });
+}
+
+/**
+ * Move a coordinate by a random offset, pulled back toward the home base
+ */
+function wander(point, distanceKm, random) {
+  const angle = random() * Math.PI * 2;
+  const degrees = distanceKm / 111;
+  const pull = 0.15;
+  return {
+    x: point.x + Math.cos(angle) * degrees * 0.6 + (HOME_BASE.x - point.x) * pull,
+    y: point.y + Math.sin(angle) * degrees * 0.6 + (HOME_BASE.y - point.y) * pull
+  };
+}
+
+/**
+ * Generate trips and related records for a single device
+ */
+function generateDeviceActivity(device, drivers, random, startDate, endDate) {
+  const { between, intBetween, pick, pickWeighted } = createHelpers(random);
+  const { profile } = device;
+
+  const trips = [];
+  const exceptions = [];
+  const fillUps = [];
+  const statusData = [];
+
+  const driver = drivers[parseInt(device.id.slice(1), 16) % drivers.length];
+  const backupDriver = pick(drivers);
+
+  let position = { ...HOME_BASE };
+  let fuelLevel = between(40, 95);
+  let odometer = profile.startOdometer;
+  let fuelUsed = profile.startOdometer * profile.litersPer100Km / 100;
+  let engineHours = profile.startOdometer / profile.cruiseSpeed * 3600;
+  let stateOfCharge = between(85, 100);
+  let lastStop = null;
+  let sequence = 0;
+
+  // Fuel anomalies draw from their own stream so the rest of the activity stays the same for a seed
+  const anomalyRandom = createRandom(parseInt(device.id.slice(1), 16) * 7727);
+
+  const addStatus = (diagnosticId, dateTime, data) => {
+    statusData.push({
+      id: `${device.id}-sd-${sequence++}`,
+      dateTime: dateTime.toISOString(),
+      data,
+      device: { id: device.id },
+      diagnostic: { id: diagnosticId }
+    });
+  };
+
+  const day = new Date(startDate);
+  day.setHours(0, 0, 0, 0);
+
+  while (day <= endDate) {
+    const weekday = day.getDay() !== 0 && day.getDay() !== 6;
+    const drivesToday = random() < (weekday ? 0.88 : 0.25);
+
+    if (drivesToday) {
+      const tripCount = intBetween(2, profile.isHeavy ? 4 : 7);
+      const tripDriver = random() < 0.85 ? driver : backupDriver;
+      let cursor = new Date(day);
+      cursor.setHours(intBetween(6, 8), intBetween(0, 59), 0, 0);
+
+      for (let t = 0; t < tripCount; t++) {
+        const drivingSeconds = intBetween(8, profile.isHeavy ? 180 : 70) * 60;
+        const idlingSeconds = random() < 0.7 ? intBetween(0, 18) * 60 : intBetween(20, 45) * 60;
+        const averageSpeed = profile.cruiseSpeed * between(0.7, 1.15);
+        const distance = averageSpeed * drivingSeconds / 3600;
+        const maximumSpeed = Math.min(135, averageSpeed * between(1.25, 1.7));
+
+        const start = new Date(cursor);
+        const stop = new Date(start.getTime() + (drivingSeconds + idlingSeconds) * 1000);
+        if (stop > endDate) break;
+
+        // Split driving time across the three default speed ranges
+        const highShare = Math.max(0, (averageSpeed - 60) / 60);
+        const lowShare = Math.max(0.05, (70 - averageSpeed) / 70);
+        const midShare = Math.max(0.1, 1 - highShare - lowShare);
+        const shareTotal = highShare + lowShare + midShare;
+
+        const startPoint = position;
+        const stopPoint = wander(position, distance, random);
+
+        const fuelBurned = distance * profile.litersPer100Km / 100 + idlingSeconds / 3600 * (profile.isHeavy ? 3 : 0.8);
+        const levelStart = fuelLevel;
+        fuelLevel = Math.max(3, fuelLevel - fuelBurned / profile.tankCapacity * 100);
+
+        const trip = {
+          id: `${device.id}-t-${trips.length}`,
+          device: { id: device.id },
+          driver: { id: tripDriver.id },
+          start: start.toISOString(),
+          stop: stop.toISOString(),
+          distance: Number(distance.toFixed(2)),
+          drivingDuration: toTimeSpan(drivingSeconds),
+          idlingDuration: toTimeSpan(idlingSeconds),
+          stopDuration: '00:00:00',
+          nextTripStart: null,
+          maximumSpeed: Math.round(maximumSpeed),
+          averageSpeed: Math.round(averageSpeed),
+          speedRange1Duration: toTimeSpan(drivingSeconds * lowShare / shareTotal),
+          speedRange2Duration: toTimeSpan(drivingSeconds * midShare / shareTotal),
+          speedRange3Duration: toTimeSpan(drivingSeconds * highShare / shareTotal),
+          afterHoursDistance: 0,
+          afterHoursDrivingDuration: '00:00:00',
+          isSeatBeltOff: false,
+          startPoint,
+          stopPoint
+        };
+
+        if (lastStop) {
+          lastStop.nextTripStart = trip.start;
+          lastStop.stopDuration = toTimeSpan((start - new Date(lastStop.stop)) / 1000);
+        }
+        trips.push(trip);
+        lastStop = trip;
+
+        // Exceptions during the trip
+        const exceptionCount = random() < profile.exceptionRate ? intBetween(1, 2) : 0;
+        for (let e = 0; e < exceptionCount; e++) {
+          const rule = pickWeighted(RULES);
+          const offset = between(0.05, 0.9);
+          const activeFrom = new Date(start.getTime() + (drivingSeconds + idlingSeconds) * 1000 * offset);
+          const durationSeconds = rule.name === 'Idling' ? intBetween(300, 1200) : intBetween(2, 90);
+          const activeTo = new Date(activeFrom.getTime() + durationSeconds * 1000);
+          exceptions.push({
+            id: `${device.id}-e-${exceptions.length}`,
+            activeFrom: activeFrom.toISOString(),
+            activeTo: activeTo.toISOString(),
+            duration: toTimeSpan(durationSeconds),
+            distance: rule.name === 'Idling' ? 0 : Number((averageSpeed * durationSeconds / 3600).toFixed(2)),
+            rule: { id: rule.id },
+            device: { id: device.id },
+            driver: { id: tripDriver.id },
+            state: 'Valid',
+            latitude: startPoint.y + (stopPoint.y - startPoint.y) * offset,
+            longitude: startPoint.x + (stopPoint.x - startPoint.x) * offset
+          });
+        }
+
+        // Status data at trip start and stop
+        odometer += distance;
+        fuelUsed += fuelBurned;
+        engineHours += drivingSeconds + idlingSeconds;
+        stateOfCharge = Math.min(100, Math.max(20, stateOfCharge + between(-4, 3) + (90 - stateOfCharge) * 0.1));
+
+        addStatus(DIAGNOSTICS.FUEL_LEVEL, start, Number(levelStart.toFixed(1)));
+        addStatus(DIAGNOSTICS.FUEL_LEVEL, stop, Number(fuelLevel.toFixed(1)));
+        addStatus(DIAGNOSTICS.ODOMETER, stop, Number(odometer.toFixed(1)));
+        addStatus(DIAGNOSTICS.FUEL_USED, stop, Number(fuelUsed.toFixed(2)));
+        addStatus(DIAGNOSTICS.ENGINE_HOURS, stop, Math.round(engineHours));
+        addStatus(DIAGNOSTICS.BATTERY_VOLTAGE, stop, Number(stateOfCharge.toFixed(1)));
+        // Derived from the odometer so the other readings keep their random sequence
+        addStatus(DIAGNOSTICS.COOLANT_TEMPERATURE, stop, Number((84 + odometer % 10).toFixed(1)));
+
+        // Refuel at the stop location when running low
+        const refuels = fuelLevel < between(18, 30);
+        if (refuels) {
+          const fillTime = new Date(stop.getTime() + intBetween(3, 10) * 60 * 1000);
+          const targetLevel = between(92, 100);
+          // Now and then the fuel card is charged for more than went into the tank
+          const volume = (targetLevel - fuelLevel) / 100 * profile.tankCapacity +
+            (anomalyRandom() < 0.06 ? profile.tankCapacity * (0.3 + anomalyRandom() * 0.3) : 0);
+          const previousFill = fillUps[fillUps.length - 1];
+          const distanceSinceFill = previousFill ? odometer - previousFill.odometer : null;
+
+          fillUps.push({
+            id: `${device.id}-f-${fillUps.length}`,
+            dateTime: fillTime.toISOString(),
+            device: { id: device.id },
+            driver: { id: tripDriver.id },
+            volume: Number(volume.toFixed(1)),
+            derivedVolume: Number(volume.toFixed(1)),
+            tankCapacity: profile.tankCapacity,
+            tankLevelExtrema: { minimum: Number(fuelLevel.toFixed(1)), maximum: Number(targetLevel.toFixed(1)) },
+            odometer: Number(odometer.toFixed(1)),
+            distance: distanceSinceFill != null ? Number(distanceSinceFill.toFixed(1)) : null,
+            fuelEconomy: distanceSinceFill ? Number((profile.litersPer100Km * between(0.92, 1.08)).toFixed(2)) : null,
+            location: stopPoint,
+            productType: profile.isHeavy ? 'Diesel' : 'Regular'
+          });
+
+          fuelLevel = targetLevel;
+          addStatus(DIAGNOSTICS.FUEL_LEVEL, fillTime, Number(fuelLevel.toFixed(1)));
+        }
+
+        position = stopPoint;
+        cursor = new Date(stop.getTime() + intBetween(10, 150) * 60 * 1000);
+
+        // Rarely, fuel is siphoned or added without a fill-up record while parked before the next trip
+        const anomaly = refuels ? 1 : anomalyRandom();
+        const parkedAt = new Date(stop.getTime() + (cursor - stop) * (0.3 + anomalyRandom() * 0.4));
+        if (anomaly < 0.012 && fuelLevel > 40) {
+          fuelLevel -= 12 + anomalyRandom() * 18;
+          addStatus(DIAGNOSTICS.FUEL_LEVEL, parkedAt, Number(fuelLevel.toFixed(1)));
+        } else if (anomaly < 0.02 && fuelLevel < 60) {
+          fuelLevel = Math.min(100, fuelLevel + 25 + anomalyRandom() * 20);
+          addStatus(DIAGNOSTICS.FUEL_LEVEL, parkedAt, Number(fuelLevel.toFixed(1)));
+        }
+        if (cursor.getHours() >= 21) break;
+      }
+    }
+
+    day.setDate(day.getDate() + 1);
+  }
+
+  return { trips, exceptions, fillUps, statusData };
+}
+
+/**
+ * Generate engine faults for a device, each recurring at the start of some of its trips
+ * The latest occurrence of about half the faults is still active
+ */
+function generateDeviceFaults(device, trips, random) {
+  const { intBetween, pickWeighted } = createHelpers(random);
+  if (trips.length === 0) return [];
+
+  const codes = new Set(Array.from({ length: intBetween(0, 4) }, () => pickWeighted(FAULT_CODES)));
+  const faults = [];
+
+  codes.forEach(code => {
+    let tripIndex = intBetween(0, trips.length - 1);
+    const occurrences = [];
+    while (tripIndex < trips.length && occurrences.length < 8) {
+      occurrences.push(trips[tripIndex]);
+      tripIndex += intBetween(3, 40);
+    }
+    const stillActive = random() < 0.5;
+
+    occurrences.forEach((trip, index) => {
+      const isLast = index === occurrences.length - 1;
+      faults.push({
+        id: `${device.id}-fd-${faults.length}`,
+        dateTime: new Date(new Date(trip.start).getTime() + 30 * 1000).toISOString(),
+        device: { id: device.id },
+        diagnostic: { id: code.id },
+        failureMode: { id: 'NoFailureModeId' },
+        controller: { id: 'ControllerNoneId' },
+        faultState: !isLast || stillActive ? 'Active' : 'Inactive',
+        count: index + 1,
+        malfunctionLamp: code.lamps.includes('malfunctionLamp'),
+        amberWarningLamp: code.lamps.includes('amberWarningLamp'),
+        redStopLamp: code.lamps.includes('redStopLamp'),
+        protectWarningLamp: false
+      });
+    });
+  });
+
+  return faults;
+}
+
+/**
+ * Generate GPS log records along a trip, bowed so routes aren't straight lines
+ * Points are spaced through the driving time; the last one is the parked stop
+ */
+function generateTripLogRecords(trip, random) {
+  const { startPoint, stopPoint } = trip;
+  const start = new Date(trip.start).getTime();
+  const drivingMs = parseTimeSpanSeconds(trip.drivingDuration) * 1000;
+  const count = Math.min(MAX_LOG_RECORDS_PER_TRIP, Math.max(4, Math.round(drivingMs / 60000)));
+
+  // Perpendicular offset at the middle of the route, as a share of its length
+  const bow = (random() - 0.5) * 0.5;
+  const dx = stopPoint.x - startPoint.x;
+  const dy = stopPoint.y - startPoint.y;
+
+  const records = [];
+  for (let i = 0; i <= count; i++) {
+    const t = i / count;
+    const offset = Math.sin(Math.PI * t) * bow;
+    const parked = i === count;
+    records.push({
+      id: `${trip.id}-l-${i}`,
+      dateTime: new Date(parked ? new Date(trip.stop).getTime() : start + drivingMs * t).toISOString(),
+      device: { id: trip.device.id },
+      latitude: startPoint.y + dy * t + dx * offset,
+      longitude: startPoint.x + dx * t - dy * offset,
+      speed: parked || i === 0 ? 0 : Math.round(trip.averageSpeed * (0.6 + random() * 0.7))
+    });
+  }
+  return records;
+}
+
+/**
+ * Build the current DeviceStatusInfo for a device from its last trip
+ */
+function buildDeviceStatusInfo(device, trips, lastCommunication, random) {
+  const lastTrip = trips[trips.length - 1];
+  const isDeviceCommunicating = device.profile.offlineDays === 0;
+  // Communicating devices check in every few minutes while parked
+  const lastLog = new Date(lastCommunication.getTime() - Math.floor(random() * 20 * 60 * 1000));
+  const position = lastTrip?.stopPoint || HOME_BASE;
+
+  return {
+    id: `${device.id}-dsi`,
+    device: { id: device.id },
+    driver: lastTrip ? { id: lastTrip.driver.id } : 'UnknownDriverId',
+    dateTime: (isDeviceCommunicating ? lastLog : new Date(lastTrip?.stop || lastCommunication)).toISOString(),
+    isDeviceCommunicating,
+    isDriving: false,
+    latitude: position.y,
+    longitude: position.x,
+    speed: 0,
+    bearing: 0
+  };
+}
+
+/**
+ * Assign increasing feed versions to records ordered by a date field
+ */
+function assignVersions(records, dateField) {
+  records.sort((a, b) => new Date(a[dateField]) - new Date(b[dateField]));
+  records.forEach((record, index) => {
+    record.version = toVersionToken(index + 1);
+  });
+  return records;
+}
+
+/**
+ * Append the next feed version of a type to a record and add it to the list
+ */
+function appendVersioned(list, record) {
+  const last = list[list.length - 1];
+  const version = last ? parseInt(last.version, 16) + 1 : 1;
+  list.push({ ...record, version: toVersionToken(version) });
+}
+
+/**
+ * Simulate a short trip that just ended, for exercising live mode
+ * Appends the trip plus its GPS points and fuel-level readings, and sometimes an exception or a fill-up
+ * @param {object} database - Result of generateMockDatabase
+ * @param {function} random - Random generator
+ * @param {Date} now - Time the trip ends
+ */
+export function appendLiveActivity(database, random, now = new Date()) {
+  const { between, intBetween, pick, pickWeighted } = createHelpers(random);
+  const device = pick(database.Device);
+  const deviceTrips = database.Trip.filter(t => t.device.id === device.id);
+  const lastTrip = deviceTrips[deviceTrips.length - 1];
+  const driver = lastTrip?.driver || { id: pick(database.User.filter(u => u.isDriver)).id };
+  const sequence = database.Trip.length;
+
+  const drivingSeconds = intBetween(5, 25) * 60;
+  const idlingSeconds = intBetween(0, 6) * 60;
+  const averageSpeed = between(30, 70);
+  const distance = averageSpeed * drivingSeconds / 3600;
+  const stop = new Date(now);
+  const start = new Date(stop.getTime() - (drivingSeconds + idlingSeconds) * 1000);
+  const startPoint = lastTrip?.stopPoint || { ...HOME_BASE };
+  const stopPoint = wander(startPoint, distance, random);
+
+  const trip = {
+    id: `${device.id}-t-live-${sequence}`,
+    device: { id: device.id },
+    driver,
+    start: start.toISOString(),
+    stop: stop.toISOString(),
+    distance: Number(distance.toFixed(2)),
+    drivingDuration: toTimeSpan(drivingSeconds),
+    idlingDuration: toTimeSpan(idlingSeconds),
+    stopDuration: '00:00:00',
+    nextTripStart: null,
+    maximumSpeed: Math.round(averageSpeed * between(1.2, 1.6)),
+    averageSpeed: Math.round(averageSpeed),
+    speedRange1Duration: toTimeSpan(drivingSeconds * 0.3),
+    speedRange2Duration: toTimeSpan(drivingSeconds * 0.6),
+    speedRange3Duration: toTimeSpan(drivingSeconds * 0.1),
+    afterHoursDistance: 0,
+    afterHoursDrivingDuration: '00:00:00',
+    isSeatBeltOff: false,
+    startPoint,
+    stopPoint
+  };
+  appendVersioned(database.Trip, trip);
+  generateTripLogRecords(trip, random).forEach(record => appendVersioned(database.LogRecord, record));
+
+  const addFuelLevel = (dateTime, level, suffix) => {
+    appendVersioned(database.StatusData, {
+      id: `${device.id}-sd-live-${sequence}${suffix}`,
+      dateTime: dateTime.toISOString(),
+      data: Number(level.toFixed(1)),
+      device: { id: device.id },
+      diagnostic: { id: DIAGNOSTICS.FUEL_LEVEL }
+    });
+  };
+
+  const lastLevel = database.StatusData
+    .filter(sd => sd.device.id === device.id && sd.diagnostic.id === DIAGNOSTICS.FUEL_LEVEL)
+    .pop()?.data ?? between(40, 90);
+  const fuelLevel = Math.max(3, lastLevel - distance * 0.12);
+  addFuelLevel(stop, fuelLevel, '');
+
+  if (random() < 0.6) {
+    const rule = pickWeighted(RULES);
+    const activeFrom = new Date(start.getTime() + drivingSeconds * 1000 * between(0.1, 0.9));
+    const durationSeconds = intBetween(2, 90);
+    appendVersioned(database.ExceptionEvent, {
+      id: `${device.id}-e-live-${sequence}`,
+      activeFrom: activeFrom.toISOString(),
+      activeTo: new Date(activeFrom.getTime() + durationSeconds * 1000).toISOString(),
+      duration: toTimeSpan(durationSeconds),
+      distance: Number((averageSpeed * durationSeconds / 3600).toFixed(2)),
+      rule: { id: rule.id },
+      device: { id: device.id },
+      driver,
+      state: 'Valid',
+      latitude: stopPoint.y,
+      longitude: stopPoint.x
+    });
+  }
+
+  if (fuelLevel < 25) {
+    const volume = (between(92, 100) - fuelLevel) / 100 * 80;
+    appendVersioned(database.FillUp, {
+      id: `${device.id}-f-live-${sequence}`,
+      dateTime: stop.toISOString(),
+      device: { id: device.id },
+      driver,
+      volume: Number(volume.toFixed(1)),
+      derivedVolume: Number(volume.toFixed(1)),
+      tankCapacity: 80,
+      odometer: null,
+      distance: null,
+      fuelEconomy: null,
+      location: stopPoint,
+      productType: 'Regular'
+    });
+    addFuelLevel(stop, fuelLevel + volume / 80 * 100, '-fill');
+  }
+}
+
+/**
+ * Generate the complete mock database
+ * @param {object} options
+ * @param {number} options.seed - Seed for the random generator
+ * @param {number} options.deviceCount - Number of devices in the fleet
+ * @param {Date} options.now - Reference "current" time
+ * @returns {object} Entity lists keyed by Geotab type name
+ */
+export function generateMockDatabase({ seed = 20240101, deviceCount = 12, now = new Date() } = {}) {
+  const random = createRandom(seed);
+  const { rules, drivers, users } = generateReferenceData();
+  const devices = generateDevices(random, deviceCount);
+
+  const endDate = new Date(now);
+  const startDate = new Date(now);
+  startDate.setDate(startDate.getDate() - HISTORY_DAYS);
+
+  const trips = [];
+  const exceptions = [];
+  const fillUps = [];
+  const statusData = [];
+  const statusInfo = [];
+  const logRecords = [];
+  const faults = [];
+
+  devices.forEach((device, index) => {
+    // Each device gets its own stream so adding devices doesn't reshuffle others
+    const deviceRandom = createRandom(seed + (index + 1) * 7919);
+    const lastCommunication = new Date(endDate.getTime() - device.profile.offlineDays * 24 * 3600 * 1000);
+    const activity = generateDeviceActivity(device, drivers, deviceRandom, startDate, lastCommunication);
+    trips.push(...activity.trips);
+    exceptions.push(...activity.exceptions);
+    fillUps.push(...activity.fillUps);
+    statusData.push(...activity.statusData);
+    statusInfo.push(buildDeviceStatusInfo(device, activity.trips, lastCommunication, deviceRandom));
+
+    // GPS points use their own stream so the other records stay the same for a seed
+    const logRandom = createRandom(seed + (index + 1) * 104729);
+    activity.trips.forEach(trip => logRecords.push(...generateTripLogRecords(trip, logRandom)));
+
+    const faultRandom = createRandom(seed + (index + 1) * 15485863);
+    faults.push(...generateDeviceFaults(device, activity.trips, faultRandom));
+  });
+
+  // Strip generator-only fields from the public device shape
+  const publicDevices = devices.map(({ profile, ...device }) => ({
+    ...device,
+    version: toVersionToken(1)
+  }));
+
+  return {
+    Device: publicDevices,
+    Trip: assignVersions(trips, 'start'),
+    ExceptionEvent: assignVersions(exceptions, 'activeFrom'),
+    FillUp: assignVersions(fillUps, 'dateTime'),
+    StatusData: assignVersions(statusData, 'dateTime'),
+    LogRecord: assignVersions(logRecords, 'dateTime'),
+    FaultData: assignVersions(faults, 'dateTime'),
+    Diagnostic: FAULT_CODES.map(({ id, name, code }) => ({ id, name, code })),
+    DeviceStatusInfo: statusInfo,
+    Group: generateGroups(),
+    Rule: rules,
+    User: users,
+    // Trip speed ranges above use the default limits
+    SystemSettings: [{ id: 'SystemSettingsId', speedRange1: 50, speedRange2: 90 }],
+    // Add-In storage starts empty; the mock API's Add and Set write to it
+    AddInData: []
+  };
+}
+
+export default generateMockDatabase;
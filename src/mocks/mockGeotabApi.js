@@ -0,0 +1,369 @@
+/**
+ * Offline stand-in for the MyGeotab API used by the local dev entry point
+ * Answers Get, GetFeed, GetCountOf, GetAddresses and GetRoadMaxSpeeds from generated data,
+ * and Add and Set for AddInData
+ */
+
+import { generateMockDatabase, appendLiveActivity, buildAddress, toVersionToken } from './mockData';
+
+// Date fields used to match fromDate/toDate per type: [start, end]
+const DATE_FIELDS = {
+  Trip: ['start', 'stop'],
+  ExceptionEvent: ['activeFrom', 'activeTo'],
+  FillUp: ['dateTime', 'dateTime'],
+  StatusData: ['dateTime', 'dateTime'],
+  LogRecord: ['dateTime', 'dateTime'],
+  FaultData: ['dateTime', 'dateTime']
+};
+
+// Default number of records returned by GetFeed when no limit is given
+const FEED_LIMIT = 50000;
+
+// Field Get sorts by for sort: { sortBy: 'date' }
+const SORT_DATE_FIELDS = {
+  Trip: 'start',
+  ExceptionEvent: 'activeFrom',
+  FillUp: 'dateTime',
+  StatusData: 'dateTime',
+  LogRecord: 'dateTime',
+  FaultData: 'dateTime'
+};
+
+// Types the mock lets the dashboard write
+const WRITABLE_TYPES = ['AddInData'];
+
+// Posted limits the mock assigns to roads, in km/h
+const ROAD_SPEED_LIMITS = [30, 50, 60, 80, 100, 110];
+
+// Most simulated trips added at once after a long pause between requests
+const MAX_LIVE_BACKLOG = 10;
+
+// Transient errors the mock can inject to exercise retry handling
+const SIMULATED_FAILURES = [
+  ['OverLimitException', 'API calls quota exceeded. Maximum admitted 10 per 5s.'],
+  ['DbUnavailableException', 'The database is temporarily unavailable.'],
+  ['TimeoutException', 'The request timed out.']
+];
+
+/**
+ * Create an error in the shape the MyGeotab API passes to error callbacks
+ */
+function createApiError(name, message) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+/**
+ * Parse a feed version token to a number
+ */
+function parseVersion(version) {
+  if (version == null) return 0;
+  const parsed = parseInt(version, 16);
+  return Number.isNaN(parsed) ? 0 : parsed;
+}
+
+/**
+ * Check whether an entity reference list contains any of the searched ids
+ */
+function matchesIdSearch(reference, idSearch) {
+  if (!idSearch?.id) return true;
+  if (Array.isArray(reference)) {
+    return reference.some(ref => ref.id === idSearch.id);
+  }
+  return reference?.id === idSearch.id;
+}
+
+/**
+ * Expand group references to include every descendant group id
+ */
+function expandGroupIds(groupRefs, groups) {
+  const childrenById = new Map(groups.map(g => [g.id, g.children || []]));
+  const result = new Set();
+  const pending = groupRefs.map(g => g.id);
+
+  while (pending.length > 0) {
+    const id = pending.pop();
+    if (result.has(id)) continue;
+    result.add(id);
+    (childrenById.get(id) || []).forEach(child => pending.push(child.id));
+  }
+
+  return result;
+}
+
+/**
+ * Check whether a string matches a Geotab name search (supports % wildcard)
+ */
+function matchesName(value, pattern) {
+  if (!pattern) return true;
+  if (!value) return false;
+  const escaped = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i').test(value);
+}
+
+/**
+ * Check AddInData details against a simple where clause: field = "value"
+ */
+function matchesWhereClause(details, whereClause) {
+  if (!whereClause) return true;
+  const match = whereClause.match(/^\s*(\w+)\s*=\s*"((?:[^"\\]|\\.)*)"\s*$/);
+  if (!match) {
+    throw createApiError('ArgumentException', `Mock API does not support where clause '${whereClause}'`);
+  }
+  return details?.[match[1]] === match[2].replace(/\\(.)/g, '$1');
+}
+
+/**
+ * Apply a search object to a list of entities of the given type
+ * Group searches match the group or any of its descendants, as in MyGeotab
+ */
+function filterEntities(typeName, entities, search = {}, database) {
+  const [startField, endField] = DATE_FIELDS[typeName] || [];
+  const fromDate = search.fromDate ? new Date(search.fromDate) : null;
+  const toDate = search.toDate ? new Date(search.toDate) : null;
+
+  const groupIds = search.groups?.length ? expandGroupIds(search.groups, database.Group) : null;
+
+  // Resolve deviceSearch.groups to the set of matching device ids
+  const deviceGroupIds = search.deviceSearch?.groups?.length
+    ? expandGroupIds(search.deviceSearch.groups, database.Group)
+    : null;
+  const deviceIdsInGroups = deviceGroupIds
+    ? new Set(database.Device
+      .filter(d => d.groups?.some(g => deviceGroupIds.has(g.id)))
+      .map(d => d.id))
+    : null;
+
+  return entities.filter(entity => {
+    if (search.id && entity.id !== search.id) return false;
+    if (search.name && !matchesName(entity.name, search.name)) return false;
+    if (search.serialNumber && entity.serialNumber !== search.serialNumber) return false;
+    if (typeof search.isDriver === 'boolean' && Boolean(entity.isDriver) !== search.isDriver) return false;
+    if (search.addInId && entity.addInId !== search.addInId) return false;
+    if (!matchesWhereClause(entity.details, search.whereClause)) return false;
+
+    if (groupIds && !entity.groups?.some(g => groupIds.has(g.id))) return false;
+
+    if (!matchesIdSearch(entity.device, search.deviceSearch)) return false;
+    if (deviceIdsInGroups && !deviceIdsInGroups.has(entity.device?.id)) return false;
+    if (!matchesIdSearch(entity.diagnostic, search.diagnosticSearch)) return false;
+    if (!matchesIdSearch(entity.rule, search.ruleSearch)) return false;
+    if (!matchesIdSearch(entity.driver, search.userSearch)) return false;
+
+    if (startField && (fromDate || toDate)) {
+      const start = new Date(entity[startField]);
+      const end = entity[endField] ? new Date(entity[endField]) : start;
+      if (fromDate && end < fromDate) return false;
+      if (toDate && start > toDate) return false;
+    }
+
+    return true;
+  });
+}
+
+/**
+ * Posted limit where a GPS record was taken: the lowest limit at or above 95% of its speed,
+ * so a share of records are a little over the limit
+ */
+function getRoadMaxSpeed(record) {
+  return ROAD_SPEED_LIMITS.find(limit => limit >= record.speed * 0.95) ?? ROAD_SPEED_LIMITS[ROAD_SPEED_LIMITS.length - 1];
+}
+
+/**
+ * Apply Get's date sort and cursor (offset date plus lastId) to filtered entities
+ * Records come back ordered by date then id, starting after the cursor
+ */
+function applyDateSort(typeName, entities, sort) {
+  const dateField = SORT_DATE_FIELDS[typeName];
+  if (!sort || sort.sortBy !== 'date' || !dateField) return entities;
+
+  const direction = sort.sortDirection === 'desc' ? -1 : 1;
+  const compare = (date, id, offsetDate, offsetId) =>
+    (date - offsetDate) || (id < offsetId ? -1 : id > offsetId ? 1 : 0);
+
+  const sorted = [...entities].sort((a, b) =>
+    compare(new Date(a[dateField]), a.id, new Date(b[dateField]), b.id) * direction
+  );
+
+  if (!sort.offset) return sorted;
+  const offsetDate = new Date(sort.offset);
+  return sorted.filter(entity =>
+    compare(new Date(entity[dateField]), entity.id, offsetDate, sort.lastId ?? '') * direction > 0
+  );
+}
+
+/**
+ * Create a mock API object with the same surface as the MyGeotab add-in api
+ * @param {object} options
+ * @param {number} options.latency - Simulated response time in ms
+ * @param {number} options.seed - Seed for the data generator
+ * @param {number} options.deviceCount - Number of devices in the generated fleet
+ * @param {object} options.session - Session returned by getSession
+ * @param {number} options.failureRate - Share of requests (0-1) that fail with a transient error
+ * @param {number} options.liveInterval - Add a simulated trip every this many ms (0 disables)
+ * @returns {{ call: function, multiCall: function, getSession: function }}
+ */
+export function createMockApi({
+  latency = 300,
+  seed,
+  deviceCount,
+  session = { userName: 'dev@test.com', database: 'demo', sessionId: 'mock-session' },
+  failureRate = 0,
+  liveInterval = 0
+} = {}) {
+  let database = null;
+  let lastLiveTick = Date.now();
+
+  // Generate lazily so the cost is only paid once the dashboard makes its first call
+  const getDatabase = () => {
+    if (!database) {
+      database = generateMockDatabase({ seed, deviceCount });
+      console.log('Mock database generated:', Object.fromEntries(
+        Object.entries(database).map(([type, list]) => [type, list.length])
+      ));
+    }
+    return database;
+  };
+
+  const getEntities = (typeName) => {
+    const entities = getDatabase()[typeName];
+    if (!entities) {
+      throw createApiError('InvalidCastException', `Mock API does not support type '${typeName}'`);
+    }
+    return entities;
+  };
+
+  const getWritableEntities = (typeName) => {
+    if (!WRITABLE_TYPES.includes(typeName)) {
+      throw createApiError('InvalidPermissionsException', `Mock API does not allow writing '${typeName}'`);
+    }
+    return getEntities(typeName);
+  };
+
+  const handlers = {
+    Get: ({ typeName, search, resultsLimit, sort }) => {
+      const filtered = filterEntities(typeName, getEntities(typeName), search, getDatabase());
+      const results = applyDateSort(typeName, filtered, sort);
+      return resultsLimit ? results.slice(0, resultsLimit) : results;
+    },
+
+    GetCountOf: ({ typeName, search }) => {
+      return filterEntities(typeName, getEntities(typeName), search, getDatabase()).length;
+    },
+
+    GetFeed: ({ typeName, search, resultsLimit = FEED_LIMIT, fromVersion }) => {
+      const fromVersionNumber = parseVersion(fromVersion);
+      // Feed search ignores toDate; fromDate only seeds the starting point
+      const feedSearch = { ...search, toDate: undefined };
+      if (fromVersion != null) {
+        delete feedSearch.fromDate;
+      }
+
+      const matches = filterEntities(typeName, getEntities(typeName), feedSearch, getDatabase())
+        .filter(entity => parseVersion(entity.version) > fromVersionNumber)
+        .slice(0, resultsLimit);
+
+      const toVersion = matches.length > 0
+        ? matches[matches.length - 1].version
+        : toVersionToken(fromVersionNumber);
+
+      return { data: matches, toVersion };
+    },
+
+    Add: ({ typeName, entity }) => {
+      const entities = getWritableEntities(typeName);
+      const id = `a${Date.now().toString(16)}${entities.length}`;
+      entities.push({ ...entity, id });
+      return id;
+    },
+
+    Set: ({ typeName, entity }) => {
+      const entities = getWritableEntities(typeName);
+      const index = entities.findIndex(existing => existing.id === entity?.id);
+      if (index === -1) {
+        throw createApiError('ArgumentException', `No ${typeName} with id '${entity?.id}'`);
+      }
+      entities[index] = { ...entity };
+      return null;
+    },
+
+    GetAddresses: ({ coordinates = [] }) => {
+      return coordinates.map(buildAddress);
+    },
+
+    GetRoadMaxSpeeds: ({ deviceSearch, fromDate, toDate }) => {
+      return filterEntities('LogRecord', getEntities('LogRecord'), { deviceSearch, fromDate, toDate }, getDatabase())
+        .map(record => ({ k: record.dateTime, v: getRoadMaxSpeed(record) }));
+    }
+  };
+
+  /**
+   * Throw a random transient error for the configured share of requests
+   */
+  const maybeFail = () => {
+    if (failureRate > 0 && Math.random() < failureRate) {
+      const [name, message] = SIMULATED_FAILURES[Math.floor(Math.random() * SIMULATED_FAILURES.length)];
+      throw createApiError(name, message);
+    }
+  };
+
+  /**
+   * Add the simulated activity due since the previous request
+   */
+  const syncLiveActivity = () => {
+    if (!liveInterval) return;
+    const now = Date.now();
+    lastLiveTick = Math.max(lastLiveTick, now - liveInterval * MAX_LIVE_BACKLOG);
+    while (lastLiveTick + liveInterval <= now) {
+      lastLiveTick += liveInterval;
+      appendLiveActivity(getDatabase(), Math.random, new Date(lastLiveTick));
+    }
+  };
+
+  /**
+   * Resolve a single method call synchronously
+   */
+  const execute = (method, params = {}) => {
+    syncLiveActivity();
+    const handler = handlers[method];
+    if (!handler) {
+      throw createApiError('MissingMethodException', `Mock API does not support method '${method}'`);
+    }
+    return handler(params);
+  };
+
+  return {
+    call: (method, params, success, error) => {
+      console.log('Mock API call:', method, params);
+      setTimeout(() => {
+        try {
+          maybeFail();
+          const result = execute(method, params);
+          if (success) success(result);
+        } catch (err) {
+          if (error) error(err);
+        }
+      }, latency);
+    },
+
+    multiCall: (calls, success, error) => {
+      console.log('Mock multiCall:', calls);
+      setTimeout(() => {
+        try {
+          maybeFail();
+          const results = calls.map(([method, params]) => execute(method, params));
+          if (success) success(results);
+        } catch (err) {
+          if (error) error(err);
+        }
+      }, latency);
+    },
+
+    getSession: (callback) => {
+      callback(session);
+    }
+  };
+}
+
+export default createMockApi;
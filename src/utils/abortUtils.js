@@ -0,0 +1,69 @@
+/**
+ * Helpers for cancelling API requests with an AbortSignal
+ * The Geotab API cannot cancel a request once sent, so cancelling rejects
+ * the caller's promise straight away and the late response is ignored
+ */
+
+/**
+ * Create the error a cancelled request rejects with
+ * @returns {Error} Error named 'AbortError', like fetch uses
+ */
+export function createAbortError() {
+  const error = new Error('The request was cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Check whether an error comes from a cancelled request
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+/**
+ * Throw if the signal has been aborted
+ * @param {AbortSignal} [signal]
+ */
+export function throwIfAborted(signal) {
+  if (signal?.aborted) throw createAbortError();
+}
+
+/**
+ * Reject with an AbortError as soon as the signal aborts
+ * The wrapped promise keeps running; its result is simply dropped
+ * @param {Promise} promise
+ * @param {AbortSignal} [signal]
+ * @returns {Promise}
+ */
+export function abortable(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(createAbortError());
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(createAbortError());
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(
+      (value) => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(value);
+      },
+      (error) => {
+        signal.removeEventListener('abort', onAbort);
+        reject(error);
+      }
+    );
+  });
+}
+
+/**
+ * Wait for a number of milliseconds, stopping early if the signal aborts
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise}
+ */
+export function sleep(ms, signal) {
+  return abortable(new Promise(resolve => setTimeout(resolve, ms)), signal);
+}
@@ -0,0 +1,164 @@
+/**
+ * Response cache for Geotab API calls
+ * Entries hold the request promise, so identical requests made while one is
+ * in flight share it, and the resolved result is reused until its TTL expires.
+ * Expired entries are swept on every store and the least recently used are
+ * dropped beyond a maximum, so keys that are never requested again don't pile up
+ */
+
+import { CACHE_MAX_ENTRIES, CACHE_TTLS, CACHEABLE_METHODS } from './constants';
+
+// One cache per API object, shared by every component using it
+const caches = new WeakMap();
+
+/**
+ * Serialize a value with object keys sorted so equivalent params share a key
+ */
+function stableStringify(value) {
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Get the cache key for a call, or null when the call must not be cached
+ * @param {string} method - API method
+ * @param {object} params - Call parameters
+ * @returns {string|null}
+ */
+export function getCacheKey(method, params) {
+  if (!CACHEABLE_METHODS.includes(method)) return null;
+  return `${method}:${stableStringify(params || {})}`;
+}
+
+/**
+ * Get the TTL for a call from its typeName, falling back to the method name
+ * @param {string} method - API method
+ * @param {object} params - Call parameters
+ * @param {object} ttls - TTLs keyed by typeName or method
+ * @returns {number} Milliseconds
+ */
+export function getCacheTtl(method, params, ttls = CACHE_TTLS) {
+  const ttl = ttls[params?.typeName] ?? ttls[method];
+  return ttl ?? ttls.DEFAULT ?? 0;
+}
+
+/**
+ * Create an empty response cache
+ * @param {object} ttls - TTLs keyed by typeName or method
+ * @param {number} maxEntries - Most entries kept
+ * @returns {object} Cache with fetch, peek and invalidate
+ */
+export function createApiCache(ttls = CACHE_TTLS, maxEntries = CACHE_MAX_ENTRIES) {
+  // key -> { promise, typeName, expiresAt }, least recently used first
+  const entries = new Map();
+
+  /**
+   * Drop expired entries, then the least recently used ones beyond maxEntries
+   */
+  const sweep = () => {
+    const now = Date.now();
+    entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) entries.delete(key);
+    });
+    for (const key of entries.keys()) {
+      if (entries.size <= maxEntries) break;
+      entries.delete(key);
+    }
+  };
+
+  /**
+   * Get a live entry's promise, dropping expired entries
+   */
+  const peek = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    // Move to the most recently used end
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.promise;
+  };
+
+  /**
+   * Store a request promise; it expires TTL after it resolves, and is dropped if it fails
+   */
+  const store = (key, method, params, promise) => {
+    const ttl = getCacheTtl(method, params, ttls);
+    const entry = { promise, typeName: params?.typeName || method, expiresAt: Infinity };
+    entries.delete(key);
+    entries.set(key, entry);
+    sweep();
+
+    promise.then(
+      () => {
+        if (entries.get(key) !== entry) return;
+        if (ttl > 0) {
+          entry.expiresAt = Date.now() + ttl;
+        } else {
+          entries.delete(key);
+        }
+      },
+      () => {
+        if (entries.get(key) === entry) entries.delete(key);
+      }
+    );
+    return promise;
+  };
+
+  return {
+    peek,
+    store,
+
+    /**
+     * Return a cached or in-flight result, or start the request
+     * @param {string} method - API method
+     * @param {object} params - Call parameters
+     * @param {function} request - Starts the request and returns a promise
+     * @returns {Promise}
+     */
+    fetch(method, params, request) {
+      const key = getCacheKey(method, params);
+      if (!key) return request();
+      return peek(key) || store(key, method, params, request());
+    },
+
+    /**
+     * Drop cached responses
+     * @param {Array<string>} [typeNames] - Types (or methods) to drop; all when omitted
+     */
+    invalidate(typeNames) {
+      if (!typeNames) {
+        entries.clear();
+        return;
+      }
+      const types = new Set(typeNames);
+      entries.forEach((entry, key) => {
+        if (types.has(entry.typeName)) entries.delete(key);
+      });
+    }
+  };
+}
+
+/**
+ * Get the shared cache for an API object
+ * @param {object} api - Geotab API object
+ * @returns {object|null}
+ */
+export function getApiCache(api) {
+  if (!api || typeof api !== 'object') return null;
+  if (!caches.has(api)) {
+    caches.set(api, createApiCache());
+  }
+  return caches.get(api);
+}
@@ -0,0 +1,160 @@
+/**
+ * Classification of Geotab API errors
+ * Turns the mix of strings, Error objects and JSON-RPC payloads the API
+ * reports into a GeotabApiError with a type, a readable message and retry hints
+ */
+
+export const ERROR_TYPES = {
+  AUTH: 'auth',
+  RATE_LIMIT: 'rateLimit',
+  TIMEOUT: 'timeout',
+  NETWORK: 'network',
+  UNAVAILABLE: 'unavailable',
+  INVALID_SEARCH: 'invalidSearch',
+  UNKNOWN: 'unknown'
+};
+
+// Types worth retrying automatically
+const RETRYABLE_TYPES = [
+  ERROR_TYPES.RATE_LIMIT,
+  ERROR_TYPES.TIMEOUT,
+  ERROR_TYPES.NETWORK,
+  ERROR_TYPES.UNAVAILABLE
+];
+
+// Types where the server never ran the request, so even writes can be retried
+const NOT_EXECUTED_TYPES = [ERROR_TYPES.RATE_LIMIT, ERROR_TYPES.UNAVAILABLE];
+
+// Geotab exception names by type
+const EXCEPTION_TYPES = {
+  InvalidUserException: ERROR_TYPES.AUTH,
+  InvalidSessionException: ERROR_TYPES.AUTH,
+  DbUnavailableException: ERROR_TYPES.UNAVAILABLE,
+  ServiceUnavailableException: ERROR_TYPES.UNAVAILABLE,
+  OverLimitException: ERROR_TYPES.RATE_LIMIT,
+  TimeoutException: ERROR_TYPES.TIMEOUT,
+  TimeoutError: ERROR_TYPES.TIMEOUT,
+  ArgumentException: ERROR_TYPES.INVALID_SEARCH,
+  ArgumentNullException: ERROR_TYPES.INVALID_SEARCH,
+  ArgumentOutOfRangeException: ERROR_TYPES.INVALID_SEARCH,
+  InvalidCastException: ERROR_TYPES.INVALID_SEARCH,
+  JsonSerializerException: ERROR_TYPES.INVALID_SEARCH,
+  MissingMemberException: ERROR_TYPES.INVALID_SEARCH,
+  MissingMethodException: ERROR_TYPES.INVALID_SEARCH
+};
+
+// Fallback matching on the message text
+const MESSAGE_PATTERNS = [
+  [/incorrect login|session (has )?expired|not authenticated|invalid session/i, ERROR_TYPES.AUTH],
+  [/quota exceeded|rate limit|too many requests|\b429\b/i, ERROR_TYPES.RATE_LIMIT],
+  [/timed? ?out/i, ERROR_TYPES.TIMEOUT],
+  [/failed to fetch|network ?error|network request failed|err_network|offline/i, ERROR_TYPES.NETWORK],
+  [/service unavailable|bad gateway|\b50[234]\b/i, ERROR_TYPES.UNAVAILABLE],
+  [/unknown member|invalid (search|argument|type)|could not (parse|convert)/i, ERROR_TYPES.INVALID_SEARCH]
+];
+
+// Readable summary per type
+const TYPE_MESSAGES = {
+  [ERROR_TYPES.AUTH]: 'Your MyGeotab session has expired. Sign in again to continue.',
+  [ERROR_TYPES.RATE_LIMIT]: 'MyGeotab rate limit reached.',
+  [ERROR_TYPES.TIMEOUT]: 'MyGeotab took too long to respond.',
+  [ERROR_TYPES.NETWORK]: 'Could not reach MyGeotab. Check your connection.',
+  [ERROR_TYPES.UNAVAILABLE]: 'MyGeotab is temporarily unavailable.',
+  [ERROR_TYPES.INVALID_SEARCH]: 'MyGeotab rejected the request.',
+  [ERROR_TYPES.UNKNOWN]: 'An unexpected error occurred.'
+};
+
+const WINDOW_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+/**
+ * Error raised by the API helpers
+ */
+export class GeotabApiError extends Error {
+  /**
+   * @param {string} type - One of ERROR_TYPES
+   * @param {string} detail - Message reported by the server or browser
+   * @param {object} options - { retryAfter, cause }
+   */
+  constructor(type, detail, { retryAfter = null, cause = null } = {}) {
+    super(TYPE_MESSAGES[type] || TYPE_MESSAGES[ERROR_TYPES.UNKNOWN]);
+    this.name = 'GeotabApiError';
+    this.type = type;
+    this.detail = detail || '';
+    this.retryable = RETRYABLE_TYPES.includes(type);
+    this.retryAfter = retryAfter;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Pull the exception name and message out of whatever the API reported
+ */
+function describeError(error) {
+  if (typeof error === 'string') return { name: '', message: error };
+  if (!error) return { name: '', message: '' };
+
+  // JSON-RPC errors carry the Geotab exception in errors[0]
+  const inner = error.errors?.[0] || error.error?.errors?.[0] || error.data;
+  return {
+    name: inner?.name || error.name || '',
+    message: inner?.message || error.message || error.error?.message || String(error)
+  };
+}
+
+/**
+ * Read the rate limit window from messages like "Maximum admitted 10 per 1m"
+ * @returns {number|null} Milliseconds
+ */
+function parseRateLimitWindow(message) {
+  const match = /per (\d+)\s*([smh])/i.exec(message || '');
+  return match ? Number(match[1]) * WINDOW_UNITS[match[2].toLowerCase()] : null;
+}
+
+/**
+ * Classify an error from the Geotab API
+ * Abort errors are returned unchanged so callers can keep ignoring them
+ * @param {*} error - Error passed to the API error callback
+ * @returns {GeotabApiError|Error}
+ */
+export function classifyError(error) {
+  if (error instanceof GeotabApiError || error?.name === 'AbortError') return error;
+
+  const { name, message } = describeError(error);
+  let type = EXCEPTION_TYPES[name];
+  if (!type) {
+    const pattern = MESSAGE_PATTERNS.find(([regex]) => regex.test(message));
+    type = pattern ? pattern[1] : ERROR_TYPES.UNKNOWN;
+  }
+
+  return new GeotabApiError(type, message, {
+    retryAfter: type === ERROR_TYPES.RATE_LIMIT ? parseRateLimitWindow(message) : null,
+    cause: error
+  });
+}
+
+/**
+ * Check whether a failed request can be sent again
+ * @param {GeotabApiError} error - Classified error
+ * @param {boolean} idempotent - The request only reads data
+ * @returns {boolean}
+ */
+export function isRetryable(error, idempotent = true) {
+  if (!(error instanceof GeotabApiError) || !error.retryable) return false;
+  return idempotent || NOT_EXECUTED_TYPES.includes(error.type);
+}
+
+/**
+ * Build the text shown for an error, including the server's detail when useful
+ * @param {GeotabApiError|Error|string} error
+ * @returns {string}
+ */
+export function getErrorMessage(error) {
+  if (!error) return '';
+  if (typeof error === 'string') return error;
+  if (error instanceof GeotabApiError) {
+    const showDetail = error.detail &&
+      (error.type === ERROR_TYPES.INVALID_SEARCH || error.type === ERROR_TYPES.UNKNOWN);
+    return showDetail ? `${error.message} ${error.detail}` : error.message;
+  }
+  return error.message || String(error);
+}
@@ -0,0 +1,80 @@
+/**
+ * Retry with exponential backoff for Geotab API requests
+ * Rate limit errors pause every request on the same API object until the
+ * limit window has passed, so retries do not keep tripping the limit
+ */
+
+import { API_RETRY } from './constants';
+import { classifyError, isRetryable, ERROR_TYPES } from './apiErrors';
+import { sleep, throwIfAborted } from './abortUtils';
+
+// Time until which requests are held back, per API object
+const rateLimitedUntil = new WeakMap();
+
+/**
+ * Get the delay before the next attempt
+ * @param {GeotabApiError} error - Classified error from the last attempt
+ * @param {number} attempt - Attempt that failed (1-based)
+ * @returns {number} Milliseconds
+ */
+export function getRetryDelay(error, attempt) {
+  if (error.type === ERROR_TYPES.RATE_LIMIT) {
+    return Math.min(error.retryAfter || API_RETRY.RATE_LIMIT_DELAY_MS, API_RETRY.RATE_LIMIT_MAX_DELAY_MS);
+  }
+  // Full backoff window with jitter so parallel requests do not retry together
+  const backoff = Math.min(API_RETRY.MAX_DELAY_MS, API_RETRY.BASE_DELAY_MS * 2 ** (attempt - 1));
+  return Math.round(backoff / 2 + Math.random() * backoff / 2);
+}
+
+/**
+ * Wait while the API is rate limited
+ */
+async function waitForRateLimit(api, signal) {
+  const until = api ? rateLimitedUntil.get(api) : null;
+  if (until && until > Date.now()) {
+    await sleep(until - Date.now(), signal);
+  }
+}
+
+/**
+ * Run a request, retrying transient failures
+ * @param {function} request - Sends the request and returns a promise
+ * @param {object} options
+ * @param {object} options.api - API object the request goes to (shares the rate limit pause)
+ * @param {boolean} options.idempotent - Request only reads data; writes retry only when never executed
+ * @param {number} options.retries - Maximum number of retries
+ * @param {function} options.onRetry - Called with { error, attempt, retries, delay, retryAt } before waiting
+ * @param {AbortSignal} options.signal - Stops waiting and retrying when aborted
+ * @returns {Promise} Resolves with the result, or rejects with a classified error or AbortError
+ */
+export async function withRetry(request, {
+  api,
+  idempotent = true,
+  retries = API_RETRY.RETRIES,
+  onRetry,
+  signal
+} = {}) {
+  for (let attempt = 1; ; attempt++) {
+    throwIfAborted(signal);
+    await waitForRateLimit(api, signal);
+
+    try {
+      return await request();
+    } catch (err) {
+      const error = classifyError(err);
+      if (signal?.aborted || attempt > retries || !isRetryable(error, idempotent)) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(error, attempt);
+      const retryAt = Date.now() + delay;
+      if (api && error.type === ERROR_TYPES.RATE_LIMIT) {
+        rateLimitedUntil.set(api, Math.max(rateLimitedUntil.get(api) || 0, retryAt));
+      }
+
+      console.error(`API request failed (${error.type}), retry ${attempt} of ${retries} in ${delay}ms:`, error.detail);
+      onRetry?.({ error, attempt, retries, delay, retryAt });
+      await sleep(delay, signal);
+    }
+  }
+}
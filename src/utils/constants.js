@@ -8,7 +8,8 @@ export const DIAGNOSTICS = {
   ODOMETER: 'DiagnosticOdometerAdjustmentId',
   ENGINE_HOURS: 'DiagnosticEngineHoursAdjustmentId',
   BATTERY_VOLTAGE: 'DiagnosticStateOfChargeId',
-  FUEL_USED: 'DiagnosticFuelUsedId'
+  FUEL_USED: 'DiagnosticFuelUsedId',
+  COOLANT_TEMPERATURE: 'DiagnosticEngineCoolantTemperatureId'
 };
 
 // Colors for charts and visualizations
@@ -48,7 +49,141 @@ export const COLORS = {
 export const CONVERSIONS = {
   KM_TO_MILES: 0.621371,
   LITERS_TO_GALLONS: 0.264172,
-  LITERS_PER_100KM_TO_MPG: 235.215
+  LITERS_TO_IMPERIAL_GALLONS: 0.219969,
+  LITERS_PER_100KM_TO_KM_PER_LITER: 100,
+  LITERS_PER_100KM_TO_MPG: 235.215,
+  LITERS_PER_100KM_TO_IMPERIAL_MPG: 282.481,
+  CELSIUS_TO_FAHRENHEIT: 1.8,
+  FAHRENHEIT_OFFSET: 32
+};
+
+// Measurements a unit profile chooses a unit for
+export const UNIT_MEASURES = {
+  DISTANCE: 'distance',
+  VOLUME: 'volume',
+  FUEL_ECONOMY: 'fuelEconomy',
+  SPEED: 'speed',
+  TEMPERATURE: 'temperature'
+};
+
+export const DISTANCE_UNITS = {
+  KM: 'km',
+  MILE: 'mile'
+};
+
+// Gallons are US gallons unless marked imperial
+export const VOLUME_UNITS = {
+  LITER: 'liter',
+  GALLON: 'gallon',
+  IMPERIAL_GALLON: 'imperialGallon'
+};
+
+export const FUEL_ECONOMY_UNITS = {
+  LITERS_PER_100KM: 'litersPer100Km',
+  KM_PER_LITER: 'kmPerLiter',
+  MPG: 'mpg',
+  IMPERIAL_MPG: 'imperialMpg'
+};
+
+export const SPEED_UNITS = {
+  KMH: 'kmh',
+  MPH: 'mph'
+};
+
+export const TEMPERATURE_UNITS = {
+  CELSIUS: 'celsius',
+  FAHRENHEIT: 'fahrenheit'
+};
+
+// Label, symbol and conversion for each unit. Values are stored in km, L, L/100 km, km/h and
+// degrees Celsius; a unit shows the stored value times `factor` plus `offset`,
+// or `inverse` divided by it for distance-per-fuel units, where a higher value is better
+export const UNIT_DEFINITIONS = {
+  [UNIT_MEASURES.DISTANCE]: {
+    [DISTANCE_UNITS.KM]: { label: 'Kilometers', symbol: 'km', factor: 1 },
+    [DISTANCE_UNITS.MILE]: { label: 'Miles', symbol: 'mi', factor: CONVERSIONS.KM_TO_MILES }
+  },
+  [UNIT_MEASURES.VOLUME]: {
+    [VOLUME_UNITS.LITER]: { label: 'Liters', symbol: 'L', factor: 1 },
+    [VOLUME_UNITS.GALLON]: { label: 'US gallons', symbol: 'gal', factor: CONVERSIONS.LITERS_TO_GALLONS },
+    [VOLUME_UNITS.IMPERIAL_GALLON]: {
+      label: 'Imperial gallons',
+      symbol: 'imp gal',
+      factor: CONVERSIONS.LITERS_TO_IMPERIAL_GALLONS
+    }
+  },
+  [UNIT_MEASURES.FUEL_ECONOMY]: {
+    [FUEL_ECONOMY_UNITS.LITERS_PER_100KM]: { label: 'Liters per 100 km', symbol: 'L/100km', factor: 1 },
+    [FUEL_ECONOMY_UNITS.KM_PER_LITER]: {
+      label: 'Kilometers per liter',
+      symbol: 'km/L',
+      inverse: CONVERSIONS.LITERS_PER_100KM_TO_KM_PER_LITER
+    },
+    [FUEL_ECONOMY_UNITS.MPG]: { label: 'Miles per US gallon', symbol: 'MPG', inverse: CONVERSIONS.LITERS_PER_100KM_TO_MPG },
+    [FUEL_ECONOMY_UNITS.IMPERIAL_MPG]: {
+      label: 'Miles per imperial gallon',
+      symbol: 'MPG (imp)',
+      inverse: CONVERSIONS.LITERS_PER_100KM_TO_IMPERIAL_MPG
+    }
+  },
+  [UNIT_MEASURES.SPEED]: {
+    [SPEED_UNITS.KMH]: { label: 'Kilometers per hour', symbol: 'km/h', factor: 1 },
+    [SPEED_UNITS.MPH]: { label: 'Miles per hour', symbol: 'mph', factor: CONVERSIONS.KM_TO_MILES }
+  },
+  [UNIT_MEASURES.TEMPERATURE]: {
+    [TEMPERATURE_UNITS.CELSIUS]: { label: 'Celsius', symbol: '°C', factor: 1 },
+    [TEMPERATURE_UNITS.FAHRENHEIT]: {
+      label: 'Fahrenheit',
+      symbol: '°F',
+      factor: CONVERSIONS.CELSIUS_TO_FAHRENHEIT,
+      offset: CONVERSIONS.FAHRENHEIT_OFFSET
+    }
+  }
+};
+
+// Complete unit profiles for the common systems
+export const UNIT_SYSTEMS = {
+  metric: {
+    label: 'Metric',
+    units: {
+      distance: DISTANCE_UNITS.KM,
+      volume: VOLUME_UNITS.LITER,
+      fuelEconomy: FUEL_ECONOMY_UNITS.LITERS_PER_100KM,
+      speed: SPEED_UNITS.KMH,
+      temperature: TEMPERATURE_UNITS.CELSIUS
+    }
+  },
+  us: {
+    label: 'US',
+    units: {
+      distance: DISTANCE_UNITS.MILE,
+      volume: VOLUME_UNITS.GALLON,
+      fuelEconomy: FUEL_ECONOMY_UNITS.MPG,
+      speed: SPEED_UNITS.MPH,
+      temperature: TEMPERATURE_UNITS.FAHRENHEIT
+    }
+  },
+  imperial: {
+    label: 'UK imperial',
+    units: {
+      distance: DISTANCE_UNITS.MILE,
+      volume: VOLUME_UNITS.IMPERIAL_GALLON,
+      fuelEconomy: FUEL_ECONOMY_UNITS.IMPERIAL_MPG,
+      speed: SPEED_UNITS.MPH,
+      temperature: TEMPERATURE_UNITS.CELSIUS
+    }
+  }
+};
+
+// Unit profile until the user's MyGeotab settings load
+export const DEFAULT_UNITS = UNIT_SYSTEMS.metric.units;
+
+// MyGeotab user fuelEconomyUnit values and the fuel economy and volume units they imply
+export const GEOTAB_FUEL_ECONOMY_UNITS = {
+  LitersPer100Km: { fuelEconomy: FUEL_ECONOMY_UNITS.LITERS_PER_100KM, volume: VOLUME_UNITS.LITER },
+  KmPerLiter: { fuelEconomy: FUEL_ECONOMY_UNITS.KM_PER_LITER, volume: VOLUME_UNITS.LITER },
+  MPGUS: { fuelEconomy: FUEL_ECONOMY_UNITS.MPG, volume: VOLUME_UNITS.GALLON },
+  MPGImperial: { fuelEconomy: FUEL_ECONOMY_UNITS.IMPERIAL_MPG, volume: VOLUME_UNITS.IMPERIAL_GALLON }
 };
 
 // Default date range presets
@@ -60,6 +195,22 @@ export const DATE_PRESETS = {
   LAST_30_DAYS: 'last30Days'
 };
 
+// Button and settings labels for each preset, in display order
+export const DATE_PRESET_LABELS = {
+  [DATE_PRESETS.THIS_WEEK]: 'This Week',
+  [DATE_PRESETS.LAST_WEEK]: 'Last Week',
+  [DATE_PRESETS.LAST_7_DAYS]: 'Last 7 Days',
+  [DATE_PRESETS.THIS_MONTH]: 'This Month',
+  [DATE_PRESETS.LAST_30_DAYS]: 'Last 30 Days'
+};
+
+// Dashboard view modes
+export const VIEW_MODES = {
+  DEVICE: 'device',
+  DRIVER: 'driver',
+  FLEET: 'fleet'
+};
+
 // Table page sizes
 export const PAGE_SIZES = {
   SMALL: 5,
@@ -67,6 +218,83 @@ export const PAGE_SIZES = {
   LARGE: 25
 };
 
+// Geotab API request limits
+export const API_LIMITS = {
+  MULTICALL_BATCH_SIZE: 100,
+  ADDRESS_BATCH_SIZE: 100,
+  REQUEST_TIMEOUT_MS: 60 * 1000,
+  // Records per page for date-cursor paging
+  PAGE_SIZE: 5000,
+  // Paged fetches stop (and are flagged as truncated) beyond this many records
+  PAGED_MAX_RECORDS: 100000,
+  // Paged fetches run side by side when loading several devices
+  PAGED_BATCH_SIZE: 10
+};
+
+// Types that support date-cursor paging, with the date field the API sorts them by
+export const PAGED_DATE_FIELDS = {
+  Trip: 'start',
+  ExceptionEvent: 'activeFrom',
+  StatusData: 'dateTime',
+  LogRecord: 'dateTime'
+};
+
+// Automatic retries for transient API failures
+export const API_RETRY = {
+  RETRIES: 3,
+  BASE_DELAY_MS: 1000,
+  MAX_DELAY_MS: 30 * 1000,
+  // Wait used for rate limit errors that do not say how long the window is
+  RATE_LIMIT_DELAY_MS: 10 * 1000,
+  // Longest wait for a rate limit window before retrying
+  RATE_LIMIT_MAX_DELAY_MS: 60 * 1000
+};
+
+// Live mode: incremental GetFeed polling while the selected range includes today
+export const LIVE_REFRESH = {
+  INTERVAL_MS: 30 * 1000,
+  // Records requested per feed and poll; anything beyond continues on the next poll
+  FEED_LIMIT: 1000
+};
+
+// Map tiles for the trip map; {z}/{x}/{y} are replaced per tile
+// Set URL_TEMPLATE to OFFLINE_TILES to use generated placeholder tiles (no network)
+export const OFFLINE_TILES = 'offline';
+export const MAP_TILES = {
+  URL_TEMPLATE: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+  ATTRIBUTION: '© OpenStreetMap contributors',
+  TILE_SIZE: 256,
+  MIN_ZOOM: 3,
+  MAX_ZOOM: 18
+};
+
+// How long API responses stay cached, per typeName (or method for calls without one), in milliseconds
+// Types not listed use DEFAULT; 0 disables caching but still shares identical in-flight requests
+export const CACHE_TTLS = {
+  SystemSettings: 60 * 60 * 1000,
+  Rule: 30 * 60 * 1000,
+  User: 30 * 60 * 1000,
+  Device: 10 * 60 * 1000,
+  Group: 30 * 60 * 1000,
+  Diagnostic: 60 * 60 * 1000,
+  GetAddresses: 60 * 60 * 1000,
+  GetRoadMaxSpeeds: 60 * 60 * 1000,
+  StatusData: 30 * 1000,
+  DeviceStatusInfo: 30 * 1000,
+  // Paged GPS records are large; kept just long enough for the trip map and speed profile to share them
+  LogRecord: 30 * 1000,
+  DEFAULT: 60 * 1000
+};
+
+// Most responses kept in the cache; the least recently used are dropped beyond this
+export const CACHE_MAX_ENTRIES = 100;
+
+// API methods whose responses may be cached; everything else goes straight to the server
+export const CACHEABLE_METHODS = ['Get', 'GetCountOf', 'GetAddresses', 'GetRoadMaxSpeeds'];
+
+// API methods that change data and invalidate cached responses for their typeName
+export const WRITE_METHODS = ['Add', 'Set', 'Remove'];
+
 // Video URL patterns for exceptions
 export const VIDEO_URL_PATTERNS = {
   LYTX: 'lytx.com',
@@ -81,3 +309,155 @@ export const EXCEPTION_CATEGORIES = {
   PRODUCTIVITY: ['Idling', 'After Hours', 'Unauthorized Use'],
   MAINTENANCE: ['Engine Light', 'Low Fuel', 'Battery']
 };
+
+// Direction of change that counts as an improvement
+export const TREND_DIRECTIONS = {
+  UP: 'up',
+  DOWN: 'down',
+  NEUTRAL: 'neutral'
+};
+
+// Good direction of each metric compared with the previous period
+export const METRIC_GOOD_DIRECTIONS = {
+  daysDriven: TREND_DIRECTIONS.UP,
+  distanceDriven: TREND_DIRECTIONS.UP,
+  timeDriven: TREND_DIRECTIONS.UP,
+  // Stored as L/100 km; flipped when shown as mpg
+  fuelEconomy: TREND_DIRECTIONS.DOWN,
+  driving: TREND_DIRECTIONS.UP,
+  idle: TREND_DIRECTIONS.DOWN,
+  stopped: TREND_DIRECTIONS.NEUTRAL,
+  idleTime: TREND_DIRECTIONS.DOWN,
+  idlePercentage: TREND_DIRECTIONS.DOWN,
+  idleCost: TREND_DIRECTIONS.DOWN,
+  operatingCost: TREND_DIRECTIONS.NEUTRAL
+};
+
+// Safety scorecard settings
+// Each safety exception counts as its rule weight; the score drops by PENALTY_PER_RATE
+// for every weighted exception per 100 km driven, from 100 down to 0
+export const SAFETY_SCORE = {
+  RULE_WEIGHTS: {
+    'Speeding': 3,
+    'Harsh Braking': 2,
+    'Harsh Acceleration': 2,
+    'Harsh Cornering': 1.5,
+    'Seatbelt': 3
+  },
+  DEFAULT_WEIGHT: 1,
+  PENALTY_PER_RATE: 20,
+  TREND_DAYS: 7,
+  GOOD: 80,
+  FAIR: 60
+};
+
+// Speed analysis settings
+// Trip speedRange1..3Duration are the time below the first limit, between the limits and
+// above the second; the limits come from these SystemSettings fields, in km/h
+export const SPEED_ANALYSIS = {
+  RANGE_SETTINGS: ['speedRange1', 'speedRange2'],
+  DEFAULT_RANGE_LIMITS: [50, 90],
+  // Histogram bar width and over-limit steps, in km/h or mph as displayed
+  HISTOGRAM_STEP: 10,
+  OVER_LIMIT_STEP: 10,
+  // GPS gaps longer than this aren't counted as driving at either speed
+  MAX_SAMPLE_GAP_SECONDS: 300
+};
+
+// Fault severity from the warning lamps a fault lights, most severe first
+export const FAULT_SEVERITIES = {
+  CRITICAL: 'critical',
+  WARNING: 'warning',
+  INFO: 'info'
+};
+
+// Fuel-level anomaly detection; levels are percent of the tank
+// Drops while parked and rises with no FillUp within FILL_MATCH_MINUTES are flagged,
+// as are fill-ups more than CAPACITY_TOLERANCE times what the tank could take
+export const FUEL_ANOMALY = {
+  DROP_PERCENT: 8,
+  RISE_PERCENT: 10,
+  FILL_MATCH_MINUTES: 60,
+  CAPACITY_TOLERANCE: 1.05
+};
+
+export const FUEL_ANOMALY_TYPES = {
+  SIPHONING: 'siphoning',
+  UNRECORDED_FILL: 'unrecordedFill',
+  OVER_CAPACITY: 'overCapacity'
+};
+
+// Fuel-card reconciliation: a card transaction matches a fill-up within TIME_WINDOW_MINUTES
+// and LOCATION_TOLERANCE_KM (when both have coordinates); volumes further apart than
+// VOLUME_TOLERANCE_PERCENT of the card volume are flagged. Unmatched purchases are checked
+// for a tank rise against fuel readings no more than MAX_READING_GAP_HOURS away
+export const FUEL_RECONCILIATION = {
+  TIME_WINDOW_MINUTES: 90,
+  LOCATION_TOLERANCE_KM: 2,
+  VOLUME_TOLERANCE_PERCENT: 10,
+  MAX_READING_GAP_HOURS: 24
+};
+
+export const RECONCILIATION_STATUSES = {
+  MATCHED: 'matched',
+  VOLUME_MISMATCH: 'volumeMismatch',
+  NO_TANK_RISE: 'noTankRise',
+  LEVEL_RISE_ONLY: 'levelRiseOnly',
+  UNVERIFIED: 'unverified',
+  NO_CARD_TRANSACTION: 'noCardTransaction'
+};
+
+// Default cost model. Prices are in currency per fuelPriceUnit (a VOLUME_UNITS value); priceHistory entries
+// ({ from: 'YYYY-MM-DD', price }) apply from their date until the next one, with fuelPrice
+// before the first. A vehicle idles at the rate of the first class with a keyword in its
+// name, comment or group names, or defaultIdleLitersPerHour when none match.
+// operatingCostPerKm covers maintenance, tires and other distance-based costs
+export const DEFAULT_COST_SETTINGS = {
+  currency: 'USD',
+  fuelPrice: 1.5,
+  fuelPriceUnit: VOLUME_UNITS.LITER,
+  priceHistory: [],
+  vehicleClasses: [
+    { id: 'heavy', name: 'Heavy duty', keywords: ['heavy', 'truck', 'tractor'], idleLitersPerHour: 3 },
+    { id: 'medium', name: 'Medium duty', keywords: ['medium', 'box truck', 'bus'], idleLitersPerHour: 1.5 },
+    { id: 'light', name: 'Light duty', keywords: ['light', 'van', 'car', 'pickup'], idleLitersPerHour: 0.75 }
+  ],
+  defaultIdleLitersPerHour: 0.75,
+  operatingCostPerKm: 0
+};
+
+// Chart palettes users can choose from in settings
+export const COLOR_PALETTES = {
+  vibrant: { label: 'Vibrant', colors: COLORS.chartPalette },
+  soft: {
+    label: 'Soft',
+    colors: ['#818CF8', '#6EE7B7', '#FCD34D', '#F9A8D4', '#67E8F9', '#C4B5FD', '#FDBA74', '#5EEAD4', '#FCA5A5', '#93C5FD']
+  },
+  // Okabe-Ito palette, distinguishable with the common forms of color blindness
+  colorBlind: {
+    label: 'Color-blind safe',
+    colors: ['#0072B2', '#E69F00', '#009E73', '#CC79A7', '#56B4E9', '#D55E00', '#F0E442', '#999999']
+  }
+};
+
+// Unit setting that follows the user's MyGeotab settings instead of choosing a unit
+export const UNIT_AUTO = 'auto';
+
+// Per-user dashboard settings, used until the saved settings load and for any missing value.
+// units holds a unit, or UNIT_AUTO to follow MyGeotab, for each of UNIT_MEASURES
+export const DEFAULT_SETTINGS = {
+  units: Object.fromEntries(Object.values(UNIT_MEASURES).map(measure => [measure, UNIT_AUTO])),
+  pageSize: PAGE_SIZES.MEDIUM,
+  defaultPreset: DATE_PRESETS.THIS_WEEK,
+  palette: 'vibrant',
+  cost: DEFAULT_COST_SETTINGS
+};
+
+// Where settings are saved: an AddInData record per user, mirrored to localStorage per user and
+// database so they still apply when AddInData cannot be read or written
+// The AddInData add-in id is declared once, in config.json (see SETTINGS_ADD_IN_ID)
+export const SETTINGS_STORAGE = {
+  LOCAL_STORAGE_PREFIX: 'deviceDashboard.settings',
+  ADD_IN_DATA: 'addInData',
+  LOCAL: 'local'
+};
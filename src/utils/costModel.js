@@ -0,0 +1,134 @@
+/**
+ * Cost model for fuel, idling and operating spend
+ * Turns the cost settings (currency, fuel price and its history, idle burn per vehicle class)
+ * into dated fuel prices and per-vehicle idle rates
+ */
+
+import { DEFAULT_COST_SETTINGS, UNIT_MEASURES } from './constants';
+import { convertUnit } from './unitUtils';
+
+/**
+ * Convert a price quoted per liter or per US or imperial gallon to a price per liter
+ */
+function toPricePerLiter(price, unit) {
+  return price * convertUnit(1, UNIT_MEASURES.VOLUME, { [UNIT_MEASURES.VOLUME]: unit });
+}
+
+/**
+ * Dated prices in time order, dropping entries without a valid date or price
+ */
+function getPriceSteps(priceHistory) {
+  return (priceHistory || [])
+    .map(entry => ({ from: new Date(entry.from).getTime(), price: Number(entry.price) }))
+    .filter(step => !Number.isNaN(step.from) && step.price >= 0)
+    .sort((a, b) => a.from - b.from);
+}
+
+/**
+ * Liters added by a FillUp, preferring fuelAdded over volume as every fill-up figure does
+ * @param {object} fillUp - FillUp entity
+ * @returns {number} Liters, or 0 when neither is recorded
+ */
+export function getFillUpVolume(fillUp) {
+  return fillUp.fuelAdded || fillUp.volume || 0;
+}
+
+/**
+ * Create a cost model for the given settings
+ * @param {object} settings - Cost settings, merged over DEFAULT_COST_SETTINGS
+ * @param {Array} devices - Known devices, for looking up a device by ID
+ * @param {Array} groups - Known groups, for matching vehicle classes by group name
+ * @returns {{
+ *   currency: string,
+ *   getFuelPrice: function(Date|string): number,
+ *   getAverageFuelPrice: function(Date, Date): number,
+ *   getVehicleClass: function(object|string): object|null,
+ *   getIdleBurnRate: function(object|string): number,
+ *   getFillUpCost: function(object): number|null,
+ *   getOperationCost: function({ fuelConsumed: number|null, distanceDriven: number }, { start: Date, end: Date }): object
+ * }} Prices per liter, burn rates in liters per hour, distances in km
+ */
+export function createCostModel(settings, devices, groups) {
+  const costSettings = { ...DEFAULT_COST_SETTINGS, ...settings };
+  const { currency, fuelPriceUnit } = costSettings;
+  const steps = getPriceSteps(costSettings.priceHistory);
+  const devicesById = new Map((devices || []).map(device => [device.id, device]));
+  const groupNamesById = new Map((groups || []).map(group => [group.id, group.name]));
+
+  // Price per liter in effect at a time
+  const getFuelPrice = (date) => {
+    const time = new Date(date).getTime();
+    let price = costSettings.fuelPrice;
+    for (const step of steps) {
+      if (step.from > time) break;
+      price = step.price;
+    }
+    return toPricePerLiter(price, fuelPriceUnit);
+  };
+
+  // Time-weighted price per liter over a range
+  const getAverageFuelPrice = (start, end) => {
+    const from = new Date(start).getTime();
+    const to = new Date(end).getTime();
+    if (!(to > from)) return getFuelPrice(start);
+
+    const boundaries = [from, ...steps.map(step => step.from).filter(time => time > from && time < to), to];
+    let weighted = 0;
+    for (let i = 1; i < boundaries.length; i++) {
+      weighted += getFuelPrice(boundaries[i - 1]) * (boundaries[i] - boundaries[i - 1]);
+    }
+    return weighted / (to - from);
+  };
+
+  // First class with a keyword in the device's name, comment or group names
+  const getVehicleClass = (deviceOrId) => {
+    // Trips and fill-ups only carry the device ID, so prefer the full device when it is known
+    const device = typeof deviceOrId === 'string'
+      ? devicesById.get(deviceOrId)
+      : devicesById.get(deviceOrId?.id) || deviceOrId;
+    if (!device) return null;
+
+    const text = [
+      device.name,
+      device.comment,
+      ...(device.groups || []).map(group => groupNamesById.get(group.id) || group.name)
+    ].filter(Boolean).join(' ').toLowerCase();
+
+    return costSettings.vehicleClasses.find(vehicleClass =>
+      (vehicleClass.keywords || []).some(keyword => keyword && text.includes(keyword.toLowerCase()))
+    ) || null;
+  };
+
+  const getIdleBurnRate = (deviceOrId) =>
+    getVehicleClass(deviceOrId)?.idleLitersPerHour ?? costSettings.defaultIdleLitersPerHour;
+
+  // Recorded cost when the fill-up carries one in our currency, otherwise volume at the dated price
+  const getFillUpCost = (fillUp) => {
+    if (fillUp.cost > 0 && (!fillUp.currencyCode || fillUp.currencyCode === currency)) {
+      return fillUp.cost;
+    }
+    const volume = getFillUpVolume(fillUp);
+    return volume > 0 ? volume * getFuelPrice(fillUp.dateTime || fillUp.date) : null;
+  };
+
+  // Fuel burned at the range's average price plus the distance-based operating cost
+  const getOperationCost = ({ fuelConsumed, distanceDriven }, range) => {
+    const fuel = fuelConsumed != null ? fuelConsumed * getAverageFuelPrice(range.start, range.end) : null;
+    const operating = (distanceDriven || 0) * (costSettings.operatingCostPerKm || 0);
+    return {
+      fuel,
+      operating,
+      total: fuel != null ? fuel + operating : null
+    };
+  };
+
+  return {
+    currency,
+    getFuelPrice,
+    getAverageFuelPrice,
+    getVehicleClass,
+    getIdleBurnRate,
+    getFillUpCost,
+    getOperationCost
+  };
+}
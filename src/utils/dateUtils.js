@@ -90,6 +90,44 @@ export function getDateRangeFromPreset(preset) {
   }
 }
 
+/**
+ * Get the previous equivalent period of a date range
+ * Ranges within one month that start on the 1st (This Month) compare with the same days of the
+ * previous month; other ranges (weeks, Last 30 Days, custom) compare with the same number of days before
+ * @param {{ start: Date, end: Date }} range
+ * @returns {{ start: Date, end: Date }|null}
+ */
+export function getPreviousPeriod(range) {
+  if (!range?.start || !range?.end) return null;
+  const { start, end } = range;
+
+  if (start.getDate() === 1 && start.getMonth() === end.getMonth() && start.getFullYear() === end.getFullYear()) {
+    const lastDayOfPrevious = new Date(start.getFullYear(), start.getMonth(), 0).getDate();
+    const isMonthEnd = new Date(end.getFullYear(), end.getMonth() + 1, 0).getDate() === end.getDate();
+    return {
+      start: new Date(start.getFullYear(), start.getMonth() - 1, 1, 0, 0, 0, 0),
+      end: new Date(
+        start.getFullYear(),
+        start.getMonth() - 1,
+        isMonthEnd ? lastDayOfPrevious : Math.min(end.getDate(), lastDayOfPrevious),
+        23, 59, 59, 999
+      )
+    };
+  }
+
+  // Whole days in the range, counted by calendar date so DST changes don't matter
+  const days = Math.round(
+    (new Date(end.getFullYear(), end.getMonth(), end.getDate()) -
+      new Date(start.getFullYear(), start.getMonth(), start.getDate())) / (24 * 60 * 60 * 1000)
+  ) + 1;
+
+  const previousStart = new Date(start);
+  previousStart.setDate(previousStart.getDate() - days);
+  const previousEnd = new Date(end);
+  previousEnd.setDate(previousEnd.getDate() - days);
+  return { start: previousStart, end: previousEnd };
+}
+
 /**
  * Format date for display
  * @param {Date|string} date - Date to format
@@ -171,6 +209,25 @@ export function getDuration(start, end) {
   return endDate.getTime() - startDate.getTime();
 }
 
+/**
+ * Parse Geotab TimeSpan string to seconds
+ * @param {string} timeSpan - TimeSpan string like "00:12:23" or "00:12:23.9320000"
+ * @returns {number} Total seconds
+ */
+export function parseTimeSpan(timeSpan) {
+  if (!timeSpan || typeof timeSpan !== 'string') return 0;
+  
+  // Split by decimal point to handle fractional seconds
+  const [mainPart] = timeSpan.split('.');
+  const parts = mainPart.split(':');
+  
+  const hours = parseInt(parts[0]) || 0;
+  const minutes = parseInt(parts[1]) || 0;
+  const seconds = parseInt(parts[2]) || 0;
+  
+  return hours * 3600 + minutes * 60 + seconds;
+}
+
 /**
  * Format duration for display
  * @param {number} ms - Duration in milliseconds
@@ -206,6 +263,19 @@ export function formatDuration(ms, short = true) {
   return parts.length > 0 ? parts.join(' ') : '0 minutes';
 }
 
+/**
+ * Format how long ago a date was, relative to now
+ * @param {Date|string} date - Past date
+ * @param {Date} now - Reference date
+ * @returns {string} e.g. "just now", "5m ago", "3d ago"
+ */
+export function formatTimeAgo(date, now = new Date()) {
+  if (!date) return 'Never';
+  const elapsed = now.getTime() - new Date(date).getTime();
+  if (elapsed < 60 * 1000) return 'just now';
+  return `${formatDuration(elapsed).split(' ')[0]} ago`;
+}
+
 /**
  * Get unique days from a list of dates
  * @param {Array<Date|string>} dates - Array of dates
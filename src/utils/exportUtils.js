@@ -0,0 +1,295 @@
+/**
+ * Table export helpers (CSV and XLSX) for the Device Dashboard
+ * XLSX files are written as a minimal uncompressed OOXML package so no
+ * spreadsheet library is needed in the bundle
+ */
+
+export const EXPORT_FORMATS = {
+  CSV: 'csv',
+  XLSX: 'xlsx'
+};
+
+const MIME_TYPES = {
+  [EXPORT_FORMATS.CSV]: 'text/csv;charset=utf-8',
+  [EXPORT_FORMATS.XLSX]: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * Resolve every cell of a table
+ * @param {Array<{ header: string, value: function }>} columns - Column definitions
+ * @param {Array} rows - Source records
+ * @returns {Array<Array<string|number>>} Header row followed by data rows
+ */
+function buildMatrix(columns, rows) {
+  return [
+    columns.map(col => col.header),
+    ...rows.map(row => columns.map(col => {
+      const value = col.value(row);
+      return value === null || value === undefined ? '' : value;
+    }))
+  ];
+}
+
+/**
+ * Escape a CSV cell, guarding against spreadsheet formula injection
+ */
+function escapeCsvCell(value) {
+  if (typeof value === 'number') return String(value);
+
+  let text = String(value);
+  if (/^[=+@\t\r]/.test(text) || /^-[^\d]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Build CSV text for a table
+ * @param {Array<{ header: string, value: function }>} columns - Column definitions
+ * @param {Array} rows - Source records
+ * @returns {string}
+ */
+export function toCsv(columns, rows) {
+  return buildMatrix(columns, rows)
+    .map(cells => cells.map(escapeCsvCell).join(','))
+    .join('\r\n');
+}
+
+/**
+ * Escape text for XML, dropping characters XML cannot contain
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Convert a zero-based column index to a spreadsheet column name (0 -> A)
+ */
+function getColumnName(index) {
+  let name = '';
+  let n = index + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    name = String.fromCharCode(65 + remainder) + name;
+    n = Math.floor((n - 1) / 26);
+  }
+  return name;
+}
+
+/**
+ * Build the worksheet XML for a table
+ */
+function buildSheetXml(matrix) {
+  const rowsXml = matrix.map((cells, rowIndex) => {
+    const rowNumber = rowIndex + 1;
+    const cellsXml = cells.map((value, colIndex) => {
+      const ref = `${getColumnName(colIndex)}${rowNumber}`;
+      if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<c r="${ref}"><v>${value}</v></c>`;
+      }
+      return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+    }).join('');
+    return `<row r="${rowNumber}">${cellsXml}</row>`;
+  }).join('');
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+    `<sheetData>${rowsXml}</sheetData>` +
+    '</worksheet>';
+}
+
+// CRC-32 lookup table for the ZIP container
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Package files into an uncompressed (stored) ZIP archive
+ * @param {Array<{ name: string, content: string }>} files
+ * @returns {Uint8Array}
+ */
+function createZip(files) {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const name = encoder.encode(file.name);
+    const data = encoder.encode(file.content);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(8, 0, true);
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014B50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, dosTime, true);
+    central.setUint16(14, dosDate, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+
+    localParts.push(new Uint8Array(local.buffer), name, data);
+    centralParts.push(new Uint8Array(central.buffer), name);
+    offset += 30 + name.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  parts.forEach(part => {
+    result.set(part, position);
+    position += part.length;
+  });
+  return result;
+}
+
+/**
+ * Build an XLSX workbook with a single sheet
+ * @param {string} sheetName - Worksheet name
+ * @param {Array<{ header: string, value: function }>} columns - Column definitions
+ * @param {Array} rows - Source records
+ * @returns {Uint8Array}
+ */
+export function toXlsx(sheetName, columns, rows) {
+  // Sheet names are limited to 31 characters and cannot contain []:*?/\
+  const safeSheetName = escapeXml(sheetName.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31) || 'Sheet1');
+
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets><sheet name="${safeSheetName}" sheetId="1" r:id="rId1"/></sheets>` +
+        '</workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      content: buildSheetXml(buildMatrix(columns, rows))
+    }
+  ]);
+}
+
+/**
+ * Trigger a browser download for generated content
+ * @param {string} fileName - File name including extension
+ * @param {string|Uint8Array} content - File content
+ * @param {string} mimeType - MIME type
+ */
+export function downloadFile(fileName, content, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Build a file-system safe export file name
+ * @param {Array<string>} parts - Name parts, e.g. ['Van 101', 'exceptions', '2024-01-01']
+ * @returns {string} Name without extension
+ */
+export function buildExportFileName(parts) {
+  return parts
+    .filter(Boolean)
+    .join('_')
+    .replace(/[^\w.-]+/g, '-')
+    .replace(/-+/g, '-');
+}
+
+/**
+ * Export a table as CSV or XLSX and download it
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {object} options
+ * @param {string} options.fileName - File name without extension
+ * @param {string} options.sheetName - Worksheet name (XLSX only)
+ * @param {Array<{ header: string, value: function }>} options.columns - Column definitions
+ * @param {Array} options.rows - Source records
+ */
+export function exportTable(format, { fileName, sheetName, columns, rows }) {
+  const content = format === EXPORT_FORMATS.XLSX
+    ? toXlsx(sheetName || fileName, columns, rows)
+    // BOM so Excel opens UTF-8 CSV files with the right encoding
+    : `\uFEFF${toCsv(columns, rows)}`;
+
+  downloadFile(`${fileName}.${format}`, content, MIME_TYPES[format]);
+}
@@ -2,59 +2,62 @@
  * Formatting utilities for the Device Dashboard
  */
 
-import { CONVERSIONS } from './constants';
+import { DEFAULT_UNITS, UNIT_MEASURES } from './constants';
+import { convertUnit, getUnitSymbol } from './unitUtils';
 
 /**
  * Format distance based on user's unit preference
  * @param {number} km - Distance in kilometers
- * @param {boolean} isMetric - True for metric, false for imperial
+ * @param {object} units - Unit profile
  * @param {number} decimals - Decimal places
  * @returns {string}
  */
-export function formatDistance(km, isMetric = true, decimals = 1) {
+export function formatDistance(km, units = DEFAULT_UNITS, decimals = 1) {
   if (km === null || km === undefined) return 'N/A';
   
-  const value = isMetric ? km : km * CONVERSIONS.KM_TO_MILES;
-  const unit = isMetric ? 'km' : 'mi';
-  
-  return `${formatNumber(value, decimals)} ${unit}`;
+  return `${formatNumber(getDistanceValue(km, units), decimals)} ${getDistanceUnit(units)}`;
 }
 
 /**
  * Format fuel volume based on user's unit preference
  * @param {number} liters - Volume in liters
- * @param {boolean} isMetric - True for metric, false for imperial
+ * @param {object} units - Unit profile
  * @param {number} decimals - Decimal places
  * @returns {string}
  */
-export function formatFuelVolume(liters, isMetric = true, decimals = 1) {
+export function formatFuelVolume(liters, units = DEFAULT_UNITS, decimals = 1) {
   if (liters === null || liters === undefined) return 'N/A';
   
-  const value = isMetric ? liters : liters * CONVERSIONS.LITERS_TO_GALLONS;
-  const unit = isMetric ? 'L' : 'gal';
-  
-  return `${formatNumber(value, decimals)} ${unit}`;
+  return `${formatNumber(getFuelVolumeValue(liters, units), decimals)} ${getFuelUnit(units)}`;
 }
 
 /**
  * Format fuel economy based on user's unit preference
  * @param {number} litersPerHundredKm - Fuel economy in L/100km
- * @param {boolean} isMetric - True for metric (L/100km), false for imperial (MPG)
+ * @param {object} units - Unit profile
  * @param {number} decimals - Decimal places
  * @returns {string}
  */
-export function formatFuelEconomy(litersPerHundredKm, isMetric = true, decimals = 1) {
+export function formatFuelEconomy(litersPerHundredKm, units = DEFAULT_UNITS, decimals = 1) {
   if (litersPerHundredKm === null || litersPerHundredKm === undefined || litersPerHundredKm <= 0) {
     return 'N/A';
   }
   
-  if (isMetric) {
-    return `${formatNumber(litersPerHundredKm, decimals)} L/100km`;
-  }
-  
-  // Convert to MPG
-  const mpg = CONVERSIONS.LITERS_PER_100KM_TO_MPG / litersPerHundredKm;
-  return `${formatNumber(mpg, decimals)} MPG`;
+  return `${formatNumber(getFuelEconomyValue(litersPerHundredKm, units), decimals)} ${getFuelEconomyUnit(units)}`;
+}
+
+/**
+ * Format temperature based on user's unit preference
+ * @param {number} celsius - Temperature in degrees Celsius
+ * @param {object} units - Unit profile
+ * @param {number} decimals - Decimal places
+ * @returns {string}
+ */
+export function formatTemperature(celsius, units = DEFAULT_UNITS, decimals = 0) {
+  if (celsius === null || celsius === undefined) return 'N/A';
+
+  const value = convertUnit(celsius, UNIT_MEASURES.TEMPERATURE, units);
+  return `${formatNumber(value, decimals)}${getUnitSymbol(UNIT_MEASURES.TEMPERATURE, units)}`;
 }
 
 /**
@@ -72,6 +75,29 @@ export function formatNumber(value, decimals = 0) {
   }).format(value);
 }
 
+/**
+ * Format an amount of money
+ * @param {number} amount - Amount in currency units
+ * @param {string} currency - ISO 4217 currency code
+ * @param {number} decimals - Decimal places
+ * @returns {string}
+ */
+export function formatCurrency(amount, currency = 'USD', decimals = 2) {
+  if (amount === null || amount === undefined) return 'N/A';
+
+  try {
+    return new Intl.NumberFormat(undefined, {
+      style: 'currency',
+      currency,
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals
+    }).format(amount);
+  } catch (err) {
+    // Unknown currency code; show it after the number instead
+    return `${formatNumber(amount, decimals)} ${currency}`;
+  }
+}
+
 /**
  * Format percentage
  * @param {number} value - Value (0-100 or 0-1)
@@ -89,16 +115,13 @@ export function formatPercentage(value, isDecimal = false, decimals = 0) {
 /**
  * Format odometer reading
  * @param {number} km - Odometer in kilometers
- * @param {boolean} isMetric - True for metric, false for imperial
+ * @param {object} units - Unit profile
  * @returns {string}
  */
-export function formatOdometer(km, isMetric = true) {
+export function formatOdometer(km, units = DEFAULT_UNITS) {
   if (km === null || km === undefined) return 'N/A';
   
-  const value = isMetric ? km : km * CONVERSIONS.KM_TO_MILES;
-  const unit = isMetric ? 'km' : 'mi';
-  
-  return `${formatNumber(value, 0)} ${unit}`;
+  return `${formatNumber(getDistanceValue(km, units), 0)} ${getDistanceUnit(units)}`;
 }
 
 /**
@@ -117,16 +140,13 @@ export function formatFuelLevel(level, isDecimal = false) {
 /**
  * Format speed based on user's unit preference
  * @param {number} kmh - Speed in km/h
- * @param {boolean} isMetric - True for metric, false for imperial
+ * @param {object} units - Unit profile
  * @returns {string}
  */
-export function formatSpeed(kmh, isMetric = true) {
+export function formatSpeed(kmh, units = DEFAULT_UNITS) {
   if (kmh === null || kmh === undefined) return 'N/A';
   
-  const value = isMetric ? kmh : kmh * CONVERSIONS.KM_TO_MILES;
-  const unit = isMetric ? 'km/h' : 'mph';
-  
-  return `${formatNumber(value, 0)} ${unit}`;
+  return `${formatNumber(getSpeedValue(kmh, units), 0)} ${getSpeedUnit(units)}`;
 }
 
 /**
@@ -213,28 +233,81 @@ export function formatAddress(address) {
 /**
  * Get raw distance value for calculations
  * @param {number} km - Distance in kilometers
- * @param {boolean} isMetric - True for metric, false for imperial
+ * @param {object} units - Unit profile
  * @returns {number}
  */
-export function getDistanceValue(km, isMetric = true) {
+export function getDistanceValue(km, units = DEFAULT_UNITS) {
   if (km === null || km === undefined) return 0;
-  return isMetric ? km : km * CONVERSIONS.KM_TO_MILES;
+  return convertUnit(km, UNIT_MEASURES.DISTANCE, units);
 }
 
 /**
  * Get distance unit label
- * @param {boolean} isMetric - True for metric, false for imperial
+ * @param {object} units - Unit profile
+ * @returns {string}
+ */
+export function getDistanceUnit(units = DEFAULT_UNITS) {
+  return getUnitSymbol(UNIT_MEASURES.DISTANCE, units);
+}
+
+/**
+ * Get raw speed value for calculations
+ * @param {number} kmh - Speed in km/h
+ * @param {object} units - Unit profile
+ * @returns {number}
+ */
+export function getSpeedValue(kmh, units = DEFAULT_UNITS) {
+  if (kmh === null || kmh === undefined) return 0;
+  return convertUnit(kmh, UNIT_MEASURES.SPEED, units);
+}
+
+/**
+ * Get speed unit label
+ * @param {object} units - Unit profile
  * @returns {string}
  */
-export function getDistanceUnit(isMetric = true) {
-  return isMetric ? 'km' : 'mi';
+export function getSpeedUnit(units = DEFAULT_UNITS) {
+  return getUnitSymbol(UNIT_MEASURES.SPEED, units);
 }
 
 /**
  * Get fuel unit label
- * @param {boolean} isMetric - True for metric, false for imperial
+ * @param {object} units - Unit profile
+ * @returns {string}
+ */
+export function getFuelUnit(units = DEFAULT_UNITS) {
+  return getUnitSymbol(UNIT_MEASURES.VOLUME, units);
+}
+
+/**
+ * Get raw fuel volume value for calculations
+ * @param {number} liters - Volume in liters
+ * @param {object} units - Unit profile
+ * @returns {number}
+ */
+export function getFuelVolumeValue(liters, units = DEFAULT_UNITS) {
+  if (liters === null || liters === undefined) return 0;
+  return convertUnit(liters, UNIT_MEASURES.VOLUME, units);
+}
+
+/**
+ * Get raw fuel economy value for calculations
+ * @param {number} litersPerHundredKm - Fuel economy in L/100km
+ * @param {object} units - Unit profile
+ * @returns {number|null} Null when there is no economy to convert
+ */
+export function getFuelEconomyValue(litersPerHundredKm, units = DEFAULT_UNITS) {
+  if (litersPerHundredKm === null || litersPerHundredKm === undefined || litersPerHundredKm <= 0) {
+    return null;
+  }
+  return convertUnit(litersPerHundredKm, UNIT_MEASURES.FUEL_ECONOMY, units);
+}
+
+/**
+ * Get fuel economy unit label
+ * @param {object} units - Unit profile
  * @returns {string}
  */
-export function getFuelUnit(isMetric = true) {
-  return isMetric ? 'L' : 'gal';
+export function getFuelEconomyUnit(units = DEFAULT_UNITS) {
+  return getUnitSymbol(UNIT_MEASURES.FUEL_ECONOMY, units);
 }
@@ -0,0 +1,144 @@
+/**
+ * Fuel anomaly detection over the fuel-level StatusData series
+ * Flags drops while parked (suspected siphoning), rises with no FillUp record
+ * (unrecorded fills) and fill-ups larger than the tank could take
+ */
+
+import { FUEL_ANOMALY, FUEL_ANOMALY_TYPES } from './constants';
+import { getFillUpVolume } from './costModel';
+
+/**
+ * Trip start and stop times with where the vehicle parked, in time order
+ */
+function getTripWindows(trips) {
+  return (trips || [])
+    .map(trip => ({
+      start: new Date(trip.start).getTime(),
+      stop: new Date(trip.stop).getTime(),
+      stopPoint: trip.stopPoint || null
+    }))
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Largest tank capacity reported by the fill-ups, in liters
+ * @param {Array} fuelUps - FillUp entities
+ * @returns {number|null}
+ */
+export function getTankCapacity(fuelUps) {
+  const capacities = (fuelUps || []).map(fu => fu.tankCapacity).filter(capacity => capacity > 0);
+  return capacities.length > 0 ? Math.max(...capacities) : null;
+}
+
+/**
+ * Detect fuel anomalies for one vehicle
+ * @param {object} data
+ * @param {Array<{ date: Date, level: number }>} data.levels - Fuel level readings in percent, in time order
+ * @param {Array} data.fuelUps - FillUp entities
+ * @param {Array} data.trips - Trip entities, for when the engine was off and where the vehicle was parked
+ * @returns {Array<{
+ *   id: string,
+ *   type: string,
+ *   date: Date,
+ *   from: Date|null,
+ *   levelBefore: number|null,
+ *   levelAfter: number|null,
+ *   volume: number|null,
+ *   capacity: number|null,
+ *   fuelUp: object|null,
+ *   location: { x: number, y: number }|null
+ * }>} Volumes in liters, most recent first; volume is null when the tank capacity is unknown
+ */
+export function detectFuelAnomalies({ levels, fuelUps, trips }) {
+  const windows = getTripWindows(trips);
+  const fuelUpList = fuelUps || [];
+  const capacity = getTankCapacity(fuelUpList);
+  const matchMs = FUEL_ANOMALY.FILL_MATCH_MINUTES * 60 * 1000;
+  const toLiters = percent => (capacity ? (percent / 100) * capacity : null);
+  const anomalies = [];
+
+  // Latest trip stopped at or before a time, i.e. where the vehicle is parked
+  const parkedAfter = (time) => {
+    let found = null;
+    for (const window of windows) {
+      if (window.start > time) break;
+      if (window.stop <= time) found = window;
+    }
+    return found;
+  };
+  // Whether the engine ran at any point between two readings
+  const droveBetween = (from, to) => windows.some(window => window.start < to && window.stop > from);
+
+  const readings = levels || [];
+  for (let i = 1; i < readings.length; i++) {
+    const before = readings[i - 1];
+    const after = readings[i];
+    const from = before.date.getTime();
+    const to = after.date.getTime();
+    const change = after.level - before.level;
+
+    if (-change >= FUEL_ANOMALY.DROP_PERCENT && !droveBetween(from, to)) {
+      anomalies.push({
+        id: `${FUEL_ANOMALY_TYPES.SIPHONING}-${to}`,
+        type: FUEL_ANOMALY_TYPES.SIPHONING,
+        date: after.date,
+        from: before.date,
+        levelBefore: before.level,
+        levelAfter: after.level,
+        volume: toLiters(-change),
+        capacity,
+        fuelUp: null,
+        location: parkedAfter(from)?.stopPoint || null
+      });
+    }
+
+    if (change >= FUEL_ANOMALY.RISE_PERCENT) {
+      const matched = fuelUpList.some(fu => {
+        const time = new Date(fu.dateTime).getTime();
+        return time >= from - matchMs && time <= to + matchMs;
+      });
+      if (!matched) {
+        anomalies.push({
+          id: `${FUEL_ANOMALY_TYPES.UNRECORDED_FILL}-${to}`,
+          type: FUEL_ANOMALY_TYPES.UNRECORDED_FILL,
+          date: after.date,
+          from: before.date,
+          levelBefore: before.level,
+          levelAfter: after.level,
+          volume: toLiters(change),
+          capacity,
+          fuelUp: null,
+          location: droveBetween(from, to) ? null : parkedAfter(from)?.stopPoint || null
+        });
+      }
+    }
+  }
+
+  // Fill-ups bigger than the tank, or than the room left in it by the last reading before the fill
+  fuelUpList.forEach(fu => {
+    const volume = getFillUpVolume(fu);
+    const tankCapacity = fu.tankCapacity || capacity;
+    if (!volume || !tankCapacity) return;
+
+    const time = new Date(fu.dateTime).getTime();
+    const previous = readings.filter(r => r.date.getTime() < time && time - r.date.getTime() <= matchMs).pop();
+    const room = previous ? ((100 - previous.level) / 100) * tankCapacity : tankCapacity;
+
+    if (volume > room * FUEL_ANOMALY.CAPACITY_TOLERANCE) {
+      anomalies.push({
+        id: `${FUEL_ANOMALY_TYPES.OVER_CAPACITY}-${fu.id}`,
+        type: FUEL_ANOMALY_TYPES.OVER_CAPACITY,
+        date: new Date(fu.dateTime),
+        from: null,
+        levelBefore: previous ? previous.level : null,
+        levelAfter: null,
+        volume,
+        capacity: tankCapacity,
+        fuelUp: fu,
+        location: fu.location || null
+      });
+    }
+  });
+
+  return anomalies.sort((a, b) => b.date - a.date);
+}
@@ -0,0 +1,202 @@
+/**
+ * Fuel-card transaction import from CSV or JSON files
+ * Card providers name their columns differently, so each field accepts several common headers
+ */
+
+import { CONVERSIONS } from './constants';
+
+// Accepted names for each field, compared lowercased without spaces, dashes or underscores
+const FIELD_ALIASES = {
+  id: ['id', 'transactionid', 'transactionnumber', 'reference', 'receipt'],
+  dateTime: ['datetime', 'transactiondatetime', 'timestamp'],
+  date: ['date', 'transactiondate', 'purchasedate'],
+  time: ['time', 'transactiontime', 'purchasetime'],
+  liters: ['liters', 'litres', 'volume', 'quantity', 'qty', 'volumeliters', 'volumelitres'],
+  gallons: ['gallons', 'volumegallons', 'gal'],
+  latitude: ['latitude', 'lat'],
+  longitude: ['longitude', 'lon', 'lng', 'long'],
+  site: ['site', 'sitename', 'location', 'merchant', 'station', 'address'],
+  amount: ['amount', 'cost', 'total', 'totalamount'],
+  card: ['card', 'cardnumber', 'cardno'],
+  vehicle: ['vehicle', 'vehiclename', 'unit', 'unitnumber', 'device', 'licenseplate', 'plate', 'vin']
+};
+
+/**
+ * Normalize a column or property name for alias lookup
+ */
+function normalizeKey(key) {
+  return String(key).toLowerCase().replace(/[\s_\-().]/g, '');
+}
+
+/**
+ * Split CSV text into rows of cells, honouring quoted cells with commas, quotes and line breaks
+ * The delimiter is a comma, or a semicolon when the header has more of those
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+export function parseCsv(text) {
+  const source = text.replace(/^﻿/, '');
+  const headerLine = source.split(/\r?\n/, 1)[0] || '';
+  const delimiter = (headerLine.match(/;/g) || []).length > (headerLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse a number that may use a thousands separator or a decimal comma
+ */
+function parseNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  let text = String(value).trim().replace(/[^\d.,-]/g, '');
+  // "1.234,5" and "12,5" use a decimal comma
+  if (/,\d{1,2}$/.test(text) || /\.\d{3},/.test(text)) {
+    text = text.replace(/\./g, '').replace(',', '.');
+  } else {
+    text = text.replace(/,/g, '');
+  }
+  const number = parseFloat(text);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Turn one record (a CSV row or JSON object, keyed by normalized name) into a transaction
+ * @returns {{ transaction: object|null, error: string|null }}
+ */
+function toTransaction(record, index) {
+  const field = (name) => {
+    const key = FIELD_ALIASES[name].find(alias => record[alias] !== undefined && record[alias] !== '');
+    return key ? record[key] : undefined;
+  };
+
+  const dateText = field('dateTime') ?? (field('date') != null ? `${field('date')} ${field('time') ?? ''}`.trim() : null);
+  const dateTime = dateText != null ? new Date(dateText) : null;
+  if (!dateTime || Number.isNaN(dateTime.getTime())) {
+    return { transaction: null, error: `Row ${index + 1}: missing or unreadable date` };
+  }
+
+  const liters = parseNumber(field('liters'));
+  const gallons = parseNumber(field('gallons'));
+  const volume = liters ?? (gallons != null ? gallons / CONVERSIONS.LITERS_TO_GALLONS : null);
+  if (volume == null || volume <= 0) {
+    return { transaction: null, error: `Row ${index + 1}: missing volume` };
+  }
+
+  const latitude = parseNumber(field('latitude'));
+  const longitude = parseNumber(field('longitude'));
+
+  return {
+    transaction: {
+      // Rows without an id are numbered; reconciliation adds the card- prefix
+      id: String(field('id') ?? index + 1),
+      dateTime,
+      volume,
+      location: latitude != null && longitude != null ? { latitude, longitude } : null,
+      site: field('site') != null ? String(field('site')) : null,
+      amount: parseNumber(field('amount')),
+      card: field('card') != null ? String(field('card')) : null,
+      vehicle: field('vehicle') != null ? String(field('vehicle')) : null
+    },
+    error: null
+  };
+}
+
+/**
+ * Number repeated transaction ids (e.g. 1001, 1001-2) so each row has its own id
+ */
+function makeIdsUnique(transactions) {
+  const used = new Set();
+  return transactions.map(transaction => {
+    let id = transaction.id;
+    for (let count = 2; used.has(id); count++) {
+      id = `${transaction.id}-${count}`;
+    }
+    used.add(id);
+    return id === transaction.id ? transaction : { ...transaction, id };
+  });
+}
+
+/**
+ * Parse an imported fuel-card file
+ * JSON may be an array of transactions or an object with a transactions array
+ * @param {string} text - File contents
+ * @param {string} fileName - Used to tell JSON from CSV
+ * @returns {{ transactions: Array, errors: Array<string> }} Volumes in liters, in time order,
+ *   with ids unique within the file
+ */
+export function parseFuelCardFile(text, fileName = '') {
+  let records;
+  const isJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text);
+
+  if (isJson) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (err) {
+      return { transactions: [], errors: [`Not valid JSON: ${err.message}`] };
+    }
+    const list = Array.isArray(parsed) ? parsed : parsed?.transactions;
+    if (!Array.isArray(list)) {
+      return { transactions: [], errors: ['Expected an array of transactions'] };
+    }
+    records = list.map(item => Object.fromEntries(
+      Object.entries(item || {}).map(([key, value]) => [normalizeKey(key), value])
+    ));
+  } else {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) {
+      return { transactions: [], errors: ['The file is empty'] };
+    }
+    const keys = header.map(normalizeKey);
+    records = rows.map(cells => Object.fromEntries(keys.map((key, i) => [key, (cells[i] ?? '').trim()])));
+  }
+
+  const transactions = [];
+  const errors = [];
+  records.forEach((record, index) => {
+    const { transaction, error } = toTransaction(record, index);
+    if (transaction) transactions.push(transaction);
+    if (error) errors.push(error);
+  });
+
+  return {
+    transactions: makeIdsUnique(transactions).sort((a, b) => a.dateTime - b.dateTime),
+    errors
+  };
+}
@@ -0,0 +1,148 @@
+/**
+ * Fuel-card reconciliation
+ * Matches imported card transactions to FillUp events by time, volume and location, and
+ * checks unmatched purchases against the fuel-level readings for a tank rise
+ */
+
+import { FUEL_ANOMALY, FUEL_RECONCILIATION, RECONCILIATION_STATUSES } from './constants';
+import { getDistanceKm } from './mapUtils';
+import { getFillUpVolume } from './costModel';
+
+/**
+ * FillUp location as latitude and longitude
+ */
+function getFuelUpPosition(fuelUp) {
+  if (fuelUp.location?.x == null || fuelUp.location?.y == null) return null;
+  return { latitude: fuelUp.location.y, longitude: fuelUp.location.x };
+}
+
+/**
+ * Difference between the fill-up and card volumes as a percentage of the card volume
+ */
+function getVolumeDifferencePercent(cardVolume, fuelUpVolume) {
+  return cardVolume > 0 ? ((fuelUpVolume - cardVolume) / cardVolume) * 100 : null;
+}
+
+/**
+ * Whether the fuel level rose by a fill's worth around a time
+ * Compares the lowest reading in the window before the time with the highest in the window
+ * after it, falling back to the nearest reading on each side when the window has none
+ * @returns {boolean|null} null when there is no reading close enough on either side
+ */
+function hasTankRise(levels, time, windowMs) {
+  const maxGapMs = FUEL_RECONCILIATION.MAX_READING_GAP_HOURS * 60 * 60 * 1000;
+  const before = levels.filter(r => r.date.getTime() <= time && time - r.date.getTime() <= maxGapMs);
+  const after = levels.filter(r => r.date.getTime() > time && r.date.getTime() - time <= maxGapMs);
+  if (before.length === 0 || after.length === 0) return null;
+
+  const beforeWindow = before.filter(r => time - r.date.getTime() <= windowMs);
+  const afterWindow = after.filter(r => r.date.getTime() - time <= windowMs);
+  const lowest = Math.min(...(beforeWindow.length > 0 ? beforeWindow : [before[before.length - 1]]).map(r => r.level));
+  const highest = Math.max(...(afterWindow.length > 0 ? afterWindow : [after[0]]).map(r => r.level));
+  return highest - lowest >= FUEL_ANOMALY.RISE_PERCENT;
+}
+
+/**
+ * Reconcile card transactions with fill-ups for one vehicle
+ * Each pair within the time window (and location tolerance, when both have coordinates) is
+ * scored, and the closest pairs are matched first so a fill-up is never claimed twice
+ * @param {Array} transactions - Parsed card transactions, volumes in liters
+ * @param {Array} fuelUps - FillUp entities
+ * @param {Array<{ date: Date, level: number }>} levels - Fuel level readings in percent, in time order
+ * @returns {Array<{
+ *   id: string,
+ *   status: string,
+ *   date: Date,
+ *   transaction: object|null,
+ *   fuelUp: object|null,
+ *   volumeDifference: number|null,
+ *   volumeDifferencePercent: number|null,
+ *   distanceKm: number|null
+ * }>} Most recent first
+ */
+export function reconcileFuelTransactions(transactions, fuelUps, levels) {
+  const windowMs = FUEL_RECONCILIATION.TIME_WINDOW_MINUTES * 60 * 1000;
+  const readings = levels || [];
+  const fuelUpList = fuelUps || [];
+
+  const candidates = [];
+  (transactions || []).forEach(transaction => {
+    const cardTime = transaction.dateTime.getTime();
+    fuelUpList.forEach(fuelUp => {
+      const timeGap = Math.abs(new Date(fuelUp.dateTime).getTime() - cardTime);
+      if (timeGap > windowMs) return;
+
+      const position = getFuelUpPosition(fuelUp);
+      const distanceKm = transaction.location && position ? getDistanceKm(transaction.location, position) : null;
+      if (distanceKm != null && distanceKm > FUEL_RECONCILIATION.LOCATION_TOLERANCE_KM) return;
+
+      const volumeDifferencePercent = getVolumeDifferencePercent(transaction.volume, getFillUpVolume(fuelUp));
+      // Each term is 0 for a perfect match and 1 at the edge of its tolerance
+      const score = timeGap / windowMs +
+        Math.min(Math.abs(volumeDifferencePercent ?? 100) / 100, 1) +
+        (distanceKm != null ? distanceKm / FUEL_RECONCILIATION.LOCATION_TOLERANCE_KM : 0);
+
+      candidates.push({ transaction, fuelUp, distanceKm, volumeDifferencePercent, score });
+    });
+  });
+
+  const matchedTransactions = new Map();
+  const matchedFuelUps = new Set();
+  candidates
+    .sort((a, b) => a.score - b.score)
+    .forEach(candidate => {
+      if (matchedTransactions.has(candidate.transaction) || matchedFuelUps.has(candidate.fuelUp)) return;
+      matchedTransactions.set(candidate.transaction, candidate);
+      matchedFuelUps.add(candidate.fuelUp);
+    });
+
+  const results = (transactions || []).map(transaction => {
+    const match = matchedTransactions.get(transaction);
+    if (match) {
+      const fuelUpVolume = getFillUpVolume(match.fuelUp);
+      const mismatch = Math.abs(match.volumeDifferencePercent ?? 0) > FUEL_RECONCILIATION.VOLUME_TOLERANCE_PERCENT;
+      return {
+        id: `card-${transaction.id}`,
+        status: mismatch ? RECONCILIATION_STATUSES.VOLUME_MISMATCH : RECONCILIATION_STATUSES.MATCHED,
+        date: transaction.dateTime,
+        transaction,
+        fuelUp: match.fuelUp,
+        volumeDifference: fuelUpVolume - transaction.volume,
+        volumeDifferencePercent: match.volumeDifferencePercent,
+        distanceKm: match.distanceKm
+      };
+    }
+
+    const rise = hasTankRise(readings, transaction.dateTime.getTime(), windowMs);
+    let status = RECONCILIATION_STATUSES.UNVERIFIED;
+    if (rise === true) status = RECONCILIATION_STATUSES.LEVEL_RISE_ONLY;
+    if (rise === false) status = RECONCILIATION_STATUSES.NO_TANK_RISE;
+    return {
+      id: `card-${transaction.id}`,
+      status,
+      date: transaction.dateTime,
+      transaction,
+      fuelUp: null,
+      volumeDifference: null,
+      volumeDifferencePercent: null,
+      distanceKm: null
+    };
+  });
+
+  fuelUpList
+    .filter(fuelUp => !matchedFuelUps.has(fuelUp))
+    .forEach(fuelUp => {
+      results.push({
+        id: `fillup-${fuelUp.id}`,
+        status: RECONCILIATION_STATUSES.NO_CARD_TRANSACTION,
+        date: new Date(fuelUp.dateTime),
+        transaction: null,
+        fuelUp,
+        volumeDifference: null,
+        volumeDifferencePercent: null,
+        distanceKm: null
+      });
+    });
+
+  return results.sort((a, b) => b.date - a.date);
+}
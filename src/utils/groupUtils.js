@@ -0,0 +1,112 @@
+/**
+ * Group hierarchy helpers
+ */
+
+/**
+ * Get a group id and the ids of all groups below it
+ * @param {Array} groups - Group entities with children references
+ * @param {string} groupId - Root group id
+ * @returns {Set<string>}
+ */
+export function getDescendantGroupIds(groups, groupId) {
+  const groupsById = new Map((groups || []).map(g => [g.id, g]));
+  const result = new Set();
+  const pending = [groupId];
+
+  while (pending.length > 0) {
+    const id = pending.pop();
+    if (result.has(id)) continue;
+    result.add(id);
+    groupsById.get(id)?.children?.forEach(child => pending.push(child.id));
+  }
+
+  return result;
+}
+
+/**
+ * Get devices that belong to a group or any of its descendants
+ * @param {Array} devices - Device entities
+ * @param {Array} groups - Group entities
+ * @param {string} groupId - Group id
+ * @returns {Array}
+ */
+export function getDevicesInGroup(devices, groups, groupId) {
+  const groupIds = getDescendantGroupIds(groups, groupId);
+  return (devices || []).filter(device =>
+    device.groups?.some(g => groupIds.has(g.id))
+  );
+}
+
+/**
+ * Get a display name for a group
+ * @param {object} group - Group entity
+ * @returns {string}
+ */
+export function getGroupName(group) {
+  if (!group) return '';
+  if (group.name) return group.name;
+  // Built-in groups come back without a name
+  return group.id.replace(/^Group/, '').replace(/Id$/, '').replace(/([a-z])([A-Z])/g, '$1 $2');
+}
+
+/**
+ * Build a deviceSearch object scoped to the selected groups
+ * @param {string} deviceId - Device id (optional)
+ * @param {Array<string>} groupIds - Selected group ids (empty for all groups)
+ * @returns {object}
+ */
+export function buildDeviceSearch(deviceId, groupIds) {
+  const search = {};
+  if (deviceId) search.id = deviceId;
+  if (groupIds?.length) search.groups = groupIds.map(id => ({ id }));
+  return search;
+}
+
+/**
+ * Search that selects a device's or a driver's trips, exceptions and fuel-ups
+ * A driver's records come from every vehicle they drove, still limited to the selected groups
+ * @param {string} deviceId - Device id, used when there is no driver
+ * @param {string} driverId - Driver id (optional)
+ * @param {Array<string>} groupIds - Selected group ids (empty for all groups)
+ * @returns {object}
+ */
+export function buildRecordSearch(deviceId, driverId, groupIds) {
+  if (!driverId) {
+    return { deviceSearch: buildDeviceSearch(deviceId, groupIds) };
+  }
+  return groupIds?.length
+    ? { userSearch: { id: driverId }, deviceSearch: buildDeviceSearch(null, groupIds) }
+    : { userSearch: { id: driverId } };
+}
+
+/**
+ * Build a nested tree from a flat group list
+ * Starts at the Company Group when present so system groups are left out
+ * @param {Array} groups - Group entities with children references
+ * @returns {Array<{ group: object, children: Array }>} Root nodes
+ */
+export function buildGroupTree(groups) {
+  const groupsById = new Map((groups || []).map(g => [g.id, g]));
+  const visited = new Set();
+
+  const toNode = (group) => {
+    visited.add(group.id);
+    const children = (group.children || [])
+      .map(child => groupsById.get(child.id))
+      .filter(child => child && !visited.has(child.id))
+      .sort((a, b) => getGroupName(a).localeCompare(getGroupName(b)))
+      .map(toNode);
+    return { group, children };
+  };
+
+  const companyGroup = groupsById.get('GroupCompanyId');
+  if (companyGroup) {
+    return [toNode(companyGroup)];
+  }
+
+  const childIds = new Set();
+  (groups || []).forEach(g => g.children?.forEach(child => childIds.add(child.id)));
+  return (groups || [])
+    .filter(g => !childIds.has(g.id))
+    .map(toNode);
+}
@@ -0,0 +1,237 @@
+/**
+ * Trip map helpers: Web Mercator projection, tile layout and route geometry
+ * The map is drawn as SVG with raster tiles underneath, so no map library is bundled
+ */
+
+import { MAP_TILES, OFFLINE_TILES } from './constants';
+
+const { TILE_SIZE } = MAP_TILES;
+
+// Web Mercator is undefined at the poles
+const MAX_LATITUDE = 85.05112878;
+
+/**
+ * Project a coordinate to world pixels at a zoom level
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {number} zoom
+ * @returns {{ x: number, y: number }}
+ */
+export function project(latitude, longitude, zoom) {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const lat = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, latitude)) * Math.PI / 180;
+  return {
+    x: (longitude + 180) / 360 * scale,
+    y: (1 - Math.log(Math.tan(lat) + 1 / Math.cos(lat)) / Math.PI) / 2 * scale
+  };
+}
+
+/**
+ * Convert world pixels at a zoom level back to a coordinate
+ * @returns {{ latitude: number, longitude: number }}
+ */
+export function unproject(x, y, zoom) {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const n = Math.PI - 2 * Math.PI * y / scale;
+  return {
+    latitude: Math.atan(Math.sinh(n)) * 180 / Math.PI,
+    longitude: x / scale * 360 - 180
+  };
+}
+
+/**
+ * Bounding box of a list of points
+ * @param {Array<{ latitude: number, longitude: number }>} points
+ * @returns {{ north, south, east, west }|null}
+ */
+export function getBounds(points) {
+  if (!points || points.length === 0) return null;
+  return points.reduce((bounds, { latitude, longitude }) => ({
+    north: Math.max(bounds.north, latitude),
+    south: Math.min(bounds.south, latitude),
+    east: Math.max(bounds.east, longitude),
+    west: Math.min(bounds.west, longitude)
+  }), { north: -90, south: 90, east: -180, west: 180 });
+}
+
+/**
+ * Centre and zoom that fit a bounding box in a viewport
+ * @param {object} bounds - Result of getBounds
+ * @param {number} width - Viewport width in pixels
+ * @param {number} height - Viewport height in pixels
+ * @param {number} padding - Space to leave around the bounds in pixels
+ * @returns {{ center: { latitude, longitude }, zoom: number }}
+ */
+export function fitBounds(bounds, width, height, padding = 32) {
+  const center = {
+    latitude: (bounds.north + bounds.south) / 2,
+    longitude: (bounds.east + bounds.west) / 2
+  };
+
+  for (let zoom = MAP_TILES.MAX_ZOOM; zoom > MAP_TILES.MIN_ZOOM; zoom--) {
+    const topLeft = project(bounds.north, bounds.west, zoom);
+    const bottomRight = project(bounds.south, bounds.east, zoom);
+    if (bottomRight.x - topLeft.x <= width - padding * 2 && bottomRight.y - topLeft.y <= height - padding * 2) {
+      return { center, zoom };
+    }
+  }
+  return { center, zoom: MAP_TILES.MIN_ZOOM };
+}
+
+/**
+ * Tiles covering a viewport, with their position in viewport pixels
+ * @param {object} view - { center: { latitude, longitude }, zoom }
+ * @param {number} width - Viewport width in pixels
+ * @param {number} height - Viewport height in pixels
+ * @returns {Array<{ key: string, x: number, y: number, z: number, left: number, top: number }>}
+ */
+export function getVisibleTiles(view, width, height) {
+  const { zoom } = view;
+  const center = project(view.center.latitude, view.center.longitude, zoom);
+  const originX = center.x - width / 2;
+  const originY = center.y - height / 2;
+  const tileCount = 2 ** zoom;
+
+  const tiles = [];
+  for (let ty = Math.floor(originY / TILE_SIZE); ty * TILE_SIZE < originY + height; ty++) {
+    if (ty < 0 || ty >= tileCount) continue;
+    for (let tx = Math.floor(originX / TILE_SIZE); tx * TILE_SIZE < originX + width; tx++) {
+      // Longitude wraps around, latitude does not
+      const x = ((tx % tileCount) + tileCount) % tileCount;
+      tiles.push({
+        key: `${zoom}/${tx}/${ty}`,
+        x,
+        y: ty,
+        z: zoom,
+        left: tx * TILE_SIZE - originX,
+        top: ty * TILE_SIZE - originY
+      });
+    }
+  }
+  return tiles;
+}
+
+/**
+ * Project a coordinate to viewport pixels
+ * @param {object} view - { center, zoom }
+ * @param {number} width - Viewport width
+ * @param {number} height - Viewport height
+ */
+export function toViewport(view, width, height, latitude, longitude) {
+  const center = project(view.center.latitude, view.center.longitude, view.zoom);
+  const point = project(latitude, longitude, view.zoom);
+  return { x: point.x - center.x + width / 2, y: point.y - center.y + height / 2 };
+}
+
+/**
+ * Generated placeholder tile: a plain background with a grid and the tile address
+ * Used when tiles are configured as offline and when a tile fails to load
+ * @param {{ x: number, y: number, z: number }} tile
+ * @returns {string} SVG data URL
+ */
+export function createOfflineTile({ x, y, z }) {
+  const shade = (x + y) % 2 === 0 ? '#EEF2F6' : '#E8EDF2';
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${TILE_SIZE}" height="${TILE_SIZE}">` +
+    `<rect width="${TILE_SIZE}" height="${TILE_SIZE}" fill="${shade}"/>` +
+    `<path d="M64 0V${TILE_SIZE}M128 0V${TILE_SIZE}M192 0V${TILE_SIZE}M0 64H${TILE_SIZE}M0 128H${TILE_SIZE}M0 192H${TILE_SIZE}" stroke="#DDE3EA" stroke-width="1"/>` +
+    `<rect width="${TILE_SIZE}" height="${TILE_SIZE}" fill="none" stroke="#CBD5E1" stroke-width="1"/>` +
+    `<text x="6" y="16" font-family="sans-serif" font-size="10" fill="#94A3B8">${z}/${x}/${y}</text>` +
+    '</svg>';
+  return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+}
+
+/**
+ * URL for a tile from a {z}/{x}/{y} template, or a generated tile when offline
+ * @param {string} template - Tile URL template or OFFLINE_TILES
+ * @param {{ x: number, y: number, z: number }} tile
+ * @returns {string}
+ */
+export function getTileUrl(template, tile) {
+  if (!template || template === OFFLINE_TILES) return createOfflineTile(tile);
+  return template
+    .replace('{z}', tile.z)
+    .replace('{x}', tile.x)
+    .replace('{y}', tile.y);
+}
+
+/**
+ * Split time-ordered log records into the trips they belong to
+ * @param {Array} trips - Trips ordered by start
+ * @param {Array} logRecords - Log records ordered by dateTime
+ * @param {number} maxPoints - Most points kept per trip; longer routes are thinned evenly
+ * @returns {Array<{ trip: object, points: Array }>} Routes for trips that have points
+ */
+export function buildTripRoutes(trips, logRecords, maxPoints = 300) {
+  const routes = [];
+  let index = 0;
+
+  trips.forEach(trip => {
+    const start = new Date(trip.start).getTime();
+    const stop = new Date(trip.stop).getTime();
+
+    while (index < logRecords.length && logRecords[index].time < start) index++;
+
+    const points = [];
+    let cursor = index;
+    while (cursor < logRecords.length && logRecords[cursor].time <= stop) {
+      points.push(logRecords[cursor]);
+      cursor++;
+    }
+    index = cursor;
+
+    if (points.length < 2) return;
+
+    const step = Math.ceil(points.length / maxPoints);
+    const thinned = step > 1
+      ? points.filter((_, i) => i % step === 0 || i === points.length - 1)
+      : points;
+    routes.push({ trip, points: thinned });
+  });
+
+  return routes;
+}
+
+/**
+ * Position at a moment, interpolated between the surrounding log records
+ * @param {Array<{ time: number, latitude: number, longitude: number, speed: number }>} points - Ordered by time
+ * @param {number} time - Timestamp in ms
+ * @returns {{ latitude: number, longitude: number, speed: number }|null}
+ */
+export function interpolatePosition(points, time) {
+  if (!points || points.length === 0) return null;
+  if (time <= points[0].time) return points[0];
+  if (time >= points[points.length - 1].time) return points[points.length - 1];
+
+  // Binary search for the last point at or before the time
+  let low = 0;
+  let high = points.length - 1;
+  while (high - low > 1) {
+    const mid = (low + high) >> 1;
+    if (points[mid].time <= time) low = mid;
+    else high = mid;
+  }
+
+  const before = points[low];
+  const after = points[high];
+  const ratio = after.time === before.time ? 0 : (time - before.time) / (after.time - before.time);
+  return {
+    latitude: before.latitude + (after.latitude - before.latitude) * ratio,
+    longitude: before.longitude + (after.longitude - before.longitude) * ratio,
+    speed: before.speed
+  };
+}
+
+/**
+ * Great-circle distance between two coordinates
+ * @param {{ latitude: number, longitude: number }} a
+ * @param {{ latitude: number, longitude: number }} b
+ * @returns {number} Kilometres
+ */
+export function getDistanceKm(a, b) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLon = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
@@ -0,0 +1,191 @@
+/**
+ * Minimal PDF writer for client-side report downloads
+ * Supports text in the standard Helvetica fonts, filled rectangles and lines,
+ * which is all the device report needs, so no PDF library is bundled
+ */
+
+// US Letter in points
+export const PAGE_WIDTH = 612;
+export const PAGE_HEIGHT = 792;
+
+// Characters outside Latin-1 that exist in WinAnsiEncoding
+const WIN_ANSI_EXTRAS = {
+  '–': 0x96, // en dash
+  '—': 0x97, // em dash
+  '•': 0x95, // bullet
+  '…': 0x85, // ellipsis
+  '‘': 0x91,
+  '’': 0x92,
+  '“': 0x93,
+  '”': 0x94
+};
+
+/**
+ * Encode text for a PDF string literal using WinAnsiEncoding
+ */
+function encodeText(text) {
+  let result = '';
+  for (const char of String(text)) {
+    const code = char.charCodeAt(0);
+    let byte;
+    if (WIN_ANSI_EXTRAS[char] != null) {
+      byte = WIN_ANSI_EXTRAS[char];
+    } else if (code >= 32 && code < 256 && (code < 127 || code > 159)) {
+      byte = code;
+    } else {
+      byte = 63; // '?'
+    }
+    const encoded = String.fromCharCode(byte);
+    result += encoded === '(' || encoded === ')' || encoded === '\\' ? `\\${encoded}` : encoded;
+  }
+  return result;
+}
+
+/**
+ * Convert a #RRGGBB color to PDF color operands
+ */
+function toRgb(hex) {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255]
+    .map(channel => (channel / 255).toFixed(3))
+    .join(' ');
+}
+
+/**
+ * Estimate the width of Helvetica text
+ * Uses average glyph widths, which is close enough for layout and truncation
+ * @param {string} text - Text to measure
+ * @param {number} size - Font size in points
+ * @param {boolean} bold - Bold font
+ * @returns {number} Width in points
+ */
+export function estimateTextWidth(text, size, bold = false) {
+  return String(text).length * size * (bold ? 0.56 : 0.52);
+}
+
+/**
+ * Truncate text to fit a width, adding an ellipsis
+ */
+export function fitText(text, maxWidth, size, bold = false) {
+  const value = String(text ?? '');
+  if (estimateTextWidth(value, size, bold) <= maxWidth) return value;
+  const maxChars = Math.max(1, Math.floor(maxWidth / (size * (bold ? 0.56 : 0.52))) - 1);
+  return `${value.slice(0, maxChars)}…`;
+}
+
+/**
+ * Create a PDF document builder
+ * Coordinates are in points from the top-left corner of the page
+ * @returns {object} Builder with drawing methods and output()
+ */
+export function createPdfDocument() {
+  const pages = [];
+  let current = null;
+
+  const addPage = () => {
+    current = [];
+    pages.push(current);
+  };
+
+  addPage();
+
+  return {
+    addPage,
+
+    get pageCount() {
+      return pages.length;
+    },
+
+    /**
+     * Draw text
+     * @param {number} x - Left edge (or right edge when align is 'right')
+     * @param {number} y - Baseline
+     * @param {string} text - Text to draw
+     * @param {object} options - { size, bold, color, align }
+     */
+    text(x, y, text, { size = 10, bold = false, color = '#0F172A', align = 'left' } = {}) {
+      const left = align === 'right' ? x - estimateTextWidth(text, size, bold) : x;
+      current.push(
+        `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${toRgb(color)} rg ` +
+        `${left.toFixed(2)} ${(PAGE_HEIGHT - y).toFixed(2)} Td (${encodeText(text)}) Tj ET`
+      );
+    },
+
+    /**
+     * Draw a filled rectangle
+     */
+    rect(x, y, width, height, color) {
+      if (width <= 0 || height <= 0) return;
+      current.push(
+        `${toRgb(color)} rg ${x.toFixed(2)} ${(PAGE_HEIGHT - y - height).toFixed(2)} ` +
+        `${width.toFixed(2)} ${height.toFixed(2)} re f`
+      );
+    },
+
+    /**
+     * Draw a horizontal or vertical line
+     */
+    line(x1, y1, x2, y2, color = '#E2E8F0', width = 1) {
+      current.push(
+        `${toRgb(color)} RG ${width} w ${x1.toFixed(2)} ${(PAGE_HEIGHT - y1).toFixed(2)} m ` +
+        `${x2.toFixed(2)} ${(PAGE_HEIGHT - y2).toFixed(2)} l S`
+      );
+    },
+
+    /**
+     * Run a callback for every page, e.g. to draw footers once the page count is known
+     * @param {function} callback - (pageNumber, pageCount) => void
+     */
+    forEachPage(callback) {
+      const previous = current;
+      pages.forEach((page, index) => {
+        current = page;
+        callback(index + 1, pages.length);
+      });
+      current = previous;
+    },
+
+    /**
+     * Serialize the document
+     * @returns {Uint8Array}
+     */
+    output() {
+      const objects = [];
+      const pageObjectIds = pages.map((_, index) => 5 + index * 2);
+
+      objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+      objects[2] = `<< /Type /Pages /Kids [${pageObjectIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+      objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+      objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+
+      pages.forEach((page, index) => {
+        const pageId = pageObjectIds[index];
+        const content = page.join('\n');
+        objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+          `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+        objects[pageId + 1] = `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+      });
+
+      // Content is kept as a binary string (one char per byte) so offsets are byte offsets
+      let pdf = '%PDF-1.4\n';
+      const offsets = [];
+      for (let id = 1; id < objects.length; id++) {
+        offsets[id] = pdf.length;
+        pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+      }
+
+      const xrefOffset = pdf.length;
+      pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+      for (let id = 1; id < objects.length; id++) {
+        pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+      }
+      pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+      const bytes = new Uint8Array(pdf.length);
+      for (let i = 0; i < pdf.length; i++) {
+        bytes[i] = pdf.charCodeAt(i) & 0xFF;
+      }
+      return bytes;
+    }
+  };
+}
@@ -0,0 +1,302 @@
+/**
+ * Device report helpers: summary data and PDF rendering
+ */
+
+import { formatDate, formatDateTime, formatDuration, parseTimeSpan } from './dateUtils';
+import {
+  formatDistance,
+  formatDriverName,
+  formatFuelEconomy,
+  formatFuelLevel,
+  formatFuelVolume,
+  formatNumber,
+  formatOdometer,
+  formatPercentage,
+  formatSpeed,
+  formatVehicleInfo
+} from './formatters';
+import { summarizeTrips, getSpeedRanges } from './tripStats';
+import { COLORS } from './constants';
+import { createPdfDocument, fitText, PAGE_WIDTH, PAGE_HEIGHT } from './pdfUtils';
+
+// Idle periods longer than this count as significant (seconds)
+const SIGNIFICANT_IDLE_SECONDS = 300;
+
+/**
+ * Format a date range the way the date filter displays it
+ * @param {{ start: Date, end: Date }} dateRange
+ * @returns {string}
+ */
+export function formatDateRangeLabel(dateRange) {
+  return `${formatDate(dateRange?.start)} - ${formatDate(dateRange?.end)}`;
+}
+
+/**
+ * Build the figures shown in the device report
+ * @param {object} data - Dashboard data for the selected device, plus the chart palette colors
+ * @returns {object} Report summary used by both the print layout and the PDF
+ */
+export function buildReportSummary({
+  device,
+  dateRange,
+  usageStats,
+  usageBreakdown,
+  trips,
+  exceptions,
+  exceptionsByRule,
+  fuelUps,
+  units,
+  speedRangeLimits,
+  palette = COLORS.chartPalette
+}) {
+  const tripList = trips || [];
+  const fuelUpList = fuelUps || [];
+  const tripSummary = summarizeTrips(tripList);
+
+  const totalFuelAdded = fuelUpList.reduce((sum, fu) => sum + (fu.fuelAdded || fu.volume || 0), 0);
+  const economies = fuelUpList
+    .map(fu => fu.fuelEconomy || fu.economy)
+    .filter(value => value > 0);
+  const averageEconomy = economies.length > 0
+    ? economies.reduce((sum, value) => sum + value, 0) / economies.length
+    : null;
+
+  return {
+    deviceName: device?.name || 'Device',
+    vehicleInfo: formatVehicleInfo(device),
+    serialNumber: device?.serialNumber || '',
+    period: formatDateRangeLabel(dateRange),
+    generatedAt: formatDateTime(new Date()),
+
+    usage: [
+      { label: 'Days Driven', value: usageStats?.daysDriven != null ? formatNumber(usageStats.daysDriven) : '--' },
+      { label: 'Current Fuel Level', value: usageStats?.fuelLevel != null ? formatFuelLevel(usageStats.fuelLevel) : '--' },
+      { label: 'Distance Driven', value: usageStats?.distanceDriven != null ? formatDistance(usageStats.distanceDriven, units) : '--' },
+      { label: 'Time Driven', value: usageStats?.timeDriven != null ? formatDuration(usageStats.timeDriven) : '--' },
+      { label: 'Fuel Economy', value: usageStats?.fuelEconomy != null ? formatFuelEconomy(usageStats.fuelEconomy, units) : '--' },
+      { label: 'Odometer', value: usageStats?.odometer != null ? formatOdometer(usageStats.odometer, units) : '--' }
+    ],
+
+    breakdown: [
+      { label: 'Driving', percentage: usageBreakdown?.driving || 0, color: COLORS.driving },
+      { label: 'Idle', percentage: usageBreakdown?.idle || 0, color: COLORS.idle },
+      { label: 'Stopped', percentage: usageBreakdown?.stopped || 0, color: COLORS.stopped }
+    ],
+
+    speed: {
+      stats: [
+        { label: 'Max Speed', value: formatSpeed(tripSummary.maxSpeed, units) },
+        { label: 'Average Speed', value: formatSpeed(tripSummary.avgSpeed, units) }
+      ],
+      ranges: getSpeedRanges(tripList, units, speedRangeLimits).map(range => ({
+        ...range,
+        color: COLORS[range.color]
+      }))
+    },
+
+    idle: [
+      { label: 'Total Idle Time', value: formatDuration(tripSummary.idleTime) },
+      { label: '% of Driving Time', value: formatPercentage(tripSummary.idlePercentage, false, 1) },
+      {
+        label: 'Trips Idling >5min',
+        value: formatNumber(tripList.filter(t => parseTimeSpan(t.idlingDuration) > SIGNIFICANT_IDLE_SECONDS).length)
+      }
+    ],
+
+    exceptions: {
+      total: exceptions?.length || 0,
+      byRule: exceptionsByRule || [],
+      palette
+    },
+
+    fuelUps: {
+      stats: [
+        { label: 'Fuel-Ups', value: formatNumber(fuelUpList.length) },
+        { label: 'Total Fuel Added', value: formatFuelVolume(totalFuelAdded, units) },
+        { label: 'Avg. Fuel Economy', value: averageEconomy != null ? formatFuelEconomy(averageEconomy, units) : '--' }
+      ],
+      rows: fuelUpList.map(fu => ({
+        id: fu.id,
+        dateTime: formatDateTime(fu.dateTime || fu.date),
+        driver: formatDriverName(fu.driverInfo).fullName,
+        fuelAdded: formatFuelVolume(fu.fuelAdded || fu.volume || 0, units),
+        fuelEconomy: formatFuelEconomy(fu.fuelEconomy || fu.economy, units)
+      }))
+    }
+  };
+}
+
+// PDF layout
+const MARGIN = 48;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const FOOTER_Y = PAGE_HEIGHT - 28;
+const TEXT_COLOR = '#0F172A';
+const MUTED_COLOR = '#475569';
+const LIGHT_COLOR = '#94A3B8';
+const TRACK_COLOR = '#F1F5F9';
+
+/**
+ * Render the report summary as a PDF
+ * Page 1: usage and breakdown, page 2: speed and idle time, page 3: exceptions and fuel-ups
+ * @param {object} summary - Result of buildReportSummary
+ * @returns {Uint8Array}
+ */
+export function buildReportPdf(summary) {
+  const doc = createPdfDocument();
+  let y = MARGIN;
+
+  const newPage = () => {
+    doc.addPage();
+    y = MARGIN;
+  };
+
+  // Start a new page when the next block would run into the footer
+  const ensureSpace = (height) => {
+    if (y + height > FOOTER_Y - 16) newPage();
+  };
+
+  const sectionTitle = (title) => {
+    ensureSpace(40);
+    y += 12;
+    doc.text(MARGIN, y, title, { size: 13, bold: true });
+    y += 8;
+    doc.line(MARGIN, y, MARGIN + CONTENT_WIDTH, y);
+    y += 18;
+  };
+
+  // Label/value tiles in a grid
+  const statGrid = (stats, columns = 3) => {
+    const cellWidth = CONTENT_WIDTH / columns;
+    for (let i = 0; i < stats.length; i += columns) {
+      ensureSpace(36);
+      stats.slice(i, i + columns).forEach((stat, index) => {
+        const x = MARGIN + index * cellWidth;
+        doc.text(x, y, fitText(stat.value, cellWidth - 8, 14, true), { size: 14, bold: true });
+        doc.text(x, y + 14, stat.label, { size: 9, color: MUTED_COLOR });
+      });
+      y += 36;
+    }
+  };
+
+  // Horizontal percentage bars with labels
+  const barList = (items, describe) => {
+    const labelWidth = 90;
+    const valueWidth = 110;
+    const barWidth = CONTENT_WIDTH - labelWidth - valueWidth;
+    items.forEach(item => {
+      ensureSpace(20);
+      doc.text(MARGIN, y + 9, item.label, { size: 10, color: MUTED_COLOR });
+      doc.rect(MARGIN + labelWidth, y, barWidth, 12, TRACK_COLOR);
+      doc.rect(MARGIN + labelWidth, y, barWidth * Math.min(100, item.percentage) / 100, 12, item.color);
+      doc.text(MARGIN + CONTENT_WIDTH, y + 9, describe(item), { size: 10, align: 'right' });
+      y += 20;
+    });
+  };
+
+  // Simple table with a header row
+  const table = (columns, rows) => {
+    const drawHeader = () => {
+      let x = MARGIN;
+      columns.forEach(col => {
+        doc.text(x, y, col.header, { size: 9, bold: true, color: MUTED_COLOR });
+        x += col.width;
+      });
+      y += 6;
+      doc.line(MARGIN, y, MARGIN + CONTENT_WIDTH, y);
+      y += 14;
+    };
+
+    ensureSpace(40);
+    drawHeader();
+    rows.forEach(row => {
+      if (y + 16 > FOOTER_Y - 16) {
+        newPage();
+        drawHeader();
+      }
+      let x = MARGIN;
+      columns.forEach(col => {
+        doc.text(x, y, fitText(col.value(row), col.width - 8, 10), { size: 10, color: TEXT_COLOR });
+        x += col.width;
+      });
+      y += 16;
+    });
+  };
+
+  // Report header
+  doc.rect(0, 0, PAGE_WIDTH, 6, COLORS.primary);
+  doc.text(MARGIN, y + 4, 'Device Report', { size: 10, bold: true, color: COLORS.primary });
+  doc.text(MARGIN + CONTENT_WIDTH, y + 4, summary.period, { size: 10, bold: true, align: 'right' });
+  y += 30;
+  doc.text(MARGIN, y, summary.deviceName, { size: 22, bold: true });
+  y += 18;
+  doc.text(
+    MARGIN,
+    y,
+    [summary.vehicleInfo, summary.serialNumber && `SN: ${summary.serialNumber}`].filter(Boolean).join(' | '),
+    { size: 10, color: MUTED_COLOR }
+  );
+  y += 14;
+
+  sectionTitle('Usage Statistics');
+  statGrid(summary.usage);
+
+  sectionTitle('Usage Breakdown');
+  barList(summary.breakdown, item => formatPercentage(item.percentage, false, 1));
+
+  newPage();
+  sectionTitle('Speed Analysis');
+  statGrid(summary.speed.stats, 2);
+  barList(summary.speed.ranges, range =>
+    `${range.percentage.toFixed(1)}%  ${formatDuration(range.time * 1000)}`
+  );
+
+  sectionTitle('Idle Time Analysis');
+  statGrid(summary.idle);
+
+  newPage();
+  sectionTitle('Exceptions Summary');
+  if (summary.exceptions.total === 0) {
+    doc.text(MARGIN, y, 'No exceptions recorded during this period', { size: 10, color: MUTED_COLOR });
+    y += 20;
+  } else {
+    statGrid([
+      { label: 'Total Exceptions', value: formatNumber(summary.exceptions.total) },
+      { label: 'Rules Triggered', value: formatNumber(summary.exceptions.byRule.length) }
+    ], 2);
+    const maxCount = Math.max(...summary.exceptions.byRule.map(rule => rule.count));
+    barList(
+      summary.exceptions.byRule.map((rule, index) => ({
+        label: fitText(rule.name, 84, 10),
+        percentage: (rule.count / maxCount) * 100,
+        count: rule.count,
+        color: summary.exceptions.palette[index % summary.exceptions.palette.length]
+      })),
+      item => formatNumber(item.count)
+    );
+  }
+
+  sectionTitle('Fuel-Ups Summary');
+  statGrid(summary.fuelUps.stats);
+  if (summary.fuelUps.rows.length > 0) {
+    table([
+      { header: 'Date & Time', width: 150, value: row => row.dateTime },
+      { header: 'Driver', width: 150, value: row => row.driver },
+      { header: 'Fuel Added', width: 100, value: row => row.fuelAdded },
+      { header: 'Fuel Economy', width: CONTENT_WIDTH - 400, value: row => row.fuelEconomy }
+    ], summary.fuelUps.rows);
+  }
+
+  // Footer on every page
+  doc.forEachPage((pageNumber, pageCount) => {
+    doc.line(MARGIN, FOOTER_Y - 12, MARGIN + CONTENT_WIDTH, FOOTER_Y - 12);
+    doc.text(MARGIN, FOOTER_Y, `${summary.deviceName} | ${summary.period}`, { size: 8, color: LIGHT_COLOR });
+    doc.text(
+      MARGIN + CONTENT_WIDTH,
+      FOOTER_Y,
+      `Generated ${summary.generatedAt} | Page ${pageNumber} of ${pageCount}`,
+      { size: 8, color: LIGHT_COLOR, align: 'right' }
+    );
+  });
+
+  return doc.output();
+}
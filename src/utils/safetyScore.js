@@ -0,0 +1,145 @@
+/**
+ * Safety scorecard helpers
+ * Classifies exceptions into EXCEPTION_CATEGORIES and scores drivers and devices
+ * by weighted safety exceptions per 100 km driven
+ */
+
+import { EXCEPTION_CATEGORIES, SAFETY_SCORE } from './constants';
+
+// Category for rules that match none of EXCEPTION_CATEGORIES
+export const OTHER_CATEGORY = 'OTHER';
+
+// Every category a scorecard row counts, in display order
+export const SCORECARD_CATEGORIES = [...Object.keys(EXCEPTION_CATEGORIES), OTHER_CATEGORY];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Find the category pattern a rule name contains, e.g. "Speeding - Posted" matches "Speeding"
+ * @param {string} ruleName
+ * @returns {{ category: string, pattern: string }|null}
+ */
+function matchRule(ruleName) {
+  const name = (ruleName || '').toLowerCase();
+  for (const [category, patterns] of Object.entries(EXCEPTION_CATEGORIES)) {
+    const pattern = patterns.find(p => name.includes(p.toLowerCase()));
+    if (pattern) return { category, pattern };
+  }
+  return null;
+}
+
+/**
+ * Get the category of an exception from its rule name
+ * @param {string} ruleName
+ * @returns {string} A key of EXCEPTION_CATEGORIES, or OTHER_CATEGORY
+ */
+export function getExceptionCategory(ruleName) {
+  return matchRule(ruleName)?.category || OTHER_CATEGORY;
+}
+
+/**
+ * Get the weight of a rule, by its exact name first and then by the category pattern it contains
+ * @param {string} ruleName
+ * @param {object} weights - Rule name to weight
+ * @returns {number}
+ */
+export function getRuleWeight(ruleName, weights = SAFETY_SCORE.RULE_WEIGHTS) {
+  if (weights[ruleName] != null) return weights[ruleName];
+  const pattern = matchRule(ruleName)?.pattern;
+  return pattern && weights[pattern] != null ? weights[pattern] : SAFETY_SCORE.DEFAULT_WEIGHT;
+}
+
+/**
+ * Score a set of exceptions against the distance driven
+ * @param {Array} exceptions - Exceptions enriched with ruleName
+ * @param {number} distance - Distance driven in km
+ * @param {object} weights - Rule name to weight
+ * @returns {{ score: number|null, safetyEvents: number, weightedRate: number|null }}
+ *   score is null when nothing was driven; weightedRate is per 100 km
+ */
+export function calculateSafetyScore(exceptions, distance, weights = SAFETY_SCORE.RULE_WEIGHTS) {
+  const safetyExceptions = (exceptions || []).filter(exc => getExceptionCategory(exc.ruleName) === 'SAFETY');
+
+  if (!distance || distance <= 0) {
+    return { score: null, safetyEvents: safetyExceptions.length, weightedRate: null };
+  }
+
+  const weighted = safetyExceptions.reduce((sum, exc) => sum + getRuleWeight(exc.ruleName, weights), 0);
+  const weightedRate = (weighted / distance) * 100;
+  const score = Math.max(0, Math.min(100, Math.round(100 - weightedRate * SAFETY_SCORE.PENALTY_PER_RATE)));
+
+  return { score, safetyEvents: safetyExceptions.length, weightedRate };
+}
+
+/**
+ * Build scorecard rows, one per driver or device
+ * Trips and exceptions may start before the range so the trend can compare with the previous week
+ * @param {Array} trips - Trip entities
+ * @param {Array} exceptions - Exceptions enriched with ruleName
+ * @param {function} getKey - record => driver or device id, or null to leave the record out
+ * @param {object} dateRange - { start: Date, end: Date } being scored
+ * @param {object} weights - Rule name to weight
+ * @returns {Array<{
+ *   id: string,
+ *   score: number|null,
+ *   trend: number|null,
+ *   distance: number,
+ *   safetyEvents: number,
+ *   categories: object
+ * }>} Distance in km, best score first
+ */
+export function buildScorecard(trips, exceptions, getKey, dateRange, weights = SAFETY_SCORE.RULE_WEIGHTS) {
+  const end = new Date(dateRange.end).getTime();
+  const start = new Date(dateRange.start).getTime();
+  const trendStart = end - SAFETY_SCORE.TREND_DAYS * DAY_MS;
+  const previousStart = trendStart - SAFETY_SCORE.TREND_DAYS * DAY_MS;
+
+  const groups = new Map();
+  const getGroup = (key) => {
+    if (!groups.has(key)) groups.set(key, { trips: [], exceptions: [] });
+    return groups.get(key);
+  };
+
+  (trips || []).forEach(trip => {
+    const key = getKey(trip);
+    if (key) getGroup(key).trips.push({ time: new Date(trip.start).getTime(), distance: trip.distance || 0 });
+  });
+  (exceptions || []).forEach(exc => {
+    const key = getKey(exc);
+    if (key) getGroup(key).exceptions.push({ ...exc, time: new Date(exc.activeFrom).getTime() });
+  });
+
+  // Score the records that started in [from, to)
+  const scoreWindow = (group, from, to) => {
+    const inWindow = record => record.time >= from && record.time < to;
+    const distance = group.trips.filter(inWindow).reduce((sum, t) => sum + t.distance, 0);
+    return { distance, ...calculateSafetyScore(group.exceptions.filter(inWindow), distance, weights) };
+  };
+
+  const rows = [...groups].map(([id, group]) => {
+    const period = scoreWindow(group, start, end + 1);
+    const thisWeek = scoreWindow(group, trendStart, end + 1).score;
+    const lastWeek = scoreWindow(group, previousStart, trendStart).score;
+
+    const categories = Object.fromEntries(SCORECARD_CATEGORIES.map(category => [category, 0]));
+    group.exceptions
+      .filter(exc => exc.time >= start && exc.time <= end)
+      .forEach(exc => {
+        categories[getExceptionCategory(exc.ruleName)]++;
+      });
+
+    return {
+      id,
+      score: period.score,
+      trend: thisWeek != null && lastWeek != null ? thisWeek - lastWeek : null,
+      distance: period.distance,
+      safetyEvents: period.safetyEvents,
+      categories
+    };
+  });
+
+  // Only drivers and devices with activity in the range, unscored ones (no distance) last
+  return rows
+    .filter(row => row.distance > 0 || Object.values(row.categories).some(count => count > 0))
+    .sort((a, b) => (b.score ?? -1) - (a.score ?? -1));
+}
@@ -0,0 +1,151 @@
+/**
+ * Dashboard settings validation and browser storage
+ * Saved settings may come from an older version or another device, so every value is
+ * checked and anything missing or invalid falls back to DEFAULT_SETTINGS
+ */
+
+import {
+  COLOR_PALETTES,
+  DATE_PRESETS,
+  DEFAULT_COST_SETTINGS,
+  DEFAULT_SETTINGS,
+  PAGE_SIZES,
+  SETTINGS_STORAGE,
+  UNIT_AUTO,
+  UNIT_DEFINITIONS,
+  UNIT_MEASURES,
+  VOLUME_UNITS
+} from './constants';
+import addInConfig from '../../config.json';
+
+/**
+ * AddInData add-in id for the settings records, as declared in config.json
+ * MyGeotab only accepts ids derived from a GUID, so it is generated once and never changed
+ */
+export const SETTINGS_ADD_IN_ID = addInConfig.addInId;
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * A number at or above zero, or the fallback
+ */
+function toAmount(value, fallback) {
+  const number = Number(value);
+  return value !== null && value !== '' && Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+/**
+ * Validate cost settings, keeping the default vehicle classes' ids and keywords
+ * when a saved class only overrides its burn rate
+ * @param {object} raw - Saved cost settings
+ * @returns {object} Cost settings in the shape of DEFAULT_COST_SETTINGS
+ */
+export function normalizeCostSettings(raw = {}) {
+  const currency = typeof raw.currency === 'string' ? raw.currency.trim().toUpperCase() : '';
+  const savedClasses = Array.isArray(raw.vehicleClasses) ? raw.vehicleClasses : [];
+
+  return {
+    currency: CURRENCY_PATTERN.test(currency) ? currency : DEFAULT_COST_SETTINGS.currency,
+    fuelPrice: toAmount(raw.fuelPrice, DEFAULT_COST_SETTINGS.fuelPrice),
+    fuelPriceUnit: Object.values(VOLUME_UNITS).includes(raw.fuelPriceUnit)
+      ? raw.fuelPriceUnit
+      : DEFAULT_COST_SETTINGS.fuelPriceUnit,
+    priceHistory: (Array.isArray(raw.priceHistory) ? raw.priceHistory : [])
+      .filter(entry => DATE_KEY_PATTERN.test(entry?.from) && toAmount(entry.price, null) != null)
+      .map(entry => ({ from: entry.from, price: Number(entry.price) }))
+      .sort((a, b) => a.from.localeCompare(b.from)),
+    vehicleClasses: DEFAULT_COST_SETTINGS.vehicleClasses.map(vehicleClass => {
+      const saved = savedClasses.find(item => item?.id === vehicleClass.id);
+      return {
+        ...vehicleClass,
+        idleLitersPerHour: toAmount(saved?.idleLitersPerHour, vehicleClass.idleLitersPerHour)
+      };
+    }),
+    defaultIdleLitersPerHour: toAmount(raw.defaultIdleLitersPerHour, DEFAULT_COST_SETTINGS.defaultIdleLitersPerHour),
+    operatingCostPerKm: toAmount(raw.operatingCostPerKm, DEFAULT_COST_SETTINGS.operatingCostPerKm)
+  };
+}
+
+/**
+ * Validate the unit chosen for each measure, keeping UNIT_AUTO for any that is not a known unit
+ * @param {object} raw - Saved unit per measure
+ * @returns {object} Unit or UNIT_AUTO for each of UNIT_MEASURES
+ */
+export function normalizeUnitSettings(raw) {
+  const values = raw && typeof raw === 'object' ? raw : {};
+  return Object.fromEntries(Object.values(UNIT_MEASURES).map(measure => [
+    measure,
+    UNIT_DEFINITIONS[measure][values[measure]] ? values[measure] : UNIT_AUTO
+  ]));
+}
+
+/**
+ * Validate saved settings against the allowed values
+ * @param {object} raw - Settings from AddInData, localStorage or the settings drawer
+ * @returns {object} Settings in the shape of DEFAULT_SETTINGS
+ */
+export function normalizeSettings(raw = {}) {
+  const values = raw && typeof raw === 'object' ? raw : {};
+
+  return {
+    units: normalizeUnitSettings(values.units),
+    pageSize: Object.values(PAGE_SIZES).includes(Number(values.pageSize))
+      ? Number(values.pageSize)
+      : DEFAULT_SETTINGS.pageSize,
+    defaultPreset: Object.values(DATE_PRESETS).includes(values.defaultPreset)
+      ? values.defaultPreset
+      : DEFAULT_SETTINGS.defaultPreset,
+    palette: COLOR_PALETTES[values.palette] ? values.palette : DEFAULT_SETTINGS.palette,
+    cost: normalizeCostSettings(values.cost)
+  };
+}
+
+/**
+ * Chart colors for a palette setting
+ * @param {string} palette - Key of COLOR_PALETTES
+ * @returns {Array<string>}
+ */
+export function getChartPalette(palette) {
+  return (COLOR_PALETTES[palette] || COLOR_PALETTES[DEFAULT_SETTINGS.palette]).colors;
+}
+
+/**
+ * localStorage key for a user's settings on a database
+ * @param {{ userName: string, database: string }} session
+ * @returns {string}
+ */
+export function getSettingsStorageKey(session) {
+  return `${SETTINGS_STORAGE.LOCAL_STORAGE_PREFIX}:${session?.database || ''}:${session?.userName || ''}`;
+}
+
+/**
+ * Read settings saved in this browser
+ * @param {string} key - From getSettingsStorageKey
+ * @returns {object|null} Raw settings, or null when none are saved or storage is unavailable
+ */
+export function readLocalSettings(key) {
+  try {
+    const value = window.localStorage.getItem(key);
+    return value ? JSON.parse(value) : null;
+  } catch (err) {
+    console.error('Error reading saved settings:', err);
+    return null;
+  }
+}
+
+/**
+ * Save settings in this browser
+ * @param {string} key - From getSettingsStorageKey
+ * @param {object} settings
+ * @returns {boolean} Whether they were saved
+ */
+export function writeLocalSettings(key, settings) {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(settings));
+    return true;
+  } catch (err) {
+    console.error('Error saving settings:', err);
+    return false;
+  }
+}
@@ -0,0 +1,136 @@
+/**
+ * Speed profile helpers
+ * Turns GPS log records and posted road speeds into a speed histogram and time over the limit
+ */
+
+import { DEFAULT_UNITS, SPEED_ANALYSIS } from './constants';
+import { getSpeedValue } from './formatters';
+
+/**
+ * Group records by device, each list in time order
+ */
+function groupByDevice(records) {
+  const grouped = new Map();
+  records.forEach(record => {
+    if (!grouped.has(record.deviceId)) grouped.set(record.deviceId, []);
+    grouped.get(record.deviceId).push(record);
+  });
+  grouped.forEach(list => list.sort((a, b) => a.time - b.time));
+  return grouped;
+}
+
+/**
+ * Split GPS records into driving samples, one per gap between consecutive records
+ * Only gaps inside a trip of the same device count, so a driver's samples leave out
+ * other drivers of the vehicle; each gap is driven at the average of its two speeds
+ * @param {Array<{ deviceId: string, time: number, speed: number }>} logRecords - Speeds in km/h
+ * @param {Array<{ deviceId: string, time: number, limit: number }>} roadSpeeds - Posted limits in km/h
+ * @param {Array} trips - Trip entities the samples must fall within
+ * @returns {Array<{ seconds: number, speed: number, limit: number|null }>} limit is null when unknown
+ */
+export function buildSpeedSamples(logRecords, roadSpeeds, trips) {
+  const maxGapMs = SPEED_ANALYSIS.MAX_SAMPLE_GAP_SECONDS * 1000;
+  const recordsByDevice = groupByDevice(logRecords || []);
+  const limitsByDevice = groupByDevice(roadSpeeds || []);
+  const tripsByDevice = groupByDevice((trips || []).map(trip => ({
+    deviceId: trip.device?.id,
+    time: new Date(trip.start).getTime(),
+    stop: new Date(trip.stop).getTime()
+  })));
+
+  const samples = [];
+  recordsByDevice.forEach((records, deviceId) => {
+    const windows = tripsByDevice.get(deviceId) || [];
+    const limits = limitsByDevice.get(deviceId) || [];
+    let windowIndex = 0;
+    let limitIndex = -1;
+
+    for (let i = 1; i < records.length; i++) {
+      const from = records[i - 1];
+      const to = records[i];
+      const gap = to.time - from.time;
+      if (gap <= 0 || gap > maxGapMs) continue;
+
+      while (windowIndex < windows.length && windows[windowIndex].stop < to.time) windowIndex++;
+      const trip = windows[windowIndex];
+      if (!trip || from.time < trip.time) continue;
+
+      const speed = ((from.speed || 0) + (to.speed || 0)) / 2;
+      if (speed <= 0) continue;
+
+      // Posted limit in force at the start of the gap, if it was reported recently enough
+      while (limitIndex + 1 < limits.length && limits[limitIndex + 1].time <= from.time) limitIndex++;
+      const posted = limits[limitIndex];
+      const limit = posted && from.time - posted.time <= maxGapMs ? posted.limit : null;
+
+      samples.push({ seconds: gap / 1000, speed, limit });
+    }
+  });
+
+  return samples;
+}
+
+/**
+ * Time spent in each speed step, from 0 up to the fastest sample
+ * @param {Array} samples - From buildSpeedSamples
+ * @param {object} units - Unit profile the steps are in
+ * @param {number} step - Width of each bar in km/h or mph
+ * @returns {Array<{ from: number, to: number, time: number, percentage: number }>} Time in seconds
+ */
+export function buildSpeedHistogram(samples, units = DEFAULT_UNITS, step = SPEED_ANALYSIS.HISTOGRAM_STEP) {
+  if (!samples || samples.length === 0) return [];
+
+  const times = [];
+  samples.forEach(sample => {
+    const index = Math.floor(getSpeedValue(sample.speed, units) / step);
+    times[index] = (times[index] || 0) + sample.seconds;
+  });
+
+  const totalTime = samples.reduce((sum, sample) => sum + sample.seconds, 0);
+
+  return Array.from(times, (time = 0, index) => ({
+    from: index * step,
+    to: (index + 1) * step,
+    time,
+    percentage: totalTime > 0 ? (time / totalTime) * 100 : 0
+  }));
+}
+
+/**
+ * Time driven over the posted limit, split by how far over
+ * @param {Array} samples - From buildSpeedSamples
+ * @param {object} units - Unit profile the steps are in
+ * @param {number} step - Width of each over-limit step in km/h or mph; the last step is open-ended
+ * @returns {{
+ *   time: number,
+ *   checkedTime: number,
+ *   percentage: number,
+ *   steps: Array<{ from: number, to: number|null, time: number }>
+ * }} Times in seconds; checkedTime is driving time with a known limit, percentage is of checkedTime
+ */
+export function summarizeTimeOverLimit(samples, units = DEFAULT_UNITS, step = SPEED_ANALYSIS.OVER_LIMIT_STEP) {
+  const steps = [
+    { from: 0, to: step, time: 0 },
+    { from: step, to: step * 2, time: 0 },
+    { from: step * 2, to: null, time: 0 }
+  ];
+  let time = 0;
+  let checkedTime = 0;
+
+  (samples || []).forEach(sample => {
+    if (sample.limit == null) return;
+    checkedTime += sample.seconds;
+
+    const over = getSpeedValue(sample.speed - sample.limit, units);
+    if (over <= 0) return;
+    time += sample.seconds;
+    steps[Math.min(steps.length - 1, Math.floor(over / step))].time += sample.seconds;
+  });
+
+  return {
+    time,
+    checkedTime,
+    percentage: checkedTime > 0 ? (time / checkedTime) * 100 : 0,
+    steps
+  };
+}
@@ -0,0 +1,148 @@
+/**
+ * Dashboard state encoding for the Add-In state object and URL hash
+ * Deep links look like: #addin-deviceDashboard,device:b12,from:2024-01-01,to:2024-01-07
+ */
+
+import { formatDate, getDateRangeFromPreset } from './dateUtils';
+import { DATE_PRESETS } from './constants';
+
+// Page name MyGeotab uses in the hash for this Add-In
+export const ADDIN_PAGE_NAME = 'addin-deviceDashboard';
+
+// Tables whose page and sort order are persisted, with their state key prefix
+export const PERSISTED_TABLES = {
+  trips: 'trips',
+  exceptions: 'exceptions',
+  fuelUps: 'fuelUps'
+};
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const SORT_PATTERN = /^(\w+)-(asc|desc)$/;
+
+/**
+ * Parse a YYYY-MM-DD value as a local date
+ * @param {string} value - Date key
+ * @param {boolean} endOfDay - Set the time to 23:59:59.999 instead of midnight
+ * @returns {Date|null}
+ */
+function parseDateKey(value, endOfDay = false) {
+  if (!value || !DATE_KEY_PATTERN.test(value)) return null;
+  const [year, month, day] = value.split('-').map(Number);
+  const date = endOfDay
+    ? new Date(year, month - 1, day, 23, 59, 59, 999)
+    : new Date(year, month - 1, day, 0, 0, 0, 0);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Parse a sort value like "date-desc"
+ * @param {string} value
+ * @returns {{ key: string, direction: string }|null}
+ */
+export function parseSort(value) {
+  const match = typeof value === 'string' ? value.match(SORT_PATTERN) : null;
+  return match ? { key: match[1], direction: match[2] } : null;
+}
+
+/**
+ * Format a sort order for the state object
+ * @param {{ key: string, direction: string }} sort
+ * @returns {string|undefined}
+ */
+export function formatSort(sort) {
+  return sort ? `${sort.key}-${sort.direction}` : undefined;
+}
+
+/**
+ * Convert a raw Add-In state object into dashboard state
+ * Invalid or missing values are left out so the dashboard defaults apply
+ * @param {object} raw - Values from state.getState() or the URL hash
+ * @returns {{ deviceId?: string, dateRange?: object, preset?: string, tables: object }}
+ */
+export function parseDashboardState(raw = {}) {
+  const result = { tables: {} };
+
+  if (typeof raw.device === 'string' && raw.device) {
+    result.deviceId = raw.device;
+  }
+
+  // A preset wins over explicit dates so "This Week" stays relative to today
+  if (Object.values(DATE_PRESETS).includes(raw.preset)) {
+    result.preset = raw.preset;
+    result.dateRange = getDateRangeFromPreset(raw.preset);
+  } else {
+    const start = parseDateKey(raw.from);
+    const end = parseDateKey(raw.to, true);
+    if (start && end && start <= end) {
+      result.dateRange = { start, end };
+    }
+  }
+
+  Object.values(PERSISTED_TABLES).forEach(table => {
+    const page = parseInt(raw[`${table}Page`], 10);
+    const sort = parseSort(raw[`${table}Sort`]);
+    result.tables[table] = {
+      page: page > 0 ? page : 1,
+      sort
+    };
+  });
+
+  return result;
+}
+
+/**
+ * Convert dashboard state into a flat Add-In state object
+ * Default values are left out to keep deep links short
+ * @param {object} dashboardState - { deviceId, dateRange, preset, tables }
+ * @returns {object}
+ */
+export function serializeDashboardState({ deviceId, dateRange, preset, tables = {} }) {
+  const result = {};
+
+  if (deviceId) result.device = deviceId;
+
+  if (preset) {
+    result.preset = preset;
+  } else if (dateRange?.start && dateRange?.end) {
+    result.from = formatDate(dateRange.start, 'YYYY-MM-DD');
+    result.to = formatDate(dateRange.end, 'YYYY-MM-DD');
+  }
+
+  Object.values(PERSISTED_TABLES).forEach(table => {
+    const tableState = tables[table];
+    if (tableState?.page > 1) result[`${table}Page`] = String(tableState.page);
+    if (tableState?.sort) result[`${table}Sort`] = formatSort(tableState.sort);
+  });
+
+  return result;
+}
+
+/**
+ * Parse a MyGeotab style hash ("#addin-name,key:value,key:value")
+ * @param {string} hash - location.hash
+ * @returns {object} Key/value pairs (empty when the hash is for another page)
+ */
+export function parseHashState(hash) {
+  const [page, ...pairs] = (hash || '').replace(/^#/, '').split(',');
+  if (page && page !== ADDIN_PAGE_NAME) return {};
+
+  return pairs.reduce((result, pair) => {
+    const separator = pair.indexOf(':');
+    if (separator > 0) {
+      result[decodeURIComponent(pair.slice(0, separator))] = decodeURIComponent(pair.slice(separator + 1));
+    }
+    return result;
+  }, {});
+}
+
+/**
+ * Build a MyGeotab style hash for this Add-In
+ * @param {object} values - Flat key/value pairs
+ * @returns {string}
+ */
+export function buildHashState(values) {
+  const pairs = Object.entries(values)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `${encodeURIComponent(key)}:${encodeURIComponent(value)}`);
+  return `#${[ADDIN_PAGE_NAME, ...pairs].join(',')}`;
+}
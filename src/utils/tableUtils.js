@@ -0,0 +1,62 @@
+/**
+ * Table sorting helpers shared by the data tables
+ */
+
+export const SORT_DIRECTIONS = {
+  ASC: 'asc',
+  DESC: 'desc'
+};
+
+/**
+ * Compare two sort values; numbers and dates numerically, everything else as text
+ */
+function compareValues(a, b) {
+  if (a instanceof Date) a = a.getTime();
+  if (b instanceof Date) b = b.getTime();
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, { sensitivity: 'base', numeric: true });
+}
+
+/**
+ * Sort records by a column
+ * Empty values always sort last; ties keep their original order
+ * @param {Array} records - Rows to sort
+ * @param {{ key: string, direction: string }|null} sort - Active sort (null keeps API order)
+ * @param {object} accessors - Value getters keyed by sort key
+ * @returns {Array}
+ */
+export function sortRecords(records, sort, accessors) {
+  if (!records || !sort || !accessors[sort.key]) return records || [];
+
+  const getValue = accessors[sort.key];
+  const multiplier = sort.direction === SORT_DIRECTIONS.DESC ? -1 : 1;
+
+  return records
+    .map((record, index) => ({ record, index, value: getValue(record) }))
+    .sort((a, b) => {
+      const aEmpty = a.value == null || a.value === '';
+      const bEmpty = b.value == null || b.value === '';
+      if (aEmpty || bEmpty) {
+        return aEmpty === bEmpty ? a.index - b.index : (aEmpty ? 1 : -1);
+      }
+      return compareValues(a.value, b.value) * multiplier || a.index - b.index;
+    })
+    .map(item => item.record);
+}
+
+/**
+ * Get the sort after clicking a column header
+ * A new column sorts ascending, the active column toggles direction
+ * @param {{ key: string, direction: string }|null} current - Active sort
+ * @param {string} key - Clicked column
+ * @returns {{ key: string, direction: string }}
+ */
+export function getNextSort(current, key) {
+  if (current?.key === key) {
+    return {
+      key,
+      direction: current.direction === SORT_DIRECTIONS.ASC ? SORT_DIRECTIONS.DESC : SORT_DIRECTIONS.ASC
+    };
+  }
+  return { key, direction: SORT_DIRECTIONS.ASC };
+}
@@ -0,0 +1,164 @@
+/**
+ * Trip and exception aggregation helpers shared by device and fleet views
+ */
+
+import { getUniqueDaysCount, getDuration, parseTimeSpan } from './dateUtils';
+import { formatNumber, getSpeedValue, getSpeedUnit } from './formatters';
+import { DEFAULT_UNITS, SPEED_ANALYSIS } from './constants';
+
+/**
+ * Summarize a list of trips
+ * @param {Array} trips - Trip entities
+ * @returns {{
+ *   tripCount: number,
+ *   daysDriven: number,
+ *   distanceDriven: number,
+ *   timeDriven: number,
+ *   idleTime: number,
+ *   idlePercentage: number,
+ *   maxSpeed: number,
+ *   avgSpeed: number
+ * }} Distance in km, durations in ms, speeds in km/h
+ */
+export function summarizeTrips(trips) {
+  if (!trips || trips.length === 0) {
+    return {
+      tripCount: 0,
+      daysDriven: 0,
+      distanceDriven: 0,
+      timeDriven: 0,
+      idleTime: 0,
+      idlePercentage: 0,
+      maxSpeed: 0,
+      avgSpeed: 0
+    };
+  }
+
+  let distanceDriven = 0;
+  let timeDriven = 0;
+  let idleTime = 0;
+  let maxSpeed = 0;
+
+  trips.forEach(trip => {
+    distanceDriven += trip.distance || 0;
+
+    const drivingSeconds = parseTimeSpan(trip.drivingDuration);
+    if (drivingSeconds > 0) {
+      timeDriven += drivingSeconds * 1000;
+    } else if (trip.start && trip.stop) {
+      timeDriven += getDuration(trip.start, trip.stop);
+    }
+
+    idleTime += parseTimeSpan(trip.idlingDuration) * 1000;
+    maxSpeed = Math.max(maxSpeed, trip.maximumSpeed || 0);
+  });
+
+  const totalTime = timeDriven + idleTime;
+  const drivingHours = timeDriven / 1000 / 3600;
+
+  return {
+    tripCount: trips.length,
+    daysDriven: getUniqueDaysCount(trips.map(t => new Date(t.start || t.startDateTime))),
+    distanceDriven,
+    timeDriven,
+    idleTime,
+    idlePercentage: totalTime > 0 ? (idleTime / totalTime) * 100 : 0,
+    maxSpeed,
+    avgSpeed: drivingHours > 0 ? distanceDriven / drivingHours : 0
+  };
+}
+
+/**
+ * Group exceptions by rule name, most frequent first
+ * @param {Array} exceptions - Exception events enriched with ruleName
+ * @returns {Array<{ name: string, count: number, ruleId: string }>}
+ */
+export function groupExceptionsByRule(exceptions) {
+  if (!exceptions || exceptions.length === 0) return [];
+
+  const grouped = {};
+  exceptions.forEach(exc => {
+    const ruleName = exc.ruleName || 'Unknown';
+    if (!grouped[ruleName]) {
+      grouped[ruleName] = { name: ruleName, count: 0, ruleId: exc.rule?.id };
+    }
+    grouped[ruleName].count++;
+  });
+
+  return Object.values(grouped).sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Summarize trips per vehicle, furthest driven first
+ * @param {Array} trips - Trip entities, possibly from several devices
+ * @returns {Array<{ deviceId: string, tripCount: number, distanceDriven: number, timeDriven: number, distanceShare: number }>}
+ *   Distance in km, time in ms, share as a percentage of the total distance
+ */
+export function groupTripsByDevice(trips) {
+  if (!trips || trips.length === 0) return [];
+
+  const grouped = new Map();
+  trips.forEach(trip => {
+    const deviceId = trip.device?.id;
+    if (!deviceId) return;
+    if (!grouped.has(deviceId)) grouped.set(deviceId, []);
+    grouped.get(deviceId).push(trip);
+  });
+
+  const vehicles = [...grouped].map(([deviceId, deviceTrips]) => {
+    const { tripCount, distanceDriven, timeDriven } = summarizeTrips(deviceTrips);
+    return { deviceId, tripCount, distanceDriven, timeDriven };
+  });
+  const totalDistance = vehicles.reduce((sum, v) => sum + v.distanceDriven, 0);
+
+  return vehicles
+    .map(v => ({ ...v, distanceShare: totalDistance > 0 ? (v.distanceDriven / totalDistance) * 100 : 0 }))
+    .sort((a, b) => b.distanceDriven - a.distanceDriven);
+}
+
+/**
+ * Format a speed range limit in the display unit, keeping a decimal when the conversion isn't whole
+ */
+function formatSpeedLimit(kmh, units) {
+  const value = Math.round(getSpeedValue(kmh, units) * 10) / 10;
+  return formatNumber(value, Number.isInteger(value) ? 0 : 1);
+}
+
+/**
+ * Time spent in each trip speed range
+ * @param {Array} trips - Trip entities
+ * @param {object} units - Unit profile for the labels
+ * @param {Array<number>} limits - The two range limits in km/h, from the database's system settings
+ * @returns {Array<{ label: string, time: number, percentage: number, color: string }>} Time in seconds
+ */
+export function getSpeedRanges(trips, units = DEFAULT_UNITS, limits = SPEED_ANALYSIS.DEFAULT_RANGE_LIMITS) {
+  const unit = getSpeedUnit(units);
+  const [low, high] = limits.map(limit => formatSpeedLimit(limit, units));
+
+  const ranges = [
+    { field: 'speedRange1Duration', label: `0-${low} ${unit}`, color: 'success' },
+    { field: 'speedRange2Duration', label: `${low}-${high} ${unit}`, color: 'warning' },
+    { field: 'speedRange3Duration', label: `${high}+ ${unit}`, color: 'danger' }
+  ].map(range => ({
+    ...range,
+    time: (trips || []).reduce((sum, t) => sum + parseTimeSpan(t[range.field]), 0)
+  }));
+
+  const totalTime = ranges.reduce((sum, range) => sum + range.time, 0);
+
+  return ranges.map(({ label, time, color }) => ({
+    label,
+    time,
+    percentage: totalTime > 0 ? (time / totalTime) * 100 : 0,
+    color
+  }));
+}
+
+/**
+ * Get the ids of the devices a set of trips were driven on
+ * @param {Array} trips - Trip entities
+ * @returns {Array<string>} Sorted so the same vehicles always give the same list
+ */
+export function getTripDeviceIds(trips) {
+  return [...new Set((trips || []).map(trip => trip.device?.id).filter(Boolean))].sort();
+}
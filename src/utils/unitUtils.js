@@ -0,0 +1,90 @@
+/**
+ * Unit profiles: the unit chosen for each measurement and conversion into it
+ * A profile maps each of UNIT_MEASURES to a unit from UNIT_DEFINITIONS, e.g.
+ * { distance: 'mile', volume: 'imperialGallon', fuelEconomy: 'imperialMpg', ... }
+ */
+
+import {
+  DEFAULT_UNITS,
+  GEOTAB_FUEL_ECONOMY_UNITS,
+  UNIT_AUTO,
+  UNIT_DEFINITIONS,
+  UNIT_MEASURES,
+  UNIT_SYSTEMS
+} from './constants';
+
+/**
+ * Definition of the profile's unit for a measure, falling back to the metric unit
+ */
+function getUnitDefinition(measure, units) {
+  const definitions = UNIT_DEFINITIONS[measure];
+  return definitions[units?.[measure]] || definitions[DEFAULT_UNITS[measure]];
+}
+
+/**
+ * Convert a stored value (km, L, L/100 km, km/h or degrees C) into the profile's unit
+ * @param {number} value - Stored value
+ * @param {string} measure - One of UNIT_MEASURES
+ * @param {object} units - Unit profile
+ * @returns {number|null} Null when there is no value, or no consumption to invert
+ */
+export function convertUnit(value, measure, units = DEFAULT_UNITS) {
+  if (value === null || value === undefined || Number.isNaN(value)) return null;
+
+  const definition = getUnitDefinition(measure, units);
+  if (definition.inverse) {
+    return value > 0 ? definition.inverse / value : null;
+  }
+  return value * definition.factor + (definition.offset || 0);
+}
+
+/**
+ * Symbol of the profile's unit for a measure, e.g. 'km', 'imp gal' or 'MPG'
+ * @param {string} measure - One of UNIT_MEASURES
+ * @param {object} units - Unit profile
+ * @returns {string}
+ */
+export function getUnitSymbol(measure, units = DEFAULT_UNITS) {
+  return getUnitDefinition(measure, units).symbol;
+}
+
+/**
+ * Whether the profile shows a consumption measure as distance per fuel (MPG, km/L),
+ * where the displayed value rises as the stored value falls
+ * @param {string} measure - UNIT_MEASURES.FUEL_ECONOMY
+ * @param {object} units - Unit profile
+ * @returns {boolean}
+ */
+export function isInvertedUnit(measure, units = DEFAULT_UNITS) {
+  return Boolean(getUnitDefinition(measure, units).inverse);
+}
+
+/**
+ * Unit profile for a MyGeotab user's settings
+ * Distance, speed and temperature follow isMetric; fuel economy and volume
+ * follow fuelEconomyUnit when it is one we know, and isMetric otherwise
+ * @param {boolean} isMetric - The user's metric setting
+ * @param {string} [fuelEconomyUnit] - The user's fuelEconomyUnit setting
+ * @returns {object} Unit profile
+ */
+export function getUserUnitProfile(isMetric, fuelEconomyUnit) {
+  const system = isMetric ? UNIT_SYSTEMS.metric.units : UNIT_SYSTEMS.us.units;
+  return {
+    ...system,
+    ...GEOTAB_FUEL_ECONOMY_UNITS[fuelEconomyUnit]
+  };
+}
+
+/**
+ * Apply the units chosen in settings over a profile
+ * @param {object} units - Unit profile, usually from getUserUnitProfile
+ * @param {object} overrides - Unit or UNIT_AUTO per measure
+ * @returns {object} Unit profile
+ */
+export function applyUnitOverrides(units, overrides) {
+  return Object.fromEntries(Object.values(UNIT_MEASURES).map(measure => {
+    const override = overrides?.[measure];
+    const chosen = override && override !== UNIT_AUTO && UNIT_DEFINITIONS[measure][override];
+    return [measure, chosen ? override : units[measure]];
+  }));
+}
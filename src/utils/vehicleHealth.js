@@ -0,0 +1,92 @@
+/**
+ * Vehicle health helpers
+ * Engine hours from StatusData readings and fault codes grouped from FaultData
+ */
+
+import { FAULT_SEVERITIES } from './constants';
+
+// Order faults are listed in, most severe first
+const SEVERITY_ORDER = [FAULT_SEVERITIES.CRITICAL, FAULT_SEVERITIES.WARNING, FAULT_SEVERITIES.INFO];
+
+/**
+ * Get the severity of a fault from the warning lamps it lit
+ * A red stop lamp is critical; amber, malfunction (check engine) and protect lamps are warnings
+ * @param {object} fault - FaultData entity
+ * @returns {string} One of FAULT_SEVERITIES
+ */
+export function getFaultSeverity(fault) {
+  if (fault.redStopLamp) return FAULT_SEVERITIES.CRITICAL;
+  if (fault.amberWarningLamp || fault.malfunctionLamp || fault.protectWarningLamp) return FAULT_SEVERITIES.WARNING;
+  return FAULT_SEVERITIES.INFO;
+}
+
+/**
+ * Group fault records into one row per diagnostic and failure mode
+ * A fault is active when its latest record is active; active faults come first, then by severity and recency
+ * @param {Array} faults - FaultData entities
+ * @param {Map} diagnosticsById - Diagnostic entities by id, for names and codes
+ * @returns {Array<{
+ *   key: string,
+ *   description: string,
+ *   code: string|null,
+ *   severity: string,
+ *   active: boolean,
+ *   occurrences: number,
+ *   firstSeen: Date,
+ *   lastSeen: Date
+ * }>}
+ */
+export function summarizeFaults(faults, diagnosticsById = new Map()) {
+  const grouped = new Map();
+
+  (faults || []).forEach(fault => {
+    const diagnosticId = fault.diagnostic?.id;
+    const key = `${diagnosticId}|${fault.failureMode?.id || ''}`;
+    const time = new Date(fault.dateTime);
+
+    if (!grouped.has(key)) {
+      const diagnostic = diagnosticsById.get(diagnosticId);
+      grouped.set(key, {
+        key,
+        description: diagnostic?.name || diagnosticId || 'Unknown fault',
+        code: diagnostic?.code != null ? String(diagnostic.code) : null,
+        severity: FAULT_SEVERITIES.INFO,
+        active: false,
+        occurrences: 0,
+        firstSeen: time,
+        lastSeen: null
+      });
+    }
+
+    const row = grouped.get(key);
+    row.occurrences++;
+    if (time < row.firstSeen) row.firstSeen = time;
+    if (!row.lastSeen || time >= row.lastSeen) {
+      row.lastSeen = time;
+      row.active = fault.faultState === 'Active';
+    }
+    // The most severe lamps seen for the fault
+    const severity = getFaultSeverity(fault);
+    if (SEVERITY_ORDER.indexOf(severity) < SEVERITY_ORDER.indexOf(row.severity)) {
+      row.severity = severity;
+    }
+  });
+
+  return [...grouped.values()].sort((a, b) =>
+    (b.active - a.active) ||
+    (SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity)) ||
+    (b.lastSeen - a.lastSeen)
+  );
+}
+
+/**
+ * Engine hours at the end of a range and how many were added during it
+ * @param {object} before - Latest engine hours StatusData before the range, or null
+ * @param {object} atEnd - Latest engine hours StatusData up to the end of the range, or null
+ * @returns {{ lifetime: number|null, period: number|null }} Seconds; period is null without a reading before the range
+ */
+export function getEngineHours(before, atEnd) {
+  const lifetime = atEnd?.data ?? null;
+  const period = lifetime != null && before?.data != null ? Math.max(0, lifetime - before.data) : null;
+  return { lifetime, period };
+}